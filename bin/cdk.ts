@@ -18,5 +18,7 @@ if (!streamGroupId || !streamGroupId.match(/^sg-[a-zA-Z0-9]{5,}$/)) {
 new GLSInfrastructureStack(app, 'gameliftstreams-share-url-cdk', {
   streamGroupId: streamGroupId,
   applicationId: 'your-application-id',
+  // Comma separated origins of pages on other domains allowed to call the API
+  allowedOrigins: (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean),
   awsRegion: 'us-west-2', // Replace with the desired AWS region
 } as GLSInfrastructureStackProps);
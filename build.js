@@ -19,16 +19,16 @@
  * 
  * Build Script Documentation
  * ========================
- * This script updates the IS_LOCAL configuration variable across multiple files
- * in the project. It reads the IS_LOCAL value from environment variables and
- * updates it in both server.js and index.html files.
+ * This script updates the IS_LOCAL configuration variable of the web page.
+ * It reads the IS_LOCAL value from environment variables and updates it in
+ * index.html. The server detects whether it runs in Lambda at runtime, so
+ * server.js needs no build step.
  *
  * Requirements:
  * ------------
  * - Node.js environment
  * - Environment variable IS_LOCAL must be set ('true' or 'false')
  * - File structure must include:
- *   - /server/server.js
  *   - /server/public/index.html
  *
  * Environment Variables:
@@ -40,11 +40,7 @@
  *
  * File Modifications:
  * -----------------
- * 1. server.js:
- *    - Updates the line containing "const IS_LOCAL = true/false;"
- *    - Must contain exact match of pattern to be replaced
- *
- * 2. index.html:
+ * 1. index.html:
  *    - Updates the line containing "var IS_LOCAL = true/false;"
  *    - Must contain exact match of pattern to be replaced
  *
@@ -60,8 +56,7 @@
  * 
  * Success Output:
  * -------------
- * - Logs confirmation messages for each file update
- * - Final success message confirms both files were updated
+ * - Logs a confirmation message for the file update
  *
  * Error Output:
  * -----------
@@ -72,7 +67,7 @@
  * -----
  * - Script uses synchronous file operations
  * - Regular expressions are used for precise replacements
- * - Both files must exist in their expected locations
+ * - The file must exist in its expected location
  */
 
 const fs = require('fs');
@@ -81,24 +76,6 @@ const path = require('path');
 // Get the IS_LOCAL value from environment variable
 const isLocal = process.env.IS_LOCAL === 'true';
 
-// Update server.js
-const serverPath = path.join(__dirname, 'server', 'server.js');
-let serverContent;
-
-try {
-    serverContent = fs.readFileSync(serverPath, 'utf8');
-    const updatedServerContent = serverContent.replace(
-        /const IS_LOCAL = (true|false);/,
-        `const IS_LOCAL = ${isLocal};`
-    );
-    
-    fs.writeFileSync(serverPath, updatedServerContent);
-    console.log(`Set IS_LOCAL to ${isLocal} in server.js`);
-} catch (error) {
-    console.error('Error updating server.js:', error);
-    process.exit(1);
-}
-
 // Update index.html
 const indexPath = path.join(__dirname, 'server', 'public', 'index.html');
 let indexContent;
@@ -116,5 +93,3 @@ try {
     console.error('Error updating index.html:', error);
     process.exit(1);
 }
-
-console.log(`Successfully updated IS_LOCAL to ${isLocal} in both files`);
\ No newline at end of file
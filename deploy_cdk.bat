@@ -5,6 +5,8 @@ REM SPDX-License-Identifier: MIT-0
 REM Run the deploy script with your stream group identifier
 REM Usage: ./deploy_cdk.bat <stream-group-id>
 REM Example: ./deploy_cdk.bat <sg-000000000>
+REM To call the API from pages on other domains, list their origins first:
+REM set CORS_ALLOWED_ORIGINS=https://play.example.com,https://*.example.com
 
 REM Check if StreamGroup ID was provided
 if "%~1"=="" (
@@ -7,6 +7,9 @@
 # Usage: ./deploy_cdk.sh <stream-group-id>
 # Example: ./deploy_cdk.sh sg-000000000
 #
+# To call the API from pages on other domains, list their origins first:
+# CORS_ALLOWED_ORIGINS=https://play.example.com,https://*.example.com ./deploy_cdk.sh sg-000000000
+#
 if [ $# -ne 1 ]; then
     echo "Usage: $0 <stream-group-id>"
     echo "Example: $0 sg-000000000"
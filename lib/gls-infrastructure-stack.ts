@@ -8,6 +8,8 @@ import { Stack } from 'aws-cdk-lib';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
 import * as iam from 'aws-cdk-lib/aws-iam';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as secretsmanager from 'aws-cdk-lib/aws-secretsmanager';
 import * as path from 'path';
 import { RetentionDays } from 'aws-cdk-lib/aws-logs';
 
@@ -18,8 +20,16 @@ import { RetentionDays } from 'aws-cdk-lib/aws-logs';
 export interface GLSInfrastructureStackProps extends cdk.StackProps {
   streamGroupId: string;    // Stream group identifier
   applicationId: string;    // application identifier
+  allowedOrigins?: string[];  // Origins of pages on other domains allowed to call the API
 }
 
+/**
+ * Valid allowed origin: an exact origin, a wildcard for every subdomain, or * for any
+ * origin. Taken from the server module that applies the allowlist, so both accept the
+ * same entries.
+ */
+const { ORIGIN_PATTERN: ALLOWED_ORIGIN_PATTERN }: { ORIGIN_PATTERN: RegExp } = require('../server/lib/cors');
+
 /**
  * Streaming Infrastructure Stack
  * @description Deploys Lambda function with API Gateway integration for streaming
@@ -28,6 +38,44 @@ export class GLSInfrastructureStack extends cdk.Stack {
   constructor(scope: cdk.App, id: string, props: GLSInfrastructureStackProps) {
     super(scope, id, props);
 
+    const allowedOrigins = props.allowedOrigins ?? [];
+    const invalidOrigins = allowedOrigins.filter((origin) => !ALLOWED_ORIGIN_PATTERN.test(origin));
+    if (invalidOrigins.length > 0) {
+      throw new Error(`Invalid allowed origins: ${invalidOrigins.join(', ')}. Use origins such as https://example.com or https://*.example.com`);
+    }
+
+    // Create session table for connection tokens
+    // Tokens must outlive individual Lambda instances, so they are kept in DynamoDB
+    // and expired automatically through the ExpiresAt TTL attribute
+    const sessionTable = new dynamodb.Table(this, 'GameLiftStreamsSessionTable', {
+      partitionKey: { name: 'Token', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ExpiresAt',
+      removalPolicy: cdk.RemovalPolicy.DESTROY,  // Tokens are short-lived and safe to discard
+    });
+
+    // Create session metrics table for the WebRTC stats uploaded by clients
+    // Kept apart from the session table, whose scans must not read these large items
+    const sessionMetricsTable = new dynamodb.Table(this, 'GameLiftStreamsSessionMetricsTable', {
+      partitionKey: { name: 'Token', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ExpiresAt',
+      removalPolicy: cdk.RemovalPolicy.DESTROY,  // Metrics are kept for a day at most
+    });
+
+    // Create the key that signs connection tokens
+    // Every Lambda instance must verify tokens issued by the others, so they share this key.
+    // To rotate, set the secret to "<old key>,<new key>" and wait five minutes for every
+    // instance to reload it, then set it to "<new key>,<old key>" and wait again; drop the
+    // old key a day later. See server/lib/connection-tokens.js.
+    const connectionTokenKeys = new secretsmanager.Secret(this, 'GameLiftStreamsConnectionTokenKeys', {
+      description: 'Keys signing GameLift Streams connection tokens, comma separated, the first one signs',
+      generateSecretString: {
+        passwordLength: 64,
+        excludePunctuation: true
+      }
+    });
+
     // Create Lambda function with security best practices and optimal performance settings
     // Security: Using Node.js 18.x for latest security updates and features
     // Security: ARM64 architecture for better performance and security
@@ -43,6 +91,15 @@ export class GLSInfrastructureStack extends cdk.Stack {
         // Environment variables for configuration
         STREAM_GROUP_ID: props.streamGroupId,
         APPLICATION_ID: props.applicationId,
+        SESSION_STORE_TYPE: 'dynamodb',
+        SESSION_STORE_TABLE: sessionTable.tableName,
+        SESSION_METRICS_STORE_TYPE: 'dynamodb',
+        SESSION_METRICS_TABLE: sessionMetricsTable.tableName,
+        // Only the ARN: the function reads the keys from Secrets Manager at cold start,
+        // so they appear neither in the template nor in the function configuration
+        CONNECTION_TOKEN_KEYS_SECRET_ARN: connectionTokenKeys.secretArn,
+        // The server applies the allowlist, including to preflight requests
+        CORS_ALLOWED_ORIGINS: allowedOrigins.join(','),
         NODE_OPTIONS: '--enable-source-maps'  // Enable source maps for better error tracking
       },
       architecture: lambda.Architecture.ARM_64,  // Using ARM for better performance/cost
@@ -66,24 +123,20 @@ export class GLSInfrastructureStack extends cdk.Stack {
       ]
     }));    
 
+    // Allow the Lambda function to read and write connection tokens
+    sessionTable.grantReadWriteData(serverLambda);
+    sessionMetricsTable.grantReadWriteData(serverLambda);
+
+    // Allow the Lambda function to read the connection token keys
+    connectionTokenKeys.grantRead(serverLambda);
+
     // Create API Gateway with security configurations
-    // Security: CORS configured for development flexibility
+    // Security: CORS preflight requests are passed to the Lambda function, which answers
+    // them from the same origin allowlist it applies to every other request
     // Security: Logging and tracing enabled for monitoring
     const api = new apigateway.RestApi(this, 'GameLiftStreamsShareUrlApi', {
       restApiName: 'GameLiftStreams Share Api',
       description: 'API for the GameLiftStreams Share application',
-      defaultCorsPreflightOptions: {
-        allowOrigins: apigateway.Cors.ALL_ORIGINS,  // Configurable per environment
-        allowMethods: apigateway.Cors.ALL_METHODS,
-        allowHeaders: [
-          'Content-Type',
-          'X-Amz-Date',
-          'Authorization',
-          'X-Api-Key',
-          'X-Amz-Security-Token'
-        ],
-        maxAge: cdk.Duration.days(1)  // Cache CORS preflight requests
-      },
       // Enable comprehensive logging and monitoring
       deployOptions: {
         loggingLevel: apigateway.MethodLoggingLevel.INFO,
@@ -126,9 +179,17 @@ export class GLSInfrastructureStack extends cdk.Stack {
     
     // Define specific API endpoints
     const apiResource = api.root.addResource('api');
-    addMethod(apiResource.addResource('CreateStreamSession'), 'POST');
-    addMethod(apiResource.addResource('GetSignalResponse'), 'POST');
-    addMethod(apiResource.addResource('DestroyStreamSession'), 'POST');
+    for (const route of ['CreateStreamSession', 'GetSignalResponse', 'DestroyStreamSession']) {
+      const resource = apiResource.addResource(route);
+      addMethod(resource, 'POST');
+      addMethod(resource, 'OPTIONS');  // CORS preflight
+    }
+
+    // Routes below /api without their own resource, e.g. the admin API
+    apiResource.addProxy({
+      defaultIntegration: lambdaIntegration,
+      anyMethod: true
+    });
 
     // Add catch-all proxy for unmatched routes
     api.root.addProxy({
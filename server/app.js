@@ -0,0 +1,2432 @@
+
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this
+ * software and associated documentation files (the "Software"), to deal in the Software
+ * without restriction, including without limitation the rights to use, copy, modify,
+ * merge, publish, distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED,
+ * INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A
+ * PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE
+ * SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+/**
+ * @fileoverview Express application for GameLift Stream Web Sharing Demo
+ * @description Builds the web page, stream session API and admin API as an Express app.
+ * server.js listens on it locally or wraps it as a Lambda handler; other backends can
+ * mount it next to their own routes and inject their own dependencies:
+ *
+ *   const { createApp } = require('./app');
+ *   backend.use('/streaming', createApp({ gameliftClient, store, logger }));
+ *
+ * @requires express
+ * @requires @aws-sdk/client-gameliftstreams
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { GameLiftStreams } = require('@aws-sdk/client-gameliftstreams');
+const defaultConfig = require('./config');
+const { createLogger, withCorrelationId } = require('./lib/logger');
+const { createSessionStore } = require('./lib/session-store');
+const { createAuthenticator, createAuthMiddleware, isOwner } = require('./lib/auth');
+const { createAdminMiddleware, keysMatch } = require('./lib/admin');
+const { createCorsMiddleware } = require('./lib/cors');
+const { loadApplicationCatalog } = require('./lib/app-catalog');
+const { AdmissionController, ADMISSION_ERROR_CODES } = require('./lib/admission');
+const { WaitingRoom } = require('./lib/queue');
+const { StreamSessionStatusPoller, FINAL_STATUSES } = require('./lib/status-poller');
+const { WebhookDispatcher, WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { MockGameLiftStreams } = require('./lib/mock-gameliftstreams');
+const { ServerMetrics } = require('./lib/metrics');
+const { SessionMetricsStore } = require('./lib/session-metrics');
+const { ConnectionTokens, storeTtlSeconds } = require('./lib/connection-tokens');
+const { SessionInvites } = require('./lib/invites');
+const { IdleMonitor } = require('./lib/idle-monitor');
+const { SessionPolicy, sessionEndsAt, describeSessionTime, extendSession } = require('./lib/session-policy');
+const { parseLatencies, rankLocations, probeUrl } = require('./lib/locations');
+const { RegionalGameLiftStreams, startInStreamGroups } = require('./lib/stream-groups');
+const { createRateLimitCounters, createRateLimitMiddleware } = require('./lib/rate-limit');
+const { ShutdownManager } = require('./lib/shutdown');
+const { createOpenApiDocument } = require('./lib/openapi');
+const { createOpenApiValidator } = require('./lib/openapi-validator');
+
+/**
+ * Creates the GameLift Streams client described by the configuration
+ * @function createGameLiftStreamsClient
+ * @param {Object} config - Server configuration, see config.js
+ * @param {Object} [options]
+ * @param {boolean} [options.mock=config.MOCK_GAMELIFT_STREAMS.ENABLED] - Use the offline
+ * mock instead of the AWS SDK client
+ * @param {Object} [options.logger=console] - Logger warning that the mock is in use
+ * @returns {GameLiftStreams|MockGameLiftStreams} GameLift Streams client
+ */
+function createGameLiftStreamsClient(config, { mock = config.MOCK_GAMELIFT_STREAMS.ENABLED, logger = console } = {}) {
+  if (mock) {
+    logger.warn('Using the offline GameLift Streams mock; streams cannot actually connect');
+    return new MockGameLiftStreams({
+      activationDelayMs: config.MOCK_GAMELIFT_STREAMS.ACTIVATION_DELAY_MS,
+      terminationDelayMs: config.MOCK_GAMELIFT_STREAMS.TERMINATION_DELAY_MS,
+      maxSessions: config.MOCK_GAMELIFT_STREAMS.MAX_SESSIONS,
+      region: config.GAMELIFT_STREAMS_REGION
+    });
+  }
+  // Stream groups may live in several regions, see lib/stream-groups
+  return new RegionalGameLiftStreams({
+    defaultRegion: config.GAMELIFT_STREAMS_REGION,
+    createClient: (region) => new GameLiftStreams({
+      endpoint: (region === config.GAMELIFT_STREAMS_REGION && config.GAMELIFT_STREAMS_ENDPOINT) || null,
+      region: region || null
+    })
+  });
+}
+
+/**
+ * Creates the Express application serving the web page, stream session API and admin API
+ * @function createApp
+ * @param {Object} [options]
+ * @param {Object} [options.gameliftClient] - GameLift Streams client; created from config
+ * with createGameLiftStreamsClient when omitted
+ * @param {Object} [options.store] - Session store for connection tokens and queue tickets;
+ * created from config.SESSION_STORE when omitted
+ * @param {Object} [options.metricsStore] - Store for uploaded session metrics; created from
+ * config.SESSION_METRICS.STORE when omitted
+ * @param {Object} [options.config] - Server configuration, defaults to config.js
+ * @param {Object} [options.logger] - Logger with debug, info, warn and error methods, defaults
+ * to createLogger(config.LOGGING)
+ * @param {boolean} [options.local=true] - Local mode: StreamGroupId comes from the request,
+ * StreamSessionEvents is available and the local rate limit applies. Lambda deployments
+ * pass false, taking the stream group from the STREAM_GROUP_ID environment variable.
+ * @param {boolean} [options.overrideProtocol=false] - Point signal responses at the
+ * locally served override_protocol.js
+ * @returns {express.Application} Application to listen on, wrap or mount with app.use();
+ * app.locals.gameliftstreams, app.locals.sessionStore and app.locals.metrics hold the
+ * client, store and metrics in use, and app.locals.shutdownManager shuts the app down
+ */
+function createApp({
+  gameliftClient,
+  store,
+  metricsStore,
+  config = defaultConfig,
+  logger = createLogger(config.LOGGING),
+  local = true,
+  overrideProtocol = false
+} = {}) {
+  /**
+   * Session Store
+   * Maps unique connection tokens to stream session data. Local mode defaults to a
+   * directory of JSON files so tokens survive restarts; deployments should use DynamoDB so tokens
+   * survive Lambda cold starts and are shared between instances.
+   * @constant {Object} sessionStore
+   */
+  const sessionStore = store || createSessionStore({
+    type: config.SESSION_STORE.TYPE || (local ? 'file' : 'memory'),
+    directory: config.SESSION_STORE.DIRECTORY,
+    tableName: config.SESSION_STORE.TABLE_NAME,
+    region: process.env.AWS_REGION,
+    endpoint: config.SESSION_STORE.ENDPOINT
+  });
+
+  /**
+   * Prometheus Metrics
+   * @constant {ServerMetrics} metrics - Request, GameLift Streams API and session metrics,
+   * served on GET /metrics, see config.METRICS
+   */
+  const metrics = new ServerMetrics({ metricsConfig: config.METRICS, sessionStore, logger });
+
+  // Every GameLift Streams call, including those of the admission controller and
+  // status poller, goes through the instrumented client
+  const gameliftClientInUse = gameliftClient || createGameLiftStreamsClient(config, { logger });
+  const gameliftstreams = metrics.instrumentGameLiftStreams(gameliftClientInUse);
+
+  // Locations of the offline mock cannot be probed over the network, see /api/LocationProbe
+  const usingMock = gameliftClientInUse instanceof MockGameLiftStreams;
+
+  /**
+   * Express Application Setup
+   * @description Initializes Express app with proxy trust and request size limits
+   */
+  const app = express();
+  app.set('trust proxy', 1);
+
+  // Let the entrypoint and host applications reach the dependencies the app uses
+  app.locals.gameliftstreams = gameliftstreams;
+  app.locals.sessionStore = sessionStore;
+  app.locals.metrics = metrics;
+
+  /**
+   * Shutdown Manager
+   * @description Drains in-flight requests and cleans up when the server stops, see
+   * config.SHUTDOWN. The entrypoint adds its servers and calls shutdown() on SIGTERM.
+   * @constant {ShutdownManager} shutdownManager
+   */
+  const shutdownManager = new ShutdownManager({
+    drainTimeoutMs: config.SHUTDOWN.DRAIN_TIMEOUT_MS,
+    cleanupTimeoutMs: config.SHUTDOWN.CLEANUP_TIMEOUT_MS,
+    logger
+  });
+  app.locals.shutdownManager = shutdownManager;
+  app.use(shutdownManager.middleware());
+
+  // Configure request body size limits
+  // Increase the limit to 100MB (adjust as needed)
+  app.use(express.json({ limit: config.JSON_BODY_LIMIT }));
+  app.use(express.urlencoded({ limit: config.JSON_BODY_LIMIT, extended: true }));
+
+  /**
+   * Middleware to track request correlation IDs and timing, and record request metrics.
+   * Log lines written while handling the request carry its correlation ID.
+   * @middleware
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @param {Express.NextFunction} next - Express next middleware function
+   */
+  app.use((req, res, next) => {
+    req.correlationId = crypto.randomUUID();
+    const startTime = Date.now();
+
+    res.on('finish', () => {
+      const duration = Date.now() - startTime;
+      logger.info('Request completed', {
+        correlationId: req.correlationId,
+        method: req.method,
+        path: req.path,
+        statusCode: res.statusCode,
+        duration
+      });
+      metrics.observeRequest(req, res, duration);
+    });
+
+    withCorrelationId(req.correlationId, next);
+  });
+
+  // Create a timeout middleware factory
+  const timeoutMiddleware = (timeoutMs) => {
+    return (req, res, next) => {
+      // Skip timeout for streaming endpoints
+      if (req.path.includes('/stream') || req.path.includes('/game')) {
+        return next();
+      }
+
+      const timeout = setTimeout(() => {
+        logger.error('Request timeout', {
+          correlationId: req.correlationId,
+          path: req.path,
+          method: req.method,
+          timeoutMs
+        });
+        res.status(408).json({ 
+          error: 'Request timeout',
+          correlationId: req.correlationId 
+        });
+      }, timeoutMs);
+
+      // Clear timeout when request completes
+      res.on('finish', () => {
+        clearTimeout(timeout);
+      });
+
+      next();
+    };
+  };
+
+  // Security headers
+  app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    next();
+  });
+
+  // Serve static files
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  /**
+   * CORS Middleware
+   * @middleware Allows cross-origin calls from config.CORS.ALLOWED_ORIGINS, answers their
+   * preflight requests and rejects requests from other origins with 403
+   */
+  app.use(createCorsMiddleware(config.CORS, logger));
+
+  /**
+   * Security Middleware Configuration
+   * @description Basic security headers using Helmet.js
+   */
+  const helmet = require('helmet');
+  app.use(helmet());
+
+  /**
+   * Content Security Policy (CSP)
+   * @description Configures allowed sources for:
+   * - Scripts, styles, images
+   * - AWS services connections
+   * - WebSocket connections
+   * - Media and worker resources
+   */
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'", "https://*.amazonaws.com"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        imgSrc: ["'self'", "data:", "blob:", "https:"],
+        connectSrc: ["'self'", "https://*.amazonaws.com", "wss://*.amazonaws.com", "ws:"],
+        mediaSrc: ["'self'", "blob:"],
+        workerSrc: ["'self'", "blob:"],
+        childSrc: ["'self'", "blob:"],
+        frameSrc: ["'self'"],
+        objectSrc: ["'none'"]
+      }
+    },
+    crossOriginEmbedderPolicy: false,
+    crossOriginResourcePolicy: { policy: "cross-origin" }
+  }));
+
+  /**
+   * Request Sanitization
+   * @description Sanitizes user input to prevent XSS attacks
+   */
+  const sanitize = require('express-sanitizer');
+  app.use(sanitize());
+
+  /**
+   * Request Abort Handler
+   * @middleware Logs when client terminates connection prematurely
+   */
+  app.use((req, res, next) => {
+    req.on('close', () => {
+      if (!res.writableEnded) {
+        logger.info('Request aborted by client', {
+          correlationId: req.correlationId,
+          method: req.method,
+          path: req.path
+        });
+      }
+    });
+    next();
+  });
+
+  /**
+   * API Specification
+   * @description Describes every /api route, see lib/openapi. validate(operationId) is
+   * route middleware rejecting requests that do not match the operation with 400; with
+   * config.OPENAPI.VALIDATE_RESPONSES, which defaults to local mode, it also logs
+   * responses that do not match.
+   */
+  const openApiDocument = createOpenApiDocument({ version: config.API_VERSION });
+  const validate = createOpenApiValidator(openApiDocument, {
+    validateResponses: config.OPENAPI.VALIDATE_RESPONSES === '' ? local : config.OPENAPI.VALIDATE_RESPONSES,
+    logger
+  });
+
+  /**
+   * Request Body Size Limits
+   * @middleware Limits request body size to 10kb
+   */
+  app.use(express.json({ limit: '10kb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+
+  /**
+   * Resolves the caller of a request from its bearer token, shared by the rate limiter
+   * and requireAuth so a token is verified once per request
+   */
+  const authenticate = createAuthenticator(config.AUTH);
+
+  /**
+   * Rate Limiter
+   * @middleware Applies the per-route policies of config.RATE_LIMIT.POLICIES, and the
+   * default budget to other routes. Clients are counted by authenticated user, or by IP
+   * address without a valid token. Counters are kept in config.RATE_LIMIT.STORE.
+   */
+  const rateLimitCounters = createRateLimitCounters({
+    type: config.RATE_LIMIT.STORE.TYPE,
+    filePath: config.RATE_LIMIT.STORE.FILE_PATH,
+    redisUrl: config.RATE_LIMIT.STORE.REDIS_URL,
+    onError: (error) => logger.error('Rate limit store error', { error: error.message })
+  });
+  const limiter = createRateLimitMiddleware({
+    rateLimitConfig: config.RATE_LIMIT,
+    local, // Higher limits for local development
+    counters: rateLimitCounters,
+    keyGenerator: async (req) => {
+      const user = await authenticate(req).catch(() => null);
+      return user ? `user:${user.id}` : `ip:${req.ip}`;
+    },
+    handler: (req, res) => {
+      logger.error('Rate limit exceeded', {
+        correlationId: req.correlationId,
+        path: req.path
+      });
+      metrics.countRateLimitRejection();
+      res.status(429).json({
+        error: 'Too many requests, please try again later',
+        correlationId: req.correlationId
+      });
+    }
+  });
+  /**
+   * Prometheus Metrics Endpoint
+   * @route GET /metrics
+   * @description Serves the metrics in the Prometheus text format. Registered before the
+   * rate limiter so scrapes do not use up the scraper's request budget.
+   * @throws {Error} 401 - When config.METRICS.BEARER_TOKEN is set and not presented
+   * @throws {Error} 404 - When config.METRICS is disabled
+   */
+  app.get('/metrics', async (req, res) => {
+    if (!config.METRICS.ENABLED) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (config.METRICS.BEARER_TOKEN) {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      if (scheme !== 'Bearer' || !token || !keysMatch(token, config.METRICS.BEARER_TOKEN)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    }
+    try {
+      const { contentType, body } = await metrics.render();
+      res.set('Content-Type', contentType).send(body);
+    } catch (error) {
+      logger.error('Failed to render metrics', {
+        correlationId: req.correlationId,
+        error: error.message
+      });
+      res.status(500).json({ error: 'Failed to render metrics' });
+    }
+  });
+
+  /**
+   * Mock Location Probe
+   * @route GET /api/LocationProbe
+   * @param {string} req.query.Location - Location being probed
+   * @description Answers after config.MOCK_GAMELIFT_STREAMS.PROBE_LATENCY_MS for the location,
+   * so location selection can be tried locally. Only served with the offline mock, and
+   * registered before the rate limiter so probes do not use up the request budget.
+   */
+  if (usingMock) {
+    app.get('/api/LocationProbe', validate('LocationProbe'), (req, res) => {
+      const latency = Number(config.MOCK_GAMELIFT_STREAMS.PROBE_LATENCY_MS[req.query.Location]) || 0;
+      setTimeout(() => res.status(204).end(), latency);
+    });
+  }
+
+  app.use(limiter);
+
+  /**
+   * Global error handler
+   * @middleware
+   * @param {Error} err - Error object
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @param {Express.NextFunction} next - Express next middleware function
+   */
+  app.use((err, req, res, next) => {
+    const statusCode = err.statusCode || 500;
+    logger.error('Error occurred', {
+      correlationId: req.correlationId,
+      statusCode,
+      errorMessage: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+
+    res.status(statusCode).json({
+      error: err.message,
+      correlationId: req.correlationId
+    });
+  });
+
+  /**
+   * Request Logger
+   * @middleware Logs timestamp, method, and URL for each request
+   */
+  app.use((req, res, next) => {
+    logger.debug('Request received', { method: req.method, url: req.url });
+    next();
+  });
+
+  /**
+   * Health Check Endpoint
+   * @route GET /health
+   * @timeout 5000ms
+   */
+  app.get('/health',
+    timeoutMiddleware(5000), // 5 second timeout for health checks
+    (req, res) => {
+    res.status(200).json({
+      status: 'healthy',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Authentication Middleware
+   * @middleware Verifies the bearer JWT on session APIs and sets req.user
+   * @description When config.AUTH.ENABLED is false, req.user is null and the
+   * client-supplied UserId is trusted as before.
+   */
+  const requireAuth = createAuthMiddleware(config.AUTH, logger, authenticate);
+
+  /**
+   * Admin Middleware
+   * @middleware Protects the /api/admin routes with an admin key or admin role, see config.ADMIN
+   */
+  const requireAdmin = createAdminMiddleware(config.ADMIN, config.AUTH, logger);
+
+  /**
+   * Shutdown Middleware
+   * @middleware Refuses to start new stream sessions once shutdown has started, so
+   * clients retry on an instance that keeps running
+   */
+  const rejectWhileShuttingDown = (req, res, next) => {
+    if (!shutdownManager.shuttingDown) {
+      return next();
+    }
+    res.setHeader('Retry-After', '5');
+    res.status(503).json({ error: 'Server is shutting down', correlationId: req.correlationId });
+  };
+
+  /**
+   * @constant {Set<string>} ownedSessionArns - Stream sessions started by this instance,
+   * released on shutdown according to config.SHUTDOWN.OWNED_SESSIONS
+   */
+  const ownedSessionArns = new Set();
+
+  /**
+   * @constant {Set<Object>} openEventStreams - StreamSessionEvents streams, closed on shutdown
+   */
+  const openEventStreams = new Set();
+
+  /**
+   * Application Catalog
+   * @constant {ApplicationCatalog|null} applicationCatalog - Allowed applications and their
+   * launch configuration, or null to accept the launch configuration sent by the client
+   */
+  const applicationCatalog = loadApplicationCatalog(path.resolve(__dirname, config.APPLICATION_CATALOG_FILE));
+  if (applicationCatalog) {
+    logger.info('Loaded application catalog', { applications: applicationCatalog.applications.length });
+  }
+
+  /**
+   * Session Lifecycle Webhooks
+   * @constant {WebhookDispatcher} webhooks - Notifies external services of session events, see config.WEBHOOKS
+   */
+  const webhooks = new WebhookDispatcher({
+    webhookConfig: config.WEBHOOKS,
+    logger
+  });
+
+  /**
+   * Connection Tokens
+   * @constant {ConnectionTokens} connectionTokens - Signs connection tokens so any instance
+   * can verify them, and revokes the tokens of terminated sessions, see config.CONNECTION_TOKENS
+   */
+  const connectionTokens = new ConnectionTokens({
+    tokenConfig: config.CONNECTION_TOKENS,
+    maxLifetimeSeconds: config.SESSION_STORE.TOKEN_TTL_SECONDS,
+    sessionStore,
+    logger
+  });
+
+  /**
+   * Admission Control
+   * @constant {AdmissionController} admissionController - Enforces config.SESSION_LIMITS
+   */
+  const admissionController = new AdmissionController({
+    limits: config.SESSION_LIMITS,
+    sessionStore,
+    connectionTokens,
+    gameliftstreams,
+    logger,
+    onTerminate: ({ data }) => notifySessionEvent(WEBHOOK_EVENTS.TERMINATED, data, { TerminatedBy: 'replaced' })
+  });
+
+  /**
+   * Waiting Room
+   * @constant {WaitingRoom} waitingRoom - Queues CreateStreamSession requests while the
+   * stream group is out of capacity, see config.QUEUE
+   */
+  const waitingRoom = new WaitingRoom({
+    queueConfig: config.QUEUE,
+    sessionStore
+  });
+
+  /**
+   * Stream Session Status Poller
+   * @constant {StreamSessionStatusPoller} statusPoller - Shares GetStreamSession results between
+   * GetSignalResponse requests and StreamSessionEvents subscribers of the same session
+   */
+  const statusPoller = new StreamSessionStatusPoller({
+    gameliftstreams,
+    intervalMs: config.SESSION_EVENTS.POLL_INTERVAL_MS,
+    logger
+  });
+
+  /**
+   * Session Metrics
+   * @constant {SessionMetricsStore} sessionMetrics - Client WebRTC stats uploaded to
+   * SessionMetrics and analyzed by DestroyStreamSession, see config.SESSION_METRICS
+   */
+  const sessionMetrics = new SessionMetricsStore({
+    metricsConfig: config.SESSION_METRICS,
+    store: metricsStore || createSessionStore({
+      type: config.SESSION_METRICS.STORE.TYPE || (local ? 'file' : 'memory'),
+      directory: config.SESSION_METRICS.STORE.DIRECTORY,
+      tableName: config.SESSION_METRICS.STORE.TABLE_NAME,
+      region: process.env.AWS_REGION,
+      endpoint: config.SESSION_STORE.ENDPOINT
+    })
+  });
+
+  /**
+   * Session Invites
+   * @constant {SessionInvites} invites - Single-use invites that let ReconnectStreamSession
+   * move a session to another device, see config.INVITES
+   */
+  const invites = new SessionInvites({
+    inviteConfig: config.INVITES,
+    sessionStore
+  });
+
+  /**
+   * Idle Monitor
+   * @constant {IdleMonitor} idleMonitor - Heartbeats from streaming clients, used by the
+   * token cleanup job to terminate idle sessions, see config.IDLE
+   */
+  const idleMonitor = new IdleMonitor({
+    idleConfig: config.IDLE,
+    sessionStore
+  });
+
+  /**
+   * Session Policy
+   * @constant {SessionPolicy} sessionPolicy - How long new sessions may run and whether they
+   * may be extended, see config.SESSION_POLICY
+   */
+  const sessionPolicy = new SessionPolicy({
+    policyConfig: config.SESSION_POLICY,
+    maxSessionLengthSeconds: config.MAX_SESSION_LENGTH_SECONDS
+  });
+
+  /**
+   * Applies the overrideProtocol option (--override_protocol flag) to a signal response
+   * @function overrideSignalProtocol
+   * @param {string} signalResponse - Signal response from GetStreamSession
+   * @param {string} correlationId - Request correlation ID for logging
+   * @returns {string} Signal response pointing at the local protocol override, or the
+   * original response when the option is off or the response cannot be parsed
+   */
+  function overrideSignalProtocol(signalResponse, correlationId) {
+    if (!overrideProtocol) {
+      return signalResponse;
+    }
+    try {
+      const parsedResponse = JSON.parse(signalResponse);
+      parsedResponse.webSdkProtocolUrl = `/override_protocol.js?${Date.now()}`;
+      return JSON.stringify(parsedResponse);
+    } catch (error) {
+      logger.error('Protocol override failed', {
+        correlationId,
+        error: error.message
+      });
+      // Continue with original response if parsing fails
+      return signalResponse;
+    }
+  }
+
+  /**
+   * Sends a session lifecycle webhook in the background
+   * @function notifySessionEvent
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {Object} [details] - Event specific fields
+   * @returns {void}
+   */
+  function notifySessionEvent(event, connectionData, details = {}) {
+    // Receivers identify the session by its ARN; the connection token would let
+    // anyone reading the payloads or the dead-letter file join the stream
+    void webhooks.dispatch(event, {
+      UserId: connectionData.UserId,
+      ApplicationIdentifier: connectionData.ApplicationIdentifier,
+      StreamGroupId: connectionData.StreamGroupId,
+      StreamSessionArn: connectionData.StreamSessionArn,
+      ...details
+    });
+  }
+
+  /**
+   * Records the time a session reached a status and sends its webhook, once per session
+   * however many clients observe the status. ActivatedAt also feeds the activation time metric.
+   * @function recordSessionStatus
+   * @param {string} token - Connection token
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {string} field - Session data field holding the time, e.g. ActivatedAt
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} [details] - Event specific fields
+   * @returns {Promise<void>}
+   */
+  async function recordSessionStatus(token, connectionData, field, event, details) {
+    if (connectionData[field]) {
+      return;
+    }
+    connectionData[field] = Date.now();
+    if (field === 'ActivatedAt') {
+      metrics.observeActivation((connectionData.ActivatedAt - connectionData.Timestamp) / 1000);
+    }
+    try {
+      await sessionStore.put(token, connectionData, storeTtlSeconds(connectionData.ExpiresAt));
+    } catch (error) {
+      logger.error('Failed to update connection token', { error: error.message });
+    }
+    notifySessionEvent(event, connectionData, details);
+  }
+
+  // This error code is generally indicating an error occurring in server.
+  const generalErrorStatusCode = 502;
+
+  /**
+   * Root Path Handler
+   * @route GET /
+   * @description Serves index.html from public directory
+   */
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  /**
+   * Serves static files from the public directory with security restrictions.
+   * 
+   * @route GET /:filename
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @param {string} req.params.filename - The name of the requested file
+   * 
+   * @description
+   * Only allows access to specific whitelisted files from the public directory.
+   * Automatically determines and sets the appropriate content type for the response.
+   * If the file is not in the allowed list or doesn't exist, passes to the next middleware.
+   */
+  app.get('/:filename', (req, res, next) => {
+    const filename = req.params.filename;
+    const allowedFiles = ['gameliftstreams-1.0.0.js', 'touchtomouse.js', 'utils.js', 'pretty.css', 'loadingscreen.js'];
+
+    if (allowedFiles.includes(filename)) {
+      const filePath = path.join(__dirname, 'public', filename);
+      if (fs.existsSync(filePath)) {
+        const content = fs.readFileSync(filePath);
+        const contentType = getContentType(filePath);
+        res.contentType(contentType);
+        res.send(content);
+      } else {
+        next();
+      }
+    } else {
+      next();
+    }
+  });
+
+  /**
+   * Lists the applications that players may stream.
+   *
+   * @route GET /api/Applications
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   *
+   * @returns {Object} Response object
+   * @returns {Array} Response.Applications - Catalog entries with Id, Name, Description and Locations;
+   * empty when no application catalog is configured
+   */
+  app.get('/api/Applications', requireAuth, validate('Applications'), (req, res) => {
+      res.json({ Applications: applicationCatalog ? applicationCatalog.listPublic() : [] });
+  });
+
+  /**
+   * Lists the locations the client should measure before starting a stream.
+   *
+   * @route GET /api/Locations
+   * @param {Object} req - Express request object
+   * @param {string} [req.query.ApplicationIdentifier] - Application to stream; its catalog
+   * entry decides the candidate locations
+   * @param {Object} res - Express response object
+   *
+   * @returns {Object} Response object
+   * @returns {Array} Response.Locations - Candidate locations, each with Location and ProbeUrl
+   * @returns {string} Response.ProbeUrlTemplate - Probe URL with {region} standing for any
+   * location, for locations the player enters
+   * @returns {number} Response.ProbeCount - Requests to send per location, keeping the fastest
+   *
+   * @description
+   * The client sends the measurements to CreateStreamSession as LocationLatencies.
+   */
+  app.get('/api/Locations', requireAuth, validate('Locations'), (req, res) => {
+      const application = applicationCatalog && applicationCatalog.find(req.query.ApplicationIdentifier);
+      const candidates = (application && application.Locations) || config.LOCATIONS.CANDIDATES;
+      const template = usingMock ? '/api/LocationProbe?Location={region}' : config.LOCATIONS.PROBE_URL;
+      res.json({
+          Locations: candidates.map((location) => ({ Location: location, ProbeUrl: probeUrl(template, location) })),
+          ProbeUrlTemplate: template,
+          ProbeCount: config.LOCATIONS.PROBE_COUNT
+      });
+  });
+
+  /**
+   * Creates a new Amazon GameLift Streams session and returns a connection token.
+   * 
+   * @route POST /api/CreateStreamSession
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} req.body - Request body containing stream configuration
+   * @param {string} req.body.StreamGroupId - Identifier for the stream group
+   * @param {string} req.body.UserId - User identifier, ignored when authentication is enabled
+   * @param {Object} req.body.SignalRequest - WebRTC signaling data
+   * @param {string} [req.body.ApplicationIdentifier] - Optional identifier for multi-app support;
+   * required and matched against the catalog Id or application ID when a catalog is configured
+   * @param {Array} [req.body.Locations] - Optional locations for multi-region support
+   * @param {Object} [req.body.LocationLatencies] - Optional round-trip times measured by the
+   * client in milliseconds, { <location>: <milliseconds> }, see GET /api/Locations
+   * @param {Object} [req.body.AdditionalLaunchArgs] - Optional additional launch arguments, ignored with a catalog
+   * @param {Object} [req.body.AdditionalEnvironmentVariables] - Optional environment variables, ignored with a catalog
+   * @param {string} [req.body.QueueTicket] - Ticket from an earlier queued response
+   * 
+   * @returns {Object} Response object containing a connection token
+   * @returns {string} Response.Token - Unique connection identifier for the stream session
+   * @returns {string} [Response.ApplicationDescription] - Catalog description of the application
+   * @returns {string} [Response.Location] - Location GameLift Streams started the session in
+   * @returns {number} [Response.LatencyMs] - Client's measured latency to that location
+   * @returns {Object} 202 response when queued, containing QueueTicket, Position and EstimatedWaitSeconds
+   * 
+   * @description
+   * Initializes a GameLift streaming session with the provided configuration.
+   * When an application catalog is configured, the stream group, session length, launch
+   * arguments and environment variables come from the catalog entry, and requested
+   * locations are narrowed to the ones the entry allows.
+   * Locations are ordered by the client's latency measurements, closest first, and slow
+   * locations are dropped as configured in config.LOCATIONS.
+   * Issues a signed connection token that expires with the session, see config.CONNECTION_TOKENS.
+   * The token can be used to retrieve the WebRTC signal response.
+   * 
+   * A catalog entry with StreamGroupIds, or config.STREAM_GROUP_IDS in Lambda mode, lists
+   * several stream groups in order of preference. When StartStreamSession fails in one of
+   * them with an error in config.STREAM_GROUP_FAILOVER, the next group is tried. The group
+   * that served the session is stored with the token for the later calls of the session.
+   * 
+   * When the waiting room is enabled and the stream group is out of capacity, the request
+   * is queued and a 202 response with a queue ticket is returned instead. The client polls
+   * QueueStatus and repeats CreateStreamSession with the ticket once it reaches position 1.
+   * 
+   * @throws {Error} 400 - When a catalog is configured and the application is not in it
+   * @throws {Error} 409 - When the user or client IP already has the maximum number of sessions
+   * (code USER_SESSION_LIMIT or IP_SESSION_LIMIT)
+   * @throws {Error} 429 - When every stream group has the maximum number of sessions and
+   * the waiting room is disabled (code STREAM_GROUP_SESSION_LIMIT)
+   * @throws {Error} 503 - When the server is shutting down
+   */
+  app.post('/api/CreateStreamSession', rejectWhileShuttingDown, requireAuth, validate('CreateStreamSession'), async function (req, res) {
+      logger.info('CreateStreamSession request received', { correlationId: req.correlationId, body: req.body });
+
+      // Ideally your backend server will validate all of these configuration parameters,
+      // or ignore the client and look up predetermined values from a configuration table.
+      // You likely want to override AdditionalLaunchArgs/AdditionalEnvironmentVariables.
+      // At the very least, you should authenticate the user id and stream group ids here.
+      // You should never trust the client! When authentication is enabled the user id
+      // comes from the verified bearer token; otherwise we trust the client for the
+      // purposes of this very simple demo application.
+      const userId = req.user ? req.user.id : req.body.UserId;
+
+      // With an application catalog, the client only picks which application to stream
+      const application = applicationCatalog && applicationCatalog.find(req.body.ApplicationIdentifier);
+      if (applicationCatalog && !application) {
+          logger.error('Application not in catalog', {
+              correlationId: req.correlationId,
+              applicationIdentifier: req.body.ApplicationIdentifier
+          });
+          return res.status(400).json({
+              error: 'Unknown application',
+              message: 'ApplicationIdentifier is not in the application catalog'
+          });
+      }
+
+      // Stream groups in order of preference; StartStreamSession fails over to the next one
+      let streamGroupIds;
+      if (application) {
+          // Catalog entries always name their stream groups, so the request cannot pick one
+          streamGroupIds = applicationCatalog.streamGroupIds(application);
+      } else if (local) {
+          // In local mode, allow override from request body
+          streamGroupIds = [req.body.StreamGroupId];
+      } else {
+          // In Lambda mode, use the environment variables set during deployment
+          streamGroupIds = config.STREAM_GROUP_IDS;
+
+          if (streamGroupIds.length === 0) {
+              logger.error('STREAM_GROUP_ID environment variable not set', { correlationId: req.correlationId });
+              return res.status(500).json({
+                  error: 'Server Configuration Error',
+                  message: 'STREAM_GROUP_ID not configured'
+              });
+          }
+      }
+      // Requests queue for the preferred stream group
+      const streamGroupId = streamGroupIds[0];
+
+      // Puts the request in the waiting room, keeping the client's place if it already has one
+      let queueTicket;
+      const queueRequest = async () => {
+          try {
+              const status = queueTicket
+                  ? await waitingRoom.status(queueTicket)
+                  : await waitingRoom.enqueue({ streamGroupId, userId, ownerId: req.user ? req.user.id : undefined });
+              logger.info('CreateStreamSession queued', {
+                  correlationId: req.correlationId,
+                  position: status.Position
+              });
+              return res.status(202).json(status);
+          } catch (error) {
+              logger.error('Failed to queue CreateStreamSession', {
+                  correlationId: req.correlationId,
+                  error: error.message
+              });
+              return res.status(config.GENERAL_ERROR_STATUS_CODE).json({ error: 'Failed to queue request' });
+          }
+      };
+
+      // Requests wait their turn behind anyone already queued for this stream group
+      if (waitingRoom.isEnabled()) {
+          try {
+              const ticketData = await waitingRoom.getTicket(req.body.QueueTicket);
+              if (ticketData && ticketData.StreamGroupId === streamGroupId && isOwner(req.user, ticketData)) {
+                  queueTicket = req.body.QueueTicket;
+              }
+              if (!(await waitingRoom.mayStart(streamGroupId, queueTicket))) {
+                  return queueRequest();
+              }
+          } catch (error) {
+              logger.error('Waiting room check failed', {
+                  correlationId: req.correlationId,
+                  error: error.message
+              });
+              return res.status(config.GENERAL_ERROR_STATUS_CODE).json({ error: 'Waiting room check failed' });
+          }
+      }
+
+      // Enforce concurrent session limits before starting a billable session
+      let admittedStreamGroupIds;
+      try {
+          admittedStreamGroupIds = await admissionController.admit({
+              userId,
+              clientIp: req.ip,
+              streamGroupIds,
+              correlationId: req.correlationId
+          });
+      } catch (error) {
+          if (!error.code) {
+              logger.error('Admission check failed', {
+                  correlationId: req.correlationId,
+                  error: error.message
+              });
+              return res.status(config.GENERAL_ERROR_STATUS_CODE).json({ error: 'Admission check failed' });
+          }
+          if (error.code === ADMISSION_ERROR_CODES.STREAM_GROUP && waitingRoom.isEnabled()) {
+              return queueRequest();
+          }
+          logger.info('CreateStreamSession rejected by admission control', {
+              correlationId: req.correlationId,
+              code: error.code
+          });
+          if (error.statusCode === 429) {
+              res.setHeader('Retry-After', '30');
+          }
+          return res.status(error.statusCode).json({
+              error: error.message,
+              code: error.code,
+              limit: error.limit
+          });
+      }
+
+      // Sessions that may be extended start with their longest length, see lib/session-policy
+      const policy = sessionPolicy.resolve({ application, user: req.user });
+
+      // GameLift Streams tries the locations in order, so put the closest first
+      const latencies = parseLatencies(req.body.LocationLatencies);
+      const allowedLocations = application
+          ? applicationCatalog.resolveLocations(application, req.body.Locations)
+          : (Array.isArray(req.body.Locations) && req.body.Locations.length > 0 ? req.body.Locations : undefined);
+      const locations = allowedLocations && rankLocations(allowedLocations, latencies, config.LOCATIONS.MAX_LATENCY_MS);
+      // Identifier is set for each stream group tried
+      const requestData = application ? {
+          AdditionalLaunchArgs: application.AdditionalLaunchArgs,
+          AdditionalEnvironmentVariables: application.AdditionalEnvironmentVariables,
+          UserId: userId,
+          Protocol: 'WebRTC',
+          SignalRequest: req.body.SignalRequest,
+          ConnectionTimeoutSeconds: config.STREAM_CONNECTION_TIMEOUT_SECONDS,
+          SessionLengthSeconds: policy.MaxSessionLengthSeconds,
+          ApplicationIdentifier: application.ApplicationIdentifier,
+          Locations: locations,
+      } : {
+          AdditionalLaunchArgs: req.body.AdditionalLaunchArgs,
+          AdditionalEnvironmentVariables: req.body.AdditionalEnvironmentVariables,
+          UserId: userId,
+          Protocol: 'WebRTC',
+          SignalRequest: req.body.SignalRequest,
+          ConnectionTimeoutSeconds: config.STREAM_CONNECTION_TIMEOUT_SECONDS,
+          SessionLengthSeconds: policy.MaxSessionLengthSeconds,
+          ApplicationIdentifier: req.body.ApplicationIdentifier,
+          Locations: locations,
+      };
+
+      let started;
+      try {
+          started = await startInStreamGroups({
+              gameliftstreams,
+              streamGroupIds: admittedStreamGroupIds,
+              input: requestData,
+              failoverErrorNames: config.STREAM_GROUP_FAILOVER.ERROR_NAMES,
+              onFailover: (failedStreamGroupId, error) => logger.warn('Stream group unavailable, trying the next one', {
+                  correlationId: req.correlationId,
+                  streamGroupId: failedStreamGroupId,
+                  error: error.name
+              })
+          });
+      } catch (err) {
+          logger.error('CreateStreamSession failed', {
+              correlationId: req.correlationId,
+              error: err.message
+          }, err);
+          if (waitingRoom.shouldQueue(err)) {
+              return queueRequest();
+          }
+          res.status(config.GENERAL_ERROR_STATUS_CODE);
+          res.json({ error: err.message });
+          return;
+      }
+      const { data } = started;
+      logger.info('CreateStreamSession succeeded', {
+          correlationId: req.correlationId,
+          sessionArn: data.Arn,
+          location: data.Location,
+          requestedLocations: requestData.Locations
+      });
+      const connectionData = {
+          StreamGroupId: started.streamGroupId, // Store the group that served the session
+          StreamSessionArn: data.Arn,
+          ApplicationIdentifier: requestData.ApplicationIdentifier,
+          UserId: userId,
+          OwnerId: req.user ? req.user.id : undefined, // Identity allowed to use this token
+          ClientIp: req.ip,
+          SessionLengthSeconds: requestData.SessionLengthSeconds,
+          Location: data.Location,
+          Timestamp: Date.now(),
+          ExtensionSeconds: policy.ExtensionSeconds,
+          MaxExtensions: policy.MaxExtensions
+      };
+      connectionData.EndsAt = connectionData.Timestamp + policy.SessionLengthSeconds * 1000;
+      let connectionId;
+      try {
+          const { token, claims } = await connectionTokens.issue(connectionData);
+          connectionId = token;
+          connectionData.TokenId = claims.jti;
+          connectionData.ExpiresAt = claims.exp * 1000;
+          await sessionStore.put(connectionId, connectionData, storeTtlSeconds(connectionData.ExpiresAt));
+          ownedSessionArns.add(data.Arn);
+      } catch (error) {
+          logger.error('Failed to store connection token', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          // Without a token nobody can use or end the session, so stop it rather than
+          // leave it running until its session length elapses
+          await gameliftstreams.terminateStreamSession({
+              Identifier: started.streamGroupId,
+              StreamSessionIdentifier: data.Arn
+          }).catch((terminateError) => {
+              logger.error('Failed to terminate stream session without a connection token', {
+                  correlationId: req.correlationId,
+                  sessionArn: data.Arn,
+                  error: terminateError.message
+              });
+          });
+          res.status(config.GENERAL_ERROR_STATUS_CODE);
+          res.json({ error: 'Failed to store connection token' });
+          return;
+      }
+      notifySessionEvent(WEBHOOK_EVENTS.CREATED, connectionData);
+      waitingRoom.remove(queueTicket).catch((error) => {
+          logger.error('Failed to remove queue ticket', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+      });
+      res.json({
+          Token: connectionId,
+          ApplicationDescription: application ? application.Description : undefined,
+          Location: data.Location,
+          LatencyMs: latencies[data.Location]
+      });
+  });
+
+  /**
+   * Reports the position of a queued CreateStreamSession request.
+   * 
+   * @route POST /api/QueueStatus
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.QueueTicket - Ticket returned by a queued CreateStreamSession
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {string} Response.QueueTicket - The queue ticket
+   * @returns {number} Response.Position - 1-based position; retry CreateStreamSession at 1
+   * @returns {number} Response.EstimatedWaitSeconds - Estimated time until position 1
+   * 
+   * @description
+   * Each call also keeps the ticket alive; tickets that are not polled expire after
+   * config.QUEUE.TICKET_TIMEOUT_SECONDS.
+   * 
+   * @throws {Error} 403 - When the caller does not own the ticket
+   * @throws {Error} 404 - When the ticket is unknown or expired
+   */
+  app.post('/api/QueueStatus', requireAuth, validate('QueueStatus'), async (req, res) => {
+      try {
+          const ticketData = await waitingRoom.getTicket(req.body.QueueTicket);
+          if (!ticketData) {
+              return res.status(404).json({ error: 'Queue ticket not found' });
+          }
+          if (!isOwner(req.user, ticketData)) {
+              return res.status(403).json({ error: 'Forbidden' });
+          }
+          res.json(await waitingRoom.status(req.body.QueueTicket));
+      } catch (error) {
+          logger.error('QueueStatus failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to read queue status' });
+      }
+  });
+
+  /**
+   * Retrieves the WebRTC signal response for an active streaming session.
+   * 
+   * @route POST /api/GetSignalResponse
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token previously obtained from CreateStreamSession
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response containing signal data or error
+   * @returns {string} Response.SignalResponse - WebRTC signal response if successful
+   * @returns {Object} Response.error - Error details if request fails
+   * @returns {string} Response.error.message - Error message if applicable
+   * @returns {string} Response.error.stack - Error stack trace if applicable
+   * 
+   * @description
+   * Validates the provided connection token and retrieves the current stream session status.
+   * Returns different responses based on stream status:
+   * - ACTIVATING: Returns empty SignalResponse
+   * - ACTIVE: Returns WebRTC signal data
+   * - Other: Returns 404 error
+   * 
+   * Handles protocol override when --override_protocol flag is present
+   * 
+   * @throws {Error} 401 - When authentication is enabled and the bearer token is invalid
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When token is invalid, expired, or stream status is unexpected
+   * @throws {Error} General error status - For other failures like network issues
+   */
+  app.post('/api/GetSignalResponse', requireAuth, validate('GetSignalResponse'), async (req, res) => {
+    const correlationId = req.correlationId;
+
+    try {
+        // Log incoming request
+        logger.info('GetSignalResponse request received', {
+            correlationId,
+            body: req.body
+        });
+
+        // Validate connection token - moved outside nested try-catch for cleaner error handling
+
+        const connectionData = await getConnectionData(req.body.Token);
+        if (!connectionData || !connectionData.StreamGroupId) {
+            return res.status(404).json({
+                error: 'Connection data not found',
+                message: 'Invalid token or missing stream group ID'
+            });
+        }
+
+        // Only the identity that created the session may poll it
+        if (!isOwner(req.user, connectionData)) {
+            logger.error('Connection token used by non-owner', { correlationId });
+            return res.status(403).json({
+                error: 'Forbidden',
+                correlationId
+            });
+        }
+
+        // Validate token expiration
+        if (Date.now() - connectionData.Timestamp > config.STREAM_CONNECTION_TIMEOUT_SECONDS * 1000) {
+            logger.error('Connection token expired', { correlationId });
+            return res.status(404).json({ 
+                error: 'Connection token expired',
+                correlationId 
+            });
+        }
+
+        // Get stream session data, shared with other requests for the same session
+        let streamSessionData;
+        try {
+            streamSessionData = await statusPoller.getStreamSession(connectionData);
+        } catch (error) {
+            logger.error('GetStreamSession API call failed', {
+                correlationId,
+                error: error.message,
+                streamGroupId: connectionData.StreamGroupId,
+                sessionArn: connectionData.StreamSessionArn
+            });
+            throw new Error(`Failed to get stream session: ${error.message}`);
+        }
+
+        // Log successful stream session retrieval
+        logger.info('GetStreamSession successful', {
+            correlationId,
+            status: streamSessionData.Status
+        });
+
+        // Handle different stream states
+        switch (streamSessionData.Status) {
+            case 'ACTIVATING':
+                return res.json({ SignalResponse: '' });
+
+            case 'ACTIVE':
+                await recordSessionStatus(req.body.Token, connectionData, 'ActivatedAt', WEBHOOK_EVENTS.ACTIVE);
+                // Handle protocol override if needed
+                return res.json({ SignalResponse: overrideSignalProtocol(streamSessionData.SignalResponse, correlationId) });
+
+            default:
+                logger.error('Unexpected stream status', {
+                    correlationId,
+                    status: streamSessionData.Status
+                });
+                if (streamSessionData.Status === 'ERROR') {
+                    await recordSessionStatus(req.body.Token, connectionData, 'ErroredAt', WEBHOOK_EVENTS.ERROR, {
+                        StatusReason: streamSessionData.StatusReason
+                    });
+                }
+                return res.status(404).json({ 
+                    error: 'Unexpected stream status',
+                    status: streamSessionData.Status,
+                    correlationId
+                });
+        }
+
+    } catch (error) {
+        // Handle any uncaught errors
+        logger.error('Unhandled error in GetSignalResponse', {
+            correlationId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        return res.status(generalErrorStatusCode).json({
+            error: 'An error occurred while processing your request',
+            correlationId,
+            message: error.message,
+            ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
+        });
+    }
+  });
+
+  /**
+   * Starts a Server-Sent Events response
+   * @function openEventStream
+   * @param {Object} res - Express response object
+   * @returns {Object} Stream with send(event, data), close() and onClose(callback) methods
+   */
+  function openEventStream(res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Disable response buffering in nginx-style reverse proxies
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const closeCallbacks = [];
+    let closed = false;
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), config.SESSION_EVENTS.KEEPALIVE_INTERVAL_MS);
+
+    // Fires both when we end the response and when the client disconnects
+    res.on('close', () => {
+      closed = true;
+      clearInterval(keepAlive);
+      openEventStreams.delete(stream);
+      closeCallbacks.forEach((callback) => callback());
+    });
+
+    const stream = {
+      send: (event, data) => {
+        if (!closed) {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+      },
+      close: () => {
+        if (!closed) {
+          res.end();
+        }
+      },
+      onClose: (callback) => closeCallbacks.push(callback)
+    };
+    openEventStreams.add(stream);
+    return stream;
+  }
+
+  /**
+   * Streams stream session status changes or queue positions as Server-Sent Events.
+   * 
+   * @route POST /api/StreamSessionEvents
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} [req.body.Token] - Connection token from CreateStreamSession
+   * @param {string} [req.body.QueueTicket] - Ticket from a queued CreateStreamSession
+   * @param {Object} res - Express response object
+   * 
+   * @returns {text/event-stream} Events, each with a JSON data line:
+   * - status: { Status } on every stream session status change; the final event is
+   *   { Status: 'ACTIVE', SignalResponse } or { Status, StatusReason } for ERROR and TERMINATED
+   * - queued: { QueueTicket, Position, EstimatedWaitSeconds } whenever the position changes;
+   *   the stream ends at Position 1, when the client should repeat CreateStreamSession
+   * - failure: { error, message } when the status can no longer be tracked
+   * 
+   * @description
+   * Replaces polling GetSignalResponse or QueueStatus in deployments that can hold a
+   * connection open. GetStreamSession is called at most once per
+   * config.SESSION_EVENTS.POLL_INTERVAL_MS per session, however many clients listen.
+   * An open queue event stream keeps its ticket alive.
+   * 
+   * This is a POST route so tokens stay out of URLs and access logs; clients read it
+   * with fetch rather than EventSource.
+   * 
+   * @throws {Error} 401 - When authentication is enabled and the bearer token is invalid
+   * @throws {Error} 403 - When the caller does not own the token or ticket
+   * @throws {Error} 404 - When the token or ticket is unknown or expired
+   * @throws {Error} 501 - In Lambda deployments or when config.SESSION_EVENTS is disabled;
+   * clients should poll instead
+   */
+  app.post('/api/StreamSessionEvents', requireAuth, validate('StreamSessionEvents'), async (req, res) => {
+      const correlationId = req.correlationId;
+
+      // API Gateway buffers Lambda responses, so events would only arrive at the end
+      if (!local || !config.SESSION_EVENTS.ENABLED) {
+          return res.status(501).json({
+              error: 'Event streams are not available',
+              message: 'Poll GetSignalResponse or QueueStatus instead'
+          });
+      }
+
+      let connectionData;
+      let ticketData;
+      try {
+          if (req.body.QueueTicket) {
+              ticketData = await waitingRoom.getTicket(req.body.QueueTicket);
+              if (!ticketData) {
+                  return res.status(404).json({ error: 'Queue ticket not found' });
+              }
+              if (!isOwner(req.user, ticketData)) {
+                  return res.status(403).json({ error: 'Forbidden' });
+              }
+          } else {
+              connectionData = await getConnectionData(req.body.Token);
+              if (!connectionData || !connectionData.StreamGroupId) {
+                  return res.status(404).json({
+                      error: 'Connection data not found',
+                      message: 'Invalid token or missing stream group ID'
+                  });
+              }
+              if (!isOwner(req.user, connectionData)) {
+                  logger.error('Connection token used by non-owner', { correlationId });
+                  return res.status(403).json({
+                      error: 'Forbidden',
+                      correlationId
+                  });
+              }
+              if (Date.now() - connectionData.Timestamp > config.STREAM_CONNECTION_TIMEOUT_SECONDS * 1000) {
+                  logger.error('Connection token expired', { correlationId });
+                  return res.status(404).json({
+                      error: 'Connection token expired',
+                      correlationId
+                  });
+              }
+          }
+      } catch (error) {
+          logger.error('StreamSessionEvents failed', {
+              correlationId,
+              error: error.message
+          });
+          return res.status(generalErrorStatusCode).json({ error: 'Failed to read session data' });
+      }
+
+      logger.info('StreamSessionEvents stream opened', {
+          correlationId,
+          queued: Boolean(ticketData)
+      });
+      const stream = openEventStream(res);
+
+      if (ticketData) {
+          const ticket = req.body.QueueTicket;
+          let lastPosition;
+          const pushQueueStatus = async () => {
+              try {
+                  const status = await waitingRoom.status(ticket);
+                  if (!status) {
+                      stream.send('failure', { error: 'Queue ticket not found' });
+                      return stream.close();
+                  }
+                  if (status.Position !== lastPosition) {
+                      lastPosition = status.Position;
+                      stream.send('queued', status);
+                  }
+                  if (status.Position === 1) {
+                      stream.close();
+                  }
+              } catch (error) {
+                  logger.error('Queue status check failed', {
+                      correlationId,
+                      error: error.message
+                  });
+                  stream.send('failure', { error: 'Failed to read queue status', message: error.message });
+                  stream.close();
+              }
+          };
+          const timer = setInterval(pushQueueStatus, config.SESSION_EVENTS.QUEUE_INTERVAL_MS);
+          stream.onClose(() => clearInterval(timer));
+          return pushQueueStatus();
+      }
+
+      // Stop waiting when the connection token expires, as GetSignalResponse would
+      const expiresInMs = connectionData.Timestamp + config.STREAM_CONNECTION_TIMEOUT_SECONDS * 1000 - Date.now();
+      const expiryTimer = setTimeout(() => {
+          stream.send('failure', { error: 'Connection token expired' });
+          stream.close();
+      }, expiresInMs);
+      stream.onClose(() => clearTimeout(expiryTimer));
+
+      const unsubscribe = statusPoller.subscribe(connectionData, (error, streamSessionData) => {
+          if (error) {
+              logger.error('GetStreamSession API call failed', {
+                  correlationId,
+                  error: error.message,
+                  streamGroupId: connectionData.StreamGroupId,
+                  sessionArn: connectionData.StreamSessionArn
+              });
+              stream.send('failure', { error: 'Failed to get stream session', message: error.message });
+              return stream.close();
+          }
+
+          const status = streamSessionData.Status;
+          logger.info('Stream session status changed', { correlationId, status });
+          if (status === 'ACTIVE') {
+              void recordSessionStatus(req.body.Token, connectionData, 'ActivatedAt', WEBHOOK_EVENTS.ACTIVE);
+              stream.send('status', {
+                  Status: status,
+                  SignalResponse: overrideSignalProtocol(streamSessionData.SignalResponse, correlationId)
+              });
+          } else if (FINAL_STATUSES.includes(status)) {
+              if (status === 'ERROR') {
+                  void recordSessionStatus(req.body.Token, connectionData, 'ErroredAt', WEBHOOK_EVENTS.ERROR, {
+                      StatusReason: streamSessionData.StatusReason
+                  });
+              }
+              stream.send('status', { Status: status, StatusReason: streamSessionData.StatusReason });
+          } else {
+              stream.send('status', { Status: status });
+              return;
+          }
+          stream.close();
+      });
+      stream.onClose(unsubscribe);
+  });
+
+  /**
+   * Reconnects to an existing stream session using a previously issued connection token.
+   * 
+   * @route POST /api/ReconnectStreamSession
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} [req.body.Token] - Original connection token from CreateStreamSession
+   * @param {string} [req.body.InviteToken] - Invite from CreateSessionInvite, instead of Token
+   * @param {Object} req.body.SignalRequest - WebRTC signaling data for reconnection
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {string} Response.SignalResponse - New WebRTC signal response for reconnection
+   * @returns {string} [Response.Token] - New connection token, when an invite was redeemed
+   * @returns {Object} Error response with an error message if reconnection fails
+   * 
+   * @description
+   * Provides fast reconnection to an existing stream session without creating a new stream.
+   * Uses the original connection token for authentication (basic security model).
+   * Transforms existing session data into a new connection request.
+   * 
+   * An invite is used up by the request, even when it fails. Once the new connection is
+   * made the session moves to the redeeming device: it receives a new connection token and
+   * the original token is revoked, so the original device, whose stream GameLift Streams
+   * replaces with the new connection, can no longer reconnect or destroy the session.
+   * 
+   * WARNING: This implementation uses a simple token-based authentication, and is 
+   * not suitable for production systems.
+   * 
+   * @throws {Error} 401 - When authentication is enabled and the bearer token is invalid
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When connection token is not recognized
+   * @throws {Error} General error status - For stream session connection failures
+   */
+  app.post('/api/ReconnectStreamSession', requireAuth, validate('ReconnectStreamSession'), async function (req, res) {
+      logger.info('ReconnectStreamSession request received', { correlationId: req.correlationId, body: req.body });
+
+      // For simplicity, we treat knowledge of a valid connection token as authorization.
+      // This is a very simple authentication model, and relies on keeping tokens secret,
+      // which users might not do! They could share browser URLs, or use a shared system
+      // which leaves the client connection token around somewhere on disk.
+      // When authentication is enabled, the caller must also be the token owner.
+
+      // Lookup private unique connection token in the session store; an invite stands
+      // in for the token once
+      let token = req.body.Token;
+      let connectionData;
+      try {
+          if (req.body.InviteToken) {
+              token = invites.isEnabled() ? await invites.redeem(req.body.InviteToken) : undefined;
+          }
+          connectionData = await getConnectionData(token);
+      } catch (error) {
+          logger.error('Session store lookup failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode);
+          res.json({ error: 'Failed to read session', correlationId: req.correlationId });
+          return;
+      }
+      if (!connectionData) {
+          logger.info('ReconnectStreamSession connection token is not recognized', { correlationId: req.correlationId });
+          res.status(404);
+          res.json({ error: 'Connection data not found', correlationId: req.correlationId });
+          return;
+      }
+      if (!isOwner(req.user, connectionData)) {
+          logger.warn('ReconnectStreamSession caller does not own the connection token', { correlationId: req.correlationId });
+          res.status(403);
+          res.json({ error: 'Forbidden', correlationId: req.correlationId });
+          return;
+      }
+      logger.debug('Connection data from token', { correlationId: req.correlationId, connectionData });
+
+      // Transform session connection data into a new connection request
+      const requestData = {
+          Identifier: connectionData.StreamGroupId,
+          StreamSessionIdentifier: connectionData.StreamSessionArn,
+          SignalRequest: req.body.SignalRequest,
+      };
+
+      gameliftstreams.createStreamSessionConnection(requestData, async (err, data) => {
+          if (err) {
+              logger.error('ReconnectStreamSession -> CreateStreamSessionConnection failed', {
+                  correlationId: req.correlationId,
+                  error: err.message
+              }, err);
+              res.status(generalErrorStatusCode);
+              res.json({ error: 'Failed to reconnect', message: err.message, correlationId: req.correlationId });
+              return;
+          }
+          logger.info('ReconnectStreamSession -> CreateStreamSessionConnection succeeded', {
+              correlationId: req.correlationId,
+              sessionArn: connectionData.StreamSessionArn
+          });
+          if (!req.body.InviteToken) {
+              notifySessionEvent(WEBHOOK_EVENTS.RECONNECTED, connectionData);
+              // Return the new signal response for the client to complete reconnection
+              res.json({ SignalResponse: data.SignalResponse });
+              return;
+          }
+
+          // The session now belongs to the device that redeemed the invite
+          let newToken;
+          try {
+              newToken = await transferConnection(token, connectionData, req.ip);
+          } catch (error) {
+              logger.error('Failed to move session to the invited device', {
+                  correlationId: req.correlationId,
+                  error: error.message
+              });
+              res.status(generalErrorStatusCode);
+              res.json({ error: 'Failed to move session to this device', correlationId: req.correlationId });
+              return;
+          }
+          logger.info('Session invite redeemed', {
+              correlationId: req.correlationId,
+              sessionArn: connectionData.StreamSessionArn
+          });
+          notifySessionEvent(WEBHOOK_EVENTS.RECONNECTED, connectionData);
+          res.json({ SignalResponse: data.SignalResponse, Token: newToken });
+      });
+  });
+
+  /**
+   * Creates an invite for continuing a stream session on another device.
+   * 
+   * @route POST /api/CreateSessionInvite
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token of the session
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {string} Response.InviteToken - Invite to pass to ReconnectStreamSession
+   * @returns {string} Response.ExpiresAt - When the invite can no longer be redeemed
+   * 
+   * @description
+   * The invite works with ReconnectStreamSession only, once, within
+   * config.INVITES.TTL_SECONDS. Redeeming it moves the session to the redeeming device.
+   * 
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When the token is unknown, or invites are disabled
+   */
+  app.post('/api/CreateSessionInvite', requireAuth, validate('CreateSessionInvite'), async (req, res) => {
+      if (!invites.isEnabled()) {
+          return res.status(404).json({ error: 'Invites are disabled' });
+      }
+      try {
+          const connectionData = await getConnectionData(req.body.Token);
+          if (!connectionData) {
+              return res.status(404).json({ error: 'Connection data not found' });
+          }
+          if (!isOwner(req.user, connectionData)) {
+              return res.status(403).json({ error: 'Forbidden' });
+          }
+          const invite = await invites.create(req.body.Token);
+          logger.info('Session invite created', {
+              correlationId: req.correlationId,
+              sessionArn: connectionData.StreamSessionArn
+          });
+          res.json(invite);
+      } catch (error) {
+          logger.error('Failed to create session invite', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to create session invite' });
+      }
+  });
+
+  /**
+   * Reports how long a stream session has left.
+   * 
+   * @route POST /api/SessionInfo
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token of the session
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {string} Response.StartedAt - When the session was created
+   * @returns {string} Response.EndsAt - When the session ends unless it is extended
+   * @returns {number} Response.RemainingSeconds - Seconds until EndsAt
+   * @returns {number[]} Response.WarningThresholdsSeconds - Remaining times at which to warn the player
+   * @returns {boolean} Response.CanExtend - Whether ExtendSession is allowed
+   * @returns {number} Response.ExtensionSeconds - Time added by ExtendSession
+   * @returns {number} Response.ExtensionsRemaining - Number of extensions left
+   * 
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When the token is unknown
+   */
+  app.post('/api/SessionInfo', requireAuth, validate('SessionInfo'), async (req, res) => {
+      try {
+          const connectionData = await getConnectionData(req.body.Token);
+          if (!connectionData) {
+              return res.status(404).json({ error: 'Connection data not found' });
+          }
+          if (!isOwner(req.user, connectionData)) {
+              return res.status(403).json({ error: 'Forbidden' });
+          }
+          res.json(describeSessionTime(connectionData, config.SESSION_POLICY.WARNING_THRESHOLDS_SECONDS));
+      } catch (error) {
+          logger.error('SessionInfo failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to read session info' });
+      }
+  });
+
+  /**
+   * Extends a stream session by its policy's extension length.
+   * 
+   * @route POST /api/ExtendSession
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token of the session
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object - The extended session, as returned by SessionInfo
+   * 
+   * @description
+   * Extensions are allowed when the session policy sets ExtensionSeconds and MaxExtensions,
+   * see config.SESSION_POLICY. A session never runs longer than the length it was started
+   * with in GameLift Streams.
+   * 
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When the token is unknown
+   * @throws {Error} 409 - When the policy does not allow another extension
+   */
+  app.post('/api/ExtendSession', requireAuth, validate('ExtendSession'), async (req, res) => {
+      try {
+          const connectionData = await getConnectionData(req.body.Token);
+          if (!connectionData) {
+              return res.status(404).json({ error: 'Connection data not found' });
+          }
+          if (!isOwner(req.user, connectionData)) {
+              return res.status(403).json({ error: 'Forbidden' });
+          }
+          if (!extendSession(connectionData)) {
+              return res.status(409).json({ error: 'Session cannot be extended' });
+          }
+          await sessionStore.put(req.body.Token, connectionData, storeTtlSeconds(connectionData.ExpiresAt));
+          logger.info('Session extended', {
+              correlationId: req.correlationId,
+              sessionArn: connectionData.StreamSessionArn,
+              extensions: connectionData.Extensions
+          });
+          res.json(describeSessionTime(connectionData, config.SESSION_POLICY.WARNING_THRESHOLDS_SECONDS));
+      } catch (error) {
+          logger.error('ExtendSession failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to extend session' });
+      }
+  });
+
+  /**
+   * Records that a streaming client is still connected, and how long its player has been idle.
+   * 
+   * @route POST /api/Heartbeat
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token of the session
+   * @param {number} [req.body.IdleSeconds] - Seconds since the player's last input
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {number} Response.HeartbeatIntervalSeconds - When to send the next heartbeat
+   * @returns {number} Response.IdleTerminationInSeconds - Seconds until the session is
+   * terminated unless the player provides input
+   * @returns {number} Response.WarningSeconds - How long before termination to warn the player
+   * 
+   * @description
+   * Once a session has sent a heartbeat, the token cleanup job terminates it when no
+   * heartbeat arrives for config.IDLE.HEARTBEAT_TIMEOUT_SECONDS, or when the player has been
+   * idle for config.IDLE.INPUT_IDLE_TIMEOUT_SECONDS.
+   * 
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When the token is unknown, or idle termination is disabled
+   */
+  app.post('/api/Heartbeat', requireAuth, validate('Heartbeat'), async (req, res) => {
+      if (!idleMonitor.isEnabled()) {
+          return res.status(404).json({ error: 'Heartbeats are disabled' });
+      }
+      try {
+          const connectionData = await getConnectionData(req.body.Token);
+          if (!connectionData) {
+              return res.status(404).json({ error: 'Connection data not found' });
+          }
+          if (!isOwner(req.user, connectionData)) {
+              return res.status(403).json({ error: 'Forbidden' });
+          }
+          const status = await idleMonitor.heartbeat(req.body.Token, connectionData, Number(req.body.IdleSeconds));
+          logger.debug('Heartbeat received', {
+              correlationId: req.correlationId,
+              sessionArn: connectionData.StreamSessionArn,
+              idleTerminationInSeconds: status.IdleTerminationInSeconds
+          });
+          res.json(status);
+      } catch (error) {
+          logger.error('Failed to record heartbeat', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to record heartbeat' });
+      }
+  });
+
+  /**
+   * Stores a batch of client WebRTC stats for a stream session.
+   * 
+   * @route POST /api/SessionMetrics
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token of the session
+   * @param {Object} req.body.Stats - Stats collected since the previous upload, in the
+   * prepareStatsForServer format: { stats: { <metric>: [[timestamp, value], ...] },
+   * sessionDuration }; metadata is ignored
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {number} Response.Accepted - Number of samples stored
+   * 
+   * @description
+   * Samples are appended to the session's stored metrics, which DestroyStreamSession
+   * analyzes. Stored metrics outlive the token for config.SESSION_METRICS.RETENTION_SECONDS.
+   * 
+   * @throws {Error} 400 - When the stats are malformed (code INVALID_SESSION_METRICS)
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When the token is unknown, or session metrics are disabled
+   */
+  app.post('/api/SessionMetrics', requireAuth, validate('SessionMetrics'), async (req, res) => {
+      if (!sessionMetrics.isEnabled()) {
+          return res.status(404).json({ error: 'Session metrics are disabled' });
+      }
+      try {
+          const connectionData = await getConnectionData(req.body.Token);
+          if (!connectionData) {
+              return res.status(404).json({ error: 'Connection data not found' });
+          }
+          if (!isOwner(req.user, connectionData)) {
+              return res.status(403).json({ error: 'Forbidden' });
+          }
+          const accepted = await sessionMetrics.record(req.body.Token, connectionData, req.body.Stats);
+          res.json({ Accepted: accepted });
+      } catch (error) {
+          if (error.code) {
+              return res.status(error.statusCode).json({ error: error.message, code: error.code });
+          }
+          logger.error('Failed to store session metrics', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to store session metrics' });
+      }
+  });
+
+  /**
+   * Analyzes the metrics a client uploaded for a session
+   * @function analyzeSessionMetrics
+   * @param {string} token - Connection token
+   * @param {string} correlationId - Request correlation ID for logging
+   * @returns {Promise<Object|null>} Analysis, or null when metrics are disabled, none
+   * were uploaded or they cannot be read
+   */
+  async function analyzeSessionMetrics(token, correlationId) {
+    if (!sessionMetrics.isEnabled()) {
+      return null;
+    }
+    try {
+      const analysis = await sessionMetrics.analyze(token);
+      if (analysis) {
+        logger.info('Session metrics analyzed', { correlationId, verdict: analysis.Verdict, samples: analysis.SampleCount });
+      }
+      return analysis;
+    } catch (error) {
+      logger.error('Failed to analyze session metrics', { correlationId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Terminates an active streaming session and cleans up associated resources.
+   * 
+   * @route POST /api/DestroyStreamSession
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.Token - Connection token originally issued by CreateStreamSession
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {Object} [Response.analysis] - Summary of the stats uploaded to SessionMetrics,
+   * when there are any; the response is otherwise an empty object
+   * @returns {Object} Error response with 404 status if token is invalid, or an error
+   * status on other failures
+   * 
+   * @description
+   * Terminates an existing GameLift stream session using the provided connection token.
+   * The endpoint performs the following operations:
+   * 1. Validates the connection token
+   * 2. Retrieves associated stream session data
+   * 3. Calls GameLift's terminateStreamSession API
+   * 4. Removes the connection token from the database on success
+   * 5. Analyzes the session metrics the client uploaded
+   * 
+   * State Management:
+   * - On successful termination, the connection token is immediately invalidated
+   * - Subsequent requests with the same token will receive 404 errors
+   * - Stream enters TERMINATING status and cannot be reconnected
+   * 
+   * @throws {Error} 401 - When authentication is enabled and the bearer token is invalid
+   * @throws {Error} 403 - When the caller does not own the connection token
+   * @throws {Error} 404 - When connection token is not found in database
+   * @throws {Error} General error status - When stream termination fails
+   * 
+   * @example
+   * // Request format
+   * {
+   *   "Token": "previously-issued-connection-token"
+   * }
+   * 
+   * @see CreateStreamSession - For token creation
+   * @see GetSignalResponse - For stream status checking
+   */
+  app.post('/api/DestroyStreamSession', requireAuth, validate('DestroyStreamSession'), async function (req, res) {
+      logger.info('DestroyStreamSession request received', { correlationId: req.correlationId, body: req.body });
+
+      // For simplicity, we treat knowledge of a valid connection token as authorization.
+      // This is a very simple authentication model, and relies on keeping tokens secret,
+      // which users might not do! They could share browser URLs, or use a shared system
+      // which leaves the client connection token around somewhere on disk.
+      // When authentication is enabled, the caller must also be the token owner.
+
+      // Lookup private unique connection token in the session store
+      let connectionData;
+      try {
+          connectionData = await getConnectionData(req.body.Token);
+      } catch (error) {
+          logger.error('Session store lookup failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode);
+          res.json({ error: 'Failed to read session', correlationId: req.correlationId });
+          return;
+      }
+      if (!connectionData) {
+          logger.info('DestroyStreamSession connection token is not recognized', { correlationId: req.correlationId });
+          res.status(404);
+          res.json({ error: 'Connection data not found', correlationId: req.correlationId });
+          return;
+      }
+      if (!isOwner(req.user, connectionData)) {
+          logger.warn('DestroyStreamSession caller does not own the connection token', { correlationId: req.correlationId });
+          res.status(403);
+          res.json({ error: 'Forbidden', correlationId: req.correlationId });
+          return;
+      }
+      logger.debug('Connection data from token', { correlationId: req.correlationId, connectionData });
+
+      terminateConnection(req.body.Token, connectionData, req.correlationId, 'user').then(async () => {
+          logger.info('DestroyStreamSession -> TerminateStreamSession succeeded', {
+              correlationId: req.correlationId,
+              sessionArn: connectionData.StreamSessionArn
+          });
+          const analysis = await analyzeSessionMetrics(req.body.Token, req.correlationId);
+          res.json(analysis ? { analysis } : {});
+      }, (err) => {
+          logger.error('DestroyStreamSession -> TerminateStreamSession failed', {
+              correlationId: req.correlationId,
+              error: err.message
+          }, err);
+          res.status(generalErrorStatusCode);
+          res.json({ error: 'Failed to terminate session', message: err.message, correlationId: req.correlationId });
+      });
+  });
+
+  /**
+   * Terminates the stream session behind a connection token and purges the token.
+   * Shared by DestroyStreamSession and the admin API.
+   * @function terminateConnection
+   * @param {string} token - Connection token
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {string} correlationId - Request correlation ID for logging
+   * @param {string} terminatedBy - Who ended the session, 'user', 'admin', 'idle', 'session-length'
+   * or 'shutdown', reported in the webhook
+   * @param {Object} [details] - Further webhook fields
+   * @returns {Promise<void>} Resolves once TerminateStreamSession succeeded
+   */
+  async function terminateConnection(token, connectionData, correlationId, terminatedBy, details) {
+    await gameliftstreams.terminateStreamSession({
+      Identifier: connectionData.StreamGroupId,
+      StreamSessionIdentifier: connectionData.StreamSessionArn,
+    });
+    ownedSessionArns.delete(connectionData.StreamSessionArn);
+    notifySessionEvent(WEBHOOK_EVENTS.TERMINATED, connectionData, { TerminatedBy: terminatedBy, ...details });
+
+    // Revoke and purge the connection token immediately; clients can't make other
+    // requests now that the stream has moved to TERMINATING status.
+    await connectionTokens.forget(token, connectionData).catch((error) => {
+      logger.error('Failed to revoke connection token', {
+        correlationId,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Moves a session to a new connection token and revokes the old one
+   * @function transferConnection
+   * @param {string} token - Connection token being replaced
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {string} clientIp - IP address of the device taking over the session
+   * @returns {Promise<string>} New connection token, expiring with the old one
+   */
+  async function transferConnection(token, connectionData, clientIp) {
+    const { TokenId, ExpiresAt, ...sessionData } = connectionData;
+    const { token: newToken, claims } = await connectionTokens.issue(sessionData);
+    await sessionStore.put(newToken, {
+      ...sessionData,
+      ClientIp: clientIp,
+      TokenId: claims.jti,
+      ExpiresAt: claims.exp * 1000
+    }, storeTtlSeconds(claims.exp * 1000));
+    await connectionTokens.forget(token, connectionData);
+    return newToken;
+  }
+
+  /**
+   * Summarizes a connection token for the admin API
+   * @function describeConnection
+   * @param {string} token - Connection token
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {Object} [streamSession] - GetStreamSession response, if available
+   * @returns {Object} Token, owner, stream session and creation details
+   */
+  function describeConnection(token, connectionData, streamSession) {
+    return {
+      Token: token,
+      UserId: connectionData.UserId,
+      OwnerId: connectionData.OwnerId,
+      StreamGroupId: connectionData.StreamGroupId,
+      StreamSessionArn: connectionData.StreamSessionArn,
+      ApplicationIdentifier: connectionData.ApplicationIdentifier,
+      ClientIp: connectionData.ClientIp,
+      CreatedAt: new Date(connectionData.Timestamp).toISOString(),
+      Status: streamSession ? streamSession.Status : 'UNKNOWN',
+      StatusReason: streamSession ? streamSession.StatusReason : undefined
+    };
+  }
+
+  /**
+   * Reads the live status of a stream session for the admin API
+   * @function getAdminStreamSession
+   * @param {Object} connectionData - Session data stored for the token
+   * @returns {Promise<Object|undefined>} GetStreamSession response, a NOT_FOUND status when
+   * GameLift Streams no longer knows the session, or undefined when the status is unavailable
+   */
+  async function getAdminStreamSession(connectionData) {
+    try {
+      return await statusPoller.getStreamSession(connectionData);
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return { Status: 'NOT_FOUND' };
+      }
+      logger.error('GetStreamSession API call failed', {
+        error: error.message,
+        sessionArn: connectionData.StreamSessionArn
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * Lists the stream sessions started by this server.
+   * 
+   * @route GET /api/admin/sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {Array} Response.Sessions - Token, UserId, OwnerId, StreamGroupId, StreamSessionArn,
+   * ApplicationIdentifier, ClientIp, CreatedAt and live Status of each session, oldest first
+   * 
+   * @throws {Error} 401/403 - When the caller has no valid admin key or admin role
+   * @throws {Error} 404 - When the admin API is not configured
+   */
+  app.get('/api/admin/sessions', requireAdmin, validate('AdminListSessions'), async (req, res) => {
+      try {
+          const entries = (await sessionStore.list())
+              .filter(({ data }) => data.StreamSessionArn)
+              .sort((a, b) => a.data.Timestamp - b.data.Timestamp);
+          const sessions = await Promise.all(entries.map(async ({ token, data }) =>
+              describeConnection(token, data, await getAdminStreamSession(data))));
+          res.json({ Sessions: sessions });
+      } catch (error) {
+          logger.error('Admin session list failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to list sessions' });
+      }
+  });
+
+  /**
+   * Shows one stream session with its full GetStreamSession details.
+   * 
+   * @route GET /api/admin/sessions/:token
+   * @param {Object} req - Express request object
+   * @param {string} req.params.token - Connection token
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {Object} Response.Session - Summary as returned by the session list
+   * @returns {Object} Response.StreamSession - GetStreamSession response without the signal response
+   * 
+   * @throws {Error} 401/403 - When the caller has no valid admin key or admin role
+   * @throws {Error} 404 - When the token is unknown or the admin API is not configured
+   */
+  app.get('/api/admin/sessions/:token', requireAdmin, validate('AdminGetSession'), async (req, res) => {
+      try {
+          const connectionData = await getConnectionData(req.params.token);
+          if (!connectionData) {
+              return res.status(404).json({ error: 'Session not found' });
+          }
+          const streamSession = await getAdminStreamSession(connectionData);
+          const details = streamSession ? { ...streamSession } : null;
+          if (details) {
+              delete details.SignalResponse;
+              delete details.$metadata;
+          }
+          res.json({
+              Session: describeConnection(req.params.token, connectionData, streamSession),
+              StreamSession: details
+          });
+      } catch (error) {
+          logger.error('Admin session lookup failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          res.status(generalErrorStatusCode).json({ error: 'Failed to read session' });
+      }
+  });
+
+  /**
+   * Force-terminates a stream session, as DestroyStreamSession does for its owner.
+   * 
+   * @route DELETE /api/admin/sessions/:token
+   * @param {Object} req - Express request object
+   * @param {string} req.params.token - Connection token
+   * @param {Object} res - Express response object
+   * 
+   * @returns {Object} Response object
+   * @returns {string} Response.StreamSessionArn - ARN of the terminated stream session
+   * 
+   * @throws {Error} 401/403 - When the caller has no valid admin key or admin role
+   * @throws {Error} 404 - When the token is unknown or the admin API is not configured
+   * @throws {Error} General error status - When TerminateStreamSession fails
+   */
+  app.delete('/api/admin/sessions/:token', requireAdmin, validate('AdminTerminateSession'), async (req, res) => {
+      let connectionData;
+      try {
+          connectionData = await getConnectionData(req.params.token);
+      } catch (error) {
+          logger.error('Session store lookup failed', {
+              correlationId: req.correlationId,
+              error: error.message
+          });
+          return res.status(generalErrorStatusCode).json({ error: 'Failed to read session' });
+      }
+      if (!connectionData) {
+          return res.status(404).json({ error: 'Session not found' });
+      }
+
+      try {
+          await terminateConnection(req.params.token, connectionData, req.correlationId, 'admin');
+      } catch (error) {
+          logger.error('Admin terminate failed', {
+              correlationId: req.correlationId,
+              error: error.message,
+              sessionArn: connectionData.StreamSessionArn
+          });
+          return res.status(generalErrorStatusCode).json({ error: 'Failed to terminate session', message: error.message });
+      }
+      logger.info('Admin terminated session', {
+          correlationId: req.correlationId,
+          admin: req.admin.id,
+          userId: connectionData.UserId,
+          sessionArn: connectionData.StreamSessionArn
+      });
+      res.json({ StreamSessionArn: connectionData.StreamSessionArn });
+  });
+
+  /**
+   * Looks up the stream session behind a connection token. The token's signature, expiry
+   * and revocation are checked first; session data comes from the session store, or from
+   * the token's claims when this instance's store does not hold it. Deleting the session
+   * data therefore does not end a token; connectionTokens.forget() revokes it too.
+   * @function getConnectionData
+   * @param {string} token - Connection token issued by CreateStreamSession
+   * @returns {Promise<Object|undefined>} Session data, or undefined if the token is invalid,
+   * expired or revoked
+   */
+  async function getConnectionData(token) {
+    if (!token || typeof token !== 'string') {
+      return undefined;
+    }
+    let claims;
+    try {
+      claims = await connectionTokens.verify(token);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      logger.debug('Connection token rejected', { reason: error.message });
+      return undefined;
+    }
+    const data = await sessionStore.get(token);
+    return data && data.StreamSessionArn ? data : connectionTokens.connectionDataFromClaims(claims);
+  }
+  /**
+   * Forgets sessions whose session length has elapsed, as GameLift Streams has ended
+   * them, and sends their session.expired webhook
+   * @function expireEndedSessions
+   * @returns {Promise<number>} Number of sessions expired
+   */
+  async function expireEndedSessions() {
+    const now = Date.now();
+    const ended = (await sessionStore.list()).filter(({ data }) =>
+      data.StreamSessionArn && data.SessionLengthSeconds && data.Timestamp + data.SessionLengthSeconds * 1000 <= now);
+    for (const { token, data } of ended) {
+      await connectionTokens.forget(token, data);
+      ownedSessionArns.delete(data.StreamSessionArn);
+      notifySessionEvent(WEBHOOK_EVENTS.EXPIRED, data, { SessionLengthSeconds: data.SessionLengthSeconds });
+    }
+    return ended.length;
+  }
+
+  /**
+   * Terminates sessions whose heartbeats stopped or whose player is idle, see config.IDLE
+   * @function terminateIdleSessions
+   * @returns {Promise<number>} Number of sessions terminated
+   */
+  async function terminateIdleSessions() {
+    let terminated = 0;
+    for (const { token, data, reason } of await idleMonitor.findIdleSessions()) {
+      try {
+        await terminateConnection(token, data, undefined, 'idle', { IdleReason: reason });
+        terminated++;
+        logger.info('Terminated idle session', {
+          userId: data.UserId,
+          sessionArn: data.StreamSessionArn,
+          reason
+        });
+      } catch (error) {
+        logger.error('Failed to terminate idle session', {
+          sessionArn: data.StreamSessionArn,
+          reason,
+          error: error.message
+        });
+      }
+    }
+    return terminated;
+  }
+
+  /**
+   * Terminates sessions whose allowed time ran out before their GameLift Streams session
+   * length, i.e. sessions that could have been extended but were not
+   * @function endSessionsOverTime
+   * @returns {Promise<number>} Number of sessions terminated
+   */
+  async function endSessionsOverTime() {
+    const now = Date.now();
+    const overTime = (await sessionStore.list()).filter(({ data }) =>
+      data.StreamSessionArn && data.SessionLengthSeconds && sessionEndsAt(data) <= now &&
+      data.Timestamp + data.SessionLengthSeconds * 1000 > now);
+    let terminated = 0;
+    for (const { token, data } of overTime) {
+      try {
+        await terminateConnection(token, data, undefined, 'session-length', { Extensions: data.Extensions || 0 });
+        terminated++;
+      } catch (error) {
+        logger.error('Failed to end session over time', {
+          sessionArn: data.StreamSessionArn,
+          error: error.message
+        });
+      }
+    }
+    return terminated;
+  }
+
+  /**
+   * Token cleanup job
+   * Removes expired tokens and ended sessions from the session store, and terminates idle
+   * sessions and sessions whose allowed time ran out
+   * Runs every config.TOKEN_CLEANUP_INTERVAL_MS to prevent memory leaks
+   * @constant {number} config.SESSION_STORE.TOKEN_TTL_SECONDS - Token lifetime in seconds
+   */
+  const cleanupTimer = setInterval(async () => {
+    try {
+      const removed = await sessionStore.sweep();
+      if (removed > 0) {
+        logger.info('Cleaned up expired tokens', { count: removed });
+      }
+      const expired = await expireEndedSessions();
+      if (expired > 0) {
+        logger.info('Cleaned up ended sessions', { count: expired });
+      }
+      await terminateIdleSessions();
+      const overTime = await endSessionsOverTime();
+      if (overTime > 0) {
+        logger.info('Ended sessions over their allowed time', { count: overTime });
+      }
+    } catch (error) {
+      logger.error('Token cleanup failed', { error: error.message });
+    }
+  }, config.TOKEN_CLEANUP_INTERVAL_MS).unref();
+
+  /**
+   * Ends or hands off the stream sessions this instance started, see
+   * config.SHUTDOWN.OWNED_SESSIONS. Handed off sessions keep running and stay in the
+   * session store, where the next instance finds them.
+   * @function releaseOwnedSessions
+   * @returns {Promise<void>}
+   * @throws {Error} When a session could not be terminated
+   */
+  async function releaseOwnedSessions() {
+    const owned = new Map();
+    (await sessionStore.list()).forEach(({ token, data }) => {
+      const arn = data.StreamSessionArn;
+      // Only connection entries carry a TokenId; the first one found for a session is kept
+      if (data.TokenId && ownedSessionArns.has(arn) && !owned.has(arn)) {
+        owned.set(arn, { token, data });
+      }
+    });
+    if (owned.size === 0) {
+      return;
+    }
+    if (config.SHUTDOWN.OWNED_SESSIONS !== 'terminate') {
+      logger.info('Handing off stream sessions', { count: owned.size, sessionArns: [...owned.keys()] });
+      return;
+    }
+    let failed = 0;
+    for (const { token, data } of owned.values()) {
+      try {
+        await terminateConnection(token, data, undefined, 'shutdown');
+      } catch (error) {
+        failed++;
+        logger.error('Failed to terminate session on shutdown', {
+          sessionArn: data.StreamSessionArn,
+          error: error.message
+        });
+      }
+    }
+    logger.info('Terminated stream sessions on shutdown', { count: owned.size - failed });
+    if (failed > 0) {
+      throw new Error(`${failed} of ${owned.size} stream sessions could not be terminated`);
+    }
+  }
+
+  shutdownManager.onDrain('cleanup job', () => clearInterval(cleanupTimer));
+  // Clients reconnect their event streams, or fall back to polling, on another instance
+  shutdownManager.onDrain('event streams', () => openEventStreams.forEach((stream) => stream.close()));
+  shutdownManager.onCleanup('owned sessions', releaseOwnedSessions);
+  shutdownManager.onCleanup('session store', () => sessionStore.flush());
+  shutdownManager.onCleanup('rate limit store', () => rateLimitCounters.close());
+
+  /**
+   * Health check endpoint
+   * @route GET /api/health
+   * @returns {object} Status object indicating API health
+   */
+  app.get('/api/health', validate('Health'), (req, res) => {
+      res.json({ status: 'ok' });
+  });
+
+  /**
+   * API specification endpoint
+   * @route GET /api/openapi.json
+   * @returns {object} OpenAPI 3.1 document describing the /api routes, see lib/openapi
+   */
+  app.get('/api/openapi.json', validate('OpenApiDocument'), (req, res) => {
+      res.json(openApiDocument);
+  });
+
+  // Files outside public/ that may be served: the chart and QR code libraries loaded by
+  // index.html, and the protocol served with --override_protocol. Everything else in the server
+  // directory, such as config.js and the session store file, must never be served.
+  const servedServerFiles = ['node_modules/chart.js/dist/', 'node_modules/qrcode-generator/qrcode.js', 'override_protocol.js'];
+
+  // Catch-all route for serving static files
+  app.use((req, res, next) => {
+    const filePath = req.path.startsWith('/') ? req.path.slice(1) : req.path;
+    const fullPath = path.join(__dirname, filePath);
+    const allowed = !filePath.includes('..') && servedServerFiles.some((prefix) => filePath.startsWith(prefix));
+
+    if (allowed && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) {
+      const content = fs.readFileSync(fullPath);
+      const contentType = getContentType(filePath);
+      res.contentType(contentType);
+      res.send(content);
+    } else {
+      next();
+    }
+  });
+
+
+  /**
+   * Catch-all route handler for serving index.html
+   * This route matches any URL path that hasn't been matched by previous routes.
+   * Commonly used in Single Page Applications (SPA) to enable client-side routing.
+   * 
+   * @route GET *
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {string} req.path - The requested URL path
+   * @returns {void}
+   * @throws {Error} May throw an error if file reading fails
+   */
+  app.get('*', (req, res) => {
+    const indexPath = path.join(__dirname, 'public', 'index.html');
+    logger.debug('Serving index.html', { path: req.path });
+    if (fs.existsSync(indexPath)) {
+      res.sendFile(indexPath);
+    } else {
+      logger.error('index.html not found', { indexPath });
+      res.status(404).send('File not found');
+    }
+  });
+
+
+  /**
+   * Middleware to add API version header to all responses
+   * @middleware
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @param {Express.NextFunction} next - Express next middleware function
+   */
+  app.use((req, res, next) => {
+    // Set custom header to inform clients about the API version being used
+    // This helps with API versioning and client compatibility tracking
+    res.setHeader('X-API-Version', config.API_VERSION);
+    next();
+  });
+
+  return app;
+}
+
+/**
+ * Gets content type based on file extension
+ * @function getContentType
+ * @param {string} filePath - Path to the file
+ * @returns {string} MIME type for the file
+ */
+function getContentType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const types = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+  };
+  return types[ext] || 'application/octet-stream';
+}
+
+module.exports = {
+  createApp,
+  createGameLiftStreamsClient
+};
@@ -3,10 +3,19 @@
  * 
  * Configuration file for Amazon GameLift Streams Web Sharing Demo
  * This file contains all configurable constants used throughout the application.
- * Modify these values to customize the server behavior for different environments.
+ * To customize the server behavior for different environments, override these defaults
+ * in a config.json file, with the environment variables in ENVIRONMENT_VARIABLES or
+ * with the command line options in COMMAND_LINE_OPTIONS, see lib/config-loader.js.
+ * The loaded configuration is validated against lib/config-schema.js and is read-only.
  */
 
-module.exports = {
+const { loadConfig } = require('./lib/config-loader');
+const { configSchema } = require('./lib/config-schema');
+
+/**
+ * Default configuration
+ */
+const DEFAULTS = {
   /**
    * Server Environment Configuration
    */
@@ -26,19 +35,26 @@ module.exports = {
   LISTEN_PORT_HTTPS: 5443,
 
   /**
-   * File path for the TLS private key
+   * File path for the TLS private key, relative to the working directory
    * Required for HTTPS server setup in local mode
    * @type {string}
    */
   TLS_KEYFILE: 'server.key',
 
   /**
-   * File path for the TLS certificate
+   * File path for the TLS certificate, relative to the working directory
    * Required for HTTPS server setup in local mode
    * @type {string}
    */
   TLS_CRTFILE: 'server.crt',
 
+  /**
+   * AWS profile of the shared config and credentials files, used in local mode
+   * Uses the default profile when empty
+   * @type {string}
+   */
+  AWS_PROFILE: '',
+
   /**
    * API Configuration
    */
@@ -63,13 +79,14 @@ module.exports = {
 
   /**
    * Timeout duration for stream connections in seconds
-   * Determines how long a connection token remains valid
+   * Determines how long after CreateStreamSession the client may first connect
+   * (GetSignalResponse, StreamSessionEvents); the token itself stays valid for reconnecting
    * @type {number}
    */
   STREAM_CONNECTION_TIMEOUT_SECONDS: 600,
 
   /**
-   * Maximum session length in seconds
+   * Maximum session length in seconds, including extensions, see SESSION_POLICY
    * Note: GameLiftStreams stream duration limit is 24 hours
    * @type {number}
    */
@@ -79,11 +96,19 @@ module.exports = {
    * GameLift Streams StreamGroupID
    * @type {string}
    */
-  STREAM_GROUP_ID: process.env.STREAM_GROUP_ID,
+  STREAM_GROUP_ID: '',
+
+  /**
+   * GameLift Streams StreamGroupIDs in order of preference, used by Lambda deployments
+   * without an application catalog; defaults to STREAM_GROUP_ID. Groups outside
+   * GAMELIFT_STREAMS_REGION must be given as ARNs. See STREAM_GROUP_FAILOVER.
+   * @type {string[]}
+   */
+  STREAM_GROUP_IDS: [],
 
   /**
    * AWS region for GameLift Streams service
-   * Update this to match your deployment region
+   * Defaults to the AWS_REGION of the environment, which Lambda sets to the deployment region
    * @type {string}
    */
   GAMELIFT_STREAMS_REGION: 'us-west-2',
@@ -96,6 +121,54 @@ module.exports = {
 
   GAMELIFT_STREAMS_ENDPOINT: '',
 
+  /**
+   * Offline mock of the GameLift Streams API for local development and tests
+   * Also enabled by the --mock command line flag
+   */
+  MOCK_GAMELIFT_STREAMS: {
+    /**
+     * Use the in-process mock instead of the AWS SDK client
+     * @type {boolean}
+     */
+    ENABLED: false,
+
+    /**
+     * Time a mock session spends in ACTIVATING status in milliseconds
+     * @type {number}
+     */
+    ACTIVATION_DELAY_MS: 3000,
+
+    /**
+     * Time a mock session spends in TERMINATING status in milliseconds
+     * @type {number}
+     */
+    TERMINATION_DELAY_MS: 1000,
+
+    /**
+     * Concurrent mock sessions per stream group before StartStreamSession reports
+     * no capacity, 0 for unlimited
+     * @type {number}
+     */
+    MAX_SESSIONS: 0,
+
+    /**
+     * Simulated round-trip time of each location in milliseconds, as JSON, e.g.
+     * {"us-west-2": 30, "us-east-2": 90}. While the mock is in use, clients probe
+     * /api/LocationProbe instead of LOCATIONS.PROBE_URL; unlisted locations answer at once.
+     * @type {Object<string, number>}
+     */
+    PROBE_LATENCY_MS: {}
+  },
+
+  /**
+   * Application catalog file, relative to the server directory, JSON or YAML (.yaml, .yml)
+   * When the file exists, CreateStreamSession only launches applications listed in it,
+   * using the launch configuration from the catalog instead of the client's
+   * See applications.example.json for the format
+   * @type {string}
+   */
+  APPLICATION_CATALOG_FILE: 'applications.json',
+
   /**
    * Security Configuration
    */
@@ -107,9 +180,73 @@ module.exports = {
    */
   JSON_BODY_LIMIT: '100mb',
 
+  /**
+   * Graceful shutdown configuration
+   * On SIGTERM or SIGINT the server stops starting sessions, lets in-flight requests
+   * finish, then releases the stream sessions it started and flushes the session store
+   */
+  SHUTDOWN: {
+    /**
+     * Time in-flight requests get to finish before their connections are closed, in milliseconds
+     * @type {number}
+     */
+    DRAIN_TIMEOUT_MS: 10 * 1000, // 10 seconds
+
+    /**
+     * Time releasing sessions and flushing stores get, in milliseconds
+     * @type {number}
+     */
+    CLEANUP_TIMEOUT_MS: 10 * 1000, // 10 seconds
+
+    /**
+     * What happens to the stream sessions this instance started: 'handoff' keeps them
+     * running for the next instance, which requires a file or DynamoDB session store;
+     * 'terminate' ends them
+     * @type {string}
+     */
+    OWNED_SESSIONS: 'handoff'
+  },
+
+  /**
+   * Cross-Origin Resource Sharing configuration
+   * Pages served by this server can always call it. Pages on other origins can only
+   * call the API when listed here; requests from any other origin are rejected.
+   */
+  CORS: {
+    /**
+     * Origins allowed to call the API, e.g. https://play.example.com, or
+     * https://*.example.com for every subdomain. The single entry * allows any origin
+     * without credentials and is meant for development only.
+     * @type {string[]}
+     */
+    ALLOWED_ORIGINS: [],
+
+    /**
+     * How long browsers may cache a preflight response, in seconds
+     * @type {number}
+     */
+    MAX_AGE_SECONDS: 24 * 60 * 60 // 1 day
+  },
+
+  /**
+   * API specification configuration
+   * Requests to /api routes are always validated against the OpenAPI document served at
+   * /api/openapi.json, see lib/openapi
+   */
+  OPENAPI: {
+    /**
+     * Log responses that do not match the document, to catch routes and document
+     * drifting apart. Defaults to true in local mode and false in Lambda mode when unset
+     * @type {boolean|string}
+     */
+    VALIDATE_RESPONSES: ''
+  },
+
   /**
    * Rate limiting configuration
-   * Limits the number of requests from a single IP address
+   * Limits the number of requests from a single user, or from a single IP address for
+   * requests without a valid bearer token. WINDOW_MS, MAX_REQUESTS and LOCAL_MAX_REQUESTS
+   * form the default policy, used by routes that no policy in POLICIES lists.
    */
   RATE_LIMIT: {
     /**
@@ -119,10 +256,465 @@ module.exports = {
     WINDOW_MS: 15 * 60 * 1000, // 15 minutes
 
     /**
-     * Maximum number of requests per IP within the time window
+     * Maximum number of requests per client within the time window
+     * @type {number}
+     */
+    MAX_REQUESTS: 100,
+
+    /**
+     * Maximum number of requests per client within the time window in local mode
      * @type {number}
      */
-    MAX_REQUESTS: 100
+    LOCAL_MAX_REQUESTS: 1000,
+
+    /**
+     * Policies with their own budget for the routes they list, checked in order
+     * ROUTES are exact paths, or end in /* to cover everything below a path;
+     * LOCAL_MAX_REQUESTS defaults to MAX_REQUESTS
+     * @type {Object<string, {ROUTES: string[], WINDOW_MS: number, MAX_REQUESTS: number, LOCAL_MAX_REQUESTS: number}>}
+     */
+    POLICIES: {
+      // Each request may start a billable stream session
+      CREATE_SESSION: {
+        ROUTES: ['/api/CreateStreamSession', '/api/ReconnectStreamSession'],
+        WINDOW_MS: 15 * 60 * 1000,
+        MAX_REQUESTS: 20,
+        LOCAL_MAX_REQUESTS: 200
+      },
+      // Polled while a stream starts and sent periodically while it runs
+      SESSION_POLLING: {
+        ROUTES: ['/api/GetSignalResponse', '/api/StreamSessionEvents', '/api/QueueStatus', '/api/Heartbeat',
+          '/api/SessionInfo', '/api/SessionMetrics'],
+        WINDOW_MS: 60 * 1000,
+        MAX_REQUESTS: 300,
+        LOCAL_MAX_REQUESTS: 3000
+      },
+      ADMIN: {
+        ROUTES: ['/api/admin/*'],
+        WINDOW_MS: 15 * 60 * 1000,
+        MAX_REQUESTS: 300,
+        LOCAL_MAX_REQUESTS: 3000
+      }
+    },
+
+    /**
+     * Where hit counters are kept, shared by all policies
+     */
+    STORE: {
+      /**
+       * Counter backend: 'memory', 'file' or 'redis'
+       * Use 'redis' to share counters across Lambda instances and servers
+       * @type {string}
+       */
+      TYPE: 'memory',
+
+      /**
+       * JSON file used by the 'file' backend
+       * @type {string}
+       */
+      FILE_PATH: 'rate-limits.json',
+
+      /**
+       * URL of a Redis-compatible server for the 'redis' backend, e.g. rediss://host:6379
+       * @type {string}
+       */
+      REDIS_URL: ''
+    }
+  },
+
+  /**
+   * Concurrent session limits enforced by CreateStreamSession
+   * A value of 0 disables the corresponding limit
+   */
+  SESSION_LIMITS: {
+    /**
+     * Maximum concurrent stream sessions per UserId
+     * @type {number}
+     */
+    MAX_PER_USER: 0,
+
+    /**
+     * Maximum concurrent stream sessions per client IP address
+     * @type {number}
+     */
+    MAX_PER_IP: 0,
+
+    /**
+     * Maximum concurrent stream sessions per stream group started by this server
+     * @type {number}
+     */
+    MAX_PER_STREAM_GROUP: 0,
+
+    /**
+     * Terminate the user's oldest session instead of rejecting a new one
+     * when MAX_PER_USER is reached
+     * @type {boolean}
+     */
+    REPLACE_OLDEST_USER_SESSION: false
+  },
+
+  /**
+   * Waiting-room queue used when a stream group is out of capacity
+   */
+  QUEUE: {
+    /**
+     * Queue CreateStreamSession requests instead of failing them when out of capacity
+     * @type {boolean}
+     */
+    ENABLED: false,
+
+    /**
+     * Seconds a queue ticket stays valid without a QueueStatus poll
+     * @type {number}
+     */
+    TICKET_TIMEOUT_SECONDS: 30,
+
+    /**
+     * Estimated wait per queue position, reported to the client
+     * @type {number}
+     */
+    ESTIMATED_SECONDS_PER_POSITION: 60,
+
+    /**
+     * Milliseconds each instance reuses a stream group's ticket list for QueueStatus positions
+     * Listing reads the whole session store (a DynamoDB Scan); 0 lists on every poll
+     * @type {number}
+     */
+    POSITION_CACHE_MS: 2000,
+
+    /**
+     * StartStreamSession error names that mean the stream group has no free capacity
+     * Errors whose message mentions capacity are queued as well
+     * @type {string[]}
+     */
+    CAPACITY_ERROR_NAMES: ['ServiceQuotaExceededException']
+  },
+
+  /**
+   * Stream group failover configuration
+   * CreateStreamSession tries the stream groups of an application in order, moving on to
+   * the next group when StartStreamSession fails with one of these errors
+   */
+  STREAM_GROUP_FAILOVER: {
+    /**
+     * StartStreamSession error names that move on to the next stream group
+     * Errors whose message mentions capacity do as well
+     * @type {string[]}
+     */
+    ERROR_NAMES: ['ServiceQuotaExceededException', 'ThrottlingException']
+  },
+
+  /**
+   * Session event stream configuration
+   * StreamSessionEvents pushes status changes to the browser over Server-Sent Events
+   */
+  SESSION_EVENTS: {
+    /**
+     * Serve StreamSessionEvents; clients fall back to polling when disabled
+     * Only available in local mode, API Gateway cannot hold the connection open
+     * @type {boolean}
+     */
+    ENABLED: true,
+
+    /**
+     * Minimum time between GetStreamSession calls for the same session in milliseconds
+     * Shared by all event streams and GetSignalResponse requests for that session
+     * @type {number}
+     */
+    POLL_INTERVAL_MS: 1000,
+
+    /**
+     * Interval between queue position checks on queue ticket event streams in milliseconds
+     * Must be shorter than QUEUE.TICKET_TIMEOUT_SECONDS, each check keeps the ticket alive
+     * @type {number}
+     */
+    QUEUE_INTERVAL_MS: 5000,
+
+    /**
+     * Interval between keep-alive comments on idle event streams in milliseconds
+     * @type {number}
+     */
+    KEEPALIVE_INTERVAL_MS: 15000
+  },
+
+  /**
+   * Client session metrics configuration
+   * The web page uploads its WebRTC stats to POST /api/SessionMetrics and
+   * DestroyStreamSession returns an analysis of them
+   */
+  SESSION_METRICS: {
+    /**
+     * Whether stats are accepted and analyzed
+     * @type {boolean}
+     */
+    ENABLED: true,
+
+    /**
+     * How long stats are kept after the last upload, in seconds
+     * @type {number}
+     */
+    RETENTION_SECONDS: 24 * 3600,
+
+    /**
+     * Samples kept per metric; older samples are dropped (720 is one hour at 5 seconds)
+     * @type {number}
+     */
+    MAX_SAMPLES_PER_METRIC: 720,
+
+    /**
+     * Maximum number of distinct metrics per session
+     * @type {number}
+     */
+    MAX_METRICS: 32,
+
+    /**
+     * Limits for the 'good' and 'fair' quality verdicts; anything worse is 'poor'
+     * @type {Object}
+     */
+    THRESHOLDS: {
+      RTT_P95_MS: { GOOD: 100, FAIR: 200 },
+      PACKET_LOSS_PERCENT: { GOOD: 1, FAIR: 3 },
+      DROPPED_FRAMES_PERCENT: { GOOD: 1, FAIR: 5 },
+      FPS_STABILITY: { GOOD: 0.9, FAIR: 0.75 }
+    },
+
+    /**
+     * Where stats are kept, apart from the session store so that listing sessions
+     * never reads them. Uses SESSION_STORE.ENDPOINT for DynamoDB.
+     */
+    STORE: {
+      /**
+       * Store adapter: 'memory', 'file' or 'dynamodb'
+       * Defaults to 'file' in local mode and 'memory' in Lambda mode when unset
+       * @type {string}
+       */
+      TYPE: '',
+
+      /**
+       * Directory used by the 'file' adapter
+       * @type {string}
+       */
+      DIRECTORY: 'session-metrics',
+
+      /**
+       * DynamoDB table used by the 'dynamodb' adapter, not the session store table
+       * @type {string}
+       */
+      TABLE_NAME: ''
+    }
+  },
+
+  /**
+   * Session lifecycle webhook configuration
+   * Disabled unless at least one URL is set
+   */
+  WEBHOOKS: {
+    /**
+     * Comma separated webhook URLs receiving every event
+     * @type {string[]}
+     */
+    URLS: [],
+
+    /**
+     * Shared secret used to sign payloads (X-Webhook-Signature)
+     * @type {string}
+     */
+    SECRET: '',
+
+    /**
+     * Comma separated event names to send, e.g. session.created,session.terminated
+     * Sends all events when empty
+     * @type {string[]}
+     */
+    EVENTS: [],
+
+    /**
+     * Delivery attempts per URL before the event is dead-lettered
+     * @type {number}
+     */
+    MAX_ATTEMPTS: 5,
+
+    /**
+     * Delay before the first retry in milliseconds, doubled for each further retry
+     * @type {number}
+     */
+    INITIAL_BACKOFF_MS: 1000,
+
+    /**
+     * Timeout of a single delivery attempt in milliseconds
+     * @type {number}
+     */
+    TIMEOUT_MS: 5000,
+
+    /**
+     * JSON lines file recording deliveries that failed every attempt, with their payloads
+     * Created with mode 0600; must be writable, use a path under /tmp in Lambda deployments
+     * @type {string}
+     */
+    DEAD_LETTER_FILE: 'webhook-dead-letter.jsonl'
+  },
+
+  /**
+   * Authentication configuration
+   * Requires a bearer JWT on the session APIs and derives the UserId from its claims
+   */
+  AUTH: {
+    /**
+     * Enable bearer token authentication
+     * @type {boolean}
+     */
+    ENABLED: false,
+
+    /**
+     * JWKS URL of the identity provider, e.g. https://example.com/.well-known/jwks.json
+     * @type {string}
+     */
+    JWKS_URL: '',
+
+    /**
+     * Path of a local JWKS file, for testing without an identity provider
+     * @type {string}
+     */
+    JWKS_FILE: '',
+
+    /**
+     * Path of a PEM public key used to verify RS/PS/ES signed tokens
+     * @type {string}
+     */
+    PUBLIC_KEY_FILE: '',
+
+    /**
+     * Shared secret for HS256/384/512 signed tokens (local testing only)
+     * @type {string}
+     */
+    SHARED_SECRET: '',
+
+    /**
+     * Required token issuer ("iss" claim), if set
+     * @type {string}
+     */
+    ISSUER: '',
+
+    /**
+     * Required token audience ("aud" claim), if set
+     * @type {string}
+     */
+    AUDIENCE: '',
+
+    /**
+     * Claim used as the GameLift Streams UserId
+     * @type {string}
+     */
+    USER_ID_CLAIM: 'sub'
+  },
+
+  /**
+   * Admin API configuration
+   * The /api/admin routes are disabled unless an admin key or an admin role is set
+   */
+  ADMIN: {
+    /**
+     * Static key accepted in the X-Admin-Key header
+     * @type {string}
+     */
+    API_KEY: '',
+
+    /**
+     * Role that grants admin access to bearer tokens (requires AUTH.ENABLED)
+     * @type {string}
+     */
+    ROLE: '',
+
+    /**
+     * Claim holding the caller's roles, as an array or a space separated string
+     * @type {string}
+     */
+    ROLE_CLAIM: 'cognito:groups'
+  },
+
+  /**
+   * Prometheus metrics configuration
+   * Serves request, GameLift Streams API, session and process metrics on GET /metrics
+   */
+  METRICS: {
+    /**
+     * Whether /metrics is served
+     * @type {boolean}
+     */
+    ENABLED: true,
+
+    /**
+     * Bearer token required to scrape /metrics; anyone may scrape when empty
+     * @type {string}
+     */
+    BEARER_TOKEN: '',
+
+    /**
+     * Histogram buckets for request and GameLift Streams API latency, in seconds
+     * @type {number[]}
+     */
+    LATENCY_BUCKETS: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+    /**
+     * Histogram buckets for session activation time, in seconds
+     * @type {number[]}
+     */
+    ACTIVATION_BUCKETS: [5, 10, 20, 30, 45, 60, 90, 120, 180, 300]
+  },
+
+  /**
+   * Logging configuration
+   * Log lines are JSON objects with credentials and signaling data redacted
+   */
+  LOGGING: {
+    /**
+     * Minimum level written: 'debug', 'info', 'warn' or 'error'
+     * @type {string}
+     */
+    LEVEL: 'info',
+
+    /**
+     * Where log lines go: 'console' (JSON on stdout), 'file' (rotating local file)
+     * and/or 'emf' (CloudWatch Embedded Metric Format on stdout)
+     * @type {string[]}
+     */
+    TRANSPORTS: ['console'],
+
+    /**
+     * Log file of the 'file' transport
+     * @type {string}
+     */
+    FILE_PATH: 'server.log',
+
+    /**
+     * Size at which the log file is rotated, in bytes
+     * @type {number}
+     */
+    FILE_MAX_BYTES: 10 * 1024 * 1024,
+
+    /**
+     * Number of rotated log files kept, as server.log.1 (newest) to server.log.N
+     * @type {number}
+     */
+    FILE_MAX_FILES: 5,
+
+    /**
+     * CloudWatch namespace of the metrics in 'emf' log lines
+     * @type {string}
+     */
+    EMF_NAMESPACE: 'GameLiftStreamsWebServer',
+
+    /**
+     * Fields whose values are replaced with [REDACTED] at any depth, case-insensitively
+     * @type {string[]}
+     */
+    REDACT_KEYS: ['Token', 'InviteToken', 'QueueTicket', 'SignalRequest', 'SignalResponse', 'Authorization', 'X-Admin-Key'],
+
+    /**
+     * Fields holding maps whose keys are kept but whose values are redacted
+     * @type {string[]}
+     */
+    REDACT_VALUES_OF: ['AdditionalEnvironmentVariables']
   },
 
   /**
@@ -141,4 +733,315 @@ module.exports = {
    * @type {number}
    */
   TOKEN_CLEANUP_INTERVAL_MS: 60000, // 1 minute
+
+  /**
+   * Session Store Configuration
+   * Persists connection tokens so they survive restarts and Lambda cold starts
+   */
+  SESSION_STORE: {
+    /**
+     * Store adapter: 'memory', 'file' or 'dynamodb'
+     * Defaults to 'file' in local mode and 'memory' in Lambda mode when unset
+     * @type {string}
+     */
+    TYPE: '',
+
+    /**
+     * Directory used by the 'file' adapter, holding one JSON file per token
+     * @type {string}
+     */
+    DIRECTORY: 'sessions',
+
+    /**
+     * DynamoDB table used by the 'dynamodb' adapter
+     * @type {string}
+     */
+    TABLE_NAME: '',
+
+    /**
+     * Optional endpoint override for the 'dynamodb' adapter, e.g. DynamoDB Local
+     * @type {string}
+     */
+    ENDPOINT: '',
+
+    /**
+     * Longest lifetime of a connection token, in seconds
+     * Tokens expire when their session length has elapsed, or after this time if sooner
+     * @type {number}
+     */
+    TOKEN_TTL_SECONDS: 24 * 3600
+  },
+
+  /**
+   * Connection token signing configuration
+   * Connection tokens are HS256 JWTs that any instance holding the keys can verify
+   */
+  CONNECTION_TOKENS: {
+    /**
+     * Signing keys as "id:secret" or "secret", at least 32 characters each
+     * The first key signs, all keys verify; see lib/connection-tokens.js for rotation.
+     * When empty each process generates its own key, which only suits a single local server.
+     * @type {string[]}
+     */
+    SIGNING_KEYS: [],
+
+    /**
+     * ARN or name of a Secrets Manager secret holding the signing keys, comma separated
+     * Replaces SIGNING_KEYS, so the keys never appear in the function configuration. The
+     * secret is read on first use and reloaded every few minutes, see lib/connection-tokens.js.
+     * @type {string}
+     */
+    SIGNING_KEYS_SECRET_ID: '',
+
+    /**
+     * Allowed clock skew between server instances when checking expiry, in seconds
+     * @type {number}
+     */
+    CLOCK_TOLERANCE_SECONDS: 30
+  },
+
+  /**
+   * Invite link configuration
+   * An invite lets the player continue a stream on another device. It can only be used
+   * with ReconnectStreamSession, only once, and moves the session to the redeeming device.
+   */
+  INVITES: {
+    /**
+     * Whether CreateSessionInvite is served
+     * @type {boolean}
+     */
+    ENABLED: true,
+
+    /**
+     * How long an invite can be redeemed, in seconds
+     * @type {number}
+     */
+    TTL_SECONDS: 300
+  },
+
+  /**
+   * Idle session configuration
+   * Streaming clients send a Heartbeat with the player's input idle time. Sessions whose
+   * heartbeats stop or whose player stays idle are terminated by the token cleanup job,
+   * so they are not billed until SessionLengthSeconds runs out.
+   */
+  IDLE: {
+    /**
+     * Whether Heartbeat is served and idle sessions are terminated
+     * @type {boolean}
+     */
+    ENABLED: true,
+
+    /**
+     * How often clients send a heartbeat, in seconds
+     * @type {number}
+     */
+    HEARTBEAT_INTERVAL_SECONDS: 30,
+
+    /**
+     * Time without a heartbeat after which a session is terminated, in seconds.
+     * Detection also depends on TOKEN_CLEANUP_INTERVAL_MS.
+     * @type {number}
+     */
+    HEARTBEAT_TIMEOUT_SECONDS: 120,
+
+    /**
+     * Time without player input after which a session is terminated, in seconds
+     * @type {number}
+     */
+    INPUT_IDLE_TIMEOUT_SECONDS: 900,
+
+    /**
+     * How long before the idle termination the client shows its "Are you still there?"
+     * overlay, in seconds
+     * @type {number}
+     */
+    WARNING_SECONDS: 60
+  },
+
+  /**
+   * Session length policy
+   * Applications in the catalog and the player's roles may override the defaults; every
+   * session is capped by MAX_SESSION_LENGTH_SECONDS, extensions included
+   */
+  SESSION_POLICY: {
+    /**
+     * Session length when neither the catalog entry nor a role sets one, in seconds
+     * @type {number}
+     */
+    DEFAULT_LENGTH_SECONDS: 3600,
+
+    /**
+     * Time added by each ExtendSession request, in seconds; 0 disables extensions
+     * @type {number}
+     */
+    EXTENSION_SECONDS: 0,
+
+    /**
+     * Number of times a session may be extended
+     * @type {number}
+     */
+    MAX_EXTENSIONS: 1,
+
+    /**
+     * Remaining times at which the client warns the player that the session ends, in seconds
+     * @type {number[]}
+     */
+    WARNING_THRESHOLDS_SECONDS: [600, 300, 60],
+
+    /**
+     * Claim holding the player's roles, as an array or a space separated string (requires AUTH.ENABLED)
+     * @type {string}
+     */
+    ROLE_CLAIM: 'cognito:groups',
+
+    /**
+     * Policies by role, with SessionLengthSeconds, ExtensionSeconds and MaxExtensions fields,
+     * as JSON, e.g. {"premium": {"SessionLengthSeconds": 7200}}
+     * @type {Object<string, Object>}
+     */
+    ROLE_POLICIES: {}
+  },
+
+  /**
+   * Location selection configuration
+   * Clients measure the latency to each candidate location before starting a stream,
+   * and CreateStreamSession orders the allowed locations by those measurements
+   */
+  LOCATIONS: {
+    /**
+     * Locations offered to clients when the application catalog does not list any
+     * @type {string[]}
+     */
+    CANDIDATES: ['us-west-2'],
+
+    /**
+     * URL the client requests to measure the round-trip time to a location, with {region}
+     * standing for the location. Hosts outside *.amazonaws.com must also be allowed by the
+     * connect-src Content Security Policy in app.js.
+     * @type {string}
+     */
+    PROBE_URL: 'https://dynamodb.{region}.amazonaws.com/ping',
+
+    /**
+     * Requests per location; the client keeps the fastest, as the first one also pays
+     * for DNS and TLS setup
+     * @type {number}
+     */
+    PROBE_COUNT: 3,
+
+    /**
+     * Measured locations slower than this are not requested, unless all are slower,
+     * in milliseconds; 0 keeps every location
+     * @type {number}
+     */
+    MAX_LATENCY_MS: 0
+  }
+};
+
+/**
+ * Environment variables overriding the defaults, by key path
+ * When several are listed, the first one set wins. Lists are comma separated and
+ * maps are JSON, e.g. SESSION_ROLE_POLICIES='{"premium": {"SessionLengthSeconds": 7200}}'
+ * @type {Object<string, string[]>}
+ */
+const ENVIRONMENT_VARIABLES = {
+  LISTEN_PORT_HTTP: ['PORT'],
+  LISTEN_PORT_HTTPS: ['HTTPS_PORT'],
+  TLS_KEYFILE: ['TLS_KEYFILE'],
+  TLS_CRTFILE: ['TLS_CRTFILE'],
+  AWS_PROFILE: ['AWS_PROFILE'],
+  STREAM_GROUP_ID: ['STREAM_GROUP_ID'],
+  STREAM_GROUP_IDS: ['STREAM_GROUP_IDS', 'STREAM_GROUP_ID'],
+  GAMELIFT_STREAMS_REGION: ['GAMELIFT_STREAMS_REGION', 'AWS_REGION'],
+  GAMELIFT_STREAMS_ENDPOINT: ['GAMELIFT_STREAMS_ENDPOINT'],
+  'MOCK_GAMELIFT_STREAMS.ENABLED': ['GAMELIFT_STREAMS_MOCK'],
+  'MOCK_GAMELIFT_STREAMS.ACTIVATION_DELAY_MS': ['GAMELIFT_STREAMS_MOCK_ACTIVATION_DELAY_MS'],
+  'MOCK_GAMELIFT_STREAMS.MAX_SESSIONS': ['GAMELIFT_STREAMS_MOCK_MAX_SESSIONS'],
+  'MOCK_GAMELIFT_STREAMS.PROBE_LATENCY_MS': ['GAMELIFT_STREAMS_MOCK_PROBE_LATENCY_MS'],
+  APPLICATION_CATALOG_FILE: ['APPLICATION_CATALOG_FILE'],
+  'SHUTDOWN.DRAIN_TIMEOUT_MS': ['SHUTDOWN_DRAIN_TIMEOUT_MS'],
+  'SHUTDOWN.CLEANUP_TIMEOUT_MS': ['SHUTDOWN_CLEANUP_TIMEOUT_MS'],
+  'SHUTDOWN.OWNED_SESSIONS': ['SHUTDOWN_OWNED_SESSIONS'],
+  'CORS.ALLOWED_ORIGINS': ['CORS_ALLOWED_ORIGINS'],
+  'CORS.MAX_AGE_SECONDS': ['CORS_MAX_AGE_SECONDS'],
+  'OPENAPI.VALIDATE_RESPONSES': ['OPENAPI_VALIDATE_RESPONSES'],
+  'RATE_LIMIT.WINDOW_MS': ['RATE_LIMIT_WINDOW_MS'],
+  'RATE_LIMIT.MAX_REQUESTS': ['RATE_LIMIT_MAX_REQUESTS'],
+  'RATE_LIMIT.POLICIES': ['RATE_LIMIT_POLICIES'],
+  'RATE_LIMIT.STORE.TYPE': ['RATE_LIMIT_STORE_TYPE'],
+  'RATE_LIMIT.STORE.FILE_PATH': ['RATE_LIMIT_STORE_FILE'],
+  'RATE_LIMIT.STORE.REDIS_URL': ['RATE_LIMIT_REDIS_URL'],
+  'SESSION_LIMITS.MAX_PER_USER': ['SESSION_LIMIT_PER_USER'],
+  'SESSION_LIMITS.MAX_PER_IP': ['SESSION_LIMIT_PER_IP'],
+  'SESSION_LIMITS.MAX_PER_STREAM_GROUP': ['SESSION_LIMIT_PER_STREAM_GROUP'],
+  'SESSION_LIMITS.REPLACE_OLDEST_USER_SESSION': ['SESSION_LIMIT_REPLACE_OLDEST'],
+  'QUEUE.ENABLED': ['QUEUE_ENABLED'],
+  'SESSION_EVENTS.ENABLED': ['SESSION_EVENTS_ENABLED'],
+  'SESSION_METRICS.ENABLED': ['SESSION_METRICS_ENABLED'],
+  'SESSION_METRICS.STORE.TYPE': ['SESSION_METRICS_STORE_TYPE'],
+  'SESSION_METRICS.STORE.DIRECTORY': ['SESSION_METRICS_DIR'],
+  'SESSION_METRICS.STORE.TABLE_NAME': ['SESSION_METRICS_TABLE'],
+  'WEBHOOKS.URLS': ['WEBHOOK_URLS'],
+  'WEBHOOKS.SECRET': ['WEBHOOK_SECRET'],
+  'WEBHOOKS.EVENTS': ['WEBHOOK_EVENTS'],
+  'WEBHOOKS.DEAD_LETTER_FILE': ['WEBHOOK_DEAD_LETTER_FILE'],
+  'AUTH.ENABLED': ['AUTH_ENABLED'],
+  'AUTH.JWKS_URL': ['AUTH_JWKS_URL'],
+  'AUTH.JWKS_FILE': ['AUTH_JWKS_FILE'],
+  'AUTH.PUBLIC_KEY_FILE': ['AUTH_PUBLIC_KEY_FILE'],
+  'AUTH.SHARED_SECRET': ['AUTH_SHARED_SECRET'],
+  'AUTH.ISSUER': ['AUTH_ISSUER'],
+  'AUTH.AUDIENCE': ['AUTH_AUDIENCE'],
+  'AUTH.USER_ID_CLAIM': ['AUTH_USER_ID_CLAIM'],
+  'ADMIN.API_KEY': ['ADMIN_API_KEY'],
+  'ADMIN.ROLE': ['ADMIN_ROLE'],
+  'ADMIN.ROLE_CLAIM': ['ADMIN_ROLE_CLAIM'],
+  'METRICS.ENABLED': ['METRICS_ENABLED'],
+  'METRICS.BEARER_TOKEN': ['METRICS_BEARER_TOKEN'],
+  'LOGGING.LEVEL': ['LOG_LEVEL'],
+  'LOGGING.TRANSPORTS': ['LOG_TRANSPORTS'],
+  'LOGGING.FILE_PATH': ['LOG_FILE'],
+  'LOGGING.EMF_NAMESPACE': ['LOG_EMF_NAMESPACE'],
+  'SESSION_STORE.TYPE': ['SESSION_STORE_TYPE'],
+  'SESSION_STORE.DIRECTORY': ['SESSION_STORE_DIR'],
+  'SESSION_STORE.TABLE_NAME': ['SESSION_STORE_TABLE'],
+  'SESSION_STORE.ENDPOINT': ['SESSION_STORE_ENDPOINT'],
+  'CONNECTION_TOKENS.SIGNING_KEYS': ['CONNECTION_TOKEN_KEYS'],
+  'CONNECTION_TOKENS.SIGNING_KEYS_SECRET_ID': ['CONNECTION_TOKEN_KEYS_SECRET_ARN'],
+  'INVITES.ENABLED': ['INVITES_ENABLED'],
+  'INVITES.TTL_SECONDS': ['INVITE_TTL_SECONDS'],
+  'IDLE.ENABLED': ['IDLE_TIMEOUT_ENABLED'],
+  'IDLE.HEARTBEAT_INTERVAL_SECONDS': ['HEARTBEAT_INTERVAL_SECONDS'],
+  'IDLE.HEARTBEAT_TIMEOUT_SECONDS': ['HEARTBEAT_TIMEOUT_SECONDS'],
+  'IDLE.INPUT_IDLE_TIMEOUT_SECONDS': ['INPUT_IDLE_TIMEOUT_SECONDS'],
+  'IDLE.WARNING_SECONDS': ['IDLE_WARNING_SECONDS'],
+  'SESSION_POLICY.DEFAULT_LENGTH_SECONDS': ['SESSION_LENGTH_SECONDS'],
+  'SESSION_POLICY.EXTENSION_SECONDS': ['SESSION_EXTENSION_SECONDS'],
+  'SESSION_POLICY.MAX_EXTENSIONS': ['SESSION_MAX_EXTENSIONS'],
+  'SESSION_POLICY.WARNING_THRESHOLDS_SECONDS': ['SESSION_WARNING_THRESHOLDS_SECONDS'],
+  'SESSION_POLICY.ROLE_CLAIM': ['SESSION_POLICY_ROLE_CLAIM'],
+  'SESSION_POLICY.ROLE_POLICIES': ['SESSION_ROLE_POLICIES'],
+  'LOCATIONS.CANDIDATES': ['LOCATION_CANDIDATES'],
+  'LOCATIONS.PROBE_URL': ['LOCATION_PROBE_URL'],
+  'LOCATIONS.PROBE_COUNT': ['LOCATION_PROBE_COUNT'],
+  'LOCATIONS.MAX_LATENCY_MS': ['LOCATION_MAX_LATENCY_MS']
+};
+
+/**
+ * Command line options overriding the defaults and environment variables, by option
+ * @type {Object<string, string>}
+ */
+const COMMAND_LINE_OPTIONS = {
+  '--region': 'GAMELIFT_STREAMS_REGION',
+  '--profile': 'AWS_PROFILE'
 };
+
+/** @type {Readonly<typeof DEFAULTS>} */
+module.exports = loadConfig({
+  defaults: DEFAULTS,
+  schema: configSchema,
+  environmentVariables: ENVIRONMENT_VARIABLES,
+  commandLineOptions: COMMAND_LINE_OPTIONS,
+  baseDir: __dirname
+});
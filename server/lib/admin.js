@@ -0,0 +1,94 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Access control for the operator admin API
+ * @description Admin routes accept either a static admin key in the X-Admin-Key
+ * header, or a bearer JWT whose role claim contains the configured admin role.
+ * When neither is configured the admin API is switched off and its routes
+ * respond 404, so a default deployment does not expose them.
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+const { createAuthMiddleware } = require('./auth');
+
+/**
+ * Compares a presented key with the configured one in constant time
+ * @function keysMatch
+ * @param {string} presented - Key sent by the caller
+ * @param {string} expected - Configured key
+ * @returns {boolean} True when the keys are equal
+ */
+function keysMatch(presented, expected) {
+  // Hash first so keys of different lengths can be compared in constant time
+  const a = crypto.createHash('sha256').update(String(presented)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks whether JWT claims grant a role
+ * @function hasRole
+ * @param {Object} claims - Verified JWT claims
+ * @param {string} roleClaim - Claim holding the caller's roles or groups
+ * @param {string} role - Required role
+ * @returns {boolean} True when the claim is an array containing the role, or a
+ * space or comma separated string containing it
+ */
+function hasRole(claims, roleClaim, role) {
+  const value = claims[roleClaim];
+  const roles = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[\s,]+/) : []);
+  return roles.includes(role);
+}
+
+/**
+ * Creates the middleware protecting admin routes
+ * @function createAdminMiddleware
+ * @param {Object} adminConfig - config.ADMIN section
+ * @param {Object} authConfig - config.AUTH section, used to verify role-bearing JWTs
+ * @param {Object} logger - Logger with info/error methods
+ * @returns {Function} Express middleware setting req.admin = { method, id }
+ */
+function createAdminMiddleware(adminConfig, authConfig, logger) {
+  const roleEnabled = authConfig.ENABLED && Boolean(adminConfig.ROLE);
+  if (!adminConfig.API_KEY && !roleEnabled) {
+    return (req, res) => res.status(404).json({ error: 'Not found' });
+  }
+  const requireAuth = roleEnabled ? createAuthMiddleware(authConfig, logger) : null;
+
+  return (req, res, next) => {
+    const presentedKey = req.headers['x-admin-key'];
+    if (presentedKey && adminConfig.API_KEY) {
+      if (!keysMatch(presentedKey, adminConfig.API_KEY)) {
+        logger.error('Admin key rejected', { correlationId: req.correlationId });
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin key' });
+      }
+      req.admin = { method: 'key', id: 'admin-key' };
+      return next();
+    }
+
+    if (!requireAuth) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Missing admin key' });
+    }
+    requireAuth(req, res, () => {
+      if (!hasRole(req.user.claims, adminConfig.ROLE_CLAIM, adminConfig.ROLE)) {
+        logger.error('Admin role missing', {
+          correlationId: req.correlationId,
+          userId: req.user.id
+        });
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      req.admin = { method: 'role', id: req.user.id };
+      next();
+    });
+  };
+}
+
+module.exports = {
+  createAdminMiddleware,
+  hasRole,
+  keysMatch
+};
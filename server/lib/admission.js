@@ -0,0 +1,220 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Admission control for new stream sessions
+ * @description Enforces concurrent session limits per UserId, per client IP and
+ * per stream group, counted from the connection tokens in the session store.
+ * A limit of 0 disables that check.
+ *
+ * Admission is checked before StartStreamSession without locking, so two requests
+ * arriving at the same instant may both be admitted. The limits are meant to stop
+ * runaway tabs and scripts, not to be an exact capacity reservation.
+ */
+
+/**
+ * Stream session statuses that no longer count towards a limit
+ * @constant {string[]} ENDED_STATUSES
+ */
+const ENDED_STATUSES = ['TERMINATING', 'TERMINATED', 'ERROR'];
+
+/**
+ * Error codes returned to the client when a limit is reached
+ * @constant {Object} ADMISSION_ERROR_CODES
+ */
+const ADMISSION_ERROR_CODES = {
+  USER: 'USER_SESSION_LIMIT',
+  IP: 'IP_SESSION_LIMIT',
+  STREAM_GROUP: 'STREAM_GROUP_SESSION_LIMIT'
+};
+
+/**
+ * Creates an error describing a rejected admission
+ * @function admissionError
+ * @param {string} code - One of ADMISSION_ERROR_CODES
+ * @param {number} statusCode - HTTP status code
+ * @param {number} limit - Limit that was reached
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with statusCode, code and limit properties
+ */
+function admissionError(code, statusCode, limit, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.limit = limit;
+  return error;
+}
+
+/**
+ * Decides whether a new stream session may be started
+ * @class AdmissionController
+ */
+class AdmissionController {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.limits - config.SESSION_LIMITS section
+   * @param {Object} options.sessionStore - Session store holding connection tokens
+   * @param {ConnectionTokens} options.connectionTokens - Revokes the tokens of sessions
+   * that are forgotten, see lib/connection-tokens
+   * @param {Object} options.gameliftstreams - GameLift Streams client
+   * @param {Object} options.logger - Logger with info/error methods
+   * @param {Function} [options.onTerminate] - Called with each session terminated to admit a new one
+   */
+  constructor({ limits, sessionStore, connectionTokens, gameliftstreams, logger, onTerminate }) {
+    this.limits = limits;
+    this.sessionStore = sessionStore;
+    this.connectionTokens = connectionTokens;
+    this.gameliftstreams = gameliftstreams;
+    this.logger = logger;
+    this.onTerminate = onTerminate || (() => {});
+  }
+
+  /**
+   * Whether any limit is configured
+   * @method isEnabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.limits.MAX_PER_USER > 0 || this.limits.MAX_PER_IP > 0 || this.limits.MAX_PER_STREAM_GROUP > 0;
+  }
+
+  /**
+   * Lists sessions whose configured session length has not yet elapsed
+   * @method listLiveSessions
+   * @returns {Promise<Array<{token: string, data: Object}>>} Sessions, oldest first
+   */
+  async listLiveSessions() {
+    const now = Date.now();
+    const entries = await this.sessionStore.list();
+    return entries
+      .filter(({ data }) => data.StreamSessionArn)
+      .filter(({ data }) => !data.SessionLengthSeconds || data.Timestamp + data.SessionLengthSeconds * 1000 > now)
+      .sort((a, b) => a.data.Timestamp - b.data.Timestamp);
+  }
+
+  /**
+   * Asks GameLift Streams for the status of counted sessions and revokes the tokens of
+   * the ones that have already ended, e.g. because the player closed the tab
+   * @method pruneEnded
+   * @param {Array<{token: string, data: Object}>} sessions - Sessions to check
+   * @returns {Promise<Array<{token: string, data: Object}>>} Sessions still running
+   */
+  async pruneEnded(sessions) {
+    const results = await Promise.all(sessions.map(async (session) => {
+      try {
+        const streamSession = await this.gameliftstreams.getStreamSession({
+          Identifier: session.data.StreamGroupId,
+          StreamSessionIdentifier: session.data.StreamSessionArn
+        });
+        if (!ENDED_STATUSES.includes(streamSession.Status)) {
+          return session;
+        }
+      } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+          // Count the session if its status is unknown
+          return session;
+        }
+      }
+      await this.connectionTokens.forget(session.token, session.data);
+      return null;
+    }));
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Terminates a session and revokes its connection token
+   * @method terminate
+   * @param {{token: string, data: Object}} session - Session to terminate
+   * @returns {Promise<void>}
+   */
+  async terminate(session) {
+    await this.gameliftstreams.terminateStreamSession({
+      Identifier: session.data.StreamGroupId,
+      StreamSessionIdentifier: session.data.StreamSessionArn
+    });
+    await this.connectionTokens.forget(session.token, session.data);
+    this.onTerminate(session);
+  }
+
+  /**
+   * Checks one limit, pruning ended sessions before rejecting
+   * @method checkLimit
+   * @param {Array<{token: string, data: Object}>} sessions - Sessions counted towards the limit
+   * @param {number} limit - Maximum number of sessions, 0 for unlimited
+   * @returns {Promise<Array<{token: string, data: Object}>|null>} Running sessions when
+   * the limit is reached, or null when another session is allowed
+   */
+  async checkLimit(sessions, limit) {
+    if (!limit || sessions.length < limit) {
+      return null;
+    }
+    const running = await this.pruneEnded(sessions);
+    return running.length < limit ? null : running;
+  }
+
+  /**
+   * Admits or rejects a new session
+   * @method admit
+   * @param {Object} request
+   * @param {string} request.userId - UserId the session will run as
+   * @param {string} request.clientIp - IP address of the caller
+   * @param {string[]} request.streamGroupIds - Stream groups the session may use, in order of preference
+   * @param {string} [request.correlationId] - Request correlation ID for logging
+   * @returns {Promise<string[]>} Stream groups with room for the session, in the same order
+   * @throws {Error} 409 - USER_SESSION_LIMIT or IP_SESSION_LIMIT
+   * @throws {Error} 429 - STREAM_GROUP_SESSION_LIMIT when no stream group has room
+   */
+  async admit({ userId, clientIp, streamGroupIds, correlationId }) {
+    if (!this.isEnabled()) {
+      return streamGroupIds;
+    }
+    let sessions = await this.listLiveSessions();
+
+    const userLimit = this.limits.MAX_PER_USER;
+    const userSessions = await this.checkLimit(sessions.filter(({ data }) => data.UserId === userId), userLimit);
+    if (userSessions) {
+      if (!this.limits.REPLACE_OLDEST_USER_SESSION) {
+        throw admissionError(ADMISSION_ERROR_CODES.USER, 409, userLimit,
+          `You already have ${userSessions.length} active stream session(s), the maximum is ${userLimit}`);
+      }
+      // Make room by ending the user's oldest sessions
+      const excess = userSessions.slice(0, userSessions.length - userLimit + 1);
+      for (const session of excess) {
+        this.logger.info('Terminating older session to admit new one', {
+          correlationId,
+          userId,
+          sessionArn: session.data.StreamSessionArn
+        });
+        await this.terminate(session);
+      }
+      sessions = sessions.filter((session) => !excess.includes(session));
+    }
+
+    const ipLimit = this.limits.MAX_PER_IP;
+    if (await this.checkLimit(sessions.filter(({ data }) => data.ClientIp === clientIp), ipLimit)) {
+      throw admissionError(ADMISSION_ERROR_CODES.IP, 409, ipLimit,
+        `Too many active stream sessions from your network, the maximum is ${ipLimit}`);
+    }
+
+    const groupLimit = this.limits.MAX_PER_STREAM_GROUP;
+    const admitted = [];
+    for (const streamGroupId of streamGroupIds) {
+      if (!await this.checkLimit(sessions.filter(({ data }) => data.StreamGroupId === streamGroupId), groupLimit)) {
+        admitted.push(streamGroupId);
+      }
+    }
+    if (admitted.length === 0) {
+      throw admissionError(ADMISSION_ERROR_CODES.STREAM_GROUP, 429, groupLimit,
+        'All stream slots are in use, please try again later');
+    }
+    return admitted;
+  }
+}
+
+module.exports = {
+  AdmissionController,
+  ADMISSION_ERROR_CODES
+};
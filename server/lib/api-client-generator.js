@@ -0,0 +1,243 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Browser API client generator
+ * @description Writes public/api-client.js from the OpenAPI document of lib/openapi: a
+ * JSDoc typedef for each schema, and createApiClient(transport) with one method per
+ * operation tagged Sessions. index.html passes doPost, doGet and doEventStream as the
+ * transport, so the page keeps its rate limit retries, auth headers and API Gateway URLs.
+ *
+ * Run after changing the API, from the server directory:
+ *
+ *   npm run generate:api-client
+ *
+ * The tests fail when public/api-client.js is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createOpenApiDocument } = require('./openapi');
+const { listOperations } = require('./openapi-validator');
+
+/**
+ * Where the client is written
+ * @constant {string} API_CLIENT_FILE
+ */
+const API_CLIENT_FILE = path.join(__dirname, '..', 'public', 'api-client.js');
+
+/**
+ * Operations with this tag get a client method
+ * @constant {string} CLIENT_TAG
+ */
+const CLIENT_TAG = 'Sessions';
+
+/**
+ * Converts a schema to a JSDoc type expression
+ * @function jsDocType
+ * @param {Object} schema - JSON schema from the document
+ * @returns {string} Type expression, e.g. Array<string>
+ */
+function jsDocType(schema) {
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.enum || 'const' in schema) {
+    return (schema.enum || [schema.const]).map((value) => JSON.stringify(value).replace(/"/g, "'")).join('|');
+  }
+  if (Array.isArray(schema.type)) {
+    return `(${schema.type.map((type) => jsDocType({ ...schema, type })).join('|')})`;
+  }
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return schema.type;
+    case 'array':
+      return schema.items.properties ? 'Object[]' : `Array<${jsDocType(schema.items)}>`;
+    default:
+      return schema.additionalProperties ? `Object<string, ${jsDocType(schema.additionalProperties)}>` : 'Object';
+  }
+}
+
+/**
+ * Describes the properties of an object schema as JSDoc @property lines
+ * @function propertyLines
+ * @param {Object} schema - Object schema
+ * @param {string} [prefix=''] - Name of the enclosing property, for nested objects
+ * @returns {string[]} Lines without the leading ' * '
+ */
+function propertyLines(schema, prefix = '') {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).flatMap(([name, property]) => {
+    const fullName = `${prefix}${name}`;
+    const description = property.description ? ` - ${property.description}` : '';
+    const line = `@property {${jsDocType(property)}} ${required.includes(name) ? fullName : `[${fullName}]`}${description}`;
+    if (property.properties) {
+      return [line, ...propertyLines(property, `${fullName}.`)];
+    }
+    if (property.items && property.items.properties) {
+      return [line, ...propertyLines(property.items, `${fullName}[].`)];
+    }
+    return [line];
+  });
+}
+
+/**
+ * Finds the schemas an operation refers to, directly or through other schemas
+ * @function referencedSchemas
+ * @param {Object} document - OpenAPI document
+ * @param {Object} value - Part of the document to search
+ * @param {Set<string>} [names] - Schema names found so far
+ * @returns {Set<string>} Schema names
+ */
+function referencedSchemas(document, value, names = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => referencedSchemas(document, item, names));
+  } else if (value && typeof value === 'object') {
+    if (value.$ref && !names.has(jsDocType(value))) {
+      names.add(jsDocType(value));
+      referencedSchemas(document, document.components.schemas[jsDocType(value)], names);
+    }
+    Object.values(value).forEach((item) => referencedSchemas(document, item, names));
+  }
+  return names;
+}
+
+/**
+ * Formats a doc comment
+ * @function docComment
+ * @param {string[]} lines - Comment lines
+ * @param {string} indent - Indentation of the comment
+ * @returns {string} Comment block
+ */
+function docComment(lines, indent) {
+  return [`${indent}/**`, ...lines.map((line) => `${indent} * ${line}`.trimEnd()), `${indent} */`].join('\n');
+}
+
+/**
+ * Generates the client method of an operation
+ * @function operationMethod
+ * @param {Object} entry - Operation from listOperations
+ * @returns {string} Method source
+ */
+function operationMethod({ operationId, method, path: route, operation }) {
+  const success = Object.entries(operation.responses).filter(([status]) => status.startsWith('2'));
+  const eventStream = success.some(([, response]) => response.content && response.content['text/event-stream']);
+  const results = success
+    .map(([, response]) => response.content && response.content['application/json'])
+    .filter(Boolean)
+    .map((json) => jsDocType(json.schema));
+  const bodySchema = operation.requestBody && operation.requestBody.content['application/json'].schema;
+  const query = (operation.parameters || []).filter((parameter) => parameter.in === 'query');
+  if ((operation.parameters || []).some((parameter) => parameter.in !== 'query')) {
+    throw new Error(`${operationId}: only query parameters are supported`);
+  }
+
+  const doc = [operation.summary];
+  let params;
+  let call;
+  if (method === 'post' && eventStream) {
+    doc.push(`@param {${jsDocType(bodySchema)}} body - Request body`,
+      '@param {Function} onEvent - Called with (name, data) for each event',
+      '@returns {Promise<void>} Resolves when the server ends the stream');
+    params = 'body, onEvent';
+    call = `transport.eventStream('${route}', body, onEvent)`;
+  } else if (method === 'post') {
+    doc.push(`@param {${jsDocType(bodySchema)}} body - Request body`, `@returns {Promise<${results.join('|')}>}`);
+    params = 'body';
+    call = `transport.post('${route}', body)`;
+  } else if (method === 'get') {
+    if (query.length > 0) {
+      doc.push('@param {Object} [query] - Query parameters');
+      query.forEach((parameter) => doc.push(
+        `@param {${jsDocType(parameter.schema)}} [query.${parameter.name}]${parameter.description ? ` - ${parameter.description}` : ''}`));
+      params = 'query';
+      call = `transport.get('${route}' + apiQueryString(query))`;
+    } else {
+      params = '';
+      call = `transport.get('${route}')`;
+    }
+    doc.push(`@returns {Promise<${results.join('|')}>}`);
+  } else {
+    throw new Error(`${operationId}: ${method} is not supported`);
+  }
+  return `${docComment(doc, '        ')}\n        ${operationId}: (${params}) => ${call}`;
+}
+
+/**
+ * Generates the source of public/api-client.js
+ * @function generateApiClient
+ * @param {Object} document - OpenAPI document
+ * @returns {string} Client source
+ */
+function generateApiClient(document) {
+  const operations = listOperations(document).filter(({ operation }) => (operation.tags || []).includes(CLIENT_TAG));
+  const schemaNames = referencedSchemas(document, operations.map(({ operation }) => operation));
+  const typedefs = Object.entries(document.components.schemas)
+    .filter(([name]) => schemaNames.has(name))
+    .map(([name, schema]) => docComment([
+      ...(schema.description ? [schema.description] : []),
+      `@typedef {${jsDocType(schema)}} ${name}`,
+      ...propertyLines(schema)
+    ], ''));
+  const methods = operations.map(operationMethod);
+
+  return `/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Typed client of the stream session API
+ * @description Generated from the OpenAPI document in lib/openapi.js by
+ * lib/api-client-generator.js; run npm run generate:api-client instead of editing it.
+ */
+
+${typedefs.join('\n\n')}
+
+/**
+ * Builds a query string, leaving out parameters without a value
+ * @param {Object} [query] - Query parameters
+ * @returns {string} Query string with its leading ?, or an empty string
+ */
+function apiQueryString(query) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.append(name, value);
+        }
+    });
+    const text = params.toString();
+    return text ? \`?\${text}\` : '';
+}
+
+/**
+ * Creates the API client
+ * @param {Object} transport - Sends requests and parses JSON responses, rejecting on
+ * non-2xx status: post(path, body), get(path) and eventStream(path, body, onEvent)
+ * @returns {Object} One method per operation, named by its operationId
+ */
+function createApiClient(transport) {
+    return {
+${methods.join(',\n\n')}
+    };
+}
+`;
+}
+
+if (require.main === module) {
+  const { API_VERSION } = require('../config');
+  fs.writeFileSync(API_CLIENT_FILE, generateApiClient(createOpenApiDocument({ version: API_VERSION })));
+  console.log(`Wrote ${path.relative(process.cwd(), API_CLIENT_FILE)}`);
+}
+
+module.exports = {
+  API_CLIENT_FILE,
+  generateApiClient
+};
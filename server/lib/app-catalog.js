@@ -0,0 +1,183 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Server-side application catalog
+ * @description Lists the applications players may stream and the launch
+ * configuration for each, so that CreateStreamSession does not have to trust
+ * stream groups, launch arguments or environment variables sent by the browser.
+ * Every entry sets either one StreamGroupId or StreamGroupIds in order of preference,
+ * see lib/stream-groups. The catalog is a JSON file, or a YAML file when its name ends
+ * in .yaml or .yml.
+ * @requires joi
+ * @requires yaml
+ *
+ * @example
+ * // applications.json
+ * {
+ *   "Applications": [
+ *     {
+ *       "Id": "my-game",
+ *       "Name": "My Game",
+ *       "Description": "Open world adventure",
+ *       "ApplicationIdentifier": "a-000000000",
+ *       "StreamGroupIds": ["sg-000000000", "arn:aws:gameliftstreams:us-east-2:111122223333:streamgroup/sg-111111111"],
+ *       "Locations": ["us-west-2", "us-east-2"],
+ *       "SessionLengthSeconds": 3600,
+ *       "ExtensionSeconds": 1800,
+ *       "MaxExtensions": 2,
+ *       "AdditionalLaunchArgs": ["-windowed"],
+ *       "AdditionalEnvironmentVariables": { "QUALITY": "high" }
+ *     }
+ *   ]
+ * }
+ *
+ * @example
+ * # applications.yaml
+ * Applications:
+ *   - Id: my-game
+ *     Name: My Game
+ *     ApplicationIdentifier: a-000000000
+ *     StreamGroupId: sg-000000000
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const YAML = require('yaml');
+
+/**
+ * Stream group ID or ARN
+ * @constant {RegExp} STREAM_GROUP_PATTERN
+ */
+const STREAM_GROUP_PATTERN = /^(arn:.+[/])?sg-[a-zA-Z0-9]{5,}$/;
+
+/**
+ * Schema for a single catalog entry
+ * @constant {Joi.ObjectSchema} applicationSchema
+ */
+const applicationSchema = Joi.object({
+  Id: Joi.string().max(128).required(),
+  Name: Joi.string().max(256).default(Joi.ref('Id')),
+  Description: Joi.string().max(1024).allow('').default(''),
+  ApplicationIdentifier: Joi.string().pattern(/^(arn:.+[/])?a-[a-zA-Z0-9]{4,}$/).required(),
+  StreamGroupId: Joi.string().pattern(STREAM_GROUP_PATTERN),
+  StreamGroupIds: Joi.array().items(Joi.string().pattern(STREAM_GROUP_PATTERN)).min(1).unique(),
+  Locations: Joi.array().items(Joi.string()).min(1),
+  SessionLengthSeconds: Joi.number().integer().min(1),
+  ExtensionSeconds: Joi.number().integer().min(0),
+  MaxExtensions: Joi.number().integer().min(0),
+  AdditionalLaunchArgs: Joi.array().items(Joi.string()).default([]),
+  AdditionalEnvironmentVariables: Joi.object().pattern(Joi.string(), Joi.string()).default({})
+}).xor('StreamGroupId', 'StreamGroupIds');
+
+/**
+ * Schema for the catalog file
+ * @constant {Joi.ObjectSchema} catalogSchema
+ */
+const catalogSchema = Joi.object({
+  Applications: Joi.array().items(applicationSchema).unique('Id').required()
+});
+
+/**
+ * Immutable list of streamable applications
+ * @class ApplicationCatalog
+ */
+class ApplicationCatalog {
+  /**
+   * @constructor
+   * @param {Object[]} applications - Validated catalog entries
+   */
+  constructor(applications) {
+    this.applications = applications.map((application) => Object.freeze(application));
+  }
+
+  /**
+   * Lists the catalog fields that are safe to show to players
+   * @method listPublic
+   * @returns {Object[]} Entries with Id, Name, Description and Locations
+   */
+  listPublic() {
+    return this.applications.map(({ Id, Name, Description, Locations }) => ({
+      Id,
+      Name,
+      Description,
+      Locations
+    }));
+  }
+
+  /**
+   * Finds an entry by catalog Id or by GameLift Streams application identifier
+   * @method find
+   * @param {string} identifier - Catalog Id, application ID or application ARN
+   * @returns {Object|undefined} Catalog entry
+   */
+  find(identifier) {
+    if (!identifier) {
+      return undefined;
+    }
+    return this.applications.find((application) =>
+      application.Id === identifier || application.ApplicationIdentifier === identifier);
+  }
+
+  /**
+   * Lists the stream groups of an entry in order of preference
+   * @method streamGroupIds
+   * @param {Object} application - Catalog entry
+   * @returns {string[]} Stream group IDs or ARNs
+   */
+  streamGroupIds(application) {
+    return application.StreamGroupIds || [application.StreamGroupId];
+  }
+
+  /**
+   * Narrows the locations requested by the client to those the entry allows
+   * @method resolveLocations
+   * @param {Object} application - Catalog entry
+   * @param {string[]} [requested] - Locations requested by the client, in preference order
+   * @returns {string[]|undefined} Allowed locations, or undefined to use the stream group default
+   */
+  resolveLocations(application, requested) {
+    if (!application.Locations) {
+      return undefined;
+    }
+    if (!Array.isArray(requested)) {
+      return application.Locations;
+    }
+    const allowed = requested.filter((location) => application.Locations.includes(location));
+    return allowed.length > 0 ? allowed : application.Locations;
+  }
+}
+
+/**
+ * Loads and validates the catalog file
+ * @function loadApplicationCatalog
+ * @param {string} filePath - Path of the JSON or YAML catalog file
+ * @returns {ApplicationCatalog|null} Catalog, or null if the file does not exist
+ * @throws {Error} When the file is not valid JSON or YAML or does not match the schema
+ */
+function loadApplicationCatalog(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const isYaml = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+  const { value, error } = catalogSchema.validate(isYaml ? YAML.parse(raw) : JSON.parse(raw), { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid application catalog ${filePath}: ${error.message}`);
+  }
+  return new ApplicationCatalog(value.Applications);
+}
+
+module.exports = {
+  ApplicationCatalog,
+  loadApplicationCatalog
+};
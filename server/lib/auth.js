@@ -0,0 +1,374 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Bearer token authentication for the /api routes
+ * @description Verifies JWTs issued by an OIDC provider (or any JWT issuer) and
+ * attaches the caller identity to the request. Keys come from a JWKS URL, a local
+ * JWKS file, a PEM public key file, or a shared HMAC secret for local testing.
+ * @requires crypto
+ * @requires node-fetch
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Node.js digest and signature options for each supported JWS algorithm
+ * @constant {Object} ALGORITHMS
+ */
+const ALGORITHMS = {
+  HS256: { hmac: 'sha256' },
+  HS384: { hmac: 'sha384' },
+  HS512: { hmac: 'sha512' },
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { digest: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { digest: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * JWK key type and, for elliptic curves, curve each asymmetric algorithm requires
+ * @constant {Object} JWK_TYPES
+ */
+const JWK_TYPES = {
+  RS: { kty: 'RSA' },
+  PS: { kty: 'RSA' },
+  ES256: { kty: 'EC', crv: 'P-256' },
+  ES384: { kty: 'EC', crv: 'P-384' },
+  ES512: { kty: 'EC', crv: 'P-521' }
+};
+
+/**
+ * Creates an error carrying an HTTP status code for the global error handler
+ * @function authError
+ * @param {string} message - Error message
+ * @param {number} [statusCode=401] - HTTP status code
+ * @returns {Error} Error with statusCode property
+ */
+function authError(message, statusCode = 401) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decodes a base64url JSON segment of a JWT
+ * @function decodeSegment
+ * @param {string} segment - Base64url encoded segment
+ * @returns {Object} Parsed JSON object
+ * @throws {Error} 401 - When the segment is not a JSON object
+ */
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw authError('Malformed token');
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw authError('Malformed token');
+  }
+  return value;
+}
+
+/**
+ * Checks that a JWK can verify signatures of an algorithm
+ * @function jwkMatchesAlgorithm
+ * @param {Object} jwk - JSON Web Key
+ * @param {string} alg - Algorithm of the token header
+ * @returns {boolean} True when the key type, curve and any "alg" of the key match
+ */
+function jwkMatchesAlgorithm(jwk, alg) {
+  const expected = JWK_TYPES[alg] || JWK_TYPES[alg.slice(0, 2)];
+  return Boolean(expected)
+    && jwk.kty === expected.kty
+    && (!expected.crv || jwk.crv === expected.crv)
+    && (!jwk.alg || jwk.alg === alg);
+}
+
+/**
+ * Resolves verification keys from the configured key source
+ * @class KeyResolver
+ */
+class KeyResolver {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} [options.jwksUrl] - URL of a JWKS document, e.g. from OIDC discovery
+   * @param {string} [options.jwksFile] - Path of a local JWKS file
+   * @param {string} [options.publicKeyFile] - Path of a PEM public key
+   * @param {string} [options.sharedSecret] - Shared secret for HS* algorithms
+   * @param {number} [options.jwksCacheSeconds=600] - How long a fetched JWKS is reused
+   */
+  constructor({ jwksUrl, jwksFile, publicKeyFile, sharedSecret, jwksCacheSeconds = 600 }) {
+    this.jwksUrl = jwksUrl;
+    this.jwksCacheMs = jwksCacheSeconds * 1000;
+    this.jwksFetchedAt = 0;
+    this.jwks = jwksFile ? JSON.parse(fs.readFileSync(jwksFile, 'utf8')).keys : null;
+    this.publicKey = publicKeyFile ? crypto.createPublicKey(fs.readFileSync(publicKeyFile, 'utf8')) : null;
+    this.sharedSecret = sharedSecret ? Buffer.from(sharedSecret, 'utf8') : null;
+
+    if (!this.jwksUrl && !this.jwks && !this.publicKey && !this.sharedSecret) {
+      throw new Error('Authentication is enabled but no JWKS, public key or shared secret is configured');
+    }
+  }
+
+  /**
+   * Downloads the JWKS document if it has not been fetched recently
+   * @method refreshJwks
+   * @param {boolean} [force=false] - Fetch even if the cached copy is fresh
+   * @returns {Promise<void>}
+   */
+  async refreshJwks(force = false) {
+    if (!this.jwksUrl || (!force && Date.now() - this.jwksFetchedAt < this.jwksCacheMs)) {
+      return;
+    }
+    const fetch = require('node-fetch');
+    const response = await fetch(this.jwksUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS from ${this.jwksUrl}: ${response.status}`);
+    }
+    this.jwks = (await response.json()).keys;
+    this.jwksFetchedAt = Date.now();
+  }
+
+  /**
+   * Finds the key to verify a token signed with the given header
+   * @method resolve
+   * @param {Object} header - Decoded JWT header
+   * @returns {Promise<crypto.KeyObject|Buffer>} Public key or shared secret
+   * @throws {Error} 401 - When no matching key exists
+   */
+  async resolve(header) {
+    if (ALGORITHMS[header.alg].hmac) {
+      if (!this.sharedSecret) {
+        throw authError('Token algorithm not accepted');
+      }
+      return this.sharedSecret;
+    }
+
+    await this.refreshJwks();
+    let jwk = this.findJwk(header);
+    if (!jwk && this.jwksUrl) {
+      // Keys may have been rotated since the last fetch
+      await this.refreshJwks(true);
+      jwk = this.findJwk(header);
+    }
+    if (jwk) {
+      if (!jwkMatchesAlgorithm(jwk, header.alg)) {
+        throw authError('Token algorithm does not match its signing key');
+      }
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+    if (this.publicKey) {
+      return this.publicKey;
+    }
+    throw authError('No matching signing key');
+  }
+
+  /**
+   * Looks up a JWK by key id, or the only key when the token has no key id
+   * @method findJwk
+   * @param {Object} header - Decoded JWT header
+   * @returns {Object|undefined} Matching JWK
+   */
+  findJwk(header) {
+    if (!this.jwks) {
+      return undefined;
+    }
+    const candidates = this.jwks.filter((key) => !key.use || key.use === 'sig');
+    if (header.kid) {
+      return candidates.find((key) => key.kid === header.kid);
+    }
+    return candidates.length === 1 ? candidates[0] : undefined;
+  }
+}
+
+/**
+ * Verifies a compact JWT and returns its claims
+ * @function verifyJwt
+ * @param {string} token - Compact serialized JWT
+ * @param {KeyResolver} keyResolver - Source of verification keys
+ * @param {Object} [options]
+ * @param {string} [options.issuer] - Required "iss" claim
+ * @param {string} [options.audience] - Required entry in the "aud" claim
+ * @param {number} [options.clockToleranceSeconds=60] - Allowed clock skew
+ * @param {boolean} [options.requireExpiry=true] - Reject tokens without an "exp" claim;
+ * callers accepting tokens that never expire must pass false
+ * @returns {Promise<Object>} Verified claims
+ * @throws {Error} 401 - When the token is malformed, badly signed or not valid now
+ */
+async function verifyJwt(token, keyResolver, { issuer, audience, clockToleranceSeconds = 60, requireExpiry = true } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw authError('Malformed token');
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const claims = decodeSegment(payloadSegment);
+  const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : undefined;
+  if (!algorithm) {
+    throw authError('Token algorithm not accepted');
+  }
+
+  const key = await keyResolver.resolve(header);
+  const signingInput = Buffer.from(`${headerSegment}.${payloadSegment}`);
+  const signature = Buffer.from(signatureSegment, 'base64url');
+  let valid;
+  if (algorithm.hmac) {
+    const expected = crypto.createHmac(algorithm.hmac, key).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    valid = crypto.verify(algorithm.digest, signingInput, {
+      key,
+      padding: algorithm.padding,
+      dsaEncoding: algorithm.dsaEncoding
+    }, signature);
+  }
+  if (!valid) {
+    throw authError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' && requireExpiry) {
+    throw authError('Token has no expiry');
+  }
+  if (typeof claims.exp === 'number' && now - clockToleranceSeconds >= claims.exp) {
+    throw authError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + clockToleranceSeconds < claims.nbf) {
+    throw authError('Token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw authError('Token issuer not accepted');
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw authError('Token audience not accepted');
+    }
+  }
+  return claims;
+}
+
+/**
+ * Bearer token in an Authorization header
+ * @constant {RegExp} BEARER_PATTERN
+ */
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Creates a function resolving the caller of a request from its bearer JWT. The result
+ * is kept per request, so the rate limiter and the auth middleware verify a token once.
+ * @function createAuthenticator
+ * @param {Object} authConfig - config.AUTH section
+ * @returns {Function} Resolves a request to { id, claims }, or to null when authentication
+ * is disabled; rejects with a 401 error for a missing or invalid token
+ */
+function createAuthenticator(authConfig) {
+  if (!authConfig.ENABLED) {
+    return async () => null;
+  }
+
+  const keyResolver = new KeyResolver({
+    jwksUrl: authConfig.JWKS_URL,
+    jwksFile: authConfig.JWKS_FILE,
+    publicKeyFile: authConfig.PUBLIC_KEY_FILE,
+    sharedSecret: authConfig.SHARED_SECRET
+  });
+  const results = new WeakMap();
+
+  const verifyRequest = async (req) => {
+    const match = BEARER_PATTERN.exec(req.headers.authorization || '');
+    if (!match) {
+      throw authError('Missing bearer token');
+    }
+    const claims = await verifyJwt(match[1], keyResolver, {
+      issuer: authConfig.ISSUER,
+      audience: authConfig.AUDIENCE
+    });
+    const userId = claims[authConfig.USER_ID_CLAIM];
+    if (typeof userId !== 'string' || userId === '') {
+      throw authError(`Token has no ${authConfig.USER_ID_CLAIM} claim`);
+    }
+    return { id: userId, claims };
+  };
+
+  return (req) => {
+    if (!results.has(req)) {
+      results.set(req, verifyRequest(req));
+    }
+    return results.get(req);
+  };
+}
+
+/**
+ * Creates Express middleware that requires a valid bearer JWT
+ * @function createAuthMiddleware
+ * @param {Object} authConfig - config.AUTH section
+ * @param {Object} logger - Logger with info/error methods
+ * @param {Function} [authenticate] - Authenticator from createAuthenticator, to share its
+ * results with other middleware
+ * @returns {Function} Express middleware setting req.user = { id, claims }
+ *
+ * @description
+ * When authentication is disabled the middleware sets req.user to null, and routes
+ * fall back to the client-supplied UserId as before.
+ */
+function createAuthMiddleware(authConfig, logger, authenticate = createAuthenticator(authConfig)) {
+  if (!authConfig.ENABLED) {
+    return (req, res, next) => {
+      req.user = null;
+      next();
+    };
+  }
+
+  return async (req, res, next) => {
+    if (!BEARER_PATTERN.test(req.headers.authorization || '')) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized', message: 'Missing bearer token' });
+    }
+
+    try {
+      req.user = await authenticate(req);
+    } catch (error) {
+      logger.error('Bearer token rejected', {
+        correlationId: req.correlationId,
+        error: error.message
+      });
+      if (!error.statusCode) {
+        return res.status(503).json({ error: 'Authentication unavailable' });
+      }
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(error.statusCode).json({ error: 'Unauthorized', message: error.message });
+    }
+    next();
+  };
+}
+
+/**
+ * Checks whether the authenticated caller owns a connection token
+ * @function isOwner
+ * @param {Object|null} user - req.user set by the auth middleware
+ * @param {Object} connectionData - Session data stored for the token
+ * @returns {boolean} True when authentication is disabled or the caller is the owner
+ */
+function isOwner(user, connectionData) {
+  return !user || connectionData.OwnerId === user.id;
+}
+
+module.exports = {
+  KeyResolver,
+  verifyJwt,
+  createAuthenticator,
+  createAuthMiddleware,
+  isOwner
+};
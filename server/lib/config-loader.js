@@ -0,0 +1,326 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Layered configuration loader
+ * @description Builds the server configuration from, in increasing precedence:
+ * 1. the defaults in config.js
+ * 2. a JSON config file, config.json in the server directory unless --config or the
+ *    CONFIG_FILE environment variable names another one
+ * 3. environment variables, see ENVIRONMENT_VARIABLES in config.js
+ * 4. command line options, see COMMAND_LINE_OPTIONS in config.js
+ *
+ * The merged result is validated against lib/config-schema.js. Errors name the layer
+ * each bad value came from, so a typo in an environment variable is not reported as a
+ * broken default. The returned configuration is read-only, and reading a key that does
+ * not exist throws instead of silently returning undefined.
+ * @requires joi
+ *
+ * @example
+ * // config.json
+ * {
+ *   "GAMELIFT_STREAMS_REGION": "us-east-2",
+ *   "RATE_LIMIT": { "MAX_REQUESTS": 300 }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Command line option naming the config file
+ * @constant {string} CONFIG_FILE_OPTION
+ */
+const CONFIG_FILE_OPTION = '--config';
+
+/**
+ * Environment variable naming the config file
+ * @constant {string} CONFIG_FILE_VARIABLE
+ */
+const CONFIG_FILE_VARIABLE = 'CONFIG_FILE';
+
+/**
+ * Config file read when neither CONFIG_FILE_OPTION nor CONFIG_FILE_VARIABLE is set;
+ * unlike a named file it may be missing
+ * @constant {string} DEFAULT_CONFIG_FILE
+ */
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+/**
+ * Configuration keys are UPPER_CASE; other unknown properties, such as the then or
+ * toJSON probes of await and JSON.stringify, read as undefined as usual
+ * @constant {RegExp} CONFIG_KEY_PATTERN
+ */
+const CONFIG_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Error for a configuration that cannot be loaded or does not match the schema
+ * @class ConfigError
+ * @extends Error
+ */
+class ConfigError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - What is wrong with the configuration
+   * @param {string[]} [problems] - One line per invalid value
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}\n${problems.map((problem) => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Checks whether a value is a plain object, i.e. a configuration section
+ * @function isPlainObject
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep copies a configuration, e.g. to get a mutable copy of the read-only one
+ * @function cloneConfig
+ * @param {Object} config - Configuration or section
+ * @returns {Object} Plain, mutable copy
+ */
+function cloneConfig(config) {
+  if (Array.isArray(config)) {
+    return config.map(cloneConfig);
+  }
+  if (isPlainObject(config)) {
+    return Object.fromEntries(Object.entries(config).map(([key, value]) => [key, cloneConfig(value)]));
+  }
+  return config;
+}
+
+/**
+ * Makes a configuration read-only. Sections are frozen and wrapped in a proxy that
+ * throws on assignment and on reading unknown keys.
+ * @function readOnly
+ * @param {Object} config - Validated configuration, frozen in place
+ * @param {string} [prefix=''] - Path of the section, for error messages
+ * @returns {Object} Read-only configuration
+ */
+function readOnly(config, prefix = '') {
+  for (const [key, value] of Object.entries(config)) {
+    if (isPlainObject(value)) {
+      // Stored before freezing, so the proxy returns the frozen property's own value
+      config[key] = readOnly(value, `${prefix}${key}.`);
+    } else if (Array.isArray(value)) {
+      Object.freeze(value);
+    }
+  }
+  return new Proxy(Object.freeze(config), {
+    get(target, key, receiver) {
+      if (typeof key === 'string' && CONFIG_KEY_PATTERN.test(key) && !(key in target)) {
+        throw new ConfigError(`Unknown configuration key ${prefix}${key}`);
+      }
+      return Reflect.get(target, key, receiver);
+    },
+    set(target, key) {
+      throw new ConfigError(`Configuration is read-only, cannot set ${prefix}${String(key)}`);
+    },
+    deleteProperty(target, key) {
+      throw new ConfigError(`Configuration is read-only, cannot delete ${prefix}${String(key)}`);
+    }
+  });
+}
+
+/**
+ * Gets the value following an option on the command line
+ * @function getCommandLineValue
+ * @param {string[]} argv - Command line arguments
+ * @param {string} option - Option to search for, e.g. --region
+ * @returns {string|undefined} Value of the option if given
+ */
+function getCommandLineValue(argv, option) {
+  const index = argv.indexOf(option);
+  return index === -1 ? undefined : argv[index + 1];
+}
+
+/**
+ * Reads a value at a dotted path
+ * @function getPath
+ * @param {Object} config - Configuration
+ * @param {string} keyPath - e.g. RATE_LIMIT.WINDOW_MS
+ * @returns {*} Value, or undefined when a section is missing
+ */
+function getPath(config, keyPath) {
+  return keyPath.split('.').reduce((section, key) => (isPlainObject(section) ? section[key] : undefined), config);
+}
+
+/**
+ * Writes a value at a dotted path, creating missing sections
+ * @function setPath
+ * @param {Object} config - Configuration
+ * @param {string} keyPath - e.g. RATE_LIMIT.WINDOW_MS
+ * @param {*} value
+ * @returns {void}
+ */
+function setPath(config, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const section = keys.reduce((parent, key) => {
+    if (!isPlainObject(parent[key])) {
+      parent[key] = {};
+    }
+    return parent[key];
+  }, config);
+  section[last] = value;
+}
+
+/**
+ * Converts an environment variable or command line value to the shape of the default;
+ * the schema converts numbers and booleans
+ * @function parseText
+ * @param {string} text - Value as given
+ * @param {*} defaultValue - Default of the key
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {*} Comma separated lists as arrays, JSON objects as objects, anything else as is
+ * @throws {ConfigError} When an object value is not JSON
+ */
+function parseText(text, defaultValue, source) {
+  if (Array.isArray(defaultValue)) {
+    return text.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  if (isPlainObject(defaultValue)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError(`Invalid JSON in ${source}: ${error.message}`);
+    }
+  }
+  return text;
+}
+
+/**
+ * Deep merges a config file into the configuration. Sections merge key by key, any
+ * other value, arrays included, replaces the current one.
+ * @function mergeFile
+ * @param {Object} config - Configuration, updated in place
+ * @param {Object} overrides - Parsed config file or one of its sections
+ * @param {Map<string, string>} sources - Layer of each key set, updated in place
+ * @param {string} source - Description of the file
+ * @param {string} [prefix=''] - Path of the section
+ * @returns {void}
+ */
+function mergeFile(config, overrides, sources, source, prefix = '') {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (isPlainObject(value) && isPlainObject(config[key])) {
+      mergeFile(config[key], value, sources, source, `${prefix}${key}.`);
+    } else {
+      config[key] = cloneConfig(value);
+      sources.set(`${prefix}${key}`, source);
+    }
+  }
+}
+
+/**
+ * Reads the config file
+ * @function readConfigFile
+ * @param {string} filePath - Absolute path of the file
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Object|null} Parsed file, or null when an optional file is missing
+ * @throws {ConfigError} When the file cannot be read or is not a JSON object
+ */
+function readConfigFile(filePath, required) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return null;
+    }
+    throw new ConfigError(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in config file ${filePath}: ${error.message}`);
+  }
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(`Config file ${filePath} must contain a JSON object`);
+  }
+  return parsed;
+}
+
+/**
+ * Loads, validates and freezes the configuration
+ * @function loadConfig
+ * @param {Object} options
+ * @param {Object} options.defaults - Default configuration
+ * @param {Joi.ObjectSchema} options.schema - Schema the merged configuration must match
+ * @param {Object<string, string[]>} [options.environmentVariables] - Environment variables
+ * by dotted key path; the first one set wins
+ * @param {Object<string, string>} [options.commandLineOptions] - Dotted key path by command line option
+ * @param {Object<string, string>} [options.env=process.env] - Environment
+ * @param {string[]} [options.argv=process.argv] - Command line arguments
+ * @param {string} [options.baseDir=process.cwd()] - Directory relative config file paths start from
+ * @returns {Object} Read-only configuration
+ * @throws {ConfigError} When a layer cannot be read or the result does not match the schema
+ */
+function loadConfig({
+  defaults,
+  schema,
+  environmentVariables = {},
+  commandLineOptions = {},
+  env = process.env,
+  argv = process.argv,
+  baseDir = process.cwd()
+}) {
+  const config = cloneConfig(defaults);
+  const sources = new Map();
+
+  const namedFile = getCommandLineValue(argv, CONFIG_FILE_OPTION) || env[CONFIG_FILE_VARIABLE];
+  const filePath = path.resolve(baseDir, namedFile || DEFAULT_CONFIG_FILE);
+  const file = readConfigFile(filePath, Boolean(namedFile));
+  if (file) {
+    mergeFile(config, file, sources, `config file ${filePath}`);
+  }
+
+  for (const [keyPath, names] of Object.entries(environmentVariables)) {
+    const name = names.find((candidate) => env[candidate]);
+    if (name) {
+      const source = `environment variable ${name}`;
+      setPath(config, keyPath, parseText(env[name], getPath(defaults, keyPath), source));
+      sources.set(keyPath, source);
+    }
+  }
+
+  for (const [option, keyPath] of Object.entries(commandLineOptions)) {
+    const text = getCommandLineValue(argv, option);
+    if (text) {
+      const source = `command line option ${option}`;
+      setPath(config, keyPath, parseText(text, getPath(defaults, keyPath), source));
+      sources.set(keyPath, source);
+    }
+  }
+
+  const { value, error } = schema.validate(config, { abortEarly: false, errors: { wrap: { label: false } } });
+  if (error) {
+    throw new ConfigError('Invalid configuration:', error.details.map((detail) => {
+      const keyPath = detail.path.join('.');
+      // Report the layer of the value, or of the section that holds it
+      const layer = detail.path.map((key, index) => sources.get(detail.path.slice(0, detail.path.length - index).join('.')))
+        .find(Boolean);
+      return `${detail.message} (${layer || (keyPath ? 'default' : 'config')})`;
+    }));
+  }
+  return readOnly(value);
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  cloneConfig,
+  CONFIG_FILE_OPTION,
+  CONFIG_FILE_VARIABLE,
+  DEFAULT_CONFIG_FILE
+};
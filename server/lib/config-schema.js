@@ -0,0 +1,272 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Configuration schema
+ * @description Describes every key of config.js, so the merged configuration is checked
+ * once at startup instead of failing on the first request that reads a bad value. Keys
+ * not listed here are rejected, which catches misspelled keys in config files.
+ * The meaning of each key is documented with its default in config.js.
+ * @requires joi
+ */
+
+const Joi = require('joi');
+const { LOG_LEVELS } = require('./logger');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { ORIGIN_PATTERN } = require('./cors');
+
+/**
+ * Non-negative whole number, e.g. a duration or a limit where 0 disables it
+ * @constant {Joi.NumberSchema} count
+ */
+const count = Joi.number().integer().min(0);
+
+/**
+ * Positive whole number
+ * @constant {Joi.NumberSchema} positive
+ */
+const positive = Joi.number().integer().min(1);
+
+/**
+ * String that may be empty, for optional settings
+ * @constant {Joi.StringSchema} optionalString
+ */
+const optionalString = Joi.string().allow('');
+
+/**
+ * Comma separated list from an environment variable, or an array in a config file
+ * @constant {Joi.ArraySchema} stringList
+ */
+const stringList = Joi.array().items(Joi.string());
+
+/**
+ * GOOD and FAIR limits of a session quality metric
+ * @constant {Joi.ObjectSchema} qualityThreshold
+ */
+const qualityThreshold = Joi.object({
+  GOOD: Joi.number().min(0).required(),
+  FAIR: Joi.number().min(0).required()
+});
+
+/**
+ * Schema of the server configuration
+ * @constant {Joi.ObjectSchema} configSchema
+ */
+const configSchema = Joi.object({
+  LISTEN_PORT_HTTP: Joi.number().port().required(),
+  LISTEN_PORT_HTTPS: Joi.number().port().required(),
+  TLS_KEYFILE: Joi.string().required(),
+  TLS_CRTFILE: Joi.string().required(),
+  AWS_PROFILE: optionalString,
+  API_VERSION: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required(),
+  GENERAL_ERROR_STATUS_CODE: Joi.number().integer().min(400).max(599).required(),
+  STREAM_CONNECTION_TIMEOUT_SECONDS: positive.required(),
+  // GameLift Streams sessions last at most 24 hours
+  MAX_SESSION_LENGTH_SECONDS: positive.max(24 * 3600).required(),
+  STREAM_GROUP_ID: optionalString,
+  STREAM_GROUP_IDS: stringList.unique().required(),
+  GAMELIFT_STREAMS_REGION: Joi.string().pattern(/^[a-z]{2}(-[a-z]+)+-\d+$/).required(),
+  GAMELIFT_STREAMS_ENDPOINT: optionalString.uri(),
+
+  MOCK_GAMELIFT_STREAMS: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    ACTIVATION_DELAY_MS: count.required(),
+    TERMINATION_DELAY_MS: count.required(),
+    MAX_SESSIONS: count.required(),
+    PROBE_LATENCY_MS: Joi.object().pattern(Joi.string(), Joi.number().min(0)).required()
+  }).required(),
+
+  APPLICATION_CATALOG_FILE: Joi.string().required(),
+  JSON_BODY_LIMIT: Joi.alternatives(Joi.string().pattern(/^\d+(b|kb|mb|gb)$/i), positive).required(),
+
+  SHUTDOWN: Joi.object({
+    DRAIN_TIMEOUT_MS: count.required(),
+    CLEANUP_TIMEOUT_MS: count.required(),
+    OWNED_SESSIONS: Joi.string().valid('handoff', 'terminate').required()
+  }).required(),
+
+  CORS: Joi.object({
+    ALLOWED_ORIGINS: Joi.array().items(Joi.string().pattern(ORIGIN_PATTERN)
+      .message('{#label} must be an origin such as https://example.com or https://*.example.com')).required(),
+    MAX_AGE_SECONDS: count.required()
+  }).required(),
+
+  OPENAPI: Joi.object({
+    VALIDATE_RESPONSES: Joi.boolean().allow('').required()
+  }).required(),
+
+  RATE_LIMIT: Joi.object({
+    WINDOW_MS: positive.required(),
+    MAX_REQUESTS: positive.required(),
+    LOCAL_MAX_REQUESTS: positive.required(),
+    POLICIES: Joi.object().pattern(Joi.string().pattern(/^[A-Z][A-Z0-9_]*$/), Joi.object({
+      ROUTES: Joi.array().items(Joi.string().pattern(/^\/\S*$/)).min(1).required(),
+      WINDOW_MS: positive.required(),
+      MAX_REQUESTS: positive.required(),
+      LOCAL_MAX_REQUESTS: positive.default(Joi.ref('MAX_REQUESTS'))
+    })).required(),
+    STORE: Joi.object({
+      TYPE: Joi.string().valid('memory', 'file', 'redis').required(),
+      FILE_PATH: Joi.string().required(),
+      REDIS_URL: Joi.string().uri({ scheme: ['redis', 'rediss'] }).when('TYPE', {
+        is: 'redis',
+        then: Joi.required().messages({ 'string.empty': '{#label} is required for the redis store' }),
+        otherwise: Joi.allow('')
+      })
+    }).required()
+  }).required(),
+
+  SESSION_LIMITS: Joi.object({
+    MAX_PER_USER: count.required(),
+    MAX_PER_IP: count.required(),
+    MAX_PER_STREAM_GROUP: count.required(),
+    REPLACE_OLDEST_USER_SESSION: Joi.boolean().required()
+  }).required(),
+
+  QUEUE: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    TICKET_TIMEOUT_SECONDS: positive.required(),
+    ESTIMATED_SECONDS_PER_POSITION: count.required(),
+    POSITION_CACHE_MS: count.required(),
+    CAPACITY_ERROR_NAMES: stringList.required()
+  }).required(),
+
+  STREAM_GROUP_FAILOVER: Joi.object({
+    ERROR_NAMES: stringList.required()
+  }).required(),
+
+  SESSION_EVENTS: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    POLL_INTERVAL_MS: count.required(),
+    // Each check keeps queue tickets alive, so it must come before they time out
+    QUEUE_INTERVAL_MS: positive.max(Joi.ref('/QUEUE.TICKET_TIMEOUT_SECONDS', { adjust: (seconds) => seconds * 1000 - 1 }))
+      .message('{#label} must be shorter than QUEUE.TICKET_TIMEOUT_SECONDS').required(),
+    KEEPALIVE_INTERVAL_MS: positive.required()
+  }).required(),
+
+  SESSION_METRICS: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    RETENTION_SECONDS: positive.required(),
+    MAX_SAMPLES_PER_METRIC: positive.required(),
+    MAX_METRICS: positive.required(),
+    THRESHOLDS: Joi.object({
+      RTT_P95_MS: qualityThreshold.required(),
+      PACKET_LOSS_PERCENT: qualityThreshold.required(),
+      DROPPED_FRAMES_PERCENT: qualityThreshold.required(),
+      FPS_STABILITY: qualityThreshold.required()
+    }).required(),
+    STORE: Joi.object({
+      TYPE: Joi.string().valid('', 'memory', 'file', 'dynamodb').required(),
+      DIRECTORY: Joi.string().required(),
+      TABLE_NAME: optionalString.when('TYPE', {
+        is: 'dynamodb',
+        then: Joi.invalid('').messages({ 'any.invalid': '{#label} is required for the dynamodb metrics store' })
+      })
+    }).required()
+  }).required(),
+
+  WEBHOOKS: Joi.object({
+    URLS: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).required(),
+    SECRET: optionalString.required(),
+    EVENTS: Joi.array().items(Joi.string().valid(...Object.values(WEBHOOK_EVENTS))).required(),
+    MAX_ATTEMPTS: positive.required(),
+    INITIAL_BACKOFF_MS: count.required(),
+    TIMEOUT_MS: positive.required(),
+    DEAD_LETTER_FILE: Joi.string().required()
+  }).required(),
+
+  AUTH: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    JWKS_URL: optionalString.uri({ scheme: ['http', 'https'] }).required(),
+    JWKS_FILE: optionalString.required(),
+    PUBLIC_KEY_FILE: optionalString.required(),
+    SHARED_SECRET: optionalString.required(),
+    ISSUER: optionalString.required(),
+    AUDIENCE: optionalString.required(),
+    USER_ID_CLAIM: Joi.string().required()
+  }).required(),
+
+  ADMIN: Joi.object({
+    API_KEY: optionalString.required(),
+    ROLE: optionalString.required(),
+    ROLE_CLAIM: Joi.string().required()
+  }).required(),
+
+  METRICS: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    BEARER_TOKEN: optionalString.required(),
+    LATENCY_BUCKETS: Joi.array().items(Joi.number().positive()).min(1).required(),
+    ACTIVATION_BUCKETS: Joi.array().items(Joi.number().positive()).min(1).required()
+  }).required(),
+
+  LOGGING: Joi.object({
+    LEVEL: Joi.string().valid(...Object.keys(LOG_LEVELS)).required(),
+    TRANSPORTS: Joi.array().items(Joi.string().valid('console', 'file', 'emf')).min(1).required(),
+    FILE_PATH: Joi.string().required(),
+    FILE_MAX_BYTES: positive.required(),
+    FILE_MAX_FILES: count.required(),
+    EMF_NAMESPACE: Joi.string().required(),
+    REDACT_KEYS: stringList.required(),
+    REDACT_VALUES_OF: stringList.required()
+  }).required(),
+
+  REQUEST_TIMEOUT_MS: positive.required(),
+  TOKEN_CLEANUP_INTERVAL_MS: positive.required(),
+
+  SESSION_STORE: Joi.object({
+    TYPE: Joi.string().valid('', 'memory', 'file', 'dynamodb').required(),
+    DIRECTORY: Joi.string().required(),
+    TABLE_NAME: optionalString.when('TYPE', {
+      is: 'dynamodb',
+      then: Joi.invalid('').messages({ 'any.invalid': '{#label} is required for the dynamodb session store' })
+    }),
+    ENDPOINT: optionalString.uri().required(),
+    TOKEN_TTL_SECONDS: positive.required()
+  }).required(),
+
+  CONNECTION_TOKENS: Joi.object({
+    SIGNING_KEYS: stringList.required(),
+    SIGNING_KEYS_SECRET_ID: optionalString.required(),
+    CLOCK_TOLERANCE_SECONDS: count.required()
+  }).required(),
+
+  INVITES: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    TTL_SECONDS: positive.required()
+  }).required(),
+
+  IDLE: Joi.object({
+    ENABLED: Joi.boolean().required(),
+    HEARTBEAT_INTERVAL_SECONDS: positive.required(),
+    HEARTBEAT_TIMEOUT_SECONDS: positive.greater(Joi.ref('HEARTBEAT_INTERVAL_SECONDS'))
+      .message('{#label} must be longer than HEARTBEAT_INTERVAL_SECONDS').required(),
+    INPUT_IDLE_TIMEOUT_SECONDS: positive.required(),
+    WARNING_SECONDS: count.required()
+  }).required(),
+
+  SESSION_POLICY: Joi.object({
+    DEFAULT_LENGTH_SECONDS: positive.required(),
+    EXTENSION_SECONDS: count.required(),
+    MAX_EXTENSIONS: count.required(),
+    WARNING_THRESHOLDS_SECONDS: Joi.array().items(positive).required(),
+    ROLE_CLAIM: Joi.string().required(),
+    ROLE_POLICIES: Joi.object().pattern(Joi.string(), Joi.object({
+      SessionLengthSeconds: positive,
+      ExtensionSeconds: count,
+      MaxExtensions: count
+    })).required()
+  }).required(),
+
+  LOCATIONS: Joi.object({
+    CANDIDATES: stringList.min(1).required(),
+    PROBE_URL: Joi.string().pattern(/\{region\}/).message('{#label} must contain {region}').required(),
+    PROBE_COUNT: positive.required(),
+    MAX_LATENCY_MS: count.required()
+  }).required()
+});
+
+module.exports = {
+  configSchema
+};
@@ -0,0 +1,335 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Signed connection tokens
+ * @description Connection tokens are HS256 JWTs carrying what is needed to serve the
+ * stream session: its ARN, stream group, application, UserId, owner, session length,
+ * issue time and expiry. Any server instance holding the signing keys can verify a
+ * token and serve it, even when its session store has never seen the token.
+ *
+ * Claims are signed, not encrypted; clients can read them.
+ *
+ * Keys: config.CONNECTION_TOKENS.SIGNING_KEYS lists keys as "id:secret" or "secret".
+ * Deployments keep the same comma separated list in a Secrets Manager secret named by
+ * SIGNING_KEYS_SECRET_ID instead; it is read on first use and reloaded every
+ * SECRET_RELOAD_INTERVAL_MS. The first key signs new tokens and every listed key
+ * verifies them, picked by the "kid" header.
+ *
+ * Key rotation, so that no instance signs with a key the others cannot verify yet:
+ * 1. Add the new key second ("<old key>,<new key>"). Deploy, or with a secret wait
+ *    until every instance has reloaded it.
+ * 2. Move the new key first ("<new key>,<old key>") and deploy or wait again.
+ * 3. Drop the old key once SESSION_STORE.TOKEN_TTL_SECONDS has passed.
+ *
+ * Tokens of terminated sessions are revoked: their ID is kept in the session store
+ * until they expire, so a destroyed token cannot be replayed. Code ending a session
+ * calls forget() rather than deleting the token from the session store. Revocations only reach
+ * every instance when the instances share a session store, e.g. 'dynamodb'.
+ * @requires crypto
+ * @requires @aws-sdk/client-secrets-manager
+ */
+
+const crypto = require('crypto');
+const { verifyJwt } = require('./auth');
+
+/**
+ * Session store key prefix for revoked token IDs
+ * @constant {string} REVOKED_KEY_PREFIX
+ */
+const REVOKED_KEY_PREFIX = 'revoked:';
+
+/**
+ * Audience of connection tokens, so they are not mistaken for other JWTs signed with the same secret
+ * @constant {string} TOKEN_AUDIENCE
+ */
+const TOKEN_AUDIENCE = 'gameliftstreams-connection';
+
+/**
+ * How long keys read from Secrets Manager are used before the secret is read again
+ * @constant {number} SECRET_RELOAD_INTERVAL_MS
+ */
+const SECRET_RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Shortest accepted signing secret
+ * @constant {number} MIN_SECRET_LENGTH
+ */
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Parses configured signing keys
+ * @function parseSigningKeys
+ * @param {string[]} entries - Keys as "id:secret" or "secret"; keys without an ID get
+ * one derived from the secret
+ * @returns {Array<{id: string, secret: string}>} Keys, the signing key first
+ * @throws {Error} When a secret is shorter than MIN_SECRET_LENGTH or an ID repeats
+ */
+function parseSigningKeys(entries) {
+  const keys = entries.map((entry) => {
+    const separator = entry.indexOf(':');
+    const secret = separator === -1 ? entry : entry.slice(separator + 1);
+    const id = separator === -1
+      ? crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8)
+      : entry.slice(0, separator);
+    if (secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`Connection token key ${id} must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return { id, secret };
+  });
+  const ids = keys.map(({ id }) => id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Connection token key ID ${duplicate} is used more than once`);
+  }
+  return keys;
+}
+
+/**
+ * Seconds a token's session data should stay in the session store: until the token
+ * expires, and at least one second, as the stores take whole positive TTLs
+ * @function storeTtlSeconds
+ * @param {number} expiresAt - Token expiry, epoch milliseconds
+ * @returns {number} TTL in seconds
+ */
+function storeTtlSeconds(expiresAt) {
+  return Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+}
+
+/**
+ * Creates an error for a token that is not accepted
+ * @function tokenError
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 404, as for unknown tokens
+ */
+function tokenError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Issues, verifies and revokes connection tokens
+ * @class ConnectionTokens
+ */
+class ConnectionTokens {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.tokenConfig - config.CONNECTION_TOKENS section
+   * @param {number} options.maxLifetimeSeconds - Longest token lifetime,
+   * config.SESSION_STORE.TOKEN_TTL_SECONDS
+   * @param {Object} options.sessionStore - Session store holding revoked token IDs
+   * @param {Object} options.logger - Logger with warn method
+   * @param {Object} [options.secretsClient] - Secrets Manager client reading
+   * SIGNING_KEYS_SECRET_ID; created on first use when omitted
+   * @throws {Error} When a configured key is invalid
+   */
+  constructor({ tokenConfig, maxLifetimeSeconds, sessionStore, logger, secretsClient }) {
+    this.tokenConfig = tokenConfig;
+    this.maxLifetimeSeconds = maxLifetimeSeconds;
+    this.sessionStore = sessionStore;
+    this.logger = logger;
+    this.secretsClient = secretsClient;
+    this.keys = null;
+    this.keysLoadedAt = 0;
+    this.loadingKeys = null;
+    if (!tokenConfig.SIGNING_KEYS_SECRET_ID) {
+      this.keys = parseSigningKeys(tokenConfig.SIGNING_KEYS);
+      if (this.keys.length === 0) {
+        logger.warn('No connection token keys configured; tokens are signed with a per-process key '
+          + 'and are not accepted by other server instances or after a restart');
+        this.keys = [{ id: 'process', secret: crypto.randomBytes(32).toString('base64url') }];
+      }
+    }
+  }
+
+  /**
+   * Returns the signing keys, reading the Secrets Manager secret when it has not been
+   * read yet or SECRET_RELOAD_INTERVAL_MS has passed. When a reload fails the previous
+   * keys stay in use.
+   * @method loadKeys
+   * @returns {Promise<Array<{id: string, secret: string}>>} Keys, the signing key first
+   * @throws {Error} When the secret cannot be read the first time, or holds no valid keys
+   */
+  async loadKeys() {
+    const secretId = this.tokenConfig.SIGNING_KEYS_SECRET_ID;
+    if (!secretId || (this.keys && Date.now() - this.keysLoadedAt < SECRET_RELOAD_INTERVAL_MS)) {
+      return this.keys;
+    }
+    if (!this.loadingKeys) {
+      this.loadingKeys = this.readSecretKeys(secretId)
+        .then((keys) => {
+          this.keys = keys;
+          this.keysLoadedAt = Date.now();
+        })
+        .catch((error) => {
+          if (!this.keys) {
+            throw error;
+          }
+          this.logger.warn('Failed to reload connection token keys, using the previous keys', { error: error.message });
+        })
+        .finally(() => {
+          this.loadingKeys = null;
+        });
+    }
+    await this.loadingKeys;
+    return this.keys;
+  }
+
+  /**
+   * Reads signing keys from Secrets Manager
+   * @method readSecretKeys
+   * @param {string} secretId - Secret ARN or name
+   * @returns {Promise<Array<{id: string, secret: string}>>} Parsed keys
+   * @throws {Error} When the secret cannot be read or lists no keys
+   */
+  async readSecretKeys(secretId) {
+    if (!this.secretsClient) {
+      const { SecretsManager } = require('@aws-sdk/client-secrets-manager');
+      this.secretsClient = new SecretsManager({});
+    }
+    const { SecretString } = await this.secretsClient.getSecretValue({ SecretId: secretId });
+    const keys = parseSigningKeys((SecretString || '').split(',').map((key) => key.trim()).filter(Boolean));
+    if (keys.length === 0) {
+      throw new Error(`Secret ${secretId} holds no connection token keys`);
+    }
+    return keys;
+  }
+
+  /**
+   * Signs a token for a new stream session
+   * @method issue
+   * @param {Object} connectionData - Session data of CreateStreamSession
+   * @returns {Promise<{token: string, claims: Object}>} Token and its claims
+   */
+  async issue(connectionData) {
+    const issuedAt = Math.floor(connectionData.Timestamp / 1000);
+    const lifetime = Math.min(connectionData.SessionLengthSeconds || this.maxLifetimeSeconds, this.maxLifetimeSeconds);
+    const claims = {
+      jti: crypto.randomUUID(),
+      aud: TOKEN_AUDIENCE,
+      iat: issuedAt,
+      exp: issuedAt + lifetime,
+      sub: connectionData.UserId,
+      own: connectionData.OwnerId,
+      arn: connectionData.StreamSessionArn,
+      sg: connectionData.StreamGroupId,
+      app: connectionData.ApplicationIdentifier,
+      len: connectionData.SessionLengthSeconds,
+      end: connectionData.EndsAt ? Math.floor(connectionData.EndsAt / 1000) : undefined
+    };
+    const [key] = await this.loadKeys();
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: key.id })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', key.secret).update(`${header}.${payload}`).digest('base64url');
+    return { token: `${header}.${payload}.${signature}`, claims };
+  }
+
+  /**
+   * Verifies a token's signature, expiry and revocation
+   * @method verify
+   * @param {string} token - Connection token
+   * @returns {Promise<Object>} Verified claims
+   * @throws {Error} 404 - When the token is malformed, badly signed, expired or revoked
+   * @throws {Error} When the signing keys cannot be read
+   */
+  async verify(token) {
+    // Outside the try: a secret that cannot be read is a server error, not a bad token
+    await this.loadKeys();
+    let claims;
+    try {
+      claims = await verifyJwt(token, this, {
+        audience: TOKEN_AUDIENCE,
+        clockToleranceSeconds: this.tokenConfig.CLOCK_TOLERANCE_SECONDS,
+        requireExpiry: true
+      });
+    } catch (error) {
+      throw tokenError(error.message);
+    }
+    if (!claims.jti || !claims.arn) {
+      throw tokenError('Malformed token');
+    }
+    if (await this.sessionStore.get(REVOKED_KEY_PREFIX + claims.jti)) {
+      throw tokenError('Token revoked');
+    }
+    return claims;
+  }
+
+  /**
+   * Finds the secret for a token header; used by verifyJwt
+   * @method resolve
+   * @param {Object} header - Decoded JWT header
+   * @returns {Promise<string>} HMAC secret
+   * @throws {Error} When the algorithm is not HS256 or the key ID is unknown
+   */
+  async resolve(header) {
+    if (header.alg !== 'HS256') {
+      throw new Error('Token algorithm not accepted');
+    }
+    const key = this.keys.find(({ id }) => id === header.kid);
+    if (!key) {
+      throw new Error('Unknown signing key');
+    }
+    return key.secret;
+  }
+
+  /**
+   * Revokes a token until it expires
+   * @method revoke
+   * @param {string} tokenId - Token ID, the "jti" claim
+   * @param {number} expiresAt - Token expiry in epoch milliseconds
+   * @returns {Promise<void>}
+   */
+  async revoke(tokenId, expiresAt) {
+    const remainingSeconds = Math.ceil((expiresAt - Date.now()) / 1000) + this.tokenConfig.CLOCK_TOLERANCE_SECONDS;
+    if (remainingSeconds > 0) {
+      await this.sessionStore.put(REVOKED_KEY_PREFIX + tokenId, { RevokedAt: Date.now() }, remainingSeconds);
+    }
+  }
+
+  /**
+   * Ends a token's validity: revokes it and deletes its session data. Deleting the data
+   * alone is not enough, as instances that do not find it rebuild it from the claims.
+   * @method forget
+   * @param {string} token - Connection token
+   * @param {Object} connectionData - Session data stored for the token
+   * @returns {Promise<void>}
+   */
+  async forget(token, connectionData) {
+    await this.revoke(connectionData.TokenId, connectionData.ExpiresAt);
+    await this.sessionStore.delete(token);
+  }
+
+  /**
+   * Rebuilds session data from claims, for tokens this instance's store does not hold
+   * @method connectionDataFromClaims
+   * @param {Object} claims - Verified claims
+   * @returns {Object} Session data as stored by CreateStreamSession
+   */
+  connectionDataFromClaims(claims) {
+    return {
+      StreamGroupId: claims.sg,
+      StreamSessionArn: claims.arn,
+      ApplicationIdentifier: claims.app,
+      UserId: claims.sub,
+      OwnerId: claims.own,
+      SessionLengthSeconds: claims.len,
+      Timestamp: claims.iat * 1000,
+      EndsAt: claims.end ? claims.end * 1000 : undefined,
+      TokenId: claims.jti,
+      ExpiresAt: claims.exp * 1000
+    };
+  }
+}
+
+module.exports = {
+  ConnectionTokens,
+  SECRET_RELOAD_INTERVAL_MS,
+  parseSigningKeys,
+  REVOKED_KEY_PREFIX,
+  TOKEN_AUDIENCE,
+  storeTtlSeconds
+};
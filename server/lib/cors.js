@@ -0,0 +1,146 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Cross-Origin Resource Sharing with an origin allowlist
+ * @description Browsers may only call the API from the server's own origin and from the
+ * origins in config.CORS.ALLOWED_ORIGINS. Entries are exact origins such as
+ * https://play.example.com, or match every subdomain, such as https://*.example.com.
+ * Requests carrying any other Origin header are rejected with 403 before they reach a
+ * route, so a disallowed page cannot start sessions even with requests that need no
+ * preflight. Requests without an Origin header, e.g. from servers and scripts, are not
+ * affected.
+ *
+ * The single entry * allows every origin, without credentials, for development.
+ */
+
+/**
+ * Valid entry of config.CORS.ALLOWED_ORIGINS. A wildcard must be followed by at least
+ * two labels, so https://*.com is rejected.
+ * @constant {RegExp} ORIGIN_PATTERN
+ */
+const ORIGIN_PATTERN = /^(\*|https?:\/\/(\*\.[a-z0-9-]+(\.[a-z0-9-]+)+|[a-z0-9-]+(\.[a-z0-9-]+)*)(:\d{1,5})?)$/i;
+
+/**
+ * Methods and request headers the API accepts cross-origin
+ * @constant {Object} CORS_HEADERS
+ */
+const CORS_HEADERS = {
+  ALLOW_METHODS: 'GET, POST, DELETE, OPTIONS',
+  ALLOW_HEADERS: 'Content-Type, Authorization, X-Admin-Key',
+  // Lets the page read rate limit headers when served from another origin
+  EXPOSE_HEADERS: 'Retry-After, RateLimit, RateLimit-Policy'
+};
+
+/**
+ * Parses an allowlist entry
+ * @function parseOriginPattern
+ * @param {string} pattern - Entry matching ORIGIN_PATTERN, other than *
+ * @returns {{protocol: string, hostname: string, port: string, subdomains: boolean}}
+ */
+function parseOriginPattern(pattern) {
+  const subdomains = pattern.includes('://*.');
+  const url = new URL(pattern.replace('://*.', '://'));
+  return { protocol: url.protocol, hostname: url.hostname, port: url.port, subdomains };
+}
+
+/**
+ * Creates a function checking origins against an allowlist
+ * @function createOriginMatcher
+ * @param {string[]} allowedOrigins - Entries of config.CORS.ALLOWED_ORIGINS
+ * @returns {Function} Returns true for an Origin header value the allowlist matches
+ */
+function createOriginMatcher(allowedOrigins) {
+  const patterns = allowedOrigins.filter((pattern) => pattern !== '*').map(parseOriginPattern);
+
+  return (origin) => {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      return false;
+    }
+    // Browsers send serialized origins; anything else, such as a path, is not one
+    if (url.origin !== origin) {
+      return false;
+    }
+    return patterns.some(({ protocol, hostname, port, subdomains }) => url.protocol === protocol &&
+      url.port === port &&
+      (subdomains ? url.hostname.endsWith(`.${hostname}`) : url.hostname === hostname));
+  };
+}
+
+/**
+ * Checks whether a request comes from a page served by this server
+ * @function isSameOrigin
+ * @param {Express.Request} req - Express request object
+ * @param {string} origin - Origin header value
+ * @returns {boolean}
+ */
+function isSameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Creates Express middleware applying the CORS policy
+ * @function createCorsMiddleware
+ * @param {Object} corsConfig - config.CORS section
+ * @param {Object} logger - Logger with warn method
+ * @returns {Function} Express middleware
+ */
+function createCorsMiddleware(corsConfig, logger) {
+  const allowAll = corsConfig.ALLOWED_ORIGINS.includes('*');
+  const isAllowed = createOriginMatcher(corsConfig.ALLOWED_ORIGINS);
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    const preflight = req.method === 'OPTIONS' && Boolean(req.headers['access-control-request-method']);
+    if (!allowAll) {
+      // Caches must not serve a response allowing one origin to another
+      res.vary('Origin');
+    }
+    if (preflight) {
+      res.vary('Access-Control-Request-Method');
+      res.vary('Access-Control-Request-Headers');
+    }
+    if (!origin) {
+      return next();
+    }
+
+    if (allowAll) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (isAllowed(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    } else if (!isSameOrigin(req, origin)) {
+      logger.warn('Origin not allowed', {
+        correlationId: req.correlationId,
+        origin,
+        method: req.method,
+        path: req.path
+      });
+      return res.status(403).json({ error: 'Origin not allowed', correlationId: req.correlationId });
+    }
+    res.setHeader('Access-Control-Expose-Headers', CORS_HEADERS.EXPOSE_HEADERS);
+
+    if (preflight) {
+      res.setHeader('Access-Control-Allow-Methods', CORS_HEADERS.ALLOW_METHODS);
+      res.setHeader('Access-Control-Allow-Headers', CORS_HEADERS.ALLOW_HEADERS);
+      res.setHeader('Access-Control-Max-Age', String(corsConfig.MAX_AGE_SECONDS));
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ORIGIN_PATTERN,
+  createOriginMatcher,
+  createCorsMiddleware
+};
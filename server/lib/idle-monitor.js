@@ -0,0 +1,123 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Idle detection for stream sessions
+ * @description Clients send a heartbeat every config.IDLE.HEARTBEAT_INTERVAL_SECONDS
+ * while streaming, reporting how long the player has not touched the input devices.
+ * A session whose heartbeats stop, e.g. because the laptop lid was closed, or whose
+ * player stays idle for too long is reported by findIdleSessions so the server can
+ * terminate it instead of billing until SessionLengthSeconds runs out. Sessions that
+ * never sent a heartbeat, e.g. from clients predating heartbeats, are left alone.
+ */
+
+const { storeTtlSeconds } = require('./connection-tokens');
+
+/**
+ * Reasons a session is considered idle
+ * @constant {Object} IDLE_REASONS
+ */
+const IDLE_REASONS = {
+  HEARTBEAT_TIMEOUT: 'heartbeat-timeout',
+  INPUT_IDLE: 'input-idle'
+};
+
+/**
+ * Tracks heartbeats and finds idle sessions
+ * @class IdleMonitor
+ */
+class IdleMonitor {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.idleConfig - config.IDLE section
+   * @param {Object} options.sessionStore - Session store holding the connection data
+   */
+  constructor({ idleConfig, sessionStore }) {
+    this.idleConfig = idleConfig;
+    this.sessionStore = sessionStore;
+  }
+
+  /**
+   * Whether heartbeats are accepted and idle sessions terminated
+   * @method isEnabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.idleConfig.ENABLED;
+  }
+
+  /**
+   * Records a heartbeat in the connection data of a session
+   * @method heartbeat
+   * @param {string} token - Connection token
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {number} [idleSeconds] - Seconds since the player's last input, 0 if omitted
+   * @returns {Promise<Object>} Heartbeat interval, warning period and seconds until the
+   * session is terminated unless the player provides input
+   */
+  async heartbeat(token, connectionData, idleSeconds) {
+    const now = Date.now();
+    const idle = Number.isFinite(idleSeconds) && idleSeconds > 0 ? idleSeconds : 0;
+    connectionData.LastHeartbeatAt = now;
+    connectionData.LastInputAt = Math.max(connectionData.Timestamp || 0, now - idle * 1000);
+    await this.sessionStore.put(token, connectionData, storeTtlSeconds(connectionData.ExpiresAt));
+    return {
+      HeartbeatIntervalSeconds: this.idleConfig.HEARTBEAT_INTERVAL_SECONDS,
+      WarningSeconds: this.idleConfig.WARNING_SECONDS,
+      IdleTerminationInSeconds: Math.max(0,
+        Math.ceil((connectionData.LastInputAt - now) / 1000) + this.idleConfig.INPUT_IDLE_TIMEOUT_SECONDS)
+    };
+  }
+
+  /**
+   * Determines why a session is idle
+   * @method idleReason
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {string|undefined} One of IDLE_REASONS, or undefined if the session is in use
+   * or has never sent a heartbeat
+   */
+  idleReason(connectionData, now = Date.now()) {
+    if (!connectionData.LastHeartbeatAt) {
+      return undefined;
+    }
+    if (now - connectionData.LastHeartbeatAt >= this.idleConfig.HEARTBEAT_TIMEOUT_SECONDS * 1000) {
+      return IDLE_REASONS.HEARTBEAT_TIMEOUT;
+    }
+    if (now - connectionData.LastInputAt >= this.idleConfig.INPUT_IDLE_TIMEOUT_SECONDS * 1000) {
+      return IDLE_REASONS.INPUT_IDLE;
+    }
+    return undefined;
+  }
+
+  /**
+   * Lists the sessions that should be terminated for being idle
+   * @method findIdleSessions
+   * @returns {Promise<Array<{token: string, data: Object, reason: string}>>}
+   */
+  async findIdleSessions() {
+    if (!this.isEnabled()) {
+      return [];
+    }
+    const now = Date.now();
+    const idle = [];
+    for (const { token, data } of await this.sessionStore.list()) {
+      if (!data.StreamSessionArn) {
+        continue;
+      }
+      const reason = this.idleReason(data, now);
+      if (reason) {
+        idle.push({ token, data, reason });
+      }
+    }
+    return idle;
+  }
+}
+
+module.exports = {
+  IdleMonitor,
+  IDLE_REASONS
+};
@@ -0,0 +1,84 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Single-use invites for continuing a stream on another device
+ * @description An invite stands in for a connection token in ReconnectStreamSession
+ * only. It is kept in the session store under a random ID, so it cannot be used with
+ * any other route, and is deleted when redeemed or after config.INVITES.TTL_SECONDS.
+ * Redeeming an invite moves the session to the redeeming device, see
+ * ReconnectStreamSession.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Session store key prefix for invites
+ * @constant {string} INVITE_KEY_PREFIX
+ */
+const INVITE_KEY_PREFIX = 'invite:';
+
+/**
+ * Issues and redeems session invites
+ * @class SessionInvites
+ */
+class SessionInvites {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.inviteConfig - config.INVITES section
+   * @param {Object} options.sessionStore - Session store used to persist invites
+   */
+  constructor({ inviteConfig, sessionStore }) {
+    this.inviteConfig = inviteConfig;
+    this.sessionStore = sessionStore;
+  }
+
+  /**
+   * Whether invites are enabled
+   * @method isEnabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.inviteConfig.ENABLED;
+  }
+
+  /**
+   * Creates an invite for the session of a connection token
+   * @method create
+   * @param {string} token - Connection token of the session
+   * @returns {Promise<{InviteToken: string, ExpiresAt: string}>} Invite and its expiry
+   */
+  async create(token) {
+    const inviteToken = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = Date.now() + this.inviteConfig.TTL_SECONDS * 1000;
+    await this.sessionStore.put(INVITE_KEY_PREFIX + inviteToken, {
+      Token: token,
+      CreatedAt: Date.now()
+    }, this.inviteConfig.TTL_SECONDS);
+    return { InviteToken: inviteToken, ExpiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Redeems an invite, which cannot be used again afterwards
+   * @method redeem
+   * @param {string} inviteToken - Invite from create
+   * @returns {Promise<string|undefined>} Connection token the invite was created for, or
+   * undefined if the invite is unknown, expired or already redeemed
+   */
+  async redeem(inviteToken) {
+    if (!inviteToken || typeof inviteToken !== 'string') {
+      return undefined;
+    }
+    // Taken rather than read and deleted, so concurrent redemptions cannot both succeed
+    const invite = await this.sessionStore.take(INVITE_KEY_PREFIX + inviteToken);
+    return invite ? invite.Token : undefined;
+  }
+}
+
+module.exports = {
+  SessionInvites,
+  INVITE_KEY_PREFIX
+};
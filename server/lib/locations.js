@@ -0,0 +1,74 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Latency-based location selection
+ * @description Before starting a stream the client measures the round-trip time to
+ * each candidate location with a probe URL, see config.LOCATIONS.PROBE_URL, and sends
+ * the measurements to CreateStreamSession. The server orders the locations it allows
+ * by those measurements, so GameLift Streams tries the closest location first and
+ * falls back to the next one when it has no capacity.
+ */
+
+/**
+ * Placeholder for the location in probe URLs
+ * @constant {string} LOCATION_PLACEHOLDER
+ */
+const LOCATION_PLACEHOLDER = '{region}';
+
+/**
+ * Keeps the client's latency measurements that are usable
+ * @function parseLatencies
+ * @param {*} latencies - LocationLatencies from the request, { <location>: <milliseconds> }
+ * @returns {Object<string, number>} Non-negative finite measurements by location
+ */
+function parseLatencies(latencies) {
+  if (!latencies || typeof latencies !== 'object' || Array.isArray(latencies)) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(latencies)
+    .filter(([, latency]) => typeof latency === 'number' && Number.isFinite(latency) && latency >= 0));
+}
+
+/**
+ * Orders locations by measured latency. Locations without a measurement keep their
+ * order behind the measured ones.
+ * @function rankLocations
+ * @param {string[]} locations - Allowed locations, in preference order
+ * @param {Object<string, number>} latencies - Measurements from parseLatencies
+ * @param {number} [maxLatencyMs=0] - Measured locations slower than this are dropped,
+ * unless that would drop all of them; 0 keeps every location
+ * @returns {string[]} Locations, closest first
+ */
+function rankLocations(locations, latencies, maxLatencyMs = 0) {
+  let measured = locations.filter((location) => location in latencies)
+    .sort((a, b) => latencies[a] - latencies[b]);
+  const unmeasured = locations.filter((location) => !(location in latencies));
+  if (maxLatencyMs > 0) {
+    const acceptable = measured.filter((location) => latencies[location] <= maxLatencyMs);
+    if (acceptable.length > 0) {
+      measured = acceptable;
+    }
+  }
+  return [...measured, ...unmeasured];
+}
+
+/**
+ * Builds the probe URL of a location
+ * @function probeUrl
+ * @param {string} template - config.LOCATIONS.PROBE_URL
+ * @param {string} location - AWS Region or location name
+ * @returns {string}
+ */
+function probeUrl(template, location) {
+  return template.split(LOCATION_PLACEHOLDER).join(encodeURIComponent(location));
+}
+
+module.exports = {
+  LOCATION_PLACEHOLDER,
+  parseLatencies,
+  rankLocations,
+  probeUrl
+};
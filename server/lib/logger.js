@@ -0,0 +1,399 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Structured logger with levels, redaction and pluggable transports
+ * @description Every log line is one JSON object with timestamp, level, message,
+ * correlationId and the caller's metadata. Before a line reaches any transport:
+ * - values of credential and signaling fields (config.LOGGING.REDACT_KEYS) are
+ *   replaced with [REDACTED], at any depth and whatever the field name's case
+ * - values of environment variable maps (config.LOGGING.REDACT_VALUES_OF) are
+ *   redacted, keeping the variable names
+ * - the correlation ID of the request being handled is added when the caller did not
+ *   pass one, see withCorrelationId
+ *
+ * Transports receive the redacted entry and write it somewhere. Built in are 'console'
+ * (JSON on stdout), 'file' (size-rotated local file) and 'emf' (CloudWatch Embedded
+ * Metric Format); any object with a write(entry) method can be added.
+ * @requires async_hooks
+ */
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Log levels by severity
+ * @constant {Object<string, number>} LOG_LEVELS
+ */
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+/**
+ * Replacement for redacted values
+ * @constant {string} REDACTED
+ */
+const REDACTED = '[REDACTED]';
+
+// Holds the correlation ID of the request whose code is running
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a correlation ID that log lines written during it, including
+ * from callbacks and promises it starts, will carry
+ * @function withCorrelationId
+ * @param {string} correlationId - Request correlation ID
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withCorrelationId(correlationId, fn) {
+  return requestContext.run({ correlationId }, fn);
+}
+
+/**
+ * Copies a value for logging with sensitive fields redacted
+ * @function redact
+ * @param {*} value - Value to copy
+ * @param {Set<string>} redactKeys - Lower case field names whose values are redacted
+ * @param {Set<string>} redactValuesOf - Lower case field names of maps whose values are redacted
+ * @param {WeakSet} [seen] - Objects already being copied, to cut circular references
+ * @returns {*} Copy safe to log
+ */
+function redact(value, redactKeys, redactValuesOf, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item) => redact(item, redactKeys, redactValuesOf, seen));
+  } else {
+    copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const name = key.toLowerCase();
+      if (redactKeys.has(name) && item !== undefined && item !== null && item !== '') {
+        copy[key] = REDACTED;
+      } else if (redactValuesOf.has(name) && item && typeof item === 'object' && !Array.isArray(item)) {
+        copy[key] = Object.fromEntries(Object.keys(item).map((variable) => [variable, REDACTED]));
+      } else {
+        copy[key] = redact(item, redactKeys, redactValuesOf, seen);
+      }
+    });
+  }
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Resolves once the lines written to stdout and stderr so far have been handed to the
+ * operating system; writes to pipes are asynchronous
+ * @function flushStandardStreams
+ * @returns {Promise<void>}
+ */
+function flushStandardStreams() {
+  return Promise.all([process.stdout, process.stderr].map((stream) => new Promise((resolve) => {
+    if (!stream.writableLength) {
+      return resolve();
+    }
+    // Write callbacks run in order, so this one runs once the buffered lines are written
+    stream.write('', () => resolve());
+  }))).then(() => {});
+}
+
+/**
+ * Writes log lines as JSON to stdout, and warnings and errors to stderr
+ * @class ConsoleTransport
+ */
+class ConsoleTransport {
+  /**
+   * @method write
+   * @param {Object} entry - Redacted log entry
+   * @returns {void}
+   */
+  write(entry) {
+    const line = JSON.stringify(entry);
+    if (LOG_LEVELS[entry.level] >= LOG_LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * @method flush
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return flushStandardStreams();
+  }
+}
+
+/**
+ * Appends log lines to a local file, rotating it when it reaches its maximum size
+ * @class FileTransport
+ */
+class FileTransport {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.filePath - Log file
+   * @param {number} options.maxBytes - Size at which the file is rotated
+   * @param {number} options.maxFiles - Number of rotated files kept
+   */
+  constructor({ filePath, maxBytes, maxFiles }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    try {
+      this.size = fs.statSync(filePath).size;
+    } catch {
+      this.size = 0;
+    }
+  }
+
+  /**
+   * @method write
+   * @param {Object} entry - Redacted log entry
+   * @returns {void}
+   */
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    try {
+      if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+        this.rotate();
+      }
+      // Synchronous, so lines keep their order and survive a crash
+      fs.appendFileSync(this.filePath, line);
+      this.size += Buffer.byteLength(line);
+    } catch (error) {
+      console.error(`Failed to write log file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renames the log file to .1, shifting older files up and dropping the oldest
+   * @method rotate
+   * @returns {void}
+   */
+  rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+    this.size = 0;
+  }
+}
+
+/**
+ * Writes log lines in CloudWatch Embedded Metric Format, so CloudWatch Logs turns
+ * them into a LogCount metric per level and a duration metric for timed lines
+ * @class EmfTransport
+ */
+class EmfTransport {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.namespace - CloudWatch metric namespace
+   */
+  constructor({ namespace }) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * @method write
+   * @param {Object} entry - Redacted log entry
+   * @returns {void}
+   */
+  write(entry) {
+    const metrics = [{ Name: 'LogCount', Unit: 'Count' }];
+    if (typeof entry.duration === 'number') {
+      metrics.push({ Name: 'duration', Unit: 'Milliseconds' });
+    }
+    console.log(JSON.stringify({
+      ...entry,
+      LogCount: 1,
+      _aws: {
+        Timestamp: Date.parse(entry.timestamp),
+        CloudWatchMetrics: [{
+          Namespace: this.namespace,
+          Dimensions: [['level']],
+          Metrics: metrics
+        }]
+      }
+    }));
+  }
+
+  /**
+   * @method flush
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return flushStandardStreams();
+  }
+}
+
+/**
+ * Leveled JSON logger
+ * @class Logger
+ */
+class Logger {
+  /**
+   * @constructor
+   * @param {Object} [options]
+   * @param {string} [options.level='info'] - Minimum level written
+   * @param {Object[]} [options.transports] - Objects with a write(entry) method, defaults to the console
+   * @param {string[]} [options.redactKeys=[]] - Fields whose values are redacted
+   * @param {string[]} [options.redactValuesOf=[]] - Fields of maps whose values are redacted
+   * @param {Object} [options.context={}] - Fields added to every line
+   */
+  constructor({ level = 'info', transports = [new ConsoleTransport()], redactKeys = [], redactValuesOf = [], context = {} } = {}) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+    this.transports = transports;
+    this.redactKeys = new Set(redactKeys.map((key) => key.toLowerCase()));
+    this.redactValuesOf = new Set(redactValuesOf.map((key) => key.toLowerCase()));
+    this.context = context;
+  }
+
+  /**
+   * Checks whether lines of a level are written
+   * @method isLevelEnabled
+   * @param {string} level - Log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Creates a logger that adds fields to every line and shares this logger's transports
+   * @method child
+   * @param {Object} context - Fields to add
+   * @returns {Logger}
+   */
+  child(context) {
+    const child = Object.create(Logger.prototype);
+    Object.assign(child, this, { context: { ...this.context, ...context } });
+    return child;
+  }
+
+  /**
+   * Redacts and writes a log line to every transport
+   * @method log
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} [meta={}] - Fields of this line
+   * @param {Error} [error=null] - Error whose code is logged as errorCode
+   * @returns {void}
+   */
+  log(level, message, meta = {}, error = null) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    const store = requestContext.getStore();
+    const correlationId = meta.correlationId || this.context.correlationId || (store && store.correlationId);
+    const entry = redact({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      correlationId,
+      // Same value as correlationId, kept for existing log queries
+      requestId: correlationId,
+      errorCode: error ? error.code : undefined,
+      ...this.context,
+      ...meta
+    }, this.redactKeys, this.redactValuesOf);
+    this.transports.forEach((transport) => transport.write(entry));
+  }
+
+  debug(message, meta, error) {
+    this.log('debug', message, meta, error);
+  }
+
+  info(message, meta, error) {
+    this.log('info', message, meta, error);
+  }
+
+  warn(message, meta, error) {
+    this.log('warn', message, meta, error);
+  }
+
+  error(message, meta, error) {
+    this.log('error', message, meta, error);
+  }
+
+  /**
+   * Waits until the lines logged so far are written, e.g. before the process exits.
+   * Transports with asynchronous output implement flush().
+   * @method flush
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.transports.map((transport) => transport.flush && transport.flush()));
+  }
+}
+
+/**
+ * Creates a logger from config.LOGGING
+ * @function createLogger
+ * @param {Object} loggingConfig - config.LOGGING
+ * @param {Object} [options]
+ * @param {Object[]} [options.transports=[]] - Custom transports added to the configured ones
+ * @returns {Logger}
+ * @throws {Error} When a transport name or the level is unknown
+ */
+function createLogger(loggingConfig, { transports = [] } = {}) {
+  const configured = loggingConfig.TRANSPORTS.map((name) => {
+    switch (name) {
+      case 'console':
+        return new ConsoleTransport();
+      case 'file':
+        return new FileTransport({
+          filePath: loggingConfig.FILE_PATH,
+          maxBytes: loggingConfig.FILE_MAX_BYTES,
+          maxFiles: loggingConfig.FILE_MAX_FILES
+        });
+      case 'emf':
+        return new EmfTransport({ namespace: loggingConfig.EMF_NAMESPACE });
+      default:
+        throw new Error(`Unknown log transport: ${name}`);
+    }
+  });
+  return new Logger({
+    level: loggingConfig.LEVEL,
+    transports: [...configured, ...transports],
+    redactKeys: loggingConfig.REDACT_KEYS,
+    redactValuesOf: loggingConfig.REDACT_VALUES_OF
+  });
+}
+
+module.exports = {
+  Logger,
+  ConsoleTransport,
+  FileTransport,
+  EmfTransport,
+  LOG_LEVELS,
+  createLogger,
+  redact,
+  withCorrelationId
+};
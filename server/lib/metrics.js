@@ -0,0 +1,206 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Prometheus metrics for the stream server
+ * @description Collects, in a registry per app:
+ * - http_requests_total and http_request_duration_seconds per method, route and status
+ * - gameliftstreams_api_calls_total, gameliftstreams_api_errors_total and
+ *   gameliftstreams_api_duration_seconds per GameLift Streams operation
+ * - stream_session_tokens_active, read from the session store on each scrape
+ * - stream_session_activation_seconds, from CreateStreamSession to first ACTIVE
+ * - rate_limit_rejections_total
+ * - the prom-client default process and Node.js metrics
+ *
+ * Route labels use the Express route pattern, e.g. /api/admin/sessions/:token, so
+ * tokens and file names do not create new series.
+ * @requires prom-client
+ */
+
+const promClient = require('prom-client');
+
+/**
+ * GameLift Streams client operations that are instrumented
+ * @constant {string[]} GAMELIFT_OPERATIONS
+ */
+const GAMELIFT_OPERATIONS = [
+  'startStreamSession',
+  'getStreamSession',
+  'createStreamSessionConnection',
+  'terminateStreamSession'
+];
+
+/**
+ * Gets the route label of a finished request
+ * @function routeLabel
+ * @param {Express.Request} req - Express request object
+ * @returns {string} Matched route pattern, or 'unmatched' for static files and 404s
+ */
+function routeLabel(req) {
+  return req.route && typeof req.route.path === 'string' ? req.route.path : 'unmatched';
+}
+
+/**
+ * Prometheus metrics of one app
+ * @class ServerMetrics
+ */
+class ServerMetrics {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.metricsConfig - config.METRICS
+   * @param {Object} options.sessionStore - Session store holding connection tokens
+   * @param {Object} options.logger - Logger with info and error methods
+   */
+  constructor({ metricsConfig, sessionStore, logger }) {
+    this.metricsConfig = metricsConfig;
+    this.logger = logger;
+    this.registry = new promClient.Registry();
+    promClient.collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+    this.httpRequests = new promClient.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status_code'],
+      registers
+    });
+    this.httpRequestDuration = new promClient.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method, route and status code',
+      labelNames: ['method', 'route', 'status_code'],
+      buckets: metricsConfig.LATENCY_BUCKETS,
+      registers
+    });
+    this.gameliftCalls = new promClient.Counter({
+      name: 'gameliftstreams_api_calls_total',
+      help: 'GameLift Streams API calls by operation',
+      labelNames: ['operation'],
+      registers
+    });
+    this.gameliftErrors = new promClient.Counter({
+      name: 'gameliftstreams_api_errors_total',
+      help: 'Failed GameLift Streams API calls by operation and error name',
+      labelNames: ['operation', 'error'],
+      registers
+    });
+    this.gameliftDuration = new promClient.Histogram({
+      name: 'gameliftstreams_api_duration_seconds',
+      help: 'GameLift Streams API latency by operation',
+      labelNames: ['operation'],
+      buckets: metricsConfig.LATENCY_BUCKETS,
+      registers
+    });
+    this.activationDuration = new promClient.Histogram({
+      name: 'stream_session_activation_seconds',
+      help: 'Time from CreateStreamSession until the session was first seen ACTIVE',
+      buckets: metricsConfig.ACTIVATION_BUCKETS,
+      registers
+    });
+    this.rateLimitRejections = new promClient.Counter({
+      name: 'rate_limit_rejections_total',
+      help: 'Requests rejected by the rate limiter',
+      registers
+    });
+
+    const self = this;
+    this.activeTokens = new promClient.Gauge({
+      name: 'stream_session_tokens_active',
+      help: 'Connection tokens in the session store',
+      registers,
+      async collect() {
+        try {
+          const entries = await sessionStore.list();
+          this.set(entries.filter(({ data }) => data && data.StreamSessionArn).length);
+        } catch (error) {
+          self.logger.error('Failed to count connection tokens for metrics', { error: error.message });
+        }
+      }
+    });
+  }
+
+  /**
+   * Records a finished HTTP request
+   * @method observeRequest
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @param {number} durationMs - Time from receiving the request to finishing the response
+   * @returns {void}
+   */
+  observeRequest(req, res, durationMs) {
+    const labels = { method: req.method, route: routeLabel(req), status_code: String(res.statusCode) };
+    this.httpRequests.inc(labels);
+    this.httpRequestDuration.observe(labels, durationMs / 1000);
+  }
+
+  /**
+   * Records the time a session took to become ACTIVE
+   * @method observeActivation
+   * @param {number} seconds - Time from CreateStreamSession to first ACTIVE
+   * @returns {void}
+   */
+  observeActivation(seconds) {
+    this.activationDuration.observe(seconds);
+  }
+
+  /**
+   * Records a request rejected by the rate limiter
+   * @method countRateLimitRejection
+   * @returns {void}
+   */
+  countRateLimitRejection() {
+    this.rateLimitRejections.inc();
+  }
+
+  /**
+   * Wraps a GameLift Streams client so its calls are counted and timed
+   * @method instrumentGameLiftStreams
+   * @param {Object} client - GameLift Streams client, called back or awaited like the AWS SDK client
+   * @returns {Object} Client with the same methods, in both calling styles
+   */
+  instrumentGameLiftStreams(client) {
+    const instrumented = Object.create(client);
+    GAMELIFT_OPERATIONS.forEach((operation) => {
+      instrumented[operation] = (input, callback) => {
+        this.gameliftCalls.inc({ operation });
+        const endTimer = this.gameliftDuration.startTimer({ operation });
+        const record = (error) => {
+          endTimer();
+          if (error) {
+            this.gameliftErrors.inc({ operation, error: error.name || 'Error' });
+          }
+        };
+        if (typeof callback === 'function') {
+          return client[operation](input, (error, data) => {
+            record(error);
+            callback(error, data);
+          });
+        }
+        return client[operation](input).then((data) => {
+          record();
+          return data;
+        }, (error) => {
+          record(error);
+          throw error;
+        });
+      };
+    });
+    return instrumented;
+  }
+
+  /**
+   * Renders all metrics in the Prometheus text format
+   * @method render
+   * @returns {Promise<{contentType: string, body: string}>}
+   */
+  async render() {
+    return { contentType: this.registry.contentType, body: await this.registry.metrics() };
+  }
+}
+
+module.exports = {
+  ServerMetrics,
+  GAMELIFT_OPERATIONS
+};
@@ -0,0 +1,304 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview In-process fake of the GameLift Streams client
+ * @description Implements the client methods the server uses, with the same
+ * callback and promise calling styles as the AWS SDK client:
+ * - startStreamSession: creates a session in ACTIVATING status, which becomes
+ *   ACTIVE after the activation delay and TERMINATED when its session length elapses
+ * - getStreamSession: returns the current session state
+ * - createStreamSessionConnection: returns a new signal response for an ACTIVE session
+ * - terminateStreamSession: moves the session to TERMINATING, then TERMINATED
+ *
+ * Signal responses are placeholders, so a browser cannot complete the WebRTC
+ * connection; everything up to that point runs without AWS credentials or network.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates an error shaped like an AWS SDK service exception
+ * @function serviceError
+ * @param {string} name - Exception name, e.g. ResourceNotFoundException
+ * @param {number} httpStatusCode - HTTP status code of the exception
+ * @param {string} message - Error message
+ * @returns {Error} Error with name and $metadata.httpStatusCode
+ */
+function serviceError(name, httpStatusCode, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.$fault = httpStatusCode >= 500 ? 'server' : 'client';
+  error.$metadata = { httpStatusCode };
+  return error;
+}
+
+/**
+ * Fake GameLift Streams client with simulated session state transitions
+ * @class MockGameLiftStreams
+ */
+class MockGameLiftStreams {
+  /**
+   * @constructor
+   * @param {Object} [options]
+   * @param {number} [options.activationDelayMs=3000] - Time from ACTIVATING to ACTIVE
+   * @param {number} [options.terminationDelayMs=1000] - Time from TERMINATING to TERMINATED
+   * @param {number} [options.maxSessions=0] - Concurrent sessions per stream group before
+   * startStreamSession fails with ServiceQuotaExceededException, 0 for unlimited
+   * @param {string} [options.region='us-west-2'] - Region used in generated ARNs
+   */
+  constructor({ activationDelayMs = 3000, terminationDelayMs = 1000, maxSessions = 0, region = 'us-west-2' } = {}) {
+    this.activationDelayMs = activationDelayMs;
+    this.terminationDelayMs = terminationDelayMs;
+    this.maxSessions = maxSessions;
+    this.region = region;
+    // StreamSessionArn -> session state
+    this.sessions = new Map();
+    // Operation name -> queue of { error, times }
+    this.failures = new Map();
+  }
+
+  /**
+   * Makes the next calls of an operation fail
+   * @method injectFailure
+   * @param {string} operation - Method name, e.g. 'startStreamSession'
+   * @param {Error|Function} error - Error to throw, or a function called with the
+   * input that returns an error or undefined to let the call through
+   * @param {Object} [options]
+   * @param {number} [options.times=1] - Number of calls to fail, Infinity for all
+   * @returns {void}
+   */
+  injectFailure(operation, error, { times = 1 } = {}) {
+    if (!this.failures.has(operation)) {
+      this.failures.set(operation, []);
+    }
+    this.failures.get(operation).push({ error, times });
+  }
+
+  /**
+   * Removes all injected failures
+   * @method clearFailures
+   * @returns {void}
+   */
+  clearFailures() {
+    this.failures.clear();
+  }
+
+  /**
+   * Completes activation of an ACTIVATING session immediately
+   * @method activateSession
+   * @param {string} streamSessionArn - Stream session ARN
+   * @returns {void}
+   */
+  activateSession(streamSessionArn) {
+    const session = this.sessions.get(streamSessionArn);
+    if (session && session.Status === 'ACTIVATING') {
+      session.SignalResponse = this.signalResponse(session);
+      this.transition(session, 'ACTIVE');
+    }
+  }
+
+  /**
+   * Puts a session in ERROR status, as when the application fails to launch
+   * @method failSession
+   * @param {string} streamSessionArn - Stream session ARN
+   * @param {string} [statusReason='internalError'] - Reported StatusReason
+   * @returns {void}
+   */
+  failSession(streamSessionArn, statusReason = 'internalError') {
+    const session = this.sessions.get(streamSessionArn);
+    if (session) {
+      this.transition(session, 'ERROR', statusReason);
+    }
+  }
+
+  /**
+   * Cancels pending state transitions, e.g. at the end of a test
+   * @method reset
+   * @returns {void}
+   */
+  reset() {
+    this.sessions.forEach((session) => clearTimeout(session.timer));
+    this.sessions.clear();
+    this.clearFailures();
+  }
+
+  /**
+   * Runs an operation, applying injected failures and the caller's calling style
+   * @method invoke
+   * @param {string} operation - Method name
+   * @param {Object} input - Operation input
+   * @param {Function} [callback] - Node-style callback; a promise is returned when omitted
+   * @param {Function} handler - Synchronous implementation returning the output
+   * @returns {Promise<Object>|undefined}
+   */
+  invoke(operation, input, callback, handler) {
+    const promise = new Promise((resolve) => {
+      // Resolve asynchronously like a network call
+      setImmediate(resolve);
+    }).then(() => {
+      const injected = this.takeFailure(operation, input);
+      if (injected) {
+        throw injected;
+      }
+      return handler(input);
+    });
+    if (typeof callback === 'function') {
+      promise.then((data) => callback(null, data), (error) => callback(error));
+      return undefined;
+    }
+    return promise;
+  }
+
+  /**
+   * Consumes the next injected failure of an operation
+   * @method takeFailure
+   * @param {string} operation - Method name
+   * @param {Object} input - Operation input
+   * @returns {Error|undefined} Error to throw
+   */
+  takeFailure(operation, input) {
+    const queue = this.failures.get(operation);
+    if (!queue || queue.length === 0) {
+      return undefined;
+    }
+    const failure = queue[0];
+    const error = typeof failure.error === 'function' ? failure.error(input) : failure.error;
+    if (!error) {
+      return undefined;
+    }
+    failure.times--;
+    if (failure.times <= 0) {
+      queue.shift();
+    }
+    return error;
+  }
+
+  /**
+   * Finds a session by stream group and ARN
+   * @method findSession
+   * @param {Object} input - Input with Identifier and StreamSessionIdentifier
+   * @returns {Object} Session state
+   * @throws {Error} ResourceNotFoundException
+   */
+  findSession({ Identifier, StreamSessionIdentifier }) {
+    const session = this.sessions.get(StreamSessionIdentifier);
+    if (!session || !Identifier || !session.StreamGroupArn.endsWith(Identifier.split('/').pop())) {
+      throw serviceError('ResourceNotFoundException', 404, `Stream session ${StreamSessionIdentifier} not found`);
+    }
+    return session;
+  }
+
+  /**
+   * Moves a session to a new status, scheduling the next transition
+   * @method transition
+   * @param {Object} session - Session state
+   * @param {string} status - New status
+   * @param {string} [statusReason] - Reason for ERROR or TERMINATED
+   * @returns {void}
+   */
+  transition(session, status, statusReason) {
+    clearTimeout(session.timer);
+    session.Status = status;
+    session.StatusReason = statusReason;
+    session.LastUpdatedAt = new Date();
+
+    const schedule = (delayMs, next) => {
+      session.timer = setTimeout(next, delayMs);
+      session.timer.unref();
+    };
+    if (status === 'ACTIVATING') {
+      schedule(this.activationDelayMs, () => this.activateSession(session.Arn));
+    } else if (status === 'ACTIVE') {
+      schedule(session.SessionLengthSeconds * 1000, () => this.transition(session, 'TERMINATED', 'sessionLengthExceeded'));
+    } else if (status === 'TERMINATING') {
+      schedule(this.terminationDelayMs, () => this.transition(session, 'TERMINATED', 'apiTerminated'));
+    }
+  }
+
+  /**
+   * Builds a placeholder signal response
+   * @method signalResponse
+   * @param {Object} session - Session state
+   * @returns {string} Signal response
+   */
+  signalResponse(session) {
+    return JSON.stringify({ mock: true, sessionArn: session.Arn, nonce: crypto.randomUUID() });
+  }
+
+  /**
+   * Describes a session the way GetStreamSession does
+   * @method describe
+   * @param {Object} session - Session state
+   * @returns {Object} GetStreamSession output
+   */
+  describe(session) {
+    const output = { ...session, $metadata: { httpStatusCode: 200, requestId: crypto.randomUUID() } };
+    delete output.timer;
+    return output;
+  }
+
+  startStreamSession(input, callback) {
+    return this.invoke('startStreamSession', input, callback, () => {
+      if (!input.Identifier || !input.ApplicationIdentifier || !input.SignalRequest || !input.Protocol) {
+        throw serviceError('ValidationException', 400,
+          'Identifier, ApplicationIdentifier, Protocol and SignalRequest are required');
+      }
+      const streamGroupId = input.Identifier.split('/').pop();
+      const running = [...this.sessions.values()].filter((session) =>
+        session.StreamGroupArn.endsWith(streamGroupId) && ['ACTIVATING', 'ACTIVE'].includes(session.Status));
+      if (this.maxSessions > 0 && running.length >= this.maxSessions) {
+        throw serviceError('ServiceQuotaExceededException', 400, 'No available capacity in the stream group');
+      }
+
+      const id = crypto.randomBytes(6).toString('hex');
+      const session = {
+        Arn: `arn:aws:gameliftstreams:${this.region}:000000000000:streamsession/${streamGroupId}/${id}`,
+        StreamGroupArn: `arn:aws:gameliftstreams:${this.region}:000000000000:streamgroup/${streamGroupId}`,
+        ApplicationArn: `arn:aws:gameliftstreams:${this.region}:000000000000:application/${input.ApplicationIdentifier.split('/').pop()}`,
+        UserId: input.UserId,
+        Protocol: input.Protocol,
+        Location: (input.Locations && input.Locations[0]) || this.region,
+        SessionLengthSeconds: input.SessionLengthSeconds || 43200,
+        AdditionalLaunchArgs: input.AdditionalLaunchArgs,
+        AdditionalEnvironmentVariables: input.AdditionalEnvironmentVariables,
+        CreatedAt: new Date()
+      };
+      this.sessions.set(session.Arn, session);
+      this.transition(session, 'ACTIVATING');
+      return this.describe(session);
+    });
+  }
+
+  getStreamSession(input, callback) {
+    return this.invoke('getStreamSession', input, callback, () => this.describe(this.findSession(input)));
+  }
+
+  createStreamSessionConnection(input, callback) {
+    return this.invoke('createStreamSessionConnection', input, callback, () => {
+      const session = this.findSession(input);
+      if (session.Status !== 'ACTIVE') {
+        throw serviceError('ConflictException', 409, `Stream session is ${session.Status}`);
+      }
+      session.SignalResponse = this.signalResponse(session);
+      return { SignalResponse: session.SignalResponse, $metadata: { httpStatusCode: 200 } };
+    });
+  }
+
+  terminateStreamSession(input, callback) {
+    return this.invoke('terminateStreamSession', input, callback, () => {
+      const session = this.findSession(input);
+      if (!['TERMINATING', 'TERMINATED'].includes(session.Status)) {
+        this.transition(session, 'TERMINATING');
+      }
+      return { $metadata: { httpStatusCode: 200 } };
+    });
+  }
+}
+
+module.exports = {
+  MockGameLiftStreams,
+  serviceError
+};
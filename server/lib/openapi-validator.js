@@ -0,0 +1,180 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Request and response validation against the OpenAPI document
+ * @description Each route names its operation in the document of lib/openapi. Requests
+ * whose body, path or query parameters do not match the operation are rejected with 400
+ * before they reach the route:
+ *
+ *   { error: 'Invalid request', errors: [{ path: 'body.Token', message: '...' }], correlationId }
+ *
+ * With config.OPENAPI.VALIDATE_RESPONSES, JSON responses are checked against the
+ * operation's response for their status code too, and mismatches are logged as errors,
+ * so drift between the routes and the document shows up during development. The
+ * response is sent either way.
+ * @requires ajv
+ */
+
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+/**
+ * Log message of responses that do not match their schema
+ * @constant {string} RESPONSE_MISMATCH
+ */
+const RESPONSE_MISMATCH = 'Response does not match the API specification';
+
+/**
+ * Describes the errors of a failed validation
+ * @function describeErrors
+ * @param {string} location - Part of the request or response that was validated
+ * @param {Object[]} errors - Ajv errors
+ * @returns {Object[]} Errors with path, e.g. body.Token, and message
+ */
+function describeErrors(location, errors) {
+  return errors.map((error) => {
+    const segments = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+    return { path: [location, ...segments].join('.'), message: error.message };
+  });
+}
+
+/**
+ * Schema of an object holding the parameters of an operation in one location
+ * @function parametersSchema
+ * @param {Object[]} parameters - Parameter objects of the operation
+ * @param {string} location - 'path' or 'query'
+ * @returns {Object|null} Object schema, or null without parameters in the location
+ */
+function parametersSchema(parameters, location) {
+  const inLocation = parameters.filter((parameter) => parameter.in === location);
+  if (inLocation.length === 0) {
+    return null;
+  }
+  return {
+    type: 'object',
+    properties: Object.fromEntries(inLocation.map((parameter) => [parameter.name, parameter.schema])),
+    required: inLocation.filter((parameter) => parameter.required).map((parameter) => parameter.name)
+  };
+}
+
+/**
+ * Finds the operations of an OpenAPI document
+ * @function listOperations
+ * @param {Object} document - OpenAPI document
+ * @returns {Object[]} Operations with operationId, method, path and operation
+ */
+function listOperations(document) {
+  return Object.entries(document.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({
+      operationId: operation.operationId,
+      method,
+      path,
+      operation
+    })));
+}
+
+/**
+ * Creates the validators of an OpenAPI document
+ * @function createOpenApiValidator
+ * @param {Object} document - OpenAPI 3.1 document, see lib/openapi
+ * @param {Object} options
+ * @param {boolean} options.validateResponses - Check JSON responses too
+ * @param {Object} options.logger - Logger with warn and error methods
+ * @returns {Function} Takes an operationId and returns Express middleware validating
+ * requests of the operation
+ * @throws {Error} When the document's schemas do not compile
+ */
+function createOpenApiValidator(document, { validateResponses, logger }) {
+  const ajv = new Ajv({ allErrors: true, strictTypes: true });
+  addFormats(ajv);
+  // Schemas reference each other as #/components/schemas/<name>; register each one as
+  // <name>.json and point the references there
+  const rebase = (schema) => JSON.parse(JSON.stringify(schema).replace(/"#\/components\/schemas\/(\w+)"/g, '"$1.json"'));
+  Object.entries(document.components.schemas).forEach(([name, schema]) => {
+    ajv.addSchema({ $id: `${name}.json`, ...rebase(schema) });
+  });
+  const compile = (schema) => ajv.compile(rebase(schema));
+
+  const operations = new Map(listOperations(document).map(({ operationId, operation }) => {
+    const parameters = operation.parameters || [];
+    const bodySchema = operation.requestBody && operation.requestBody.content['application/json'].schema;
+    const pathSchema = parametersSchema(parameters, 'path');
+    const querySchema = parametersSchema(parameters, 'query');
+    const responses = Object.fromEntries(Object.entries(operation.responses).map(([status, response]) => {
+      const json = response.content && response.content['application/json'];
+      return [status, json ? compile(json.schema) : null];
+    }));
+    return [operationId, {
+      request: [
+        bodySchema && { location: 'body', validate: compile(bodySchema), read: (req) => req.body },
+        pathSchema && { location: 'params', validate: compile(pathSchema), read: (req) => req.params },
+        querySchema && { location: 'query', validate: compile(querySchema), read: (req) => req.query }
+      ].filter(Boolean),
+      responses
+    }];
+  }));
+
+  /**
+   * Checks a JSON response and logs mismatches
+   * @param {string} operationId - Operation of the route
+   * @param {Express.Request} req - Express request object
+   * @param {number} statusCode - Status of the response
+   * @param {*} body - Response body
+   */
+  function checkResponse(operationId, req, statusCode, body) {
+    const { responses } = operations.get(operationId);
+    const key = [String(statusCode), `${String(statusCode)[0]}XX`, 'default'].find((status) => status in responses);
+    const validate = key && responses[key];
+    if (!key) {
+      logger.error(RESPONSE_MISMATCH, { correlationId: req.correlationId, operationId, statusCode, errors: ['undocumented status code'] });
+    } else if (validate && !validate(body)) {
+      logger.error(RESPONSE_MISMATCH, {
+        correlationId: req.correlationId,
+        operationId,
+        statusCode,
+        errors: describeErrors('response', validate.errors)
+      });
+    }
+  }
+
+  return (operationId) => {
+    if (!operations.has(operationId)) {
+      throw new Error(`Operation ${operationId} is not in the OpenAPI document`);
+    }
+    const { request } = operations.get(operationId);
+
+    return (req, res, next) => {
+      if (validateResponses) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          checkResponse(operationId, req, res.statusCode, body);
+          return json(body);
+        };
+      }
+
+      const errors = request.flatMap(({ location, validate, read }) =>
+        (validate(read(req) || {}) ? [] : describeErrors(location, validate.errors)));
+      if (errors.length > 0) {
+        logger.warn('Request does not match the API specification', {
+          correlationId: req.correlationId,
+          operationId,
+          errors
+        });
+        return res.status(400).json({ error: 'Invalid request', errors, correlationId: req.correlationId });
+      }
+      next();
+    };
+  };
+}
+
+module.exports = {
+  RESPONSE_MISMATCH,
+  createOpenApiValidator,
+  listOperations
+};
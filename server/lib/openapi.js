@@ -0,0 +1,718 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview OpenAPI description of the stream session API
+ * @description Describes every /api route of app.js as an OpenAPI 3.1 document. The
+ * document is served as /api/openapi.json, requests are validated against it before they
+ * reach a route (see lib/openapi-validator), and public/api-client.js is generated from
+ * it with npm run generate:api-client. A route added to app.js must be added here too.
+ *
+ * Every error response has the ErrorResponse shape: an error message, with a code,
+ * details or the failed validation checks where the route has them.
+ */
+
+/**
+ * Reference to a schema in components.schemas
+ * @function ref
+ * @param {string} name - Schema name
+ * @returns {Object} Reference object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * JSON request body
+ * @function jsonRequest
+ * @param {string} schemaName - Schema name in components.schemas
+ * @returns {Object} Request body object
+ */
+function jsonRequest(schemaName) {
+  return { required: true, content: { 'application/json': { schema: ref(schemaName) } } };
+}
+
+/**
+ * JSON response
+ * @function jsonResponse
+ * @param {string} description - What the response means
+ * @param {string} schemaName - Schema name in components.schemas
+ * @returns {Object} Response object
+ */
+function jsonResponse(description, schemaName) {
+  return { description, content: { 'application/json': { schema: ref(schemaName) } } };
+}
+
+/**
+ * Error responses of an operation, with the ones every rate limited route can return
+ * @function errorResponses
+ * @param {Object<string, string>} descriptions - Description of each status code
+ * @returns {Object} Response objects by status code
+ */
+function errorResponses(descriptions) {
+  const responses = {};
+  Object.entries({
+    400: 'The request does not match this specification',
+    429: 'The client sent too many requests; retry after the Retry-After header',
+    ...descriptions
+  }).forEach(([status, description]) => {
+    responses[status] = jsonResponse(description, 'ErrorResponse');
+  });
+  responses.default = jsonResponse('Unexpected failure, e.g. of GameLift Streams or the session store', 'ErrorResponse');
+  return responses;
+}
+
+/**
+ * Connection token property of request bodies
+ * @constant {Object} TOKEN
+ */
+const TOKEN = {
+  type: 'string',
+  minLength: 1,
+  description: 'Connection token from CreateStreamSession'
+};
+
+/**
+ * Reusable schemas
+ * @constant {Object} SCHEMAS
+ */
+const SCHEMAS = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', description: 'What went wrong' },
+      message: { type: 'string', description: 'Details of the error' },
+      code: { type: 'string', description: 'Machine readable reason, e.g. USER_SESSION_LIMIT' },
+      limit: { type: 'integer', description: 'Session limit that was reached' },
+      status: { type: 'string', description: 'Stream session status that caused the error' },
+      correlationId: { type: 'string', description: 'Identifies the request in the server logs' },
+      errors: {
+        type: 'array',
+        description: 'Checks of this specification the request failed',
+        items: ref('ValidationError')
+      }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['path', 'message'],
+    properties: {
+      path: { type: 'string', description: 'Location of the invalid value, e.g. body.Token' },
+      message: { type: 'string' }
+    }
+  },
+  TokenRequest: {
+    type: 'object',
+    required: ['Token'],
+    properties: { Token: TOKEN }
+  },
+  CreateStreamSessionRequest: {
+    type: 'object',
+    required: ['SignalRequest'],
+    properties: {
+      StreamGroupId: {
+        type: ['string', 'null'],
+        maxLength: 256,
+        description: 'Stream group to start the session in; only read in local mode without an application catalog'
+      },
+      ApplicationIdentifier: {
+        type: ['string', 'null'],
+        minLength: 1,
+        maxLength: 256,
+        description: 'Application to stream; a catalog Id when an application catalog is configured'
+      },
+      UserId: { type: 'string', maxLength: 256, description: 'Ignored when authentication is enabled' },
+      SignalRequest: { type: 'string', minLength: 1, description: 'WebRTC signal request of the client' },
+      Locations: { type: 'array', items: { type: 'string' }, description: 'Locations to stream from' },
+      LocationLatencies: {
+        type: 'object',
+        description: 'Round-trip time to each location in milliseconds, see GET /api/Locations; ' +
+          'entries that are not numbers are ignored'
+      },
+      AdditionalLaunchArgs: { type: 'array', items: { type: 'string' }, description: 'Ignored with a catalog' },
+      AdditionalEnvironmentVariables: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        description: 'Ignored with a catalog'
+      },
+      QueueTicket: { type: 'string', description: 'Ticket from an earlier queued response' }
+    }
+  },
+  StreamSession: {
+    type: 'object',
+    required: ['Token'],
+    properties: {
+      Token: { type: 'string', description: 'Connection token for the later calls of the session' },
+      ApplicationDescription: { type: 'string', description: 'Catalog description of the application' },
+      Location: { type: 'string', description: 'Location GameLift Streams started the session in' },
+      LatencyMs: { type: 'number', description: 'Measured latency to that location' }
+    }
+  },
+  QueueTicketRequest: {
+    type: 'object',
+    required: ['QueueTicket'],
+    properties: { QueueTicket: { type: 'string', minLength: 1 } }
+  },
+  QueueStatus: {
+    type: 'object',
+    required: ['QueueTicket', 'Position', 'EstimatedWaitSeconds'],
+    properties: {
+      QueueTicket: { type: 'string' },
+      Position: { type: 'integer', minimum: 0, description: '1-based position; retry CreateStreamSession at 1' },
+      EstimatedWaitSeconds: { type: 'number', minimum: 0 }
+    }
+  },
+  SignalResponse: {
+    type: 'object',
+    required: ['SignalResponse'],
+    properties: {
+      SignalResponse: { type: 'string', description: 'WebRTC signal response; empty while the session is activating' }
+    }
+  },
+  StreamSessionEventsRequest: {
+    type: 'object',
+    properties: {
+      Token: TOKEN,
+      QueueTicket: { type: 'string', minLength: 1, description: 'Ticket from a queued CreateStreamSession' }
+    },
+    anyOf: [{ required: ['Token'] }, { required: ['QueueTicket'] }]
+  },
+  ReconnectStreamSessionRequest: {
+    type: 'object',
+    required: ['SignalRequest'],
+    properties: {
+      Token: TOKEN,
+      InviteToken: { type: 'string', minLength: 1, description: 'Invite from CreateSessionInvite, instead of Token' },
+      SignalRequest: { type: 'string', minLength: 1 }
+    },
+    anyOf: [{ required: ['Token'] }, { required: ['InviteToken'] }]
+  },
+  ReconnectedStreamSession: {
+    type: 'object',
+    required: ['SignalResponse'],
+    properties: {
+      SignalResponse: { type: 'string' },
+      Token: { type: 'string', description: 'New connection token, when an invite was redeemed' }
+    }
+  },
+  SessionInvite: {
+    type: 'object',
+    required: ['InviteToken', 'ExpiresAt'],
+    properties: {
+      InviteToken: { type: 'string', description: 'Invite to pass to ReconnectStreamSession' },
+      ExpiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  SessionTime: {
+    type: 'object',
+    required: ['StartedAt', 'EndsAt', 'RemainingSeconds', 'WarningThresholdsSeconds', 'CanExtend',
+      'ExtensionSeconds', 'ExtensionsRemaining'],
+    properties: {
+      StartedAt: { type: 'string', format: 'date-time' },
+      EndsAt: { type: 'string', format: 'date-time', description: 'When the session ends unless it is extended' },
+      RemainingSeconds: { type: 'integer', minimum: 0 },
+      WarningThresholdsSeconds: { type: 'array', items: { type: 'integer' } },
+      CanExtend: { type: 'boolean', description: 'Whether ExtendSession is allowed' },
+      ExtensionSeconds: { type: 'integer', minimum: 0 },
+      ExtensionsRemaining: { type: 'integer', minimum: 0 }
+    }
+  },
+  HeartbeatRequest: {
+    type: 'object',
+    required: ['Token'],
+    properties: {
+      Token: TOKEN,
+      IdleSeconds: { type: 'number', minimum: 0, description: "Seconds since the player's last input" }
+    }
+  },
+  HeartbeatStatus: {
+    type: 'object',
+    required: ['HeartbeatIntervalSeconds', 'IdleTerminationInSeconds', 'WarningSeconds'],
+    properties: {
+      HeartbeatIntervalSeconds: { type: 'integer', description: 'When to send the next heartbeat' },
+      IdleTerminationInSeconds: { type: 'integer', description: 'Time until the session ends unless the player provides input' },
+      WarningSeconds: { type: 'integer', description: 'How long before termination to warn the player' }
+    }
+  },
+  SessionMetricsRequest: {
+    type: 'object',
+    required: ['Token', 'Stats'],
+    properties: {
+      Token: TOKEN,
+      Stats: {
+        type: 'object',
+        description: 'Stats collected since the previous upload: { stats: { <metric>: [[timestamp, value], ...] }, sessionDuration }'
+      }
+    }
+  },
+  SessionMetricsAccepted: {
+    type: 'object',
+    required: ['Accepted'],
+    properties: { Accepted: { type: 'integer', minimum: 0, description: 'Number of samples stored' } }
+  },
+  SessionMetricsAnalysis: {
+    type: 'object',
+    required: ['SampleCount', 'Verdict', 'Issues'],
+    properties: {
+      SampleCount: { type: 'integer', minimum: 0 },
+      SessionDurationSeconds: { type: ['integer', 'null'] },
+      RoundTripTime: { type: 'object' },
+      FramesPerSecond: { type: 'object' },
+      PacketLoss: { type: 'object' },
+      DroppedFrames: { type: 'object' },
+      Jitter: { type: 'object' },
+      Verdict: { enum: ['good', 'fair', 'poor', 'unknown'] },
+      Issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['Measure', 'Verdict'],
+          properties: { Measure: { type: 'string' }, Verdict: { enum: ['fair', 'poor'] } }
+        }
+      }
+    }
+  },
+  DestroyedStreamSession: {
+    type: 'object',
+    properties: {
+      analysis: { ...ref('SessionMetricsAnalysis'), description: 'Present when the client uploaded session metrics' }
+    }
+  },
+  Applications: {
+    type: 'object',
+    required: ['Applications'],
+    properties: {
+      Applications: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['Id', 'Name'],
+          properties: {
+            Id: { type: 'string' },
+            Name: { type: 'string' },
+            Description: { type: 'string' },
+            Locations: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  Locations: {
+    type: 'object',
+    required: ['Locations', 'ProbeUrlTemplate', 'ProbeCount'],
+    properties: {
+      Locations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['Location', 'ProbeUrl'],
+          properties: { Location: { type: 'string' }, ProbeUrl: { type: 'string' } }
+        }
+      },
+      ProbeUrlTemplate: { type: 'string', description: 'Probe URL with {region} standing for any location' },
+      ProbeCount: { type: 'integer', minimum: 1, description: 'Requests to send per location, keeping the fastest' }
+    }
+  },
+  AdminSession: {
+    type: 'object',
+    required: ['Token', 'StreamGroupId', 'StreamSessionArn', 'CreatedAt', 'Status'],
+    properties: {
+      Token: { type: 'string' },
+      UserId: { type: 'string' },
+      OwnerId: { type: 'string' },
+      StreamGroupId: { type: 'string' },
+      StreamSessionArn: { type: 'string' },
+      ApplicationIdentifier: { type: 'string' },
+      ClientIp: { type: 'string' },
+      CreatedAt: { type: 'string', format: 'date-time' },
+      Status: { type: 'string', description: 'Live status; UNKNOWN when GameLift Streams cannot be reached' },
+      StatusReason: { type: 'string' }
+    }
+  },
+  AdminSessions: {
+    type: 'object',
+    required: ['Sessions'],
+    properties: { Sessions: { type: 'array', items: ref('AdminSession') } }
+  },
+  AdminSessionDetails: {
+    type: 'object',
+    required: ['Session', 'StreamSession'],
+    properties: {
+      Session: ref('AdminSession'),
+      StreamSession: {
+        type: ['object', 'null'],
+        description: 'GetStreamSession response without the signal response; null when unavailable'
+      }
+    }
+  },
+  TerminatedStreamSession: {
+    type: 'object',
+    required: ['StreamSessionArn'],
+    properties: { StreamSessionArn: { type: 'string' } }
+  },
+  Health: {
+    type: 'object',
+    required: ['status'],
+    properties: { status: { const: 'ok' } }
+  }
+};
+
+/**
+ * Path parameter holding a connection token, for the admin API
+ * @constant {Object} TOKEN_PARAMETER
+ */
+const TOKEN_PARAMETER = { name: 'token', in: 'path', required: true, schema: { type: 'string', minLength: 1 } };
+
+/**
+ * Operations by path and method
+ * @constant {Object} PATHS
+ */
+const PATHS = {
+  '/api/Applications': {
+    get: {
+      operationId: 'Applications',
+      summary: 'Lists the applications that players may stream',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      responses: {
+        200: jsonResponse('Catalog entries; empty without an application catalog', 'Applications'),
+        ...errorResponses({ 401: 'The bearer token is missing or invalid' })
+      }
+    }
+  },
+  '/api/Locations': {
+    get: {
+      operationId: 'Locations',
+      summary: 'Lists the locations the client should measure before starting a stream',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      parameters: [{
+        name: 'ApplicationIdentifier',
+        in: 'query',
+        description: 'Application to stream; its catalog entry decides the candidate locations',
+        schema: { type: 'string' }
+      }],
+      responses: {
+        200: jsonResponse('Candidate locations', 'Locations'),
+        ...errorResponses({ 401: 'The bearer token is missing or invalid' })
+      }
+    }
+  },
+  '/api/LocationProbe': {
+    get: {
+      operationId: 'LocationProbe',
+      tags: ['Service'],
+      summary: 'Answers after the configured latency of a location; only served with the offline mock',
+      parameters: [{ name: 'Location', in: 'query', required: true, schema: { type: 'string' } }],
+      responses: {
+        204: { description: 'Probe answered' },
+        ...errorResponses({})
+      }
+    }
+  },
+  '/api/CreateStreamSession': {
+    post: {
+      operationId: 'CreateStreamSession',
+      summary: 'Starts a stream session, or queues the request when the stream group is out of capacity',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('CreateStreamSessionRequest'),
+      responses: {
+        200: jsonResponse('Session started', 'StreamSession'),
+        202: jsonResponse('Request queued; poll QueueStatus and repeat the request with the ticket at position 1', 'QueueStatus'),
+        ...errorResponses({
+          400: 'The request does not match this specification, or the application is not in the catalog',
+          401: 'The bearer token is missing or invalid',
+          409: 'The user or client IP already has the maximum number of sessions',
+          429: 'Every stream group has the maximum number of sessions, or the client sent too many requests',
+          503: 'The server is shutting down; retry after the Retry-After header'
+        })
+      }
+    }
+  },
+  '/api/QueueStatus': {
+    post: {
+      operationId: 'QueueStatus',
+      summary: 'Reports the position of a queued CreateStreamSession request and keeps its ticket alive',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('QueueTicketRequest'),
+      responses: {
+        200: jsonResponse('Queue position', 'QueueStatus'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the ticket',
+          404: 'The ticket is unknown or expired'
+        })
+      }
+    }
+  },
+  '/api/GetSignalResponse': {
+    post: {
+      operationId: 'GetSignalResponse',
+      summary: 'Returns the WebRTC signal response once the stream session is active',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('TokenRequest'),
+      responses: {
+        200: jsonResponse('Signal response, empty while the session is activating', 'SignalResponse'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown or expired, or the session ended'
+        })
+      }
+    }
+  },
+  '/api/StreamSessionEvents': {
+    post: {
+      operationId: 'StreamSessionEvents',
+      summary: 'Streams stream session status changes or queue positions as Server-Sent Events',
+      description: 'Events are status ({ Status, SignalResponse?, StatusReason? }), queued (a QueueStatus) and ' +
+        'failure (an ErrorResponse). Only available in local mode.',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('StreamSessionEventsRequest'),
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the token or ticket',
+          404: 'The token or ticket is unknown or expired',
+          501: 'Event streams are not available; poll GetSignalResponse or QueueStatus instead'
+        })
+      }
+    }
+  },
+  '/api/ReconnectStreamSession': {
+    post: {
+      operationId: 'ReconnectStreamSession',
+      summary: 'Reconnects to a stream session with its connection token or an invite',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('ReconnectStreamSessionRequest'),
+      responses: {
+        200: jsonResponse('Signal response of the new connection', 'ReconnectedStreamSession'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token or invite is unknown'
+        })
+      }
+    }
+  },
+  '/api/CreateSessionInvite': {
+    post: {
+      operationId: 'CreateSessionInvite',
+      summary: 'Creates an invite for continuing a stream session on another device',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('TokenRequest'),
+      responses: {
+        200: jsonResponse('Invite, redeemable once', 'SessionInvite'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown, or invites are disabled'
+        })
+      }
+    }
+  },
+  '/api/SessionInfo': {
+    post: {
+      operationId: 'SessionInfo',
+      summary: 'Reports how long a stream session has left',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('TokenRequest'),
+      responses: {
+        200: jsonResponse('Session time', 'SessionTime'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown'
+        })
+      }
+    }
+  },
+  '/api/ExtendSession': {
+    post: {
+      operationId: 'ExtendSession',
+      summary: "Extends a stream session by its policy's extension length",
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('TokenRequest'),
+      responses: {
+        200: jsonResponse('Session time after the extension', 'SessionTime'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown',
+          409: 'The policy does not allow another extension'
+        })
+      }
+    }
+  },
+  '/api/Heartbeat': {
+    post: {
+      operationId: 'Heartbeat',
+      summary: 'Records that a streaming client is still connected, and how long its player has been idle',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('HeartbeatRequest'),
+      responses: {
+        200: jsonResponse('When to send the next heartbeat and when the session ends if idle', 'HeartbeatStatus'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown, or idle termination is disabled'
+        })
+      }
+    }
+  },
+  '/api/SessionMetrics': {
+    post: {
+      operationId: 'SessionMetrics',
+      summary: 'Stores a batch of client WebRTC stats for a stream session',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('SessionMetricsRequest'),
+      responses: {
+        200: jsonResponse('Samples stored', 'SessionMetricsAccepted'),
+        ...errorResponses({
+          400: 'The request does not match this specification, or the stats are malformed (code INVALID_SESSION_METRICS)',
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown, or session metrics are disabled'
+        })
+      }
+    }
+  },
+  '/api/DestroyStreamSession': {
+    post: {
+      operationId: 'DestroyStreamSession',
+      summary: 'Terminates a stream session and revokes its connection token',
+      tags: ['Sessions'],
+      security: [{}, { bearerAuth: [] }],
+      requestBody: jsonRequest('TokenRequest'),
+      responses: {
+        200: jsonResponse('Session terminated', 'DestroyedStreamSession'),
+        ...errorResponses({
+          401: 'The bearer token is missing or invalid',
+          403: 'The caller does not own the connection token',
+          404: 'The token is unknown'
+        })
+      }
+    }
+  },
+  '/api/admin/sessions': {
+    get: {
+      operationId: 'AdminListSessions',
+      summary: 'Lists the stream sessions started by this server, oldest first',
+      tags: ['Admin'],
+      security: [{ adminKey: [] }, { bearerAuth: [] }],
+      responses: {
+        200: jsonResponse('Sessions with their live status', 'AdminSessions'),
+        ...errorResponses({
+          401: 'No valid admin key or bearer token',
+          403: 'The bearer token lacks the admin role',
+          404: 'The admin API is not configured'
+        })
+      }
+    }
+  },
+  '/api/admin/sessions/{token}': {
+    get: {
+      operationId: 'AdminGetSession',
+      summary: 'Shows one stream session with its full GetStreamSession details',
+      tags: ['Admin'],
+      security: [{ adminKey: [] }, { bearerAuth: [] }],
+      parameters: [TOKEN_PARAMETER],
+      responses: {
+        200: jsonResponse('Session details', 'AdminSessionDetails'),
+        ...errorResponses({
+          401: 'No valid admin key or bearer token',
+          403: 'The bearer token lacks the admin role',
+          404: 'The token is unknown, or the admin API is not configured'
+        })
+      }
+    },
+    delete: {
+      operationId: 'AdminTerminateSession',
+      summary: 'Force-terminates a stream session',
+      tags: ['Admin'],
+      security: [{ adminKey: [] }, { bearerAuth: [] }],
+      parameters: [TOKEN_PARAMETER],
+      responses: {
+        200: jsonResponse('Session terminated', 'TerminatedStreamSession'),
+        ...errorResponses({
+          401: 'No valid admin key or bearer token',
+          403: 'The bearer token lacks the admin role',
+          404: 'The token is unknown, or the admin API is not configured'
+        })
+      }
+    }
+  },
+  '/api/health': {
+    get: {
+      operationId: 'Health',
+      tags: ['Service'],
+      summary: 'Reports that the API is up',
+      responses: {
+        200: jsonResponse('API is up', 'Health'),
+        ...errorResponses({})
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'OpenApiDocument',
+      tags: ['Service'],
+      summary: 'Serves this document',
+      responses: {
+        200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } },
+        ...errorResponses({})
+      }
+    }
+  }
+};
+
+/**
+ * Creates the OpenAPI document of the API
+ * @function createOpenApiDocument
+ * @param {Object} options
+ * @param {string} options.version - API version, config.API_VERSION
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function createOpenApiDocument({ version }) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Amazon GameLift Streams Web Sharing API',
+      version,
+      description: 'Starts, signals, reconnects and ends Amazon GameLift Streams sessions for the web client. ' +
+        'With authentication enabled, every session route requires a bearer token and a session is only ' +
+        'available to the identity that created it.'
+    },
+    tags: [
+      { name: 'Sessions', description: 'Stream sessions of the web client; public/api-client.js calls these' },
+      { name: 'Admin', description: 'Operator API, enabled by config.ADMIN' },
+      { name: 'Service', description: 'Health, this document and the offline location probe' }
+    ],
+    paths: PATHS,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenApiDocument
+};
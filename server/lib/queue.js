@@ -0,0 +1,208 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Waiting-room queue for stream groups that are out of capacity
+ * @description When StartStreamSession fails for lack of capacity, the request is
+ * given a queue ticket instead of an error. Tickets are kept in the session store,
+ * so any server instance can report positions, and are served first in, first out:
+ * only the ticket at the head of a stream group's queue may retry CreateStreamSession.
+ *
+ * Clients keep their ticket alive by polling QueueStatus. A ticket that is not
+ * polled within the configured timeout expires, so players who close the page do
+ * not hold up the queue.
+ *
+ * Listing a stream group's tickets reads every entry in the session store, a Scan
+ * with DynamoDB. Positions reported by QueueStatus therefore come from a listing each
+ * instance reuses for QUEUE.POSITION_CACHE_MS, rather than one listing per poll.
+ * Whether a ticket may start is always decided on a fresh listing.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Session store key prefix for queue tickets
+ * @constant {string} TICKET_KEY_PREFIX
+ */
+const TICKET_KEY_PREFIX = 'queue:';
+
+/**
+ * Checks whether a StartStreamSession error means the stream group has no free capacity
+ * @function isCapacityError
+ * @param {Error} error - Error thrown by the GameLift Streams client
+ * @param {string[]} capacityErrorNames - Error names treated as capacity errors
+ * @returns {boolean} True if the request should be queued
+ */
+function isCapacityError(error, capacityErrorNames) {
+  return Boolean(error) && (capacityErrorNames.includes(error.name) || /capacity/i.test(error.message || ''));
+}
+
+/**
+ * FIFO queue of pending CreateStreamSession requests per stream group
+ * @class WaitingRoom
+ */
+class WaitingRoom {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.queueConfig - config.QUEUE section
+   * @param {Object} options.sessionStore - Session store used to persist tickets
+   */
+  constructor({ queueConfig, sessionStore }) {
+    this.queueConfig = queueConfig;
+    this.sessionStore = sessionStore;
+    // Latest ticket listing per stream group, as { tickets, listedAt }
+    this.listings = new Map();
+  }
+
+  /**
+   * Whether queueing is enabled
+   * @method isEnabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.queueConfig.ENABLED;
+  }
+
+  /**
+   * Checks whether a StartStreamSession error should put the request in the queue
+   * @method shouldQueue
+   * @param {Error} error - Error thrown by the GameLift Streams client
+   * @returns {boolean}
+   */
+  shouldQueue(error) {
+    return this.isEnabled() && isCapacityError(error, this.queueConfig.CAPACITY_ERROR_NAMES);
+  }
+
+  /**
+   * Lists the waiting tickets of a stream group in arrival order
+   * @method listTickets
+   * @param {string} streamGroupId - Stream group identifier
+   * @returns {Promise<Array<{ticket: string, data: Object}>>} Tickets, head first
+   */
+  async listTickets(streamGroupId) {
+    const entries = await this.sessionStore.list();
+    const tickets = entries
+      .filter(({ token, data }) => token.startsWith(TICKET_KEY_PREFIX) && data.StreamGroupId === streamGroupId)
+      .map(({ token, data }) => ({ ticket: token.slice(TICKET_KEY_PREFIX.length), data }))
+      .sort((a, b) => a.data.EnqueuedAt - b.data.EnqueuedAt);
+    this.listings.set(streamGroupId, { tickets, listedAt: Date.now() });
+    return tickets;
+  }
+
+  /**
+   * Finds a ticket's position, reusing a recent listing of its stream group. The
+   * stream group is listed again when the listing is older than POSITION_CACHE_MS
+   * or does not contain the ticket yet.
+   * @method position
+   * @param {string} streamGroupId - Stream group identifier
+   * @param {string} ticket - Queue ticket
+   * @returns {Promise<number>} 1-based position, 0 if the ticket is not waiting
+   */
+  async position(streamGroupId, ticket) {
+    const listing = this.listings.get(streamGroupId);
+    const isFresh = listing && Date.now() - listing.listedAt < this.queueConfig.POSITION_CACHE_MS;
+    let tickets = isFresh ? listing.tickets : [];
+    if (!tickets.some((entry) => entry.ticket === ticket)) {
+      tickets = await this.listTickets(streamGroupId);
+    }
+    return tickets.findIndex((entry) => entry.ticket === ticket) + 1;
+  }
+
+  /**
+   * Reads a ticket
+   * @method getTicket
+   * @param {string} ticket - Queue ticket
+   * @returns {Promise<Object|undefined>} Ticket data, or undefined if unknown or expired
+   */
+  async getTicket(ticket) {
+    if (!ticket) {
+      return undefined;
+    }
+    return this.sessionStore.get(TICKET_KEY_PREFIX + ticket);
+  }
+
+  /**
+   * Adds a request to the back of its stream group's queue
+   * @method enqueue
+   * @param {Object} request
+   * @param {string} request.streamGroupId - Stream group the request is waiting for
+   * @param {string} request.userId - UserId the session will run as
+   * @param {string} [request.ownerId] - Authenticated identity allowed to use the ticket
+   * @returns {Promise<Object>} Queue status including the new QueueTicket
+   */
+  async enqueue({ streamGroupId, userId, ownerId }) {
+    const ticket = crypto.randomUUID();
+    await this.sessionStore.put(TICKET_KEY_PREFIX + ticket, {
+      StreamGroupId: streamGroupId,
+      UserId: userId,
+      OwnerId: ownerId,
+      EnqueuedAt: Date.now()
+    }, this.queueConfig.TICKET_TIMEOUT_SECONDS);
+    return this.status(ticket);
+  }
+
+  /**
+   * Reports a ticket's position and keeps it alive
+   * @method status
+   * @param {string} ticket - Queue ticket
+   * @returns {Promise<Object|null>} { QueueTicket, Position, EstimatedWaitSeconds },
+   * or null if the ticket is unknown or expired
+   */
+  async status(ticket) {
+    const data = await this.getTicket(ticket);
+    if (!data) {
+      return null;
+    }
+    // Refresh the ticket timeout; the client is still waiting
+    await this.sessionStore.put(TICKET_KEY_PREFIX + ticket, data, this.queueConfig.TICKET_TIMEOUT_SECONDS);
+
+    const position = await this.position(data.StreamGroupId, ticket);
+    return {
+      QueueTicket: ticket,
+      Position: position,
+      EstimatedWaitSeconds: Math.max(0, position - 1) * this.queueConfig.ESTIMATED_SECONDS_PER_POSITION
+    };
+  }
+
+  /**
+   * Checks whether a request may try to start a session now. Requests without a
+   * ticket may start when nobody is waiting; ticket holders may start from the head.
+   * @method mayStart
+   * @param {string} streamGroupId - Stream group identifier
+   * @param {string} [ticket] - Queue ticket presented by the client
+   * @returns {Promise<boolean>}
+   */
+  async mayStart(streamGroupId, ticket) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+    const tickets = await this.listTickets(streamGroupId);
+    if (tickets.length === 0) {
+      return true;
+    }
+    return Boolean(ticket) && tickets[0].ticket === ticket;
+  }
+
+  /**
+   * Removes a ticket once its session has started or the client gave up
+   * @method remove
+   * @param {string} ticket - Queue ticket
+   * @returns {Promise<void>}
+   */
+  async remove(ticket) {
+    if (ticket) {
+      await this.sessionStore.delete(TICKET_KEY_PREFIX + ticket);
+      // Everyone behind the ticket moved up
+      this.listings.clear();
+    }
+  }
+}
+
+module.exports = {
+  WaitingRoom,
+  isCapacityError,
+  TICKET_KEY_PREFIX
+};
@@ -0,0 +1,418 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Per-route rate limiting policies
+ * @description Each policy in config.RATE_LIMIT.POLICIES has its own budget for the
+ * routes it lists, so polling GetSignalResponse does not use up the budget for starting
+ * billable sessions; routes without a policy share the default budget. Clients are counted
+ * by authenticated user when a valid bearer token is sent, and by IP address otherwise.
+ *
+ * Hit counters live in a pluggable backend so that they can be shared by Lambda
+ * instances. Every backend exposes the same asynchronous interface:
+ * - increment(key, windowMs): resolves to { totalHits, resetTime } for the current window
+ * - decrement(key): takes back one hit
+ * - reset(key): clears the counter
+ * - close(): finishes pending writes and closes connections, on shutdown
+ *
+ * Responses carry the standard RateLimit-Policy and RateLimit headers, see
+ * draft-ietf-httpapi-ratelimit-headers-08, besides the legacy X-RateLimit headers.
+ * @requires express-rate-limit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { rateLimit } = require('express-rate-limit');
+
+/**
+ * Lua script incrementing a Redis counter and starting its window on the first hit
+ * @constant {string} REDIS_INCREMENT_SCRIPT
+ */
+const REDIS_INCREMENT_SCRIPT = `
+local totalHits = redis.call("INCR", KEYS[1])
+local remaining = redis.call("PTTL", KEYS[1])
+if remaining <= 0 then
+  redis.call("PEXPIRE", KEYS[1], tonumber(ARGV[1]))
+  remaining = tonumber(ARGV[1])
+end
+return { totalHits, remaining }
+`;
+
+/**
+ * Lua script taking back a hit without recreating a counter whose window has ended
+ * @constant {string} REDIS_DECREMENT_SCRIPT
+ */
+const REDIS_DECREMENT_SCRIPT = `
+local hits = tonumber(redis.call("GET", KEYS[1]))
+if hits and hits > 0 then
+  redis.call("DECR", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Interval between removals of ended windows from memory, in milliseconds
+ * @constant {number} SWEEP_INTERVAL_MS
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps counters in process memory; each Lambda instance counts on its own
+ * @class MemoryRateLimitCounters
+ */
+class MemoryRateLimitCounters {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.counters = new Map();
+    this.local = true;
+    this.nextSweepAt = 0;
+  }
+
+  /**
+   * Counts a hit
+   * @method increment
+   * @param {string} key - Policy and client key
+   * @param {number} windowMs - Length of a new window
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} Hits in the window and its end
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    if (now >= this.nextSweepAt) {
+      this.sweep(now);
+      this.nextSweepAt = now + SWEEP_INTERVAL_MS;
+    }
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetTime <= now) {
+      counter = { hits: 0, resetTime: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.hits++;
+    return { totalHits: counter.hits, resetTime: new Date(counter.resetTime) };
+  }
+
+  /**
+   * Takes back a hit, e.g. for a failed request that is not counted
+   * @method decrement
+   * @param {string} key - Policy and client key
+   * @returns {Promise<void>}
+   */
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.hits > 0) {
+      counter.hits--;
+    }
+  }
+
+  /**
+   * Clears a counter
+   * @method reset
+   * @param {string} key - Policy and client key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Removes counters whose window has ended
+   * @method sweep
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Number of counters removed
+   */
+  sweep(now) {
+    let removed = 0;
+    for (const [key, counter] of this.counters) {
+      if (counter.resetTime <= now) {
+        this.counters.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Counters only live in memory, so there is nothing to close
+   * @method close
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Keeps counters in memory and mirrors them to a JSON file so they survive local server
+ * restarts. Not meant for several processes sharing the file.
+ * @class FileRateLimitCounters
+ * @extends MemoryRateLimitCounters
+ */
+class FileRateLimitCounters extends MemoryRateLimitCounters {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.filePath - Path of the JSON file backing the counters
+   */
+  constructor({ filePath }) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.saving = null;
+    this.dirty = false;
+    this.load();
+  }
+
+  /**
+   * Loads previously saved counters, ignoring a missing or corrupt file
+   * @method load
+   * @returns {void}
+   */
+  load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch {
+      return;
+    }
+    Object.entries(saved).forEach(([key, counter]) => {
+      if (counter && typeof counter.hits === 'number' && typeof counter.resetTime === 'number') {
+        this.counters.set(key, counter);
+      }
+    });
+  }
+
+  /**
+   * Writes the counters to disk, replacing the file atomically. Changes made while a
+   * write is in progress are written once it completes.
+   * @method save
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.dirty = true;
+    if (this.saving) {
+      return this.saving;
+    }
+    this.saving = (async () => {
+      try {
+        while (this.dirty) {
+          this.dirty = false;
+          const tempPath = `${this.filePath}.tmp`;
+          await fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.counters)));
+          await fs.promises.rename(tempPath, this.filePath);
+        }
+      } finally {
+        this.saving = null;
+      }
+    })();
+    return this.saving;
+  }
+
+  async increment(key, windowMs) {
+    const result = await super.increment(key, windowMs);
+    await this.save();
+    return result;
+  }
+
+  async decrement(key) {
+    await super.decrement(key);
+    await this.save();
+  }
+
+  async reset(key) {
+    await super.reset(key);
+    await this.save();
+  }
+
+  /**
+   * Waits for a pending write
+   * @method close
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.saving;
+  }
+}
+
+/**
+ * Keeps counters in Redis or a Redis-compatible service such as Valkey or ElastiCache,
+ * so every server instance shares them. Counters expire with their window.
+ * @class RedisRateLimitCounters
+ */
+class RedisRateLimitCounters {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.client - Connected client with sendCommand(args), e.g. from
+   * createClient of the redis package
+   */
+  constructor({ client }) {
+    this.client = client;
+    this.local = false;
+  }
+
+  async increment(key, windowMs) {
+    const [totalHits, remaining] = await this.client.sendCommand(['EVAL', REDIS_INCREMENT_SCRIPT, '1', key, String(windowMs)]);
+    return { totalHits: Number(totalHits), resetTime: new Date(Date.now() + Number(remaining)) };
+  }
+
+  async decrement(key) {
+    await this.client.sendCommand(['EVAL', REDIS_DECREMENT_SCRIPT, '1', key]);
+  }
+
+  async reset(key) {
+    await this.client.sendCommand(['DEL', key]);
+  }
+
+  /**
+   * Closes the connection to Redis
+   * @method close
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Creates the counter backend for the configured type
+ * @function createRateLimitCounters
+ * @param {Object} options
+ * @param {string} options.type - 'memory', 'file' or 'redis'
+ * @param {string} [options.filePath] - JSON file for the 'file' backend
+ * @param {string} [options.redisUrl] - redis:// or rediss:// URL for the 'redis' backend
+ * @param {Function} [options.onError] - Called with Redis connection errors
+ * @returns {MemoryRateLimitCounters|FileRateLimitCounters|RedisRateLimitCounters}
+ * @throws {Error} When the type is unknown
+ */
+function createRateLimitCounters({ type, filePath, redisUrl, onError = () => {} }) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitCounters();
+    case 'file':
+      return new FileRateLimitCounters({ filePath });
+    case 'redis': {
+      const { createClient } = require('redis');
+      const client = createClient({ url: redisUrl });
+      client.on('error', onError);
+      // Commands are queued until the connection is ready
+      client.connect().catch(onError);
+      return new RedisRateLimitCounters({ client });
+    }
+    default:
+      throw new Error(`Unknown rate limit store type: ${type}`);
+  }
+}
+
+/**
+ * express-rate-limit store counting one policy's hits in a shared backend
+ * @class RateLimitStore
+ */
+class RateLimitStore {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.counters - Counter backend from createRateLimitCounters
+   * @param {string} options.prefix - Prepended to client keys, unique per policy
+   */
+  constructor({ counters, prefix }) {
+    this.counters = counters;
+    this.prefix = prefix;
+    this.localKeys = counters.local;
+    this.windowMs = 0;
+  }
+
+  /**
+   * Receives the limiter options
+   * @method init
+   * @param {Object} options - express-rate-limit options
+   * @returns {void}
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  increment(key) {
+    return this.counters.increment(`${this.prefix}${key}`, this.windowMs);
+  }
+
+  decrement(key) {
+    return this.counters.decrement(`${this.prefix}${key}`);
+  }
+
+  resetKey(key) {
+    return this.counters.reset(`${this.prefix}${key}`);
+  }
+}
+
+/**
+ * Checks whether a route pattern matches a request path. Patterns are exact paths, or
+ * end in /* to match everything below a path.
+ * @function matchesRoute
+ * @param {string} pattern - Entry of a policy's ROUTES
+ * @param {string} requestPath - req.path
+ * @returns {boolean}
+ */
+function matchesRoute(pattern, requestPath) {
+  if (pattern.endsWith('/*')) {
+    const base = pattern.slice(0, -2);
+    return requestPath === base || requestPath.startsWith(`${base}/`);
+  }
+  return requestPath === pattern;
+}
+
+/**
+ * Names a policy in the RateLimit headers, e.g. CREATE_SESSION as create-session
+ * @function policyIdentifier
+ * @param {string} name - Key in config.RATE_LIMIT.POLICIES
+ * @returns {string}
+ */
+function policyIdentifier(name) {
+  return name.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Creates the middleware applying the rate limiting policies
+ * @function createRateLimitMiddleware
+ * @param {Object} options
+ * @param {Object} options.rateLimitConfig - config.RATE_LIMIT section
+ * @param {boolean} options.local - Whether LOCAL_MAX_REQUESTS applies
+ * @param {Object} options.counters - Counter backend from createRateLimitCounters
+ * @param {Function} options.keyGenerator - Resolves a request to its client key
+ * @param {Function} options.handler - Sends the response for a rejected request
+ * @returns {Function} Express middleware
+ */
+function createRateLimitMiddleware({ rateLimitConfig, local, counters, keyGenerator, handler }) {
+  const createLimiter = (name, policy) => rateLimit({
+    windowMs: policy.WINDOW_MS,
+    limit: local ? policy.LOCAL_MAX_REQUESTS : policy.MAX_REQUESTS,
+    identifier: policyIdentifier(name),
+    standardHeaders: 'draft-8',
+    legacyHeaders: true,
+    skipFailedRequests: true, // Don't count failed requests
+    // Keep serving when the shared store is unreachable
+    passOnStoreError: true,
+    keyGenerator,
+    handler,
+    store: new RateLimitStore({ counters, prefix: `${policyIdentifier(name)}:` })
+  });
+
+  const policies = Object.entries(rateLimitConfig.POLICIES).map(([name, policy]) => ({
+    routes: policy.ROUTES,
+    limiter: createLimiter(name, policy)
+  }));
+  const defaultLimiter = createLimiter('DEFAULT', rateLimitConfig);
+
+  return (req, res, next) => {
+    const policy = policies.find(({ routes }) => routes.some((pattern) => matchesRoute(pattern, req.path)));
+    return (policy ? policy.limiter : defaultLimiter)(req, res, next);
+  };
+}
+
+module.exports = {
+  MemoryRateLimitCounters,
+  FileRateLimitCounters,
+  RedisRateLimitCounters,
+  RateLimitStore,
+  createRateLimitCounters,
+  createRateLimitMiddleware
+};
@@ -0,0 +1,330 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Storage and analysis of client WebRTC session metrics
+ * @description The web page collects WebRTC stats every few seconds as time series
+ * named webrtc_<report type>_<stat>, e.g. webrtc_inbound-rtp_framesPerSecond, with
+ * [timestamp, value] samples (see prepareStatsForServer in public/metrics.js), and
+ * uploads the samples collected since its previous upload. Samples are kept by
+ * connection token in a store of their own, config.SESSION_METRICS.STORE, so they
+ * outlive the token when the session is destroyed and are never read by code listing
+ * the sessions in the session store. They are summarized into:
+ * - round trip time: average and 95th percentile
+ * - frames per second: average, minimum and stability (1 - coefficient of variation)
+ * - packet loss and dropped frame rates, from the cumulative counters
+ * - average jitter
+ * - a good/fair/poor verdict, the worst of the individual measures
+ */
+
+/**
+ * Session store key prefix for session metrics
+ * @constant {string} METRICS_KEY_PREFIX
+ */
+const METRICS_KEY_PREFIX = 'metrics:';
+
+/**
+ * Series used by the analysis
+ * @constant {Object<string, string>} SERIES
+ */
+const SERIES = {
+  RTT: 'webrtc_candidate-pair_currentRoundTripTime',
+  FPS: 'webrtc_inbound-rtp_framesPerSecond',
+  JITTER: 'webrtc_inbound-rtp_jitter',
+  PACKETS_LOST: 'webrtc_inbound-rtp_packetsLost',
+  PACKETS_RECEIVED: 'webrtc_inbound-rtp_packetsReceived',
+  FRAMES_DROPPED: 'webrtc_inbound-rtp_framesDropped',
+  FRAMES_RECEIVED: 'webrtc_inbound-rtp_framesReceived'
+};
+
+/**
+ * Quality verdicts from best to worst
+ * @constant {string[]} VERDICTS
+ */
+const VERDICTS = ['good', 'fair', 'poor'];
+
+/**
+ * Error for an upload that is not a stats batch
+ * @class SessionMetricsError
+ * @extends Error
+ */
+class SessionMetricsError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - What is wrong with the upload
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SessionMetricsError';
+    this.statusCode = 400;
+    this.code = 'INVALID_SESSION_METRICS';
+  }
+}
+
+/**
+ * Checks that an upload has the shape produced by prepareStatsForServer
+ * @function validateStatsBatch
+ * @param {Object} batch - Uploaded stats
+ * @param {number} maxMetrics - Maximum number of series
+ * @returns {void}
+ * @throws {SessionMetricsError} When the upload is malformed
+ */
+function validateStatsBatch(batch, maxMetrics) {
+  if (!batch || typeof batch !== 'object' || !batch.stats || typeof batch.stats !== 'object' || Array.isArray(batch.stats)) {
+    throw new SessionMetricsError('Stats must be an object with a stats map');
+  }
+  const entries = Object.entries(batch.stats);
+  if (entries.length > maxMetrics) {
+    throw new SessionMetricsError(`Stats may contain at most ${maxMetrics} metrics`);
+  }
+  entries.forEach(([name, samples]) => {
+    if (!/^webrtc_[\w-]+$/.test(name)) {
+      throw new SessionMetricsError(`Unexpected metric name ${name}`);
+    }
+    const valid = Array.isArray(samples) && samples.every((sample) =>
+      Array.isArray(sample) && sample.length === 2 && Number.isFinite(sample[0]) && Number.isFinite(sample[1]));
+    if (!valid) {
+      throw new SessionMetricsError(`Metric ${name} must be a list of [timestamp, value] samples`);
+    }
+  });
+}
+
+/**
+ * Computes a percentile with linear interpolation
+ * @function percentile
+ * @param {number[]} values - Values, in any order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Percentile, or null without values
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Computes the mean of values
+ * @function mean
+ * @param {number[]} values - Values
+ * @returns {number|null} Mean, or null without values
+ */
+function mean(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Computes how much a cumulative counter grew, allowing for resets on reconnection.
+ * Reports of several streams (audio and video) sampled together are added up.
+ * @function counterIncrease
+ * @param {Array<number[]>} samples - [timestamp, value] samples
+ * @returns {number} Total increase
+ */
+function counterIncrease(samples) {
+  const totals = new Map();
+  samples.forEach(([timestamp, value]) => totals.set(timestamp, (totals.get(timestamp) || 0) + value));
+  const series = [...totals.entries()].sort((a, b) => a[0] - b[0]).map(([, value]) => value);
+  let increase = 0;
+  for (let i = 1; i < series.length; i++) {
+    // A lower value means the counter restarted with a new connection
+    increase += series[i] >= series[i - 1] ? series[i] - series[i - 1] : series[i];
+  }
+  return increase;
+}
+
+/**
+ * Rounds a number for reporting
+ * @function round
+ * @param {number|null} value - Value
+ * @param {number} [digits=1] - Decimal places
+ * @returns {number|null}
+ */
+function round(value, digits = 1) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Rates a measure against its thresholds
+ * @function rate
+ * @param {number|null} value - Measured value
+ * @param {{GOOD: number, FAIR: number}} threshold - Limits
+ * @param {boolean} [higherIsBetter=false] - Whether larger values are better
+ * @returns {string|null} Verdict, or null without a value
+ */
+function rate(value, threshold, higherIsBetter = false) {
+  if (value === null) {
+    return null;
+  }
+  const within = (limit) => (higherIsBetter ? value >= limit : value <= limit);
+  if (within(threshold.GOOD)) {
+    return 'good';
+  }
+  return within(threshold.FAIR) ? 'fair' : 'poor';
+}
+
+/**
+ * Summarizes the stats of a session
+ * @function analyzeSessionMetrics
+ * @param {Object} record - Stored session metrics
+ * @param {Object} thresholds - config.SESSION_METRICS.THRESHOLDS
+ * @returns {Object} Analysis with RoundTripTime, FramesPerSecond, PacketLoss, DroppedFrames,
+ * Jitter, Verdict ('good', 'fair', 'poor' or 'unknown' without data) and Issues
+ */
+function analyzeSessionMetrics(record, thresholds) {
+  const series = (name) => record.Stats[name] || [];
+  const values = (name) => series(name).map(([, value]) => value);
+
+  const rttMs = values(SERIES.RTT).map((seconds) => seconds * 1000);
+  const fps = values(SERIES.FPS);
+  const fpsMean = mean(fps);
+  const fpsDeviation = fpsMean === null
+    ? null
+    : Math.sqrt(mean(fps.map((value) => (value - fpsMean) ** 2)));
+  const packetsLost = counterIncrease(series(SERIES.PACKETS_LOST));
+  const packetsReceived = counterIncrease(series(SERIES.PACKETS_RECEIVED));
+  const framesDropped = counterIncrease(series(SERIES.FRAMES_DROPPED));
+  const framesReceived = counterIncrease(series(SERIES.FRAMES_RECEIVED));
+  const ratio = (part, rest) => (part + rest > 0 ? (part / (part + rest)) * 100 : null);
+
+  const analysis = {
+    SampleCount: Object.values(record.Stats).reduce((count, samples) => count + samples.length, 0),
+    SessionDurationSeconds: record.SessionDuration ? Math.round(record.SessionDuration / 1000) : null,
+    RoundTripTime: {
+      AverageMs: round(mean(rttMs)),
+      P95Ms: round(percentile(rttMs, 95))
+    },
+    FramesPerSecond: {
+      Average: round(fpsMean),
+      Min: fps.length > 0 ? round(Math.min(...fps)) : null,
+      StandardDeviation: round(fpsDeviation),
+      // 1 for a perfectly steady frame rate, lower the more it varies
+      Stability: fpsMean ? round(Math.max(0, 1 - fpsDeviation / fpsMean), 2) : null
+    },
+    PacketLoss: {
+      Lost: packetsLost,
+      Received: packetsReceived,
+      RatePercent: round(ratio(packetsLost, packetsReceived), 2)
+    },
+    DroppedFrames: {
+      Dropped: framesDropped,
+      Received: framesReceived,
+      // framesReceived counts dropped frames too
+      RatePercent: round(framesReceived > 0 ? (framesDropped / framesReceived) * 100 : null, 2)
+    },
+    Jitter: {
+      AverageMs: round(mean(values(SERIES.JITTER).map((seconds) => seconds * 1000)))
+    }
+  };
+
+  const ratings = {
+    RoundTripTime: rate(analysis.RoundTripTime.P95Ms, thresholds.RTT_P95_MS),
+    PacketLoss: rate(analysis.PacketLoss.RatePercent, thresholds.PACKET_LOSS_PERCENT),
+    DroppedFrames: rate(analysis.DroppedFrames.RatePercent, thresholds.DROPPED_FRAMES_PERCENT),
+    FramesPerSecond: rate(analysis.FramesPerSecond.Stability, thresholds.FPS_STABILITY, true)
+  };
+  const rated = Object.entries(ratings).filter(([, verdict]) => verdict !== null);
+  analysis.Verdict = rated.length === 0
+    ? 'unknown'
+    : VERDICTS[Math.max(...rated.map(([, verdict]) => VERDICTS.indexOf(verdict)))];
+  analysis.Issues = rated
+    .filter(([, verdict]) => verdict !== 'good')
+    .map(([measure, verdict]) => ({ Measure: measure, Verdict: verdict }));
+  return analysis;
+}
+
+/**
+ * Keeps uploaded session metrics in a store with the session store interface
+ * @class SessionMetricsStore
+ */
+class SessionMetricsStore {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.metricsConfig - config.SESSION_METRICS section
+   * @param {Object} options.store - Store used to persist the metrics, not the session store
+   */
+  constructor({ metricsConfig, store }) {
+    this.metricsConfig = metricsConfig;
+    this.store = store;
+  }
+
+  /**
+   * Whether session metrics are enabled
+   * @method isEnabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.metricsConfig.ENABLED;
+  }
+
+  /**
+   * Reads the metrics of a session
+   * @method get
+   * @param {string} token - Connection token of the session
+   * @returns {Promise<Object|undefined>} Stored metrics, or undefined if none were uploaded
+   */
+  async get(token) {
+    if (!token) {
+      return undefined;
+    }
+    return this.store.get(METRICS_KEY_PREFIX + token);
+  }
+
+  /**
+   * Adds an uploaded batch of samples to a session's metrics
+   * @method record
+   * @param {string} token - Connection token of the session
+   * @param {Object} connectionData - Session data stored for the token
+   * @param {Object} batch - Upload in the prepareStatsForServer format
+   * @returns {Promise<number>} Number of samples added
+   * @throws {SessionMetricsError} When the upload is malformed or has too many metrics
+   */
+  async record(token, connectionData, batch) {
+    validateStatsBatch(batch, this.metricsConfig.MAX_METRICS);
+    const record = (await this.get(token)) || {
+      StreamSessionArn: connectionData.StreamSessionArn,
+      OwnerId: connectionData.OwnerId,
+      Stats: {}
+    };
+
+    let added = 0;
+    Object.entries(batch.stats).forEach(([name, samples]) => {
+      if (!record.Stats[name] && Object.keys(record.Stats).length >= this.metricsConfig.MAX_METRICS) {
+        throw new SessionMetricsError(`Stats may contain at most ${this.metricsConfig.MAX_METRICS} metrics`);
+      }
+      const merged = (record.Stats[name] || []).concat(samples);
+      record.Stats[name] = merged.slice(-this.metricsConfig.MAX_SAMPLES_PER_METRIC);
+      added += samples.length;
+    });
+    if (Number.isFinite(batch.sessionDuration)) {
+      record.SessionDuration = Math.max(record.SessionDuration || 0, batch.sessionDuration);
+    }
+    record.UpdatedAt = Date.now();
+    await this.store.put(METRICS_KEY_PREFIX + token, record, this.metricsConfig.RETENTION_SECONDS);
+    return added;
+  }
+
+  /**
+   * Analyzes the metrics of a session
+   * @method analyze
+   * @param {string} token - Connection token of the session
+   * @returns {Promise<Object|null>} Analysis, or null if no metrics were uploaded
+   */
+  async analyze(token) {
+    const record = await this.get(token);
+    return record ? analyzeSessionMetrics(record, this.metricsConfig.THRESHOLDS) : null;
+  }
+}
+
+module.exports = {
+  SessionMetricsStore,
+  SessionMetricsError,
+  analyzeSessionMetrics,
+  percentile
+};
@@ -0,0 +1,161 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Session length policy
+ * @description Decides how long a stream session may run and whether the player may
+ * extend it. The configured defaults are overridden by the application catalog entry,
+ * then by the policies of the player's roles, and everything is capped by
+ * config.MAX_SESSION_LENGTH_SECONDS.
+ *
+ * GameLift Streams fixes the session length when the session starts, so a session that
+ * may be extended is started with its longest possible length and ended by the server
+ * once the allowed time runs out, see sessionEndsAt.
+ *
+ * @example
+ * // SESSION_ROLE_POLICIES environment variable
+ * { "premium": { "SessionLengthSeconds": 7200, "ExtensionSeconds": 1800, "MaxExtensions": 4 } }
+ */
+
+const { hasRole } = require('./admin');
+
+/**
+ * Policy fields, as named in catalog entries and role policies
+ * @constant {string[]} POLICY_FIELDS
+ */
+const POLICY_FIELDS = ['SessionLengthSeconds', 'ExtensionSeconds', 'MaxExtensions'];
+
+/**
+ * Resolves the session length policy of new sessions
+ * @class SessionPolicy
+ */
+class SessionPolicy {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.policyConfig - config.SESSION_POLICY section
+   * @param {number} options.maxSessionLengthSeconds - config.MAX_SESSION_LENGTH_SECONDS
+   */
+  constructor({ policyConfig, maxSessionLengthSeconds }) {
+    this.policyConfig = policyConfig;
+    this.maxSessionLengthSeconds = maxSessionLengthSeconds;
+  }
+
+  /**
+   * Resolves the policy for a new session
+   * @method resolve
+   * @param {Object} options
+   * @param {Object} [options.application] - Catalog entry, if the catalog is used
+   * @param {Object} [options.user] - Authenticated user, req.user
+   * @returns {{SessionLengthSeconds: number, ExtensionSeconds: number, MaxExtensions: number,
+   * MaxSessionLengthSeconds: number}} Initial length, extension length, number of extensions
+   * allowed, and the length to start the GameLift Streams session with
+   */
+  resolve({ application, user } = {}) {
+    const policy = {
+      SessionLengthSeconds: this.policyConfig.DEFAULT_LENGTH_SECONDS,
+      ExtensionSeconds: this.policyConfig.EXTENSION_SECONDS,
+      MaxExtensions: this.policyConfig.MAX_EXTENSIONS
+    };
+    if (application) {
+      override(policy, application);
+    }
+    if (user) {
+      // A player with several roles gets the most generous value of each field
+      const rolePolicies = Object.entries(this.policyConfig.ROLE_POLICIES)
+        .filter(([role]) => hasRole(user.claims, this.policyConfig.ROLE_CLAIM, role))
+        .map(([, rolePolicy]) => rolePolicy);
+      for (const field of POLICY_FIELDS) {
+        const values = rolePolicies.map((rolePolicy) => rolePolicy[field]).filter(Number.isFinite);
+        if (values.length > 0) {
+          policy[field] = Math.max(...values);
+        }
+      }
+    }
+
+    policy.SessionLengthSeconds = Math.min(policy.SessionLengthSeconds, this.maxSessionLengthSeconds);
+    if (!(policy.ExtensionSeconds > 0) || !(policy.MaxExtensions > 0)) {
+      policy.ExtensionSeconds = 0;
+      policy.MaxExtensions = 0;
+    }
+    policy.MaxSessionLengthSeconds = Math.min(
+      policy.SessionLengthSeconds + policy.ExtensionSeconds * policy.MaxExtensions,
+      this.maxSessionLengthSeconds);
+    return policy;
+  }
+}
+
+/**
+ * Copies the policy fields set on a source
+ * @function override
+ * @param {Object} policy - Policy being resolved
+ * @param {Object} source - Catalog entry or role policy
+ * @returns {void}
+ */
+function override(policy, source) {
+  for (const field of POLICY_FIELDS) {
+    if (Number.isFinite(source[field])) {
+      policy[field] = source[field];
+    }
+  }
+}
+
+/**
+ * When a session's allowed time runs out
+ * @function sessionEndsAt
+ * @param {Object} connectionData - Session data stored for the token
+ * @returns {number} Time in milliseconds; sessions without a policy end with their
+ * GameLift Streams session length
+ */
+function sessionEndsAt(connectionData) {
+  return connectionData.EndsAt || connectionData.Timestamp + connectionData.SessionLengthSeconds * 1000;
+}
+
+/**
+ * Describes the remaining time of a session, as returned by SessionInfo
+ * @function describeSessionTime
+ * @param {Object} connectionData - Session data stored for the token
+ * @param {number[]} warningThresholdsSeconds - config.SESSION_POLICY.WARNING_THRESHOLDS_SECONDS
+ * @returns {Object} Start and end time, remaining seconds, warning thresholds and extension options
+ */
+function describeSessionTime(connectionData, warningThresholdsSeconds) {
+  const now = Date.now();
+  const endsAt = sessionEndsAt(connectionData);
+  const extensionSeconds = connectionData.ExtensionSeconds || 0;
+  const maxEndsAt = connectionData.Timestamp + connectionData.SessionLengthSeconds * 1000;
+  const extensionsRemaining = Math.max(0, (connectionData.MaxExtensions || 0) - (connectionData.Extensions || 0));
+  return {
+    StartedAt: new Date(connectionData.Timestamp).toISOString(),
+    EndsAt: new Date(endsAt).toISOString(),
+    RemainingSeconds: Math.max(0, Math.floor((endsAt - now) / 1000)),
+    WarningThresholdsSeconds: warningThresholdsSeconds,
+    CanExtend: extensionSeconds > 0 && extensionsRemaining > 0 && endsAt < maxEndsAt && endsAt > now,
+    ExtensionSeconds: extensionSeconds,
+    ExtensionsRemaining: extensionsRemaining
+  };
+}
+
+/**
+ * Extends a session by its policy's extension length, up to its GameLift Streams length
+ * @function extendSession
+ * @param {Object} connectionData - Session data stored for the token, updated in place
+ * @returns {boolean} False if the policy does not allow another extension
+ */
+function extendSession(connectionData) {
+  if (!describeSessionTime(connectionData, []).CanExtend) {
+    return false;
+  }
+  const maxEndsAt = connectionData.Timestamp + connectionData.SessionLengthSeconds * 1000;
+  connectionData.EndsAt = Math.min(sessionEndsAt(connectionData) + connectionData.ExtensionSeconds * 1000, maxEndsAt);
+  connectionData.Extensions = (connectionData.Extensions || 0) + 1;
+  return true;
+}
+
+module.exports = {
+  SessionPolicy,
+  sessionEndsAt,
+  describeSessionTime,
+  extendSession
+};
@@ -0,0 +1,430 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Persistent session store for connection tokens
+ * @description Maps connection tokens to stream session data with a per-entry TTL.
+ * Every adapter exposes the same asynchronous interface:
+ * - get(token): resolves to the stored data, or undefined if missing or expired
+ * - put(token, data, ttlSeconds): stores data until the TTL elapses
+ * - delete(token): removes the entry
+ * - take(token): removes the entry and resolves to its data, or undefined if missing or
+ *   expired; of concurrent takes of the same token only one gets the data
+ * - list(): resolves to every unexpired entry as { token, data }
+ * - sweep(): purges expired entries and resolves to the number removed
+ * - flush(): resolves once every change so far has been written, e.g. before shutdown
+ * @requires crypto
+ * @requires fs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps tokens in process memory. Tokens are lost on restart.
+ * @class MemorySessionStore
+ */
+class MemorySessionStore {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Retrieves the data stored for a token
+   * @method get
+   * @param {string} token - Connection token
+   * @returns {Promise<Object|undefined>} Stored data, or undefined if missing or expired
+   */
+  async get(token) {
+    const entry = this.entries.get(token);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(token);
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  /**
+   * Stores data for a token
+   * @method put
+   * @param {string} token - Connection token
+   * @param {Object} data - JSON-serializable session data
+   * @param {number} ttlSeconds - Seconds until the entry expires
+   * @returns {Promise<void>}
+   */
+  async put(token, data, ttlSeconds) {
+    this.entries.set(token, { data, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  /**
+   * Removes the entry for a token
+   * @method delete
+   * @param {string} token - Connection token
+   * @returns {Promise<void>}
+   */
+  async delete(token) {
+    this.entries.delete(token);
+  }
+
+  /**
+   * Removes the entry for a token and returns its data. Nothing runs between the lookup
+   * and the removal, so concurrent takes cannot both get the data.
+   * @method take
+   * @param {string} token - Connection token
+   * @returns {Promise<Object|undefined>} Stored data, or undefined if missing or expired
+   */
+  async take(token) {
+    const entry = this.entries.get(token);
+    this.entries.delete(token);
+    return entry && entry.expiresAt > Date.now() ? entry.data : undefined;
+  }
+
+  /**
+   * Lists all unexpired entries
+   * @method list
+   * @returns {Promise<Array<{token: string, data: Object}>>} Entries
+   */
+  async list() {
+    const now = Date.now();
+    const result = [];
+    for (const [token, entry] of this.entries) {
+      if (entry.expiresAt > now) {
+        result.push({ token, data: entry.data });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Removes all expired entries
+   * @method sweep
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [token, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(token);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Entries only live in memory, so there is nothing to write before shutdown
+   * @method flush
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * Keeps each token in its own JSON file in a directory, so tokens survive local server
+ * restarts. Every write replaces a single entry's file atomically and every read goes to
+ * the files, so several local processes can share the directory.
+ * @class FileSessionStore
+ */
+class FileSessionStore {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.directory - Directory holding the entry files, created if missing
+   */
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Path of the file holding a token's entry. Tokens are hashed, as they may contain
+   * characters that are not valid in file names.
+   * @method entryPath
+   * @param {string} token - Connection token
+   * @returns {string} File path
+   */
+  entryPath(token) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(token).digest('hex')}.json`);
+  }
+
+  /**
+   * Reads an entry file
+   * @method readEntry
+   * @param {string} filePath - Entry file
+   * @returns {Promise<{token: string, data: Object, expiresAt: number}|undefined>} Entry, or
+   * undefined if the file is missing or corrupt
+   */
+  async readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reads every entry file, expired or not
+   * @method readEntries
+   * @returns {Promise<Array<{filePath: string, entry: Object}>>} Entries with their files
+   */
+  async readEntries() {
+    const names = (await fs.promises.readdir(this.directory)).filter((name) => name.endsWith('.json'));
+    const entries = await Promise.all(names.map(async (name) => {
+      const filePath = path.join(this.directory, name);
+      return { filePath, entry: await this.readEntry(filePath) };
+    }));
+    return entries.filter(({ entry }) => entry);
+  }
+
+  async get(token) {
+    const entry = await this.readEntry(this.entryPath(token));
+    return entry && entry.expiresAt > Date.now() ? entry.data : undefined;
+  }
+
+  /**
+   * Stores data for a token, writing a temporary file and renaming it over the entry so
+   * readers never see a partly written file
+   * @method put
+   * @param {string} token - Connection token
+   * @param {Object} data - JSON-serializable session data
+   * @param {number} ttlSeconds - Seconds until the entry expires
+   * @returns {Promise<void>}
+   */
+  async put(token, data, ttlSeconds) {
+    const filePath = this.entryPath(token);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ token, data, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async delete(token) {
+    await fs.promises.rm(this.entryPath(token), { force: true });
+  }
+
+  /**
+   * Removes the entry for a token and returns its data. The entry file is first renamed
+   * to a name of this call's own, which only one of concurrent takes can do.
+   * @method take
+   * @param {string} token - Connection token
+   * @returns {Promise<Object|undefined>} Stored data, or undefined if missing or expired
+   */
+  async take(token) {
+    const filePath = this.entryPath(token);
+    const takenPath = `${filePath}.${crypto.randomUUID()}.taken`;
+    try {
+      await fs.promises.rename(filePath, takenPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+    const entry = await this.readEntry(takenPath);
+    await fs.promises.rm(takenPath, { force: true });
+    return entry && entry.expiresAt > Date.now() ? entry.data : undefined;
+  }
+
+  async list() {
+    const now = Date.now();
+    return (await this.readEntries())
+      .filter(({ entry }) => entry.expiresAt > now)
+      .map(({ entry }) => ({ token: entry.token, data: entry.data }));
+  }
+
+  async sweep() {
+    const now = Date.now();
+    const expired = (await this.readEntries()).filter(({ entry }) => entry.expiresAt <= now);
+    await Promise.all(expired.map(({ filePath }) => fs.promises.rm(filePath, { force: true })));
+    return expired.length;
+  }
+
+  /**
+   * Every write has reached its file when its promise resolves, so there is nothing to flush
+   * @method flush
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * Stores tokens in a DynamoDB (or DynamoDB-compatible) table so they are shared
+ * across Lambda instances and survive cold starts.
+ *
+ * The table must have a string partition key named "Token". Enable DynamoDB TTL
+ * on the numeric "ExpiresAt" attribute (epoch seconds) to have expired items
+ * removed by the service; reads ignore expired items that have not yet been purged.
+ * @class DynamoDBSessionStore
+ */
+class DynamoDBSessionStore {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.tableName - Name of the DynamoDB table
+   * @param {string} [options.region] - AWS region of the table
+   * @param {string} [options.endpoint] - Endpoint override, e.g. for DynamoDB Local
+   * @param {Object} [options.client] - Preconfigured DynamoDB client
+   */
+  constructor({ tableName, region, endpoint, client }) {
+    if (!tableName) {
+      throw new Error('DynamoDB session store requires a table name');
+    }
+    this.tableName = tableName;
+    if (client) {
+      this.client = client;
+    } else {
+      const { DynamoDB } = require('@aws-sdk/client-dynamodb');
+      this.client = new DynamoDB({
+        region: region || undefined,
+        endpoint: endpoint || undefined
+      });
+    }
+  }
+
+  async get(token) {
+    const result = await this.client.getItem({
+      TableName: this.tableName,
+      Key: { Token: { S: token } },
+      ConsistentRead: true
+    });
+    const item = result.Item;
+    if (!item || Number(item.ExpiresAt.N) * 1000 <= Date.now()) {
+      return undefined;
+    }
+    return JSON.parse(item.Data.S);
+  }
+
+  async put(token, data, ttlSeconds) {
+    await this.client.putItem({
+      TableName: this.tableName,
+      Item: {
+        Token: { S: token },
+        Data: { S: JSON.stringify(data) },
+        ExpiresAt: { N: String(Math.ceil(Date.now() / 1000 + ttlSeconds)) }
+      }
+    });
+  }
+
+  async delete(token) {
+    await this.client.deleteItem({
+      TableName: this.tableName,
+      Key: { Token: { S: token } }
+    });
+  }
+
+  /**
+   * Deletes the item of a token and returns its data. The delete is conditional on the
+   * item existing, so of concurrent takes only the one that deleted it gets the data.
+   * @method take
+   * @param {string} token - Connection token
+   * @returns {Promise<Object|undefined>} Stored data, or undefined if missing or expired
+   */
+  async take(token) {
+    let result;
+    try {
+      result = await this.client.deleteItem({
+        TableName: this.tableName,
+        Key: { Token: { S: token } },
+        ConditionExpression: 'attribute_exists(#token)',
+        ExpressionAttributeNames: { '#token': 'Token' },
+        ReturnValues: 'ALL_OLD'
+      });
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return undefined;
+      }
+      throw error;
+    }
+    const item = result.Attributes;
+    if (!item || Number(item.ExpiresAt.N) * 1000 <= Date.now()) {
+      return undefined;
+    }
+    return JSON.parse(item.Data.S);
+  }
+
+  /**
+   * Scans the table for unexpired entries. Scans read the whole table, which is
+   * acceptable for the number of concurrent sessions a stream group can host.
+   * @method list
+   * @returns {Promise<Array<{token: string, data: Object}>>} Entries
+   */
+  async list() {
+    const nowSeconds = Date.now() / 1000;
+    const result = [];
+    let ExclusiveStartKey;
+    do {
+      const page = await this.client.scan({
+        TableName: this.tableName,
+        ConsistentRead: true,
+        ExclusiveStartKey
+      });
+      (page.Items || []).forEach((item) => {
+        if (Number(item.ExpiresAt.N) > nowSeconds) {
+          result.push({ token: item.Token.S, data: JSON.parse(item.Data.S) });
+        }
+      });
+      ExclusiveStartKey = page.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return result;
+  }
+
+  /**
+   * Expired items are removed by DynamoDB TTL, so there is nothing to sweep
+   * @method sweep
+   * @returns {Promise<number>} Always 0
+   */
+  async sweep() {
+    return 0;
+  }
+
+  /**
+   * Every write has reached DynamoDB when its promise resolves, so there is nothing to flush
+   * @method flush
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * Creates a session store adapter
+ * @function createSessionStore
+ * @param {Object} options
+ * @param {string} options.type - Adapter type: 'memory', 'file' or 'dynamodb'
+ * @param {string} [options.directory] - Entry directory for the 'file' adapter
+ * @param {string} [options.tableName] - Table name for the 'dynamodb' adapter
+ * @param {string} [options.region] - AWS region for the 'dynamodb' adapter
+ * @param {string} [options.endpoint] - Endpoint override for the 'dynamodb' adapter
+ * @returns {MemorySessionStore|FileSessionStore|DynamoDBSessionStore} Session store
+ * @throws {Error} When the adapter type is unknown
+ */
+function createSessionStore({ type, directory, tableName, region, endpoint }) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore({ directory });
+    case 'dynamodb':
+      return new DynamoDBSessionStore({ tableName, region, endpoint });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  DynamoDBSessionStore,
+  createSessionStore
+};
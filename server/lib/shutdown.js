@@ -0,0 +1,230 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Graceful shutdown
+ * @description Shuts the server down in stages when it receives SIGTERM or SIGINT:
+ * 1. stops accepting connections, and lets the app refuse new work such as
+ *    CreateStreamSession while requests for running sessions are still served
+ * 2. runs the drain tasks, e.g. closing long-lived event streams
+ * 3. waits for in-flight requests to finish, closing the connections that are left
+ *    once config.SHUTDOWN.DRAIN_TIMEOUT_MS has passed
+ * 4. runs the cleanup tasks in the order they were added, e.g. ending the stream
+ *    sessions of this instance and flushing the session store, within
+ *    config.SHUTDOWN.CLEANUP_TIMEOUT_MS
+ * 5. flushes the logs
+ *
+ * A failing task is logged and does not stop the tasks after it.
+ */
+
+/**
+ * Value withTimeout resolves to when the time is up
+ * @constant {symbol} TIMED_OUT
+ */
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Waits for a promise for at most a given time, without keeping the process alive
+ * @function withTimeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @returns {Promise<*>} Value of the promise, or TIMED_OUT
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), ms);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Coordinates the shutdown of the servers and the app
+ * @class ShutdownManager
+ */
+class ShutdownManager {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {number} options.drainTimeoutMs - Time in-flight requests get to finish
+   * @param {number} options.cleanupTimeoutMs - Time the cleanup tasks get to finish
+   * @param {Object} options.logger - Logger with info, warn and error methods
+   */
+  constructor({ drainTimeoutMs, cleanupTimeoutMs, logger }) {
+    this.drainTimeoutMs = drainTimeoutMs;
+    this.cleanupTimeoutMs = cleanupTimeoutMs;
+    this.logger = logger;
+    this.servers = new Set();
+    this.drainTasks = [];
+    this.cleanupTasks = [];
+    this.inFlight = 0;
+    this.idleCallbacks = [];
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * Whether shutdown has started
+   * @type {boolean}
+   */
+  get shuttingDown() {
+    return this.shutdownPromise !== null;
+  }
+
+  /**
+   * Adds an HTTP or HTTPS server to close on shutdown
+   * @method addServer
+   * @param {http.Server} server - Server the app listens on
+   * @returns {void}
+   */
+  addServer(server) {
+    this.servers.add(server);
+  }
+
+  /**
+   * Adds a task run as soon as shutdown starts, before waiting for in-flight requests
+   * @method onDrain
+   * @param {string} name - Name used in logs
+   * @param {Function} task - Called without arguments, may return a promise
+   * @returns {void}
+   */
+  onDrain(name, task) {
+    this.drainTasks.push({ name, task });
+  }
+
+  /**
+   * Adds a task run after in-flight requests have finished
+   * @method onCleanup
+   * @param {string} name - Name used in logs
+   * @param {Function} task - Called without arguments, may return a promise
+   * @returns {void}
+   */
+  onCleanup(name, task) {
+    this.cleanupTasks.push({ name, task });
+  }
+
+  /**
+   * Creates middleware counting in-flight requests. During shutdown, responses ask
+   * clients to close their keep-alive connection.
+   * @method middleware
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (this.shuttingDown) {
+        res.setHeader('Connection', 'close');
+      }
+      this.inFlight++;
+      let done = false;
+      const finish = () => {
+        if (!done) {
+          done = true;
+          this.inFlight--;
+          if (this.inFlight === 0) {
+            this.idleCallbacks.splice(0).forEach((callback) => callback());
+          }
+        }
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+    };
+  }
+
+  /**
+   * Shuts down; calling it again returns the same promise
+   * @method shutdown
+   * @param {string} reason - Why, e.g. the signal received
+   * @returns {Promise<boolean>} Whether every request drained and every task succeeded
+   */
+  shutdown(reason) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.run(reason);
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * @method run
+   * @param {string} reason - Why the server shuts down
+   * @returns {Promise<boolean>}
+   */
+  async run(reason) {
+    const startedAt = Date.now();
+    this.logger.info('Shutting down', { reason, inFlightRequests: this.inFlight });
+
+    const closed = [...this.servers].map((server) => new Promise((resolve) => {
+      if (!server.listening) {
+        return resolve();
+      }
+      server.close(() => resolve());
+      // Keep-alive connections without a request in progress would hold close() open
+      if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+      }
+    }));
+
+    let succeeded = await this.runTasks('drain', this.drainTasks);
+
+    const drained = await withTimeout(this.waitForRequests(), this.drainTimeoutMs) !== TIMED_OUT;
+    if (!drained) {
+      succeeded = false;
+      this.logger.warn('Requests still in flight after the drain timeout, closing their connections', {
+        inFlightRequests: this.inFlight,
+        drainTimeoutMs: this.drainTimeoutMs
+      });
+      this.servers.forEach((server) => server.closeAllConnections && server.closeAllConnections());
+    }
+    await withTimeout(Promise.all(closed), this.drainTimeoutMs);
+
+    const cleanedUp = await withTimeout(this.runTasks('cleanup', this.cleanupTasks), this.cleanupTimeoutMs);
+    if (cleanedUp === TIMED_OUT) {
+      this.logger.error('Shutdown cleanup timed out', { cleanupTimeoutMs: this.cleanupTimeoutMs });
+    }
+    succeeded = succeeded && cleanedUp === true;
+    this.logger.info('Shutdown complete', { reason, succeeded, durationMs: Date.now() - startedAt });
+    // Last, so the lines above are written before the process exits
+    if (this.logger.flush) {
+      await this.logger.flush();
+    }
+    return succeeded;
+  }
+
+  /**
+   * Resolves when no request is in flight
+   * @method waitForRequests
+   * @returns {Promise<void>}
+   */
+  waitForRequests() {
+    if (this.inFlight === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleCallbacks.push(resolve));
+  }
+
+  /**
+   * Runs tasks one after another, logging failures
+   * @method runTasks
+   * @param {string} stage - 'drain' or 'cleanup', for logs
+   * @param {Object[]} tasks - Tasks with name and task
+   * @returns {Promise<boolean>} Whether every task succeeded
+   */
+  async runTasks(stage, tasks) {
+    let succeeded = true;
+    for (const { name, task } of tasks) {
+      try {
+        await task();
+      } catch (error) {
+        succeeded = false;
+        this.logger.error('Shutdown task failed', { stage, task: name, error: error.message });
+      }
+    }
+    return succeeded;
+  }
+}
+
+module.exports = {
+  ShutdownManager
+};
@@ -0,0 +1,150 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Coalesced GetStreamSession polling
+ * @description Many requests can ask for the status of the same stream session at
+ * once: a browser polling GetSignalResponse, several event streams after a reload,
+ * admission checks. The poller makes at most one GetStreamSession call per session
+ * per interval and shares the result with every caller and subscriber.
+ */
+
+/**
+ * Stream session statuses after which the status no longer changes in a way
+ * subscribers wait for
+ * @constant {string[]} FINAL_STATUSES
+ */
+const FINAL_STATUSES = ['ACTIVE', 'ERROR', 'TERMINATING', 'TERMINATED'];
+
+/**
+ * Polls GetStreamSession once per session per interval
+ * @class StreamSessionStatusPoller
+ */
+class StreamSessionStatusPoller {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.gameliftstreams - GameLift Streams client
+   * @param {number} options.intervalMs - Minimum time between GetStreamSession calls per session
+   * @param {Object} options.logger - Logger with info/error methods
+   */
+  constructor({ gameliftstreams, intervalMs, logger }) {
+    this.gameliftstreams = gameliftstreams;
+    this.intervalMs = intervalMs;
+    this.logger = logger;
+    // StreamSessionArn -> { promise, fetchedAt, listeners, timer, lastStatus }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Gets or creates the polling state of a session
+   * @method entry
+   * @param {string} streamSessionArn - Stream session ARN
+   * @returns {Object} Polling state
+   */
+  entry(streamSessionArn) {
+    let entry = this.sessions.get(streamSessionArn);
+    if (!entry) {
+      entry = { promise: null, fetchedAt: 0, listeners: new Set(), timer: null, lastStatus: null };
+      this.sessions.set(streamSessionArn, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Forgets a session that has no subscribers once its last result is stale
+   * @method release
+   * @param {string} streamSessionArn - Stream session ARN
+   * @returns {void}
+   */
+  release(streamSessionArn) {
+    const entry = this.sessions.get(streamSessionArn);
+    if (entry && entry.listeners.size === 0) {
+      this.sessions.delete(streamSessionArn);
+    }
+  }
+
+  /**
+   * Gets the stream session, sharing in-flight and recent GetStreamSession results
+   * @method getStreamSession
+   * @param {Object} connectionData - Session data from the session store
+   * @param {string} connectionData.StreamGroupId - Stream group identifier
+   * @param {string} connectionData.StreamSessionArn - Stream session ARN
+   * @returns {Promise<Object>} GetStreamSession response
+   */
+  getStreamSession({ StreamGroupId, StreamSessionArn }) {
+    const entry = this.entry(StreamSessionArn);
+    if (!entry.promise || Date.now() - entry.fetchedAt >= this.intervalMs) {
+      entry.fetchedAt = Date.now();
+      entry.promise = this.gameliftstreams.getStreamSession({
+        Identifier: StreamGroupId,
+        StreamSessionIdentifier: StreamSessionArn
+      });
+      // Failed calls are not cached
+      entry.promise.catch(() => {
+        entry.fetchedAt = 0;
+      });
+      setTimeout(() => this.release(StreamSessionArn), this.intervalMs).unref();
+    }
+    return entry.promise;
+  }
+
+  /**
+   * Calls the listener whenever the session status changes, until it reaches a final
+   * status or the returned function is called
+   * @method subscribe
+   * @param {Object} connectionData - Session data from the session store
+   * @param {Function} listener - Called with (error, streamSession)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(connectionData, listener) {
+    const arn = connectionData.StreamSessionArn;
+    const entry = this.entry(arn);
+    entry.listeners.add(listener);
+
+    const unsubscribe = () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) {
+        clearInterval(entry.timer);
+        entry.timer = null;
+        entry.lastStatus = null;
+        setTimeout(() => this.release(arn), this.intervalMs).unref();
+      }
+    };
+
+    // Late subscribers get the current status right away
+    if (entry.lastStatus) {
+      this.getStreamSession(connectionData).then((session) => listener(null, session), (error) => listener(error));
+    }
+
+    if (!entry.timer) {
+      const tick = async () => {
+        let session;
+        try {
+          session = await this.getStreamSession(connectionData);
+        } catch (error) {
+          entry.listeners.forEach((notify) => notify(error));
+          return;
+        }
+        if (session.Status !== entry.lastStatus) {
+          entry.lastStatus = session.Status;
+          entry.listeners.forEach((notify) => notify(null, session));
+        }
+        if (FINAL_STATUSES.includes(session.Status)) {
+          clearInterval(entry.timer);
+          entry.timer = null;
+        }
+      };
+      entry.timer = setInterval(tick, this.intervalMs);
+      void tick();
+    }
+    return unsubscribe;
+  }
+}
+
+module.exports = {
+  StreamSessionStatusPoller,
+  FINAL_STATUSES
+};
@@ -0,0 +1,114 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Stream group failover
+ * @description An application may be served by several stream groups, e.g. in different
+ * regions or with different instance types, listed in order of preference. When
+ * StartStreamSession fails in a group for lack of capacity or throttling, the next group
+ * is tried. The group that served a session is recorded with its connection token, so
+ * the later calls for the session go to that group.
+ *
+ * Stream groups in other regions than config.GAMELIFT_STREAMS_REGION must be given as
+ * ARNs; RegionalGameLiftStreams sends each call to the region of its stream group.
+ */
+
+const { GAMELIFT_OPERATIONS } = require('./metrics');
+
+/**
+ * Checks whether a StartStreamSession error should be retried in the next stream group
+ * @function isFailoverError
+ * @param {Error} error - Error thrown by the GameLift Streams client
+ * @param {string[]} failoverErrorNames - config.STREAM_GROUP_FAILOVER.ERROR_NAMES
+ * @returns {boolean} True for the configured error names and errors mentioning capacity
+ */
+function isFailoverError(error, failoverErrorNames) {
+  return Boolean(error) && (failoverErrorNames.includes(error.name) || /capacity/i.test(error.message || ''));
+}
+
+/**
+ * Reads the region of a stream group ARN
+ * @function regionOf
+ * @param {string} identifier - Stream group ID or ARN
+ * @returns {string|undefined} Region, or undefined for plain IDs
+ */
+function regionOf(identifier) {
+  const match = /^arn:[^:]+:gameliftstreams:([^:]+):/.exec(identifier || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Starts a stream session in the first stream group that accepts it
+ * @function startInStreamGroups
+ * @param {Object} options
+ * @param {Object} options.gameliftstreams - GameLift Streams client
+ * @param {string[]} options.streamGroupIds - Stream groups in order of preference
+ * @param {Object} options.input - StartStreamSession input; Identifier is set per group
+ * @param {string[]} options.failoverErrorNames - config.STREAM_GROUP_FAILOVER.ERROR_NAMES
+ * @param {Function} [options.onFailover] - Called with (streamGroupId, error) for each group skipped
+ * @returns {Promise<{streamGroupId: string, data: Object}>} Serving group and StartStreamSession response
+ * @throws {Error} The first error that is not a failover error, or the error of the last group
+ */
+async function startInStreamGroups({ gameliftstreams, streamGroupIds, input, failoverErrorNames, onFailover = () => {} }) {
+  let lastError;
+  for (const [index, streamGroupId] of streamGroupIds.entries()) {
+    try {
+      const data = await gameliftstreams.startStreamSession({ ...input, Identifier: streamGroupId });
+      return { streamGroupId, data };
+    } catch (error) {
+      if (!isFailoverError(error, failoverErrorNames) || index === streamGroupIds.length - 1) {
+        throw error;
+      }
+      onFailover(streamGroupId, error);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * GameLift Streams client that sends each call to the region of its stream group
+ * @class RegionalGameLiftStreams
+ */
+class RegionalGameLiftStreams {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {string} options.defaultRegion - Region of stream groups given as plain IDs
+   * @param {Function} options.createClient - Creates the client of a region
+   */
+  constructor({ defaultRegion, createClient }) {
+    this.defaultRegion = defaultRegion;
+    this.createClient = createClient;
+    this.clients = new Map();
+  }
+
+  /**
+   * Gets the client of a stream group's region, creating it on first use
+   * @method clientFor
+   * @param {string} identifier - Stream group ID or ARN
+   * @returns {Object} GameLift Streams client
+   */
+  clientFor(identifier) {
+    const region = regionOf(identifier) || this.defaultRegion;
+    if (!this.clients.has(region)) {
+      this.clients.set(region, this.createClient(region));
+    }
+    return this.clients.get(region);
+  }
+}
+
+GAMELIFT_OPERATIONS.forEach((operation) => {
+  RegionalGameLiftStreams.prototype[operation] = function (input, callback) {
+    return this.clientFor(input.Identifier)[operation](input, callback);
+  };
+});
+
+module.exports = {
+  RegionalGameLiftStreams,
+  isFailoverError,
+  regionOf,
+  startInStreamGroups
+};
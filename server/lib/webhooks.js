@@ -0,0 +1,216 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Outbound webhooks for stream session lifecycle events
+ * @description Posts a JSON payload to every configured URL when a session is
+ * created, becomes ACTIVE, is reconnected, is terminated, expires or fails.
+ *
+ * Each request carries the headers:
+ * - X-Webhook-Id: unique delivery ID, identical across retries
+ * - X-Webhook-Event: event name, e.g. session.created
+ * - X-Webhook-Timestamp: Unix time in seconds when the event was signed
+ * - X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>"
+ *   keyed with the shared secret
+ *
+ * Receivers should recompute the signature over the raw body and reject stale
+ * timestamps. Failed deliveries are retried with exponential backoff; deliveries
+ * that still fail are appended to a JSON lines dead-letter file, created readable by
+ * the server's user only. Payloads identify the session by StreamSessionArn and never
+ * carry its connection token.
+ *
+ * Delivery runs in the background. In Lambda deployments retries only progress
+ * while the function instance is handling requests.
+ * @requires node-fetch
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lifecycle event names
+ * @constant {Object} WEBHOOK_EVENTS
+ */
+const WEBHOOK_EVENTS = {
+  CREATED: 'session.created',
+  ACTIVE: 'session.active',
+  RECONNECTED: 'session.reconnected',
+  TERMINATED: 'session.terminated',
+  EXPIRED: 'session.expired',
+  ERROR: 'session.error'
+};
+
+/**
+ * Signs a webhook body
+ * @function signPayload
+ * @param {string} secret - Shared webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Serialized JSON payload
+ * @returns {string} Signature header value, "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Delivers lifecycle events to the configured webhook URLs
+ * @class WebhookDispatcher
+ */
+class WebhookDispatcher {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.webhookConfig - config.WEBHOOKS section
+   * @param {Object} options.logger - Logger with info/error methods
+   * @param {Function} [options.fetch] - fetch implementation, node-fetch by default
+   */
+  constructor({ webhookConfig, logger, fetch }) {
+    this.webhookConfig = webhookConfig;
+    this.logger = logger;
+    this.fetch = fetch || require('node-fetch');
+  }
+
+  /**
+   * Whether any webhook URL is configured
+   * @method isEnabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.webhookConfig.URLS.length > 0;
+  }
+
+  /**
+   * Sends an event to every webhook URL. Never rejects; failures are logged and
+   * dead-lettered.
+   * @method dispatch
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event fields: UserId, ApplicationIdentifier,
+   * StreamGroupId, StreamSessionArn and event specific details
+   * @returns {Promise<void>} Resolves when all deliveries succeeded or were dead-lettered
+   */
+  async dispatch(event, data) {
+    const subscribed = this.webhookConfig.EVENTS;
+    if (!this.isEnabled() || (subscribed.length > 0 && !subscribed.includes(event))) {
+      return;
+    }
+    const payload = {
+      Id: crypto.randomUUID(),
+      Event: event,
+      Timestamp: new Date().toISOString(),
+      ...data
+    };
+    await Promise.all(this.webhookConfig.URLS.map((url) => this.deliver(url, payload)));
+  }
+
+  /**
+   * Delivers a payload to one URL, retrying with exponential backoff
+   * @method deliver
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Event payload
+   * @returns {Promise<void>}
+   */
+  async deliver(url, payload) {
+    const body = JSON.stringify(payload);
+    const maxAttempts = this.webhookConfig.MAX_ATTEMPTS;
+    let lastError;
+    let attempt = 0;
+    while (attempt < maxAttempts) {
+      attempt++;
+      try {
+        await this.post(url, payload, body);
+        this.logger.info('Webhook delivered', { event: payload.Event, webhookId: payload.Id, url, attempt });
+        return;
+      } catch (error) {
+        lastError = error;
+        this.logger.error('Webhook delivery failed', {
+          event: payload.Event,
+          webhookId: payload.Id,
+          url,
+          attempt,
+          error: error.message
+        });
+        if (!error.retryable) {
+          break;
+        }
+      }
+      if (attempt < maxAttempts) {
+        const delay = this.webhookConfig.INITIAL_BACKOFF_MS * 2 ** (attempt - 1);
+        await new Promise((resolve) => { setTimeout(resolve, delay); });
+      }
+    }
+    await this.deadLetter(url, payload, lastError, attempt);
+  }
+
+  /**
+   * Makes one delivery attempt
+   * @method post
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Event payload
+   * @param {string} body - Serialized payload
+   * @returns {Promise<void>} Resolves on a 2xx response
+   * @throws {Error} With retryable set for network errors, timeouts, 429 and 5xx responses
+   */
+  async post(url, payload, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': payload.Id,
+          'X-Webhook-Event': payload.Event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(this.webhookConfig.SECRET, timestamp, body)
+        },
+        body,
+        timeout: this.webhookConfig.TIMEOUT_MS
+      });
+    } catch (error) {
+      error.retryable = true;
+      throw error;
+    }
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error(`Webhook returned status ${response.status}`);
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Records a delivery that could not be completed
+   * @method deadLetter
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Event payload
+   * @param {Error} error - Last delivery error
+   * @param {number} attempts - Number of attempts made
+   * @returns {Promise<void>}
+   */
+  async deadLetter(url, payload, error, attempts) {
+    const record = {
+      FailedAt: new Date().toISOString(),
+      Url: url,
+      Attempts: attempts,
+      Error: error ? error.message : undefined,
+      Payload: payload
+    };
+    try {
+      await fs.promises.appendFile(path.resolve(this.webhookConfig.DEAD_LETTER_FILE), `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    } catch (writeError) {
+      this.logger.error('Failed to write webhook dead letter', {
+        webhookId: payload.Id,
+        error: writeError.message
+      });
+    }
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENTS,
+  signPayload
+};
@@ -0,0 +1,286 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Typed client of the stream session API
+ * @description Generated from the OpenAPI document in lib/openapi.js by
+ * lib/api-client-generator.js; run npm run generate:api-client instead of editing it.
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} error - What went wrong
+ * @property {string} [message] - Details of the error
+ * @property {string} [code] - Machine readable reason, e.g. USER_SESSION_LIMIT
+ * @property {number} [limit] - Session limit that was reached
+ * @property {string} [status] - Stream session status that caused the error
+ * @property {string} [correlationId] - Identifies the request in the server logs
+ * @property {Array<ValidationError>} [errors] - Checks of this specification the request failed
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} path - Location of the invalid value, e.g. body.Token
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} TokenRequest
+ * @property {string} Token - Connection token from CreateStreamSession
+ */
+
+/**
+ * @typedef {Object} CreateStreamSessionRequest
+ * @property {(string|null)} [StreamGroupId] - Stream group to start the session in; only read in local mode without an application catalog
+ * @property {(string|null)} [ApplicationIdentifier] - Application to stream; a catalog Id when an application catalog is configured
+ * @property {string} [UserId] - Ignored when authentication is enabled
+ * @property {string} SignalRequest - WebRTC signal request of the client
+ * @property {Array<string>} [Locations] - Locations to stream from
+ * @property {Object} [LocationLatencies] - Round-trip time to each location in milliseconds, see GET /api/Locations; entries that are not numbers are ignored
+ * @property {Array<string>} [AdditionalLaunchArgs] - Ignored with a catalog
+ * @property {Object<string, string>} [AdditionalEnvironmentVariables] - Ignored with a catalog
+ * @property {string} [QueueTicket] - Ticket from an earlier queued response
+ */
+
+/**
+ * @typedef {Object} StreamSession
+ * @property {string} Token - Connection token for the later calls of the session
+ * @property {string} [ApplicationDescription] - Catalog description of the application
+ * @property {string} [Location] - Location GameLift Streams started the session in
+ * @property {number} [LatencyMs] - Measured latency to that location
+ */
+
+/**
+ * @typedef {Object} QueueTicketRequest
+ * @property {string} QueueTicket
+ */
+
+/**
+ * @typedef {Object} QueueStatus
+ * @property {string} QueueTicket
+ * @property {number} Position - 1-based position; retry CreateStreamSession at 1
+ * @property {number} EstimatedWaitSeconds
+ */
+
+/**
+ * @typedef {Object} SignalResponse
+ * @property {string} SignalResponse - WebRTC signal response; empty while the session is activating
+ */
+
+/**
+ * @typedef {Object} StreamSessionEventsRequest
+ * @property {string} [Token] - Connection token from CreateStreamSession
+ * @property {string} [QueueTicket] - Ticket from a queued CreateStreamSession
+ */
+
+/**
+ * @typedef {Object} ReconnectStreamSessionRequest
+ * @property {string} [Token] - Connection token from CreateStreamSession
+ * @property {string} [InviteToken] - Invite from CreateSessionInvite, instead of Token
+ * @property {string} SignalRequest
+ */
+
+/**
+ * @typedef {Object} ReconnectedStreamSession
+ * @property {string} SignalResponse
+ * @property {string} [Token] - New connection token, when an invite was redeemed
+ */
+
+/**
+ * @typedef {Object} SessionInvite
+ * @property {string} InviteToken - Invite to pass to ReconnectStreamSession
+ * @property {string} ExpiresAt
+ */
+
+/**
+ * @typedef {Object} SessionTime
+ * @property {string} StartedAt
+ * @property {string} EndsAt - When the session ends unless it is extended
+ * @property {number} RemainingSeconds
+ * @property {Array<number>} WarningThresholdsSeconds
+ * @property {boolean} CanExtend - Whether ExtendSession is allowed
+ * @property {number} ExtensionSeconds
+ * @property {number} ExtensionsRemaining
+ */
+
+/**
+ * @typedef {Object} HeartbeatRequest
+ * @property {string} Token - Connection token from CreateStreamSession
+ * @property {number} [IdleSeconds] - Seconds since the player's last input
+ */
+
+/**
+ * @typedef {Object} HeartbeatStatus
+ * @property {number} HeartbeatIntervalSeconds - When to send the next heartbeat
+ * @property {number} IdleTerminationInSeconds - Time until the session ends unless the player provides input
+ * @property {number} WarningSeconds - How long before termination to warn the player
+ */
+
+/**
+ * @typedef {Object} SessionMetricsRequest
+ * @property {string} Token - Connection token from CreateStreamSession
+ * @property {Object} Stats - Stats collected since the previous upload: { stats: { <metric>: [[timestamp, value], ...] }, sessionDuration }
+ */
+
+/**
+ * @typedef {Object} SessionMetricsAccepted
+ * @property {number} Accepted - Number of samples stored
+ */
+
+/**
+ * @typedef {Object} SessionMetricsAnalysis
+ * @property {number} SampleCount
+ * @property {(number|null)} [SessionDurationSeconds]
+ * @property {Object} [RoundTripTime]
+ * @property {Object} [FramesPerSecond]
+ * @property {Object} [PacketLoss]
+ * @property {Object} [DroppedFrames]
+ * @property {Object} [Jitter]
+ * @property {'good'|'fair'|'poor'|'unknown'} Verdict
+ * @property {Object[]} Issues
+ * @property {string} Issues[].Measure
+ * @property {'fair'|'poor'} Issues[].Verdict
+ */
+
+/**
+ * @typedef {Object} DestroyedStreamSession
+ * @property {SessionMetricsAnalysis} [analysis] - Present when the client uploaded session metrics
+ */
+
+/**
+ * @typedef {Object} Applications
+ * @property {Object[]} Applications
+ * @property {string} Applications[].Id
+ * @property {string} Applications[].Name
+ * @property {string} [Applications[].Description]
+ * @property {Array<string>} [Applications[].Locations]
+ */
+
+/**
+ * @typedef {Object} Locations
+ * @property {Object[]} Locations
+ * @property {string} Locations[].Location
+ * @property {string} Locations[].ProbeUrl
+ * @property {string} ProbeUrlTemplate - Probe URL with {region} standing for any location
+ * @property {number} ProbeCount - Requests to send per location, keeping the fastest
+ */
+
+/**
+ * Builds a query string, leaving out parameters without a value
+ * @param {Object} [query] - Query parameters
+ * @returns {string} Query string with its leading ?, or an empty string
+ */
+function apiQueryString(query) {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.append(name, value);
+        }
+    });
+    const text = params.toString();
+    return text ? `?${text}` : '';
+}
+
+/**
+ * Creates the API client
+ * @param {Object} transport - Sends requests and parses JSON responses, rejecting on
+ * non-2xx status: post(path, body), get(path) and eventStream(path, body, onEvent)
+ * @returns {Object} One method per operation, named by its operationId
+ */
+function createApiClient(transport) {
+    return {
+        /**
+         * Lists the applications that players may stream
+         * @returns {Promise<Applications>}
+         */
+        Applications: () => transport.get('/api/Applications'),
+
+        /**
+         * Lists the locations the client should measure before starting a stream
+         * @param {Object} [query] - Query parameters
+         * @param {string} [query.ApplicationIdentifier] - Application to stream; its catalog entry decides the candidate locations
+         * @returns {Promise<Locations>}
+         */
+        Locations: (query) => transport.get('/api/Locations' + apiQueryString(query)),
+
+        /**
+         * Starts a stream session, or queues the request when the stream group is out of capacity
+         * @param {CreateStreamSessionRequest} body - Request body
+         * @returns {Promise<StreamSession|QueueStatus>}
+         */
+        CreateStreamSession: (body) => transport.post('/api/CreateStreamSession', body),
+
+        /**
+         * Reports the position of a queued CreateStreamSession request and keeps its ticket alive
+         * @param {QueueTicketRequest} body - Request body
+         * @returns {Promise<QueueStatus>}
+         */
+        QueueStatus: (body) => transport.post('/api/QueueStatus', body),
+
+        /**
+         * Returns the WebRTC signal response once the stream session is active
+         * @param {TokenRequest} body - Request body
+         * @returns {Promise<SignalResponse>}
+         */
+        GetSignalResponse: (body) => transport.post('/api/GetSignalResponse', body),
+
+        /**
+         * Streams stream session status changes or queue positions as Server-Sent Events
+         * @param {StreamSessionEventsRequest} body - Request body
+         * @param {Function} onEvent - Called with (name, data) for each event
+         * @returns {Promise<void>} Resolves when the server ends the stream
+         */
+        StreamSessionEvents: (body, onEvent) => transport.eventStream('/api/StreamSessionEvents', body, onEvent),
+
+        /**
+         * Reconnects to a stream session with its connection token or an invite
+         * @param {ReconnectStreamSessionRequest} body - Request body
+         * @returns {Promise<ReconnectedStreamSession>}
+         */
+        ReconnectStreamSession: (body) => transport.post('/api/ReconnectStreamSession', body),
+
+        /**
+         * Creates an invite for continuing a stream session on another device
+         * @param {TokenRequest} body - Request body
+         * @returns {Promise<SessionInvite>}
+         */
+        CreateSessionInvite: (body) => transport.post('/api/CreateSessionInvite', body),
+
+        /**
+         * Reports how long a stream session has left
+         * @param {TokenRequest} body - Request body
+         * @returns {Promise<SessionTime>}
+         */
+        SessionInfo: (body) => transport.post('/api/SessionInfo', body),
+
+        /**
+         * Extends a stream session by its policy's extension length
+         * @param {TokenRequest} body - Request body
+         * @returns {Promise<SessionTime>}
+         */
+        ExtendSession: (body) => transport.post('/api/ExtendSession', body),
+
+        /**
+         * Records that a streaming client is still connected, and how long its player has been idle
+         * @param {HeartbeatRequest} body - Request body
+         * @returns {Promise<HeartbeatStatus>}
+         */
+        Heartbeat: (body) => transport.post('/api/Heartbeat', body),
+
+        /**
+         * Stores a batch of client WebRTC stats for a stream session
+         * @param {SessionMetricsRequest} body - Request body
+         * @returns {Promise<SessionMetricsAccepted>}
+         */
+        SessionMetrics: (body) => transport.post('/api/SessionMetrics', body),
+
+        /**
+         * Terminates a stream session and revokes its connection token
+         * @param {TokenRequest} body - Request body
+         * @returns {Promise<DestroyedStreamSession>}
+         */
+        DestroyStreamSession: (body) => transport.post('/api/DestroyStreamSession', body)
+    };
+}
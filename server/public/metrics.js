@@ -110,6 +110,9 @@ async function handleEndGameAndViewMetrics() {
         // Stop all existing chart updates
         stopAllChartUpdates();
 
+        // Read the token before the URL parameters are removed
+        const connectionToken = getQueryParams().get('token');
+
         // Remove URL parameters first to prevent auto-reconnect
         const baseUrl = window.location.origin + window.location.pathname;
         window.history.replaceState({}, document.title, baseUrl);
@@ -125,11 +128,16 @@ async function handleEndGameAndViewMetrics() {
             }
         }
 
-        // Destroy the stream session
-        const connectionToken = getQueryParams().get('token');
+        // Upload the remaining stats, then destroy the stream session and keep the server's analysis
+        stopUploadingSessionMetrics();
+        stopHeartbeat();
+        stopSessionTimer();
+        let sessionAnalysis = null;
         if (connectionToken) {
+            await flushSessionMetrics(connectionToken);
             try {
-                await doPost('/api/DestroyStreamSession', { Token: connectionToken });
+                const result = await api.DestroyStreamSession({ Token: connectionToken });
+                sessionAnalysis = result && result.analysis ? result.analysis : null;
             } catch (error) {
                 console.warn('Failed to destroy stream session:', error);
                 showNotification('Warning: Session cleanup may not have completed properly');
@@ -157,6 +165,11 @@ async function handleEndGameAndViewMetrics() {
         sessionTimeDisplay.className = 'session-time-displaylay';
         statsContent.appendChild(sessionTimeDisplay);
 
+        // Show the server's quality analysis above the charts
+        if (sessionAnalysis) {
+            displayWebRTCStats(sessionAnalysis);
+        }
+
         // Create charts container
         const chartsContainer = document.createElement('div');
         chartsContainer.className = 'charts-container';
@@ -889,6 +902,145 @@ function prepareStatsForServer() {
     return preparedStats;
 }
 
+// Timestamp of the newest sample uploaded to the server
+let lastUploadedStatsTimestamp = 0;
+
+// Interval ID of the periodic session metrics upload
+let sessionMetricsUploadInterval = null;
+
+/**
+ * Uploads the samples collected since the previous upload to the server,
+ * which keeps them for the analysis returned when the session is destroyed
+ * @function uploadSessionMetrics
+ * @async
+ * @param {string} token - Connection token of the session
+ * @returns {Promise<void>}
+ * @throws {Error} If the server rejects the upload
+ */
+async function uploadSessionMetrics(token) {
+    if (!token || !window.aggregatedStats) {
+        return;
+    }
+
+    // Only send samples the server has not seen yet
+    const stats = {};
+    let newestTimestamp = lastUploadedStatsTimestamp;
+    for (const [name, samples] of Object.entries(window.aggregatedStats.stats)) {
+        const newSamples = samples.filter(([t]) => t > lastUploadedStatsTimestamp);
+        if (newSamples.length > 0) {
+            stats[name] = newSamples;
+            newestTimestamp = Math.max(newestTimestamp, ...newSamples.map(([t]) => t));
+        }
+    }
+    if (Object.keys(stats).length === 0) {
+        return;
+    }
+
+    await api.SessionMetrics({
+        Token: token,
+        Stats: {
+            stats,
+            sessionDuration: Date.now() - window.aggregatedStats.metadata.streamStartTime
+        }
+    });
+    lastUploadedStatsTimestamp = newestTimestamp;
+}
+
+/**
+ * Uploads the remaining samples before the session ends, ignoring failures
+ * @function flushSessionMetrics
+ * @async
+ * @param {string} token - Connection token of the session
+ * @returns {Promise<void>}
+ */
+async function flushSessionMetrics(token) {
+    try {
+        await uploadSessionMetrics(token);
+    } catch (error) {
+        console.warn('Failed to upload final session metrics:', error);
+    }
+}
+
+/**
+ * Starts uploading session metrics every SESSION_METRICS_UPLOAD_INTERVAL
+ * @function startUploadingSessionMetrics
+ * @returns {void}
+ */
+function startUploadingSessionMetrics() {
+    if (sessionMetricsUploadInterval) {
+        return;
+    }
+    sessionMetricsUploadInterval = setInterval(() => {
+        uploadSessionMetrics(getQueryParams().get('token')).catch((error) => {
+            console.warn('Failed to upload session metrics:', error);
+            // The server does not accept metrics or no longer knows the token
+            if (error.status === 404) {
+                stopUploadingSessionMetrics();
+            }
+        });
+    }, SESSION_METRICS_UPLOAD_INTERVAL);
+}
+
+/**
+ * Stops the periodic session metrics upload
+ * @function stopUploadingSessionMetrics
+ * @returns {void}
+ */
+function stopUploadingSessionMetrics() {
+    clearInterval(sessionMetricsUploadInterval);
+    sessionMetricsUploadInterval = null;
+}
+
+/**
+ * Displays the server's analysis of the session metrics in the stats content
+ * @function displayWebRTCStats
+ * @param {Object} analysis - Analysis returned by DestroyStreamSession
+ * @returns {void}
+ */
+function displayWebRTCStats(analysis) {
+    const statsContent = document.getElementById('statsContent');
+    if (!statsContent || !analysis) {
+        return;
+    }
+
+    const format = (value, digits, unit = '') =>
+        (value === null || value === undefined ? 'n/a' : `${Number(value).toFixed(digits)}${unit}`);
+    const { RoundTripTime, FramesPerSecond, PacketLoss, DroppedFrames, Jitter } = analysis;
+    const items = [
+        ['Quality', analysis.Verdict],
+        ['Round Trip Time', `${format(RoundTripTime.AverageMs, 0, ' ms')} avg, ${format(RoundTripTime.P95Ms, 0, ' ms')} p95`],
+        ['Frame Rate', `${format(FramesPerSecond.Average, 1, ' fps')} avg, ${format(FramesPerSecond.Min, 0, ' fps')} min`],
+        ['Frame Rate Stability', format(FramesPerSecond.Stability === null ? null : FramesPerSecond.Stability * 100, 0, '%')],
+        ['Packet Loss', format(PacketLoss.RatePercent, 2, '%')],
+        ['Dropped Frames', format(DroppedFrames.RatePercent, 2, '%')],
+        ['Jitter', format(Jitter.AverageMs, 1, ' ms')]
+    ];
+    if (analysis.Issues.length > 0) {
+        items.push(['Issues', analysis.Issues.map(({ Measure, Verdict }) => `${Measure} (${Verdict})`).join(', ')]);
+    }
+
+    let widget = document.getElementById('sessionAnalysis');
+    if (!widget) {
+        widget = document.createElement('div');
+        widget.id = 'sessionAnalysis';
+        widget.className = 'webrtc-analysis-widget';
+        statsContent.appendChild(widget);
+    }
+    widget.innerHTML = '';
+    items.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'stat-item';
+        const labelElement = document.createElement('span');
+        labelElement.className = 'stat-label';
+        labelElement.textContent = `${label}:`;
+        const valueElement = document.createElement('span');
+        valueElement.className = 'stat-value';
+        valueElement.textContent = value;
+        item.append(labelElement, valueElement);
+        widget.appendChild(item);
+    });
+}
+
 /**
  * Starts periodic WebRTC statistics collection
  * 
@@ -1822,7 +1974,8 @@ function updateChart(widget, widgetType) {
  * @description
  * Monitors the stream connection state and initializes stats collection when connected.
  * When the state becomes 'connected', it attempts to start the stats collection
- * process using the configured collection interval.
+ * process using the configured collection interval, starts the heartbeats that keep
+ * the session from being terminated as idle, and starts the session time countdown.
  * 
  * @throws {Error} Logs error to console if startCollectingStats function is not defined
  * 
@@ -1837,6 +1990,9 @@ function streamConnectionStateCallback(state) {
         } else {
             console.error('startCollectingStats function not found');
         }
+        startUploadingSessionMetrics();
+        startHeartbeat();
+        startSessionTimer();
     }
 }
 
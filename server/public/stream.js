@@ -9,43 +9,226 @@
  */
 
 /**
- * Parses JSON safely with fallback to default value.
- * @param {string} value - JSON string to parse
- * @param {*} defaultValue - Fallback value if parsing fails
- * @returns {*} Parsed value or default
- */
-function safeJSONParse(value, defaultValue) {
-    if (!value || value.trim() === '') {
-        // For locations, return default region if empty
-        if (Array.isArray(defaultValue)) {
-            return ['us-west-2'];
+ * Loads the server's application catalog and, if it is not empty, replaces the
+ * free-form Application ID field with a picker. The chosen catalog Id is written
+ * to the Application ID field so the rest of the setup flow is unchanged.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function appLoadApplicationCatalog() {
+    let applications;
+    try {
+        applications = (await api.Applications()).Applications;
+    } catch (error) {
+        console.warn('Unable to load application catalog:', error);
+        return;
+    }
+    if (!applications || applications.length === 0) {
+        return;
+    }
+
+    const picker = document.getElementById('setupApplicationPicker');
+    const applicationIdInput = document.getElementById('setupApplicationId');
+    picker.replaceChildren(...applications.map((application) => {
+        const option = document.createElement('option');
+        option.value = application.Id;
+        option.textContent = application.Name;
+        option.title = application.Description || '';
+        return option;
+    }));
+
+    const selectApplication = () => {
+        const application = applications.find((entry) => entry.Id === picker.value);
+        applicationIdInput.value = application.Id;
+        if (application.Locations) {
+            document.getElementById('setupLocationsDisplay').value = application.Locations.join(', ');
+            document.getElementById('setupLocations').value = JSON.stringify(application.Locations);
         }
-        return defaultValue;
+    };
+    if (applications.some((entry) => entry.Id === applicationIdInput.value)) {
+        picker.value = applicationIdInput.value;
+    }
+    picker.addEventListener('change', selectApplication);
+    selectApplication();
+
+    document.getElementById('applicationIdRow').style.display = 'none';
+    document.getElementById('applicationPickerRow').style.display = '';
+}
+
+/**
+ * Shows or hides a status line on the connecting screen
+ * @param {string} [message] - Text to show; hides the line when empty
+ */
+function setConnectingStatus(message) {
+    const element = document.getElementById('connectingStatus');
+    element.textContent = message || '';
+    element.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Whether StreamSessionEvents is worth trying. Cleared when the server reports
+ * that it cannot hold event streams open, so later waits poll right away.
+ */
+let sessionEventsAvailable = true;
+
+/**
+ * Follows a StreamSessionEvents stream until the server ends it.
+ * Lambda deployments behind API Gateway cannot push events, so callers fall back
+ * to polling when this returns false.
+ * @async
+ * @param {Object} params - StreamSessionEvents request body, a Token or a QueueTicket
+ * @param {Function} onEvent - Called with (name, data) for each event; may throw to stop
+ * @returns {Promise<boolean>} False if the events could not be followed and the caller should poll
+ */
+async function followSessionEvents(params, onEvent) {
+    if (!IS_LOCAL || !sessionEventsAvailable) {
+        return false;
     }
-    
     try {
-        const parsed = JSON.parse(value);
+        await api.StreamSessionEvents(params, onEvent);
+        return true;
+    } catch (e) {
+        if (e.status === 501) {
+            sessionEventsAvailable = false;
+            return false;
+        }
+        if (e instanceof TypeError) {
+            // Network error while streaming, e.g. a proxy dropped the connection
+            console.warn('Session event stream interrupted, polling instead:', e);
+            return false;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Shows the player's place in the queue on the connecting panel
+ * @param {Object} status - QueueStatus response
+ */
+function showQueuePosition(status) {
+    const minutes = Math.ceil(status.EstimatedWaitSeconds / 60);
+    setConnectingStatus(status.Position > 1
+        ? `All streams are busy. You are number ${status.Position} in line (about ${minutes} min).`
+        : 'All streams are busy. You are next in line...');
+}
 
-        // Validate the parsed data structure
-        if (Array.isArray(defaultValue) && !Array.isArray(parsed)) {
-            console.warn('Expected array but got different type, using default');
-            return defaultValue;
+/**
+ * Waits in the server's queue until the stream group has capacity.
+ * Follows queue position events, or polls QueueStatus when events are not available;
+ * both keep the ticket alive. Repeats CreateStreamSession with the ticket whenever
+ * it reaches the head of the queue.
+ * @async
+ * @param {Object} createParams - CreateStreamSession request body
+ * @param {Object} queued - Queued CreateStreamSession response
+ * @returns {Promise<Object>} CreateStreamSession response containing the connection Token
+ */
+async function waitInQueue(createParams, queued) {
+    const queuePollDelayMilliSec = 5000;
+    let status = queued;
+    while (status.QueueTicket) {
+        showQueuePosition(status);
+        const streamed = await followSessionEvents({ QueueTicket: status.QueueTicket }, (event, data) => {
+            if (event === 'failure') {
+                throw new Error(data.error);
+            }
+            if (event === 'queued') {
+                status = data;
+                showQueuePosition(status);
+            }
+        });
+        if (!streamed) {
+            await new Promise((resolve) => { setTimeout(resolve, queuePollDelayMilliSec); });
+            status = await api.QueueStatus({ QueueTicket: status.QueueTicket });
         }
-        
-        // Ensure locations array is not empty
-        if (Array.isArray(parsed) && parsed.length === 0) {
-            return defaultValue;
+        if (status.Position === 1) {
+            status = await api.CreateStreamSession({ ...createParams, QueueTicket: status.QueueTicket });
         }
-        
-        return parsed;
-    } catch (error) {
-        console.error('JSON parsing error:', error);
-        // For locations, return default region on error
-        if (Array.isArray(defaultValue)) {
-            return ['us-west-2'];
+    }
+    setConnectingStatus('');
+    return status;
+}
+
+/**
+ * Waits until the new stream session is ACTIVE and returns its signal response.
+ * Follows status events pushed by the server, or polls GetSignalResponse once per
+ * second when events are not available.
+ * @async
+ * @param {StreamSession} token - CreateStreamSession response containing the connection Token
+ * @returns {Promise<string>} WebRTC signal response
+ * @throws {Error} If the stream session fails to start
+ */
+async function waitForSignalResponse(token) {
+    let signalResponse = '';
+    await followSessionEvents({ Token: token.Token }, (event, data) => {
+        if (event === 'failure') {
+            throw new Error(data.error);
+        }
+        if (event === 'status') {
+            if (data.Status === 'ACTIVE') {
+                signalResponse = data.SignalResponse;
+            } else if (data.Status !== 'ACTIVATING') {
+                throw new Error(`Stream session ${data.Status}: ${data.StatusReason || 'unknown reason'}`);
+            }
+        }
+    });
+
+    // Loop of sleeping for 1 second, then polling GetSignalResponse
+    // (not infinite, eventually it will succeed or GetSignalResponse will throw)
+    const getSignalResponseDelayMilliSec = 1000;
+    while (!signalResponse.length) {
+        console.log('Waiting...');
+        await new Promise((resolve) => { setTimeout(resolve, getSignalResponseDelayMilliSec); });
+        signalResponse = (await api.GetSignalResponse({ Token: token.Token })).SignalResponse;
+    }
+    return signalResponse;
+}
+
+/**
+ * Measures the round-trip time to one location, keeping the fastest of several requests
+ * as the first one also pays for DNS and TLS setup
+ * @async
+ * @param {string} url - Probe URL of the location
+ * @param {number} count - Number of requests
+ * @returns {Promise<number|undefined>} Milliseconds, or undefined if the location did not answer
+ */
+async function probeLocation(url, count) {
+    if (url.startsWith('/') && !IS_LOCAL) {
+        url = config.API_GATEWAY_URL.replace(/\/$/, '') + url;
+    }
+    let fastest;
+    for (let i = 0; i < count; i++) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), LOCATION_PROBE_TIMEOUT);
+        const started = performance.now();
+        try {
+            // The response is opaque for other origins; only its timing matters
+            await fetch(url, { mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+            const latency = Math.round(performance.now() - started);
+            fastest = fastest === undefined ? latency : Math.min(fastest, latency);
+        } catch (e) {
+            console.warn(`Location probe ${url} failed:`, e);
+            return fastest;
+        } finally {
+            clearTimeout(timeoutId);
         }
-        return defaultValue;
     }
+    return fastest;
+}
+
+/**
+ * Measures the latency to each candidate location, in parallel
+ * @async
+ * @param {string[]} requested - Locations entered by the player; the server's candidates if empty
+ * @param {string} applicationId - Application to stream, whose catalog entry may list locations
+ * @returns {Promise<Object<string, number>>} Milliseconds by location, without unreachable locations
+ */
+async function measureLocationLatencies(requested, applicationId) {
+    const { Locations, ProbeUrlTemplate, ProbeCount } = await api.Locations({ ApplicationIdentifier: applicationId });
+    const candidates = requested.length > 0
+        ? requested.map((location) => ({ Location: location, ProbeUrl: ProbeUrlTemplate.split('{region}').join(encodeURIComponent(location)) }))
+        : Locations;
+    const results = await Promise.all(candidates.map(async ({ Location, ProbeUrl }) => [Location, await probeLocation(ProbeUrl, ProbeCount)]));
+    return Object.fromEntries(results.filter(([, latency]) => latency !== undefined));
 }
 
 /**
@@ -88,30 +271,52 @@ async function appStartStreaming(isLocal) {
         // Get the streamGroupId based on isLocal flag
         const streamGroupId = isLocal ? document.getElementById('setupStreamGroupId').value : null;
         const setupApplicationIdValue = document.getElementById('setupApplicationId').value;
-        const locations = document.getElementById('setupLocations').value;
+        const requestedLocations = JSON.parse(document.getElementById('setupLocations').value || '[]');
+
+        // Rank the candidate locations by latency; the server orders the ones it allows the same way
+        setConnectingStatus('Finding the closest region...');
+        let latencies = {};
+        try {
+            latencies = await measureLocationLatencies(requestedLocations, setupApplicationIdValue);
+        } catch (e) {
+            console.warn('Failed to measure location latencies:', e);
+        }
+        const measuredLocations = Object.keys(latencies).sort((a, b) => latencies[a] - latencies[b]);
+        const locations = [...measuredLocations, ...requestedLocations.filter((location) => !(location in latencies))];
+        setConnectingStatus(measuredLocations.length > 0
+            ? `Closest region: ${measuredLocations[0]} (${latencies[measuredLocations[0]]} ms)`
+            : '');
 
-        const token = await doPost('/api/CreateStreamSession', {
+        const createParams = {
             StreamGroupId: streamGroupId,  // This will be null when isLocal is false
             ApplicationIdentifier: setupApplicationIdValue === '' ? null : setupApplicationIdValue,
             UserId: document.getElementById('setupUserId').value,
             AdditionalLaunchArgs: JSON.parse(document.getElementById('setupArgs').value || '[]'),
             AdditionalEnvironmentVariables: JSON.parse(document.getElementById('setupEnv').value || '{}'),
             SignalRequest: signalRequest,
-            locations: safeJSONParse(locations),
-        });
+            Locations: locations.length > 0 ? locations : undefined,
+            LocationLatencies: latencies,
+        };
+        let token = await api.CreateStreamSession(createParams);
+
+        // The server queues the request when the stream group is out of capacity
+        if (token.QueueTicket) {
+            token = await waitInQueue(createParams, token);
+        }
         
+        if (token.Location) {
+            setConnectingStatus(token.LatencyMs !== undefined
+                ? `Connecting to ${token.Location} (${token.LatencyMs} ms)`
+                : `Connecting to ${token.Location}`);
+        }
+
         // Store the application description and client CPU cores from the response
         window.applicationDescription = token.ApplicationDescription;
+        document.querySelectorAll('.app-description').forEach((element) => {
+            element.textContent = token.ApplicationDescription || '';
+        });
 
-        // Loop of sleeping for 1 second, then polling GetSignalResponse
-        // (not infinite, eventually it will succeed or doPost will throw)
-        const getSignalResponseDelayMilliSec = 1000;
-        let signalResponse = '';
-        while (!signalResponse.length) {
-            console.log('Waiting...');
-            await new Promise((resolve) => { setTimeout(resolve, getSignalResponseDelayMilliSec); });
-            signalResponse = (await doPost('/api/GetSignalResponse', token)).SignalResponse;
-        }
+        const signalResponse = await waitForSignalResponse(token);
 
         // Complete connection by forwarding signal response to GameLiftStreams object
         await window.myGameLiftStreams.processSignalResponse(signalResponse);
@@ -125,18 +330,19 @@ async function appStartStreaming(isLocal) {
                 ['userId', document.getElementById('setupUserId').value],
                 ['streamGroupId', streamGroupId],
                 ['applicationId', setupApplicationIdValue],
-                ['location', JSON.parse(locations)[0]]
+                ['location', token.Location || locations[0] || '']
             ]));
         } else {
             setQueryParams(new Map([
                 ['token', token.Token],
                 ['userId', document.getElementById('setupUserId').value],
                 ['applicationId', setupApplicationIdValue],
-                ['location', JSON.parse(locations)[0]]
+                ['location', token.Location || locations[0] || '']
             ]));
         }
         appShowReconnectLinks(true);
 
+        setConnectingStatus('');
         appShowPanel('appStreaming');
 
         // Check if mobile After the stream has started successfully
@@ -154,8 +360,11 @@ async function appStartStreaming(isLocal) {
 
     } catch (e) {
         LoadingScreenStop();
+        setConnectingStatus('');
         console.error('Failed to start streaming:', e);
         window.myGameLiftStreams.close();
+        // Session limit rejections carry a code and a message meant for the player
+        document.getElementById('appErrorMessage').textContent = e.body?.code ? e.body.error : '';
         appShowPanel('appError');
     } finally {
         // Clean up the temporary looping audio element, if we created one.
@@ -168,13 +377,14 @@ async function appStartStreaming(isLocal) {
 }
 
 /**
- * Attempts to reconnect an existing streaming session.
+ * Attempts to reconnect an existing streaming session, or to take it over with an invite link.
  * @async
  * @throws {Error} If reconnection fails
  * @returns {Promise<void>}
  */
 async function appReconnectStreaming() {
     const connectionToken = getQueryParams().get('token');
+    const inviteToken = getQueryParams().get('invite');
     try {
         appShowPanel('appConnecting');
 
@@ -187,12 +397,18 @@ async function appReconnectStreaming() {
         // Initiate the reconnection request via our backend server API
         // Unlike CreateStreamSession call which can take up to 30 seconds and requires status polling,
         // ReconnectStreamSession will return new signal response immediately on success (< 5 seconds)
-        const result = await doPost('/api/ReconnectStreamSession', {
-            Token: connectionToken,
+        const result = await api.ReconnectStreamSession({
+            ...(inviteToken ? { InviteToken: inviteToken } : { Token: connectionToken }),
             SignalRequest: signalRequest,
         });
         const signalResponse = result.SignalResponse;
 
+        // The invite is used up; this device now holds the session's connection token
+        if (result.Token) {
+            deleteAllQueryParams();
+            setQueryParams(new Map([['token', result.Token]]));
+        }
+
         // Complete connection by forwarding signal response to GameLiftStreams object
         await window.myGameLiftStreams.processSignalResponse(signalResponse);
 
@@ -207,6 +423,287 @@ async function appReconnectStreaming() {
     }
 }
 
+/**
+ * Creates an invite for the current session and shows its link and QR code,
+ * so the player can continue the stream on another device.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function appShowInvite() {
+    try {
+        const invite = await api.CreateSessionInvite({ Token: getQueryParams().get('token') });
+        const link = `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(invite.InviteToken)}`;
+
+        const qr = qrcode(0, 'M');
+        qr.addData(link);
+        qr.make();
+        document.getElementById('inviteQrCode').innerHTML = qr.createSvgTag({ cellSize: 4, margin: 0 });
+        document.getElementById('inviteLink').value = link;
+        const minutes = Math.max(1, Math.round((Date.parse(invite.ExpiresAt) - Date.now()) / 60000));
+        document.getElementById('inviteExpiry').textContent = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+        document.getElementById('inviteModal').style.display = 'flex';
+    } catch (e) {
+        console.error('Failed to create invite:', e);
+        showNotification('Could not create a link for another device');
+    }
+}
+
+/**
+ * Copies the invite link to the clipboard
+ * @async
+ * @returns {Promise<void>}
+ */
+async function appCopyInviteLink() {
+    const link = document.getElementById('inviteLink');
+    try {
+        await navigator.clipboard.writeText(link.value);
+        showNotification('Link copied');
+    } catch (e) {
+        // Clipboard access needs a secure context; let the player copy it by hand
+        link.select();
+    }
+}
+
+/**
+ * Hides the invite link; the invite stays valid until it expires
+ */
+function appCloseInvite() {
+    document.getElementById('inviteModal').style.display = 'none';
+}
+
+/** Time of the player's last keyboard, mouse, touch or gamepad input */
+let lastInputTime = Date.now();
+let heartbeatTimer = null;
+let idleCountdownTimer = null;
+
+/**
+ * Records player input, and dismisses the idle warning if it is showing
+ */
+function recordPlayerInput() {
+    lastInputTime = Date.now();
+    if (idleCountdownTimer) {
+        appDismissIdleWarning();
+    }
+}
+
+// Capture phase, so input is seen even when the stream stops its propagation
+['keydown', 'mousemove', 'mousedown', 'wheel', 'touchstart'].forEach((type) => {
+    document.addEventListener(type, recordPlayerInput, { capture: true, passive: true });
+});
+
+/**
+ * Seconds since the player's last input, including gamepads, which raise no events
+ * @returns {number}
+ */
+function getIdleSeconds() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const gamepad of gamepads) {
+        if (gamepad) {
+            lastInputTime = Math.max(lastInputTime, performance.timeOrigin + gamepad.timestamp);
+        }
+    }
+    return Math.max(0, Math.floor((Date.now() - lastInputTime) / 1000));
+}
+
+/**
+ * Starts sending heartbeats so the server keeps the session while the player is active
+ */
+function startHeartbeat() {
+    if (!heartbeatTimer) {
+        sendHeartbeat();
+    }
+}
+
+/**
+ * Stops sending heartbeats and hides the idle warning
+ */
+function stopHeartbeat() {
+    clearTimeout(heartbeatTimer);
+    heartbeatTimer = null;
+    hideIdleWarning();
+}
+
+/**
+ * Sends a heartbeat and schedules the next one, early enough to show the idle warning
+ * on time. Shows the warning when the server is about to terminate the idle session.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function sendHeartbeat() {
+    clearTimeout(heartbeatTimer);
+    // Marks heartbeats as running while the request is in flight
+    heartbeatTimer = setTimeout(sendHeartbeat, HEARTBEAT_RETRY_INTERVAL);
+    try {
+        const status = await api.Heartbeat({ Token: getQueryParams().get('token'), IdleSeconds: getIdleSeconds() });
+        if (status.IdleTerminationInSeconds <= status.WarningSeconds) {
+            showIdleWarning(status.IdleTerminationInSeconds);
+        } else {
+            hideIdleWarning();
+        }
+        const untilWarning = status.IdleTerminationInSeconds - status.WarningSeconds;
+        const delay = untilWarning > 0 ? Math.min(status.HeartbeatIntervalSeconds, untilWarning) : status.HeartbeatIntervalSeconds;
+        clearTimeout(heartbeatTimer);
+        heartbeatTimer = setTimeout(sendHeartbeat, Math.max(1, delay) * 1000);
+    } catch (e) {
+        console.warn('Heartbeat failed:', e);
+        // Heartbeats are disabled, or the session has ended
+        if (e.status === 404) {
+            stopHeartbeat();
+        }
+    }
+}
+
+/**
+ * Shows the "Are you still there?" overlay, counting down to the idle termination
+ * @param {number} seconds - Seconds until the server terminates the session
+ */
+function showIdleWarning(seconds) {
+    const deadline = Date.now() + seconds * 1000;
+    const countdown = document.getElementById('idleCountdown');
+    const update = () => {
+        countdown.textContent = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    };
+    clearInterval(idleCountdownTimer);
+    update();
+    idleCountdownTimer = setInterval(update, 1000);
+    document.getElementById('idleOverlay').style.display = 'flex';
+}
+
+/**
+ * Hides the idle warning
+ */
+function hideIdleWarning() {
+    clearInterval(idleCountdownTimer);
+    idleCountdownTimer = null;
+    document.getElementById('idleOverlay').style.display = 'none';
+}
+
+/**
+ * Dismisses the idle warning and tells the server the player is back
+ */
+function appDismissIdleWarning() {
+    lastInputTime = Date.now();
+    hideIdleWarning();
+    if (heartbeatTimer) {
+        sendHeartbeat();
+    }
+}
+
+/** Session time from SessionInfo, with EndsAt converted to this device's clock */
+let sessionTime = null;
+let sessionTimer = null;
+/** Warning thresholds already shown, in seconds */
+const sessionWarningsShown = new Set();
+
+/**
+ * Formats a number of seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatRemainingTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Starts counting down the session's remaining time, warning the player at the
+ * server's thresholds
+ * @async
+ * @returns {Promise<void>}
+ */
+async function startSessionTimer() {
+    try {
+        updateSessionTime(await api.SessionInfo({ Token: getQueryParams().get('token') }));
+    } catch (e) {
+        console.warn('Failed to read session info:', e);
+        return;
+    }
+    clearInterval(sessionTimer);
+    sessionTimer = setInterval(checkSessionTime, 1000);
+    checkSessionTime();
+}
+
+/**
+ * Stops the session countdown and hides its warning
+ */
+function stopSessionTimer() {
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+    document.getElementById('sessionTimeOverlay').style.display = 'none';
+}
+
+/**
+ * Takes a SessionInfo or ExtendSession response as the current session time. Thresholds
+ * above the remaining time count as shown, so a reconnect or an extension does not
+ * replay warnings.
+ * @param {Object} info - SessionInfo response
+ */
+function updateSessionTime(info) {
+    sessionTime = { ...info, EndsAt: Date.now() + info.RemainingSeconds * 1000 };
+    sessionWarningsShown.clear();
+    info.WarningThresholdsSeconds
+        .filter((threshold) => threshold > info.RemainingSeconds)
+        .forEach((threshold) => sessionWarningsShown.add(threshold));
+}
+
+/**
+ * Updates the countdown, and shows the warning when a threshold is reached
+ */
+function checkSessionTime() {
+    const remaining = Math.max(0, Math.ceil((sessionTime.EndsAt - Date.now()) / 1000));
+    document.getElementById('sessionTimeCountdown').textContent = formatRemainingTime(remaining);
+    const reached = sessionTime.WarningThresholdsSeconds
+        .filter((threshold) => threshold >= remaining && !sessionWarningsShown.has(threshold));
+    if (reached.length > 0 && remaining > 0) {
+        reached.forEach((threshold) => sessionWarningsShown.add(threshold));
+        const extendButton = document.getElementById('sessionExtendButton');
+        extendButton.textContent = `Extend by ${Math.round(sessionTime.ExtensionSeconds / 60)} minutes`;
+        extendButton.style.display = sessionTime.CanExtend ? 'inline-block' : 'none';
+        document.getElementById('sessionTimeOverlay').style.display = 'flex';
+    }
+    if (remaining === 0) {
+        stopSessionTimer();
+    }
+}
+
+/**
+ * Hides the session time warning until the next threshold
+ */
+function appDismissSessionTimeWarning() {
+    document.getElementById('sessionTimeOverlay').style.display = 'none';
+}
+
+/**
+ * Asks the server for more time
+ * @async
+ * @returns {Promise<void>}
+ */
+async function appExtendSession() {
+    try {
+        updateSessionTime(await api.ExtendSession({ Token: getQueryParams().get('token') }));
+        appDismissSessionTimeWarning();
+        showNotification(`Session extended, ${formatRemainingTime(sessionTime.RemainingSeconds)} remaining`);
+    } catch (e) {
+        console.error('Failed to extend session:', e);
+        document.getElementById('sessionExtendButton').style.display = 'none';
+        showNotification('The session cannot be extended');
+    }
+}
+
+/**
+ * Asks the game to save, then ends the session once it had time to do so
+ */
+function appSaveAndQuit() {
+    appDismissSessionTimeWarning();
+    try {
+        window.myGameLiftStreams.sendApplicationMessage(new TextEncoder().encode(SAVE_AND_QUIT_MESSAGE));
+        showNotification('Saving your game...');
+        setTimeout(handleRestart, SAVE_AND_QUIT_DELAY);
+    } catch (e) {
+        console.error('Failed to ask the application to save:', e);
+        handleRestart();
+    }
+}
+
 /**
  * Safely destroys an active streaming session and collects WebRTC stats.
  * @async
@@ -224,6 +721,12 @@ async function endStreamSession(token) {
     const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
 
     try {
+        // Upload the remaining stats so they are part of the analysis
+        stopUploadingSessionMetrics();
+        stopHeartbeat();
+        stopSessionTimer();
+        await flushSessionMetrics(token);
+
         // Get CSRF token if your app uses it
         const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content;
 
@@ -231,6 +734,7 @@ async function endStreamSession(token) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...getAuthHeaders(),
                 ...(csrfToken && { 'X-CSRF-Token': csrfToken }),
                 'Cache-Control': 'no-cache, no-store'
             },
@@ -245,11 +749,10 @@ async function endStreamSession(token) {
 
         const data = await response.json();
 
-        // Your existing stats display logic
+        // The analysis is missing when no stats were uploaded or session metrics are disabled
         if (data.analysis) {
+            document.getElementById('statsContent').style.display = 'block';
             displayWebRTCStats(data.analysis);
-        } else {
-            throw new Error('No analysis data received');
         }
 
         // Clean up resources
@@ -360,7 +863,7 @@ function handleRestart() {
     // Fire-and-forget a server request to terminate the stream session immediately.
     const connectionToken = getQueryParams().get('token');
     if (connectionToken) {
-        void doPost('/api/DestroyStreamSession', { Token: connectionToken });
+        void api.DestroyStreamSession({ Token: connectionToken });
     }
     
     // Remove URL parameters first to prevent auto-reconnect
@@ -377,6 +880,8 @@ function handleRestart() {
  * @returns {void}
  */
 function appDisconnect() {
+    stopHeartbeat();
+    stopSessionTimer();
     window.myGameLiftStreams.close();
     appShowPanel('appDisconnected');
     document.getElementById('disconnectedButtons').style.display = 'block'; 
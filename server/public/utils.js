@@ -180,6 +180,31 @@ function restoreFromCookieIfSet(id, name) {
     }
 }
 
+/**
+ * Gets the bearer token used to authenticate API calls, if any.
+ * An OIDC access_token in the URL fragment (e.g. from an implicit-flow redirect)
+ * is moved into sessionStorage so it is not left in the address bar.
+ * @returns {string|null} Bearer token, or null when signed out
+ */
+function getAuthToken() {
+    const fragment = new URLSearchParams(window.location.hash.slice(1));
+    const fragmentToken = fragment.get('access_token');
+    if (fragmentToken) {
+        sessionStorage.setItem('authToken', fragmentToken);
+        window.history.replaceState(null, null, window.location.pathname + window.location.search);
+    }
+    return sessionStorage.getItem('authToken');
+}
+
+/**
+ * Builds the Authorization header for API calls
+ * @returns {Object} Headers object, empty when there is no bearer token
+ */
+function getAuthHeaders() {
+    const token = getAuthToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
 /**
  * Gets API Gateway URL from current URL
  * @returns {string} API Gateway URL
@@ -235,7 +260,9 @@ function appValidateSetup(isLocal) {
         } catch {
             return 'Invalid JSON list for Locations - example: ["us-east-2", "ap-northeast-1"]';
         }
-        if (getValue('setupApplicationId') !== "" && !getValue('setupApplicationId').match(/^(arn:.+[/])?a-[a-zA-Z0-9]{4,}$/)) {
+        // Catalog Ids chosen from the application picker are validated by the server
+        const usingApplicationPicker = document.getElementById('applicationPickerRow').style.display !== 'none';
+        if (!usingApplicationPicker && getValue('setupApplicationId') !== "" && !getValue('setupApplicationId').match(/^(arn:.+[/])?a-[a-zA-Z0-9]{4,}$/)) {
             return 'Invalid Application ID - check the GameLiftStreams console for valid Application IDs';
         }
         try {
@@ -0,0 +1,111 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer, signJwt } from './helpers';
+
+const ADMIN_KEY = 'admin-test-key';
+const SECRET = 'admin-test-secret';
+
+describe('admin API', () => {
+  let server: LoadedServer;
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  function tokenFor(sub: string, groups?: string[] | string) {
+    return signJwt(SECRET, { sub, 'cognito:groups': groups });
+  }
+
+  async function createSession(userId: string) {
+    const response = await request(server.app)
+      .post('/api/CreateStreamSession')
+      .set('Authorization', `Bearer ${tokenFor(userId)}`)
+      .send({ ...createStreamSessionParams, UserId: userId })
+      .expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(response.body.Token);
+    return { token: response.body.Token, arn: StreamSessionArn };
+  }
+
+  describe('with an admin key', () => {
+    beforeEach(() => {
+      server = loadServer((config) => {
+        config.ADMIN.API_KEY = ADMIN_KEY;
+      });
+    });
+
+    it('accepts the configured key', async () => {
+      await request(server.app).get('/api/admin/sessions').set('X-Admin-Key', ADMIN_KEY).expect(200);
+    });
+
+    it('rejects a missing or wrong key with 401', async () => {
+      const missing = await request(server.app).get('/api/admin/sessions').expect(401);
+      expect(missing.body.message).toBe('Missing admin key');
+      const wrong = await request(server.app).get('/api/admin/sessions').set('X-Admin-Key', 'guess').expect(401);
+      expect(wrong.body.message).toBe('Invalid admin key');
+    });
+  });
+
+  describe('with an admin role', () => {
+    beforeEach(() => {
+      server = loadServer((config) => {
+        config.AUTH.ENABLED = true;
+        config.AUTH.SHARED_SECRET = SECRET;
+        config.ADMIN.ROLE = 'admins';
+      });
+    });
+
+    function listSessions(token?: string) {
+      const req = request(server.app).get('/api/admin/sessions');
+      return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    }
+
+    it('accepts a token whose role claim contains the role', async () => {
+      await listSessions(tokenFor('operator', ['players', 'admins'])).expect(200);
+      await listSessions(tokenFor('operator', 'players admins')).expect(200);
+    });
+
+    it('rejects users without the role with 403 and anonymous callers with 401', async () => {
+      await listSessions(tokenFor('player-1', ['players'])).expect(403);
+      await listSessions(tokenFor('player-1')).expect(403);
+      await listSessions().expect(401);
+      // No admin key is configured, so one is not accepted either
+      await listSessions().set('X-Admin-Key', 'anything').expect(401);
+    });
+
+    it('lists every user\'s sessions, oldest first', async () => {
+      const first = await createSession('player-1');
+      const second = await createSession('player-2');
+      server.gameliftstreams.activateSession(second.arn);
+
+      const response = await listSessions(tokenFor('operator', ['admins'])).expect(200);
+
+      expect(response.body.Sessions).toEqual([
+        expect.objectContaining({ Token: first.token, UserId: 'player-1', StreamSessionArn: first.arn, Status: 'ACTIVATING' }),
+        expect.objectContaining({ Token: second.token, UserId: 'player-2', StreamSessionArn: second.arn, Status: 'ACTIVE' })
+      ]);
+    });
+
+    it('terminates any user\'s session and revokes its token', async () => {
+      const { token, arn } = await createSession('player-1');
+      const admin = tokenFor('operator', ['admins']);
+
+      await request(server.app).delete(`/api/admin/sessions/${token}`)
+        .set('Authorization', `Bearer ${tokenFor('player-2', ['players'])}`)
+        .expect(403);
+      const response = await request(server.app).delete(`/api/admin/sessions/${token}`)
+        .set('Authorization', `Bearer ${admin}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ StreamSessionArn: arn });
+      await request(server.app).get(`/api/admin/sessions/${token}`).set('Authorization', `Bearer ${admin}`).expect(404);
+      await request(server.app).delete(`/api/admin/sessions/${token}`).set('Authorization', `Bearer ${admin}`).expect(404);
+      await request(server.app).post('/api/GetSignalResponse')
+        .set('Authorization', `Bearer ${tokenFor('player-1')}`)
+        .send({ Token: token })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+describe('session limits', () => {
+  let server: LoadedServer;
+
+  function load(limits: object) {
+    server = loadServer((config) => {
+      Object.assign(config.SESSION_LIMITS, limits);
+    });
+  }
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  function createSession(userId = 'player-1', clientIp = '203.0.113.1') {
+    return request(server.app)
+      .post('/api/CreateStreamSession')
+      .set('X-Forwarded-For', clientIp)
+      .send({ ...createStreamSessionParams, UserId: userId });
+  }
+
+  it('rejects a user over MAX_PER_USER until one of their sessions ends', async () => {
+    load({ MAX_PER_USER: 1 });
+    const first = await createSession().expect(200);
+
+    const response = await createSession().expect(409);
+    expect(response.body).toMatchObject({ code: 'USER_SESSION_LIMIT', limit: 1 });
+    await createSession('player-2', '203.0.113.2').expect(200);
+
+    const { StreamSessionArn } = await server.sessionStore.get(first.body.Token);
+    await server.gameliftstreams.terminateStreamSession({ Identifier: 'sg-abc12', StreamSessionIdentifier: StreamSessionArn });
+    await createSession().expect(200);
+    // The ended session's token was revoked, not just removed from the store
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: first.body.Token }).expect(404);
+  });
+
+  it('rejects a network over MAX_PER_IP', async () => {
+    load({ MAX_PER_IP: 2 });
+    await createSession('player-1').expect(200);
+    await createSession('player-2').expect(200);
+
+    const response = await createSession('player-3').expect(409);
+    expect(response.body).toMatchObject({ code: 'IP_SESSION_LIMIT', limit: 2 });
+    await createSession('player-3', '198.51.100.7').expect(200);
+  });
+
+  it('replaces the oldest session of a user at MAX_PER_USER with REPLACE_OLDEST_USER_SESSION', async () => {
+    load({ MAX_PER_USER: 1, REPLACE_OLDEST_USER_SESSION: true });
+    const first = await createSession().expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(first.body.Token);
+    server.gameliftstreams.activateSession(StreamSessionArn);
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+
+    const second = await createSession().expect(200);
+
+    expect(terminate).toHaveBeenCalledWith(expect.objectContaining({ StreamSessionIdentifier: StreamSessionArn }));
+    expect(await server.sessionStore.get(first.body.Token)).toBeUndefined();
+    expect(await server.sessionStore.get(second.body.Token)).toBeDefined();
+    // The replaced token no longer works, even though its signature is still valid
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: first.body.Token }).expect(404);
+    await request(server.app).post('/api/SessionInfo').send({ Token: first.body.Token }).expect(404);
+  });
+});
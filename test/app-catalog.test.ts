@@ -0,0 +1,118 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { loadApplicationCatalog } = require('../server/lib/app-catalog');
+
+const APPLICATION = {
+  Id: 'my-game',
+  Name: 'My Game',
+  Description: 'Open world adventure',
+  ApplicationIdentifier: 'a-catalog1',
+  StreamGroupId: 'sg-catalog1',
+  Locations: ['us-west-2'],
+  AdditionalLaunchArgs: ['-windowed'],
+  AdditionalEnvironmentVariables: { QUALITY: 'high' }
+};
+
+describe('application catalog', () => {
+  let catalogDir: string;
+
+  beforeEach(() => {
+    catalogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(catalogDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function writeCatalog(name: string, content: string) {
+    const catalogFile = path.join(catalogDir, name);
+    fs.writeFileSync(catalogFile, content);
+    return catalogFile;
+  }
+
+  it('loads YAML catalogs', () => {
+    const catalog = loadApplicationCatalog(writeCatalog('applications.yaml', [
+      'Applications:',
+      '  - Id: my-game',
+      '    ApplicationIdentifier: a-catalog1',
+      '    StreamGroupIds: [sg-catalog1, sg-catalog2]',
+      '    AdditionalEnvironmentVariables:',
+      '      QUALITY: high'
+    ].join('\n')));
+
+    const application = catalog.find('my-game');
+    expect(catalog.streamGroupIds(application)).toEqual(['sg-catalog1', 'sg-catalog2']);
+    expect(application).toMatchObject({ Name: 'my-game', AdditionalEnvironmentVariables: { QUALITY: 'high' } });
+  });
+
+  it('rejects entries without a stream group', () => {
+    const { StreamGroupId, ...withoutStreamGroup } = APPLICATION;
+    const catalogFile = writeCatalog('applications.json', JSON.stringify({ Applications: [withoutStreamGroup] }));
+
+    expect(() => loadApplicationCatalog(catalogFile)).toThrow(/must contain at least one of \[StreamGroupId, StreamGroupIds\]/);
+  });
+
+  describe('CreateStreamSession', () => {
+    let server: LoadedServer;
+
+    beforeEach(() => {
+      const catalogFile = writeCatalog('applications.json', JSON.stringify({ Applications: [APPLICATION] }));
+      server = loadServer((config) => {
+        config.APPLICATION_CATALOG_FILE = catalogFile;
+      });
+    });
+
+    afterEach(() => {
+      server.gameliftstreams.reset();
+    });
+
+    it('lists only the public fields of each application', async () => {
+      const response = await request(server.app).get('/api/Applications').expect(200);
+
+      expect(response.body).toEqual({
+        Applications: [{ Id: 'my-game', Name: 'My Game', Description: 'Open world adventure', Locations: ['us-west-2'] }]
+      });
+    });
+
+    it('launches with the catalog configuration whatever the client sends', async () => {
+      const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+      const response = await request(server.app).post('/api/CreateStreamSession').send({
+        ...createStreamSessionParams,
+        ApplicationIdentifier: 'my-game',
+        StreamGroupId: 'sg-client1',
+        AdditionalLaunchArgs: ['-cheats'],
+        AdditionalEnvironmentVariables: { GOD_MODE: '1' }
+      }).expect(200);
+
+      expect(start.mock.calls[0][0]).toMatchObject({
+        Identifier: 'sg-catalog1',
+        ApplicationIdentifier: 'a-catalog1',
+        AdditionalLaunchArgs: ['-windowed'],
+        AdditionalEnvironmentVariables: { QUALITY: 'high' }
+      });
+      expect(response.body.ApplicationDescription).toBe('Open world adventure');
+      expect((await server.sessionStore.get(response.body.Token)).StreamGroupId).toBe('sg-catalog1');
+    });
+
+    it('rejects an application that is not in the catalog with 400', async () => {
+      const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+      const response = await request(server.app).post('/api/CreateStreamSession').send({
+        ...createStreamSessionParams,
+        ApplicationIdentifier: 'a-unknown1'
+      }).expect(400);
+
+      expect(response.body.error).toBe('Unknown application');
+      expect(start).not.toHaveBeenCalled();
+    });
+  });
+});
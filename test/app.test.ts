@@ -0,0 +1,83 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer } from './helpers';
+
+// The host backend in these tests uses the same Express as the server
+const express = require('../server/node_modules/express');
+
+describe('createApp', () => {
+  it('can be mounted under a path of another Express app', async () => {
+    const server = loadServer();
+    const host = express();
+    host.get('/status', (req: any, res: any) => res.json({ host: true }));
+    host.use('/streaming', server.app);
+
+    await request(host).get('/status').expect(200, { host: true });
+    const response = await request(host)
+      .post('/streaming/api/CreateStreamSession')
+      .send(createStreamSessionParams)
+      .expect(200);
+    expect(await server.sessionStore.get(response.body.Token)).toMatchObject({ StreamGroupId: 'sg-abc12' });
+  });
+
+  describe('in Lambda mode', () => {
+    const streamGroupId = process.env.STREAM_GROUP_ID;
+
+    beforeEach(() => {
+      process.env.STREAM_GROUP_ID = 'sg-lambda1';
+    });
+
+    afterEach(() => {
+      if (streamGroupId === undefined) {
+        delete process.env.STREAM_GROUP_ID;
+      } else {
+        process.env.STREAM_GROUP_ID = streamGroupId;
+      }
+    });
+
+    it('starts sessions in the deployed stream group', async () => {
+      const server = loadServer(() => {}, { local: false });
+
+      const response = await request(server.app)
+        .post('/api/CreateStreamSession')
+        .send(createStreamSessionParams)
+        .expect(200);
+      expect(await server.sessionStore.get(response.body.Token)).toMatchObject({ StreamGroupId: 'sg-lambda1' });
+    });
+
+    it('does not offer event streams', async () => {
+      const server = loadServer(() => {}, { local: false });
+
+      await request(server.app).post('/api/StreamSessionEvents').send({ Token: 'unknown' }).expect(501);
+    });
+  });
+});
+
+describe('server.js', () => {
+  it('serves the app through the Lambda handler', async () => {
+    let handler: any;
+    const env = { ...process.env };
+    // server.js reads the read-only config.js itself, so configure it through the environment
+    process.env.SESSION_STORE_TYPE = 'memory';
+    process.env.SESSION_METRICS_STORE_TYPE = 'memory';
+    process.env.GAMELIFT_STREAMS_MOCK = 'true';
+    try {
+      jest.isolateModules(() => {
+        handler = require('../server/server').handler;
+      });
+    } finally {
+      process.env = env;
+    }
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/api/health',
+      headers: {},
+      requestContext: {}
+    }, {});
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ status: 'ok' });
+  });
+});
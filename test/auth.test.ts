@@ -0,0 +1,156 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import crypto = require('crypto');
+import http = require('http');
+import { AddressInfo } from 'net';
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer, signJwt } from './helpers';
+
+const SECRET = 'auth-test-secret';
+const ISSUER = 'https://issuer.example.com';
+const AUDIENCE = 'gameliftstreams';
+
+describe('bearer token authentication', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer((config) => {
+      config.AUTH.ENABLED = true;
+      config.AUTH.SHARED_SECRET = SECRET;
+      config.AUTH.ISSUER = ISSUER;
+      config.AUTH.AUDIENCE = AUDIENCE;
+    });
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  function tokenFor(claims: object = {}, header?: object) {
+    return signJwt(SECRET, { sub: 'player-1', iss: ISSUER, aud: AUDIENCE, ...claims }, header);
+  }
+
+  function createSession(token?: string) {
+    const req = request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  }
+
+  it('starts a session owned by the token subject', async () => {
+    const response = await createSession(tokenFor()).expect(200);
+    expect((await server.sessionStore.get(response.body.Token)).OwnerId).toBe('player-1');
+  });
+
+  it('rejects a missing token with 401', async () => {
+    const response = await createSession().expect(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  it.each([
+    ['expired', { exp: Math.floor(Date.now() / 1000) - 3600 }, 'Token expired'],
+    ['without expiry', { exp: undefined }, 'Token has no expiry'],
+    ['of another issuer', { iss: 'https://other.example.com' }, 'Token issuer not accepted'],
+    ['for another audience', { aud: 'other' }, 'Token audience not accepted']
+  ])('rejects a token %s with 401', async (description, claims, message) => {
+    const response = await createSession(tokenFor(claims)).expect(401);
+    expect(response.body).toMatchObject({ error: 'Unauthorized', message });
+  });
+
+  it('rejects a token whose header is not an object with 401', async () => {
+    const [, payload, signature] = tokenFor().split('.');
+    for (const header of ['null', '"HS256"', '[]']) {
+      const segment = Buffer.from(header).toString('base64url');
+      await createSession(`${segment}.${payload}.${signature}`).expect(401);
+    }
+    await createSession(tokenFor({}, { alg: 'constructor' })).expect(401);
+  });
+
+  it('rejects another user with 403', async () => {
+    const created = await createSession(tokenFor()).expect(200);
+    const otherUser = tokenFor({ sub: 'player-2' });
+
+    await request(server.app).post('/api/GetSignalResponse')
+      .set('Authorization', `Bearer ${otherUser}`)
+      .send({ Token: created.body.Token })
+      .expect(403);
+    await request(server.app).post('/api/DestroyStreamSession')
+      .set('Authorization', `Bearer ${otherUser}`)
+      .send({ Token: created.body.Token })
+      .expect(403);
+    await request(server.app).post('/api/GetSignalResponse')
+      .set('Authorization', `Bearer ${tokenFor()}`)
+      .send({ Token: created.body.Token })
+      .expect(200);
+  });
+});
+
+describe('JWKS authentication', () => {
+  let jwksServer: http.Server;
+  let jwks: object[];
+  let fetches: number;
+  let server: LoadedServer;
+
+  function generateKey(kid: string) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' } };
+  }
+
+  function signRs256(privateKey: crypto.KeyObject, header: object) {
+    const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ typ: 'JWT', ...header })}.${encode({ sub: 'player-1', exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+    return `${signingInput}.${crypto.createSign('sha256').update(signingInput).sign(privateKey, 'base64url')}`;
+  }
+
+  beforeEach(async () => {
+    fetches = 0;
+    jwksServer = http.createServer((req, res) => {
+      fetches++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ keys: jwks }));
+    });
+    await new Promise<void>((resolve) => jwksServer.listen(0, '127.0.0.1', resolve));
+    const { port } = jwksServer.address() as AddressInfo;
+    server = loadServer((config) => {
+      config.AUTH.ENABLED = true;
+      config.AUTH.JWKS_URL = `http://127.0.0.1:${port}/jwks.json`;
+    });
+  });
+
+  afterEach(async () => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+    await new Promise((resolve) => jwksServer.close(resolve));
+  });
+
+  function listApplications(token: string) {
+    return request(server.app).get('/api/Applications').set('Authorization', `Bearer ${token}`);
+  }
+
+  it('fetches the JWKS again for a key ID it does not know', async () => {
+    const current = generateKey('current');
+    const rotated = generateKey('rotated');
+    jwks = [current.jwk];
+    await listApplications(signRs256(current.privateKey, { alg: 'RS256', kid: 'current' })).expect(200);
+    expect(fetches).toBe(1);
+
+    jwks = [current.jwk, rotated.jwk];
+    await listApplications(signRs256(rotated.privateKey, { alg: 'RS256', kid: 'rotated' })).expect(200);
+    expect(fetches).toBe(2);
+
+    await listApplications(signRs256(rotated.privateKey, { alg: 'RS256', kid: 'unknown' })).expect(401);
+  });
+
+  it('rejects a token whose algorithm does not match its key', async () => {
+    const key = generateKey('key');
+    jwks = [{ ...key.jwk, alg: 'RS512' }];
+
+    const response = await listApplications(signRs256(key.privateKey, { alg: 'RS256', kid: 'key' })).expect(401);
+    expect(response.body.message).toBe('Token algorithm does not match its signing key');
+
+    const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    jwks = [{ ...publicKey.export({ format: 'jwk' }), kid: 'ec' }];
+    await listApplications(signRs256(key.privateKey, { alg: 'RS256', kid: 'ec' })).expect(401);
+    expect(fetches).toBe(2);
+  });
+});
@@ -0,0 +1,117 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+
+const Joi = require('../server/node_modules/joi');
+const { loadConfig } = require('../server/lib/config-loader');
+
+describe('loadConfig', () => {
+  const defaults = {
+    REGION: 'us-west-2',
+    PROFILE: '',
+    LIMITS: { MAX_REQUESTS: 100, WINDOW_MS: 60000 },
+    NAMES: ['console'],
+    POLICIES: {}
+  };
+  const schema = Joi.object({
+    REGION: Joi.string().required(),
+    PROFILE: Joi.string().allow(''),
+    LIMITS: Joi.object({ MAX_REQUESTS: Joi.number().integer().min(1), WINDOW_MS: Joi.number().integer().min(1) }),
+    NAMES: Joi.array().items(Joi.string()),
+    POLICIES: Joi.object()
+  });
+  const environmentVariables = {
+    REGION: ['GAMELIFT_STREAMS_REGION', 'AWS_REGION'],
+    'LIMITS.MAX_REQUESTS': ['MAX_REQUESTS'],
+    NAMES: ['NAMES'],
+    POLICIES: ['POLICIES']
+  };
+  const commandLineOptions = { '--region': 'REGION', '--profile': 'PROFILE' };
+  let baseDir: string;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  function load(env: object = {}, argv: string[] = []) {
+    return loadConfig({ defaults, schema, environmentVariables, commandLineOptions, env, argv, baseDir });
+  }
+
+  it('layers the config file, environment variables and command line over the defaults', () => {
+    fs.writeFileSync(path.join(baseDir, 'config.json'), JSON.stringify({
+      REGION: 'eu-west-1',
+      PROFILE: 'file',
+      LIMITS: { WINDOW_MS: 1000 }
+    }));
+
+    expect(load()).toEqual({ ...defaults, REGION: 'eu-west-1', PROFILE: 'file', LIMITS: { MAX_REQUESTS: 100, WINDOW_MS: 1000 } });
+    expect(load({ AWS_REGION: 'us-east-2', MAX_REQUESTS: '5', NAMES: 'console, file', POLICIES: '{"premium":{}}' }))
+      .toEqual({
+        REGION: 'us-east-2',
+        PROFILE: 'file',
+        LIMITS: { MAX_REQUESTS: 5, WINDOW_MS: 1000 },
+        NAMES: ['console', 'file'],
+        POLICIES: { premium: {} }
+      });
+    expect(load({ GAMELIFT_STREAMS_REGION: 'ap-northeast-1', AWS_REGION: 'us-east-2' }, ['--region', 'sa-east-1', '--profile', 'dev']))
+      .toMatchObject({ REGION: 'sa-east-1', PROFILE: 'dev' });
+  });
+
+  it('reads the config file named on the command line or in the environment', () => {
+    fs.writeFileSync(path.join(baseDir, 'staging.json'), JSON.stringify({ REGION: 'eu-central-1' }));
+
+    expect(load({}, ['--config', 'staging.json']).REGION).toBe('eu-central-1');
+    expect(load({ CONFIG_FILE: 'staging.json' }).REGION).toBe('eu-central-1');
+    expect(() => load({ CONFIG_FILE: 'missing.json' })).toThrow(/Cannot read config file .*missing\.json/);
+  });
+
+  it('lists every invalid value with the layer it came from', () => {
+    fs.writeFileSync(path.join(baseDir, 'config.json'), JSON.stringify({ LIMITS: { WINDOW_MS: 0, MAX_REQUEST: 5 } }));
+
+    let error: any;
+    try {
+      load({ MAX_REQUESTS: 'many' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.name).toBe('ConfigError');
+    expect(error.problems).toEqual([
+      'LIMITS.MAX_REQUESTS must be a number (environment variable MAX_REQUESTS)',
+      `LIMITS.WINDOW_MS must be greater than or equal to 1 (config file ${path.join(baseDir, 'config.json')})`,
+      `LIMITS.MAX_REQUEST is not allowed (config file ${path.join(baseDir, 'config.json')})`
+    ]);
+    expect(() => load({ POLICIES: '{premium' })).toThrow('Invalid JSON in environment variable POLICIES');
+  });
+
+  it('returns a read-only configuration that rejects unknown keys', () => {
+    const config = load();
+
+    expect(() => { config.LIMITS.MAX_REQUESTS = 1; }).toThrow('Configuration is read-only, cannot set LIMITS.MAX_REQUESTS');
+    expect(() => config.NAMES.push('file')).toThrow(TypeError);
+    expect(() => config.WINDOW_MS).toThrow('Unknown configuration key WINDOW_MS');
+    expect(() => config.LIMITS.MAX).toThrow('Unknown configuration key LIMITS.MAX');
+    expect(config.then).toBeUndefined();
+  });
+});
+
+describe('config.js', () => {
+  it('validates the environment against the server schema', () => {
+    const env = { ...process.env };
+    process.env.SESSION_LIMIT_PER_USER = 'two';
+    process.env.LOG_TRANSPORTS = 'console,syslog';
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../server/config')).toThrow(/SESSION_LIMITS\.MAX_PER_USER must be a number[^]*LOGGING\.TRANSPORTS\[1\] must be one of/);
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+});
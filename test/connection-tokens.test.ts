@@ -0,0 +1,172 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer, TEST_SIGNING_KEY } from './helpers';
+
+const { ConnectionTokens, parseSigningKeys, SECRET_RELOAD_INTERVAL_MS, storeTtlSeconds } = require('../server/lib/connection-tokens');
+const { MemorySessionStore } = require('../server/lib/session-store');
+
+const NEW_SIGNING_KEY = 'new:fedcba9876543210fedcba9876543210';
+
+describe('signed connection tokens', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer();
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  async function createActiveSession(): Promise<string> {
+    const response = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(response.body.Token);
+    server.gameliftstreams.activateSession(StreamSessionArn);
+    return response.body.Token;
+  }
+
+  /**
+   * Loads another instance sharing the GameLift Streams mock, as Lambda instances share the service
+   */
+  function loadInstance(options: object = {}, signingKeys: string[] = [TEST_SIGNING_KEY]): LoadedServer {
+    return loadServer((config) => {
+      config.CONNECTION_TOKENS.SIGNING_KEYS = signingKeys;
+    }, { gameliftClient: server.gameliftstreams, ...options });
+  }
+
+  it('embeds the session in the token claims', async () => {
+    const token = await createActiveSession();
+
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    const { StreamSessionArn } = await server.sessionStore.get(token);
+    expect(claims).toMatchObject({ arn: StreamSessionArn, sg: 'sg-abc12', sub: 'player-1', len: 3600 });
+    expect(claims.exp - claims.iat).toBe(3600);
+  });
+
+  it('is served by an instance that did not issue it', async () => {
+    const token = await createActiveSession();
+    const other = loadInstance();
+
+    const response = await request(other.app).post('/api/GetSignalResponse').send({ Token: token }).expect(200);
+    expect(response.body.SignalResponse).toBeDefined();
+  });
+
+  it('rejects tampered tokens', async () => {
+    const token = await createActiveSession();
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'player-2' })).toString('base64url');
+
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: `${header}.${forged}.${signature}` }).expect(404);
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = await createActiveSession();
+    const expired = Date.now() + 2 * 3600 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(expired);
+
+    await request(server.app).post('/api/ReconnectStreamSession').send({ Token: token, SignalRequest: 'reconnect' }).expect(404);
+  });
+
+  it('cannot be replayed after DestroyStreamSession', async () => {
+    const token = await createActiveSession();
+    const other = loadInstance({ store: server.sessionStore });
+
+    await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(200);
+
+    await request(other.app).post('/api/ReconnectStreamSession').send({ Token: token, SignalRequest: 'reconnect' }).expect(404);
+    await request(other.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(404);
+  });
+
+  it('accepts tokens of a previous key during rotation', async () => {
+    const token = await createActiveSession();
+
+    const rotating = loadInstance({}, [NEW_SIGNING_KEY, TEST_SIGNING_KEY]);
+    await request(rotating.app).post('/api/GetSignalResponse').send({ Token: token }).expect(200);
+
+    const rotated = loadInstance({}, [NEW_SIGNING_KEY]);
+    await request(rotated.app).post('/api/GetSignalResponse').send({ Token: token }).expect(404);
+  });
+
+  it('is no longer served once forgotten, even by instances that rebuild it from its claims', async () => {
+    const token = await createActiveSession();
+    const other = loadInstance({ store: server.sessionStore });
+    const connectionData = await server.sessionStore.get(token);
+
+    const tokens = new ConnectionTokens({
+      tokenConfig: server.config.CONNECTION_TOKENS,
+      maxLifetimeSeconds: server.config.SESSION_STORE.TOKEN_TTL_SECONDS,
+      sessionStore: server.sessionStore,
+      logger: { warn: jest.fn() }
+    });
+    await tokens.forget(token, connectionData);
+
+    expect(await server.sessionStore.get(token)).toBeUndefined();
+    await request(other.app).post('/api/GetSignalResponse').send({ Token: token }).expect(404);
+  });
+
+  it('rejects short or duplicate signing keys', () => {
+    expect(() => parseSigningKeys(['short'])).toThrow(/at least 32 characters/);
+    expect(() => parseSigningKeys([TEST_SIGNING_KEY, TEST_SIGNING_KEY])).toThrow(/used more than once/);
+    expect(parseSigningKeys(['0123456789abcdef0123456789abcdef'])[0].id).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it('keeps session data in the store until the token expires', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_500);
+    expect(storeTtlSeconds(1_700_000_060_000)).toBe(60);
+    expect(storeTtlSeconds(1_700_000_060_501)).toBe(61);
+    expect(storeTtlSeconds(1_700_000_000_000)).toBe(1);
+  });
+
+  describe('with keys in Secrets Manager', () => {
+    function createTokens(secretsClient: object) {
+      return new ConnectionTokens({
+        tokenConfig: { SIGNING_KEYS: [], SIGNING_KEYS_SECRET_ID: 'token-keys', CLOCK_TOLERANCE_SECONDS: 30 },
+        maxLifetimeSeconds: 3600,
+        sessionStore: new MemorySessionStore(),
+        logger: { warn: jest.fn() },
+        secretsClient
+      });
+    }
+
+    const connectionData = { Timestamp: Date.now(), StreamSessionArn: 'arn:session', UserId: 'player-1' };
+
+    it('reads the keys once and reloads them after the reload interval', async () => {
+      const secretsClient = { getSecretValue: jest.fn(async () => ({ SecretString: `${TEST_SIGNING_KEY},${NEW_SIGNING_KEY}` })) };
+      const tokens = createTokens(secretsClient);
+
+      const { token } = await tokens.issue(connectionData);
+      expect(JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString()).kid).toBe('test');
+      await expect(tokens.verify(token)).resolves.toMatchObject({ arn: 'arn:session' });
+      expect(secretsClient.getSecretValue).toHaveBeenCalledTimes(1);
+      expect(secretsClient.getSecretValue).toHaveBeenCalledWith({ SecretId: 'token-keys' });
+
+      const later = Date.now() + SECRET_RELOAD_INTERVAL_MS;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+      secretsClient.getSecretValue.mockResolvedValueOnce({ SecretString: NEW_SIGNING_KEY });
+      await expect(tokens.verify(token)).rejects.toMatchObject({ statusCode: 404 });
+      expect(secretsClient.getSecretValue).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps the previous keys when a reload fails', async () => {
+      const secretsClient = { getSecretValue: jest.fn(async () => ({ SecretString: TEST_SIGNING_KEY })) };
+      const tokens = createTokens(secretsClient);
+      const { token } = await tokens.issue(connectionData);
+
+      const later = Date.now() + SECRET_RELOAD_INTERVAL_MS;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+      secretsClient.getSecretValue.mockRejectedValueOnce(new Error('throttled'));
+      await expect(tokens.verify(token)).resolves.toBeDefined();
+    });
+
+    it('fails without a status code when the secret cannot be read', async () => {
+      const tokens = createTokens({ getSecretValue: jest.fn(async () => { throw new Error('access denied'); }) });
+
+      await expect(tokens.issue(connectionData)).rejects.toThrow('access denied');
+      await expect(tokens.verify('a.b.c')).rejects.not.toHaveProperty('statusCode');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { createOriginMatcher } = require('../server/lib/cors');
+
+describe('createOriginMatcher', () => {
+  it('matches exact origins and subdomain wildcards', () => {
+    const isAllowed = createOriginMatcher(['https://play.example.com', 'https://*.games.example.org', 'http://localhost:3000']);
+
+    expect(isAllowed('https://play.example.com')).toBe(true);
+    expect(isAllowed('https://eu.games.example.org')).toBe(true);
+    expect(isAllowed('https://a.b.games.example.org')).toBe(true);
+    expect(isAllowed('http://localhost:3000')).toBe(true);
+
+    expect(isAllowed('http://play.example.com')).toBe(false);
+    expect(isAllowed('https://play.example.com:8443')).toBe(false);
+    expect(isAllowed('https://games.example.org')).toBe(false);
+    expect(isAllowed('https://evilgames.example.org')).toBe(false);
+    expect(isAllowed('https://play.example.com.evil.com')).toBe(false);
+    expect(isAllowed('https://play.example.com/path')).toBe(false);
+    expect(isAllowed('null')).toBe(false);
+  });
+});
+
+describe('CORS', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer((config) => {
+      config.CORS.ALLOWED_ORIGINS = ['https://play.example.com', 'https://*.example.org'];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers preflight requests from allowed origins', async () => {
+    const response = await request(server.app)
+      .options('/api/CreateStreamSession')
+      .set('Origin', 'https://eu.example.org')
+      .set('Access-Control-Request-Method', 'POST')
+      .set('Access-Control-Request-Headers', 'content-type, authorization')
+      .expect(204);
+
+    expect(response.headers['access-control-allow-origin']).toBe('https://eu.example.org');
+    expect(response.headers['access-control-allow-credentials']).toBe('true');
+    expect(response.headers['access-control-allow-methods']).toContain('POST');
+    expect(response.headers['access-control-allow-headers']).toContain('Authorization');
+    expect(response.headers['access-control-max-age']).toBe('86400');
+    expect(response.headers.vary).toBe('Origin, Access-Control-Request-Method, Access-Control-Request-Headers');
+  });
+
+  it('lets allowed origins call the session APIs', async () => {
+    const response = await request(server.app)
+      .post('/api/CreateStreamSession')
+      .set('Origin', 'https://play.example.com')
+      .send(createStreamSessionParams)
+      .expect(200);
+
+    expect(response.headers['access-control-allow-origin']).toBe('https://play.example.com');
+    expect(response.headers['access-control-expose-headers']).toContain('Retry-After');
+    expect(response.headers.vary).toContain('Origin');
+  });
+
+  it('rejects disallowed origins before they reach the session APIs', async () => {
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+    const preflight = await request(server.app)
+      .options('/api/CreateStreamSession')
+      .set('Origin', 'https://evil.example.com')
+      .set('Access-Control-Request-Method', 'POST')
+      .expect(403);
+    expect(preflight.headers['access-control-allow-origin']).toBeUndefined();
+
+    // A simple request needs no preflight, so the server must refuse it itself
+    const response = await request(server.app)
+      .post('/api/CreateStreamSession')
+      .set('Origin', 'https://evil.example.com')
+      .set('Content-Type', 'text/plain')
+      .send(JSON.stringify(createStreamSessionParams))
+      .expect(403);
+    expect(response.body.error).toBe('Origin not allowed');
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    expect(response.headers.vary).toContain('Origin');
+
+    await request(server.app)
+      .post('/api/CreateStreamSession')
+      .set('Origin', 'null')
+      .send(createStreamSessionParams)
+      .expect(403);
+    expect(start).not.toHaveBeenCalled();
+  });
+
+  it('allows same-origin requests and requests without an Origin header', async () => {
+    await request(server.app).get('/api/health').expect(200);
+
+    const response = await request(server.app)
+      .get('/api/health')
+      .set('Host', 'streams.example.net')
+      .set('Origin', 'https://streams.example.net')
+      .expect(200);
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  it('allows any origin without credentials when the allowlist is *', async () => {
+    server = loadServer((config) => {
+      config.CORS.ALLOWED_ORIGINS = ['*'];
+    });
+
+    const response = await request(server.app)
+      .get('/api/health')
+      .set('Origin', 'https://anywhere.example.com')
+      .expect(200);
+    expect(response.headers['access-control-allow-origin']).toBe('*');
+    expect(response.headers['access-control-allow-credentials']).toBeUndefined();
+  });
+});
@@ -0,0 +1,86 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+/**
+ * Creates the Express app for integration tests with a mutable copy of config.js, backed
+ * by the in-process GameLift Streams mock and an in-memory session store.
+ */
+
+import crypto = require('crypto');
+
+export interface LoadedServer {
+  app: any;
+  gameliftstreams: any;
+  sessionStore: any;
+  config: any;
+}
+
+/**
+ * Connection token signing key of apps created by loadServer
+ */
+export const TEST_SIGNING_KEY = 'test:0123456789abcdef0123456789abcdef';
+
+/**
+ * Creates an app from app.js in an isolated module registry
+ * @param configure - Adjusts config.js before the app reads it
+ * @param options - Further createApp options, e.g. local
+ */
+export function loadServer(configure: (config: any) => void = () => {}, options: object = {}): LoadedServer {
+  // The server logs every request; keep test output readable
+  for (const method of ['log', 'info', 'warn', 'error', 'debug'] as const) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+
+  let loaded: LoadedServer | undefined;
+  jest.isolateModules(() => {
+    const { cloneConfig } = require('../server/lib/config-loader');
+    // The loaded configuration is read-only; tests adjust a copy
+    const config = cloneConfig(require('../server/config'));
+    // Every status request reaches the mock, so tests see state changes immediately
+    config.SESSION_EVENTS.POLL_INTERVAL_MS = 0;
+    // Ignore an applications.json a developer may have created
+    config.APPLICATION_CATALOG_FILE = 'applications.test-missing.json';
+    // A fixed key, as deployments configure, so tokens verify across app instances
+    config.CONNECTION_TOKENS.SIGNING_KEYS = [TEST_SIGNING_KEY];
+    configure(config);
+
+    const { createApp } = require('../server/app');
+    const { MockGameLiftStreams } = require('../server/lib/mock-gameliftstreams');
+    const { MemorySessionStore } = require('../server/lib/session-store');
+    // Sessions stay ACTIVATING until a test activates them
+    const gameliftstreams = new MockGameLiftStreams({ activationDelayMs: 60000 });
+    const sessionStore = new MemorySessionStore();
+    loaded = {
+      app: createApp({ gameliftClient: gameliftstreams, store: sessionStore, metricsStore: new MemorySessionStore(), config, ...options }),
+      gameliftstreams,
+      sessionStore,
+      config
+    };
+  });
+  return loaded as LoadedServer;
+}
+
+/**
+ * CreateStreamSession request body for the legacy, catalog-less mode
+ */
+export const createStreamSessionParams = {
+  StreamGroupId: 'sg-abc12',
+  ApplicationIdentifier: 'a-abc123',
+  UserId: 'player-1',
+  SignalRequest: 'signal-request',
+  AdditionalLaunchArgs: [],
+  AdditionalEnvironmentVariables: {}
+};
+
+/**
+ * Signs an HS256 JWT as an identity provider sharing AUTH.SHARED_SECRET would. It
+ * expires in an hour unless the claims set exp.
+ * @param secret - Shared secret
+ * @param claims - Token claims
+ * @param header - Token header
+ */
+export function signJwt(secret: string, claims: object, header: object = { alg: 'HS256', typ: 'JWT' }): string {
+  const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode({ exp: Math.floor(Date.now() / 1000) + 3600, ...claims })}`;
+  return `${signingInput}.${crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+}
@@ -0,0 +1,108 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+describe('idle sessions', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer((config) => {
+      // The cleanup job terminates idle sessions; run it often enough for the tests
+      config.TOKEN_CLEANUP_INTERVAL_MS = 10;
+    });
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  async function createActiveSession(): Promise<string> {
+    const response = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(response.body.Token);
+    server.gameliftstreams.activateSession(StreamSessionArn);
+    return response.body.Token;
+  }
+
+  function heartbeat(token: string, idleSeconds = 0) {
+    return request(server.app).post('/api/Heartbeat').send({ Token: token, IdleSeconds: idleSeconds });
+  }
+
+  /**
+   * Moves the clock forward and waits for the cleanup job to run
+   */
+  async function advance(seconds: number): Promise<void> {
+    const later = Date.now() + seconds * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  it('reports when an idle session will be terminated', async () => {
+    const token = await createActiveSession();
+    await advance(200);
+
+    // The player cannot have been idle for longer than the session exists
+    expect((await heartbeat(token, 300).expect(200)).body.IdleTerminationInSeconds).toBe(700);
+
+    const response = await heartbeat(token, 100).expect(200);
+    expect(response.body).toEqual({
+      HeartbeatIntervalSeconds: 30,
+      WarningSeconds: 60,
+      IdleTerminationInSeconds: 800
+    });
+  });
+
+  it('terminates sessions whose heartbeats stop', async () => {
+    const token = await createActiveSession();
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+    await heartbeat(token).expect(200);
+
+    await advance(server.config.IDLE.HEARTBEAT_TIMEOUT_SECONDS - 10);
+    expect(terminate).not.toHaveBeenCalled();
+
+    await advance(20);
+    expect(terminate).toHaveBeenCalledTimes(1);
+    await heartbeat(token).expect(404);
+  });
+
+  it('terminates sessions without player input', async () => {
+    const token = await createActiveSession();
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+
+    // Heartbeats keep coming, but the player has been idle since the session started
+    const timeout = server.config.IDLE.INPUT_IDLE_TIMEOUT_SECONDS;
+    for (let idleSeconds = 0; idleSeconds < timeout - 100; idleSeconds += 100) {
+      await heartbeat(token, idleSeconds).expect(200);
+      await advance(100);
+    }
+    expect(terminate).not.toHaveBeenCalled();
+
+    const response = await heartbeat(token, timeout - 100).expect(200);
+    expect(response.body.IdleTerminationInSeconds).toBe(100);
+    await advance(100);
+    expect(terminate).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps sessions that never sent a heartbeat', async () => {
+    await createActiveSession();
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+
+    await advance(server.config.IDLE.INPUT_IDLE_TIMEOUT_SECONDS + 1);
+    expect(terminate).not.toHaveBeenCalled();
+  });
+
+  it('rejects heartbeats for unknown tokens', async () => {
+    await heartbeat('unknown').expect(404);
+  });
+
+  it('is not served when disabled', async () => {
+    const token = await createActiveSession();
+    server = loadServer((config) => {
+      config.IDLE.ENABLED = false;
+      config.TOKEN_CLEANUP_INTERVAL_MS = 10;
+    }, { gameliftClient: server.gameliftstreams, store: server.sessionStore });
+    await heartbeat(token).expect(404);
+  });
+});
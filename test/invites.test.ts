@@ -0,0 +1,117 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { SessionInvites } = require('../server/lib/invites');
+const { MemorySessionStore } = require('../server/lib/session-store');
+
+describe('session invites', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer();
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  async function createActiveSession(): Promise<string> {
+    const response = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(response.body.Token);
+    server.gameliftstreams.activateSession(StreamSessionArn);
+    return response.body.Token;
+  }
+
+  async function createInvite(token: string): Promise<string> {
+    const response = await request(server.app).post('/api/CreateSessionInvite').send({ Token: token }).expect(200);
+    expect(Date.parse(response.body.ExpiresAt)).toBeGreaterThan(Date.now());
+    return response.body.InviteToken;
+  }
+
+  function redeem(inviteToken: string) {
+    return request(server.app).post('/api/ReconnectStreamSession').send({ InviteToken: inviteToken, SignalRequest: 'other-device' });
+  }
+
+  it('moves the session to the device that redeems the invite', async () => {
+    const token = await createActiveSession();
+    const inviteToken = await createInvite(token);
+
+    const response = await redeem(inviteToken).expect(200);
+    expect(response.body.SignalResponse).toBeDefined();
+    expect(response.body.Token).toBeDefined();
+    expect(response.body.Token).not.toBe(token);
+
+    // The original device can no longer use the session
+    await request(server.app).post('/api/ReconnectStreamSession').send({ Token: token, SignalRequest: 'original' }).expect(404);
+    await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(404);
+    await request(server.app).post('/api/DestroyStreamSession').send({ Token: response.body.Token }).expect(200);
+  });
+
+  it('can be redeemed only once', async () => {
+    const inviteToken = await createInvite(await createActiveSession());
+
+    await redeem(inviteToken).expect(200);
+    await redeem(inviteToken).expect(404);
+  });
+
+  it('can be redeemed only once when redeemed concurrently', async () => {
+    // A store with network latency, as DynamoDB has, lets concurrent requests interleave
+    class SlowSessionStore extends MemorySessionStore {
+      async get(key: string) {
+        await new Promise((resolve) => setImmediate(resolve));
+        return super.get(key);
+      }
+
+      async delete(key: string) {
+        await new Promise((resolve) => setImmediate(resolve));
+        return super.delete(key);
+      }
+
+      async take(key: string) {
+        await new Promise((resolve) => setImmediate(resolve));
+        return super.take(key);
+      }
+    }
+    const invites = new SessionInvites({ inviteConfig: server.config.INVITES, sessionStore: new SlowSessionStore() });
+    const { InviteToken } = await invites.create('connection-token');
+
+    const redeemed = await Promise.all([invites.redeem(InviteToken), invites.redeem(InviteToken), invites.redeem(InviteToken)]);
+    expect(redeemed.filter(Boolean)).toEqual(['connection-token']);
+  });
+
+  it('is only accepted by ReconnectStreamSession', async () => {
+    const inviteToken = await createInvite(await createActiveSession());
+
+    await request(server.app).post('/api/ReconnectStreamSession').send({ Token: inviteToken, SignalRequest: 'x' }).expect(404);
+    await request(server.app).post('/api/DestroyStreamSession').send({ Token: inviteToken }).expect(404);
+    await request(server.app).post('/api/CreateSessionInvite').send({ Token: inviteToken }).expect(404);
+    await redeem(inviteToken).expect(200);
+  });
+
+  it('expires', async () => {
+    const inviteToken = await createInvite(await createActiveSession());
+    const later = Date.now() + (server.config.INVITES.TTL_SECONDS + 1) * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+
+    await redeem(inviteToken).expect(404);
+  });
+
+  it('is not created for unknown tokens', async () => {
+    await request(server.app).post('/api/CreateSessionInvite').send({ Token: 'unknown' }).expect(404);
+  });
+
+  it('is not served when disabled', async () => {
+    const token = await createActiveSession();
+    const inviteToken = await createInvite(token);
+    server = loadServer((config) => {
+      config.INVITES.ENABLED = false;
+    }, { gameliftClient: server.gameliftstreams, store: server.sessionStore });
+
+    await request(server.app).post('/api/CreateSessionInvite').send({ Token: token }).expect(404);
+    await redeem(inviteToken).expect(404);
+  });
+});
@@ -0,0 +1,105 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { rankLocations } = require('../server/lib/locations');
+
+describe('rankLocations', () => {
+  it('puts measured locations first, closest first', () => {
+    expect(rankLocations(['eu-west-1', 'us-east-2', 'us-west-2'], { 'us-west-2': 20, 'us-east-2': 80 }))
+      .toEqual(['us-west-2', 'us-east-2', 'eu-west-1']);
+  });
+
+  it('drops slow locations unless all are slow', () => {
+    expect(rankLocations(['us-east-2', 'us-west-2'], { 'us-west-2': 20, 'us-east-2': 180 }, 100)).toEqual(['us-west-2']);
+    expect(rankLocations(['us-east-2', 'us-west-2'], { 'us-west-2': 120, 'us-east-2': 180 }, 100))
+      .toEqual(['us-west-2', 'us-east-2']);
+  });
+});
+
+describe('location selection', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer((config) => {
+      config.LOCATIONS.CANDIDATES = ['us-west-2', 'us-east-2'];
+      config.MOCK_GAMELIFT_STREAMS.PROBE_LATENCY_MS = { 'us-east-2': 50 };
+    });
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  it('lists the candidate locations with mock probes', async () => {
+    const response = await request(server.app).get('/api/Locations').expect(200);
+    expect(response.body).toEqual({
+      Locations: [
+        { Location: 'us-west-2', ProbeUrl: '/api/LocationProbe?Location=us-west-2' },
+        { Location: 'us-east-2', ProbeUrl: '/api/LocationProbe?Location=us-east-2' }
+      ],
+      ProbeUrlTemplate: '/api/LocationProbe?Location={region}',
+      ProbeCount: 3
+    });
+
+    const started = Date.now();
+    await request(server.app).get('/api/LocationProbe?Location=us-east-2').expect(204);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+
+  it('starts the session in the closest location', async () => {
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+    const response = await request(server.app).post('/api/CreateStreamSession').send({
+      ...createStreamSessionParams,
+      Locations: ['eu-west-1', 'us-east-2', 'us-west-2'],
+      LocationLatencies: { 'us-west-2': 20, 'us-east-2': 80, 'eu-west-1': 'slow' }
+    }).expect(200);
+
+    expect(start.mock.calls[0][0]).toMatchObject({ Locations: ['us-west-2', 'us-east-2', 'eu-west-1'] });
+    expect(response.body).toMatchObject({ Location: 'us-west-2', LatencyMs: 20 });
+  });
+
+  describe('with an application catalog', () => {
+    let catalogDir: string;
+
+    beforeEach(() => {
+      catalogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+      const catalogFile = path.join(catalogDir, 'applications.json');
+      fs.writeFileSync(catalogFile, JSON.stringify({
+        Applications: [{
+          Id: 'my-game',
+          ApplicationIdentifier: 'a-abc123',
+          StreamGroupId: 'sg-abc12',
+          Locations: ['us-east-2', 'ap-northeast-1']
+        }]
+      }));
+      server = loadServer((config) => {
+        config.APPLICATION_CATALOG_FILE = catalogFile;
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(catalogDir, { recursive: true, force: true });
+    });
+
+    it('offers and allows only the locations of the application', async () => {
+      const locations = await request(server.app).get('/api/Locations?ApplicationIdentifier=my-game').expect(200);
+      expect(locations.body.Locations.map((entry: any) => entry.Location)).toEqual(['us-east-2', 'ap-northeast-1']);
+
+      const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+      await request(server.app).post('/api/CreateStreamSession').send({
+        ...createStreamSessionParams,
+        ApplicationIdentifier: 'my-game',
+        LocationLatencies: { 'us-west-2': 10, 'us-east-2': 90, 'ap-northeast-1': 40 }
+      }).expect(200);
+      expect(start.mock.calls[0][0]).toMatchObject({ Locations: ['ap-northeast-1', 'us-east-2'] });
+    });
+  });
+});
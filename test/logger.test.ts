@@ -0,0 +1,154 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import request = require('supertest');
+import { createStreamSessionParams, loadServer } from './helpers';
+
+const { Logger, FileTransport, EmfTransport, createLogger, withCorrelationId } = require('../server/lib/logger');
+const config = require('../server/config');
+
+/**
+ * Logger writing to an array
+ */
+function memoryLogger(options: object = {}): { logger: any; entries: any[] } {
+  const entries: any[] = [];
+  const logger = new Logger({
+    transports: [{ write: (entry: any) => entries.push(entry) }],
+    redactKeys: config.LOGGING.REDACT_KEYS,
+    redactValuesOf: config.LOGGING.REDACT_VALUES_OF,
+    ...options
+  });
+  return { logger, entries };
+}
+
+describe('Logger', () => {
+  it('redacts tokens, signaling data and environment variable values at any depth', () => {
+    const { logger, entries } = memoryLogger();
+
+    logger.info('Request received', {
+      body: {
+        token: 'secret-token',
+        SignalRequest: 'v=0 sdp',
+        AdditionalEnvironmentVariables: { API_KEY: 'hunter2' },
+        StreamGroupId: 'sg-abc12'
+      },
+      headers: { authorization: 'Bearer jwt' }
+    });
+
+    expect(entries[0].body).toEqual({
+      token: '[REDACTED]',
+      SignalRequest: '[REDACTED]',
+      AdditionalEnvironmentVariables: { API_KEY: '[REDACTED]' },
+      StreamGroupId: 'sg-abc12'
+    });
+    expect(entries[0].headers.authorization).toBe('[REDACTED]');
+  });
+
+  it('writes only lines at or above the configured level', () => {
+    const { logger, entries } = memoryLogger({ level: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error', {}, Object.assign(new Error('failed'), { code: 'E_FAIL' }));
+
+    expect(entries.map((entry) => entry.level)).toEqual(['warn', 'error']);
+    expect(entries[1].errorCode).toBe('E_FAIL');
+  });
+
+  it('adds the correlation ID of the running request', async () => {
+    const { logger, entries } = memoryLogger();
+
+    await withCorrelationId('request-1', async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      logger.info('inside');
+    });
+    logger.info('outside');
+
+    expect(entries[0]).toMatchObject({ correlationId: 'request-1', requestId: 'request-1' });
+    expect(entries[1].correlationId).toBeUndefined();
+  });
+
+  it('rejects unknown transports', () => {
+    expect(() => createLogger({ ...config.LOGGING, TRANSPORTS: ['syslog'] })).toThrow('Unknown log transport: syslog');
+  });
+});
+
+describe('FileTransport', () => {
+  it('rotates the log file when it reaches its maximum size', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+    const filePath = path.join(dir, 'server.log');
+    try {
+      const transport = new FileTransport({ filePath, maxBytes: 100, maxFiles: 2 });
+      for (let i = 0; i < 10; i++) {
+        transport.write({ level: 'info', message: `line ${i}`, padding: 'x'.repeat(40) });
+      }
+
+      expect(fs.readdirSync(dir).sort()).toEqual(['server.log', 'server.log.1', 'server.log.2']);
+      expect(fs.readFileSync(filePath, 'utf8')).toContain('line 9');
+      expect(fs.statSync(filePath).size).toBeLessThanOrEqual(100);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('EmfTransport', () => {
+  it('writes CloudWatch Embedded Metric Format lines', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    new EmfTransport({ namespace: 'Test' }).write({
+      timestamp: '2024-01-01T00:00:00.000Z',
+      level: 'info',
+      message: 'Request completed',
+      duration: 12
+    });
+
+    const line = JSON.parse(log.mock.calls[0][0]);
+    log.mockRestore();
+    expect(line).toMatchObject({ level: 'info', LogCount: 1, duration: 12 });
+    expect(line._aws).toEqual({
+      Timestamp: Date.parse('2024-01-01T00:00:00.000Z'),
+      CloudWatchMetrics: [{
+        Namespace: 'Test',
+        Dimensions: [['level']],
+        Metrics: [{ Name: 'LogCount', Unit: 'Count' }, { Name: 'duration', Unit: 'Milliseconds' }]
+      }]
+    });
+  });
+});
+
+describe('server logging', () => {
+  it('logs session requests without signal requests or tokens', async () => {
+    const server = loadServer((serverConfig) => {
+      serverConfig.LOGGING.LEVEL = 'debug';
+    });
+
+    const created = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    await request(server.app).post('/api/DestroyStreamSession').send({ Token: created.body.Token }).expect(200);
+
+    const lines = [console.log, console.error]
+      .flatMap((method) => (method as jest.Mock).mock.calls.map((args) => String(args[0])));
+    const output = lines.join('\n');
+    expect(output).toContain('CreateStreamSession request received');
+    expect(output).not.toContain(created.body.Token);
+    expect(output).not.toContain(createStreamSessionParams.SignalRequest);
+    lines.filter((line) => line.startsWith('{')).forEach((line) => {
+      expect(JSON.parse(line).correlationId).toBeDefined();
+    });
+  });
+
+  it('logs each request once, including requests no route handles', async () => {
+    const server = loadServer();
+
+    await request(server.app).post('/api/Unknown').send({}).expect(404);
+
+    const completed = (console.log as jest.Mock).mock.calls
+      .map((args) => String(args[0]))
+      .filter((line) => line.includes('Request completed') && line.includes('/api/Unknown'));
+    expect(completed).toHaveLength(1);
+    expect(JSON.parse(completed[0])).toMatchObject({ method: 'POST', path: '/api/Unknown', statusCode: 404 });
+  });
+});
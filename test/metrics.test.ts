@@ -0,0 +1,97 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+/**
+ * Finds the value of a sample in Prometheus text output
+ */
+function sample(text: string, name: string, labels: string = ''): number | undefined {
+  const prefix = labels ? `${name}{${labels}} ` : `${name} `;
+  const line = text.split('\n').find((l) => l.startsWith(prefix));
+  return line === undefined ? undefined : Number(line.slice(prefix.length));
+}
+
+describe('GET /metrics', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer();
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+  });
+
+  async function scrape(): Promise<string> {
+    const response = await request(server.app).get('/metrics').expect(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    return response.text;
+  }
+
+  it('counts requests per route pattern and status code', async () => {
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: 'unknown' }).expect(404);
+    await request(server.app).get('/api/health').expect(200);
+
+    const text = await scrape();
+    expect(sample(text, 'http_requests_total', 'method="POST",route="/api/GetSignalResponse",status_code="404"')).toBe(1);
+    expect(sample(text, 'http_requests_total', 'method="GET",route="/api/health",status_code="200"')).toBe(1);
+    expect(sample(text, 'http_request_duration_seconds_count', 'method="GET",route="/api/health",status_code="200"')).toBe(1);
+  });
+
+  it('counts GameLift Streams calls and errors per operation', async () => {
+    await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    server.gameliftstreams.injectFailure('startStreamSession', new Error('Service unavailable'));
+    await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(502);
+
+    const text = await scrape();
+    expect(sample(text, 'gameliftstreams_api_calls_total', 'operation="startStreamSession"')).toBe(2);
+    expect(sample(text, 'gameliftstreams_api_errors_total', 'operation="startStreamSession",error="Error"')).toBe(1);
+    expect(sample(text, 'gameliftstreams_api_duration_seconds_count', 'operation="startStreamSession"')).toBe(2);
+  });
+
+  it('reports active tokens and session activation time', async () => {
+    const created = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(created.body.Token);
+    server.gameliftstreams.activateSession(StreamSessionArn);
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: created.body.Token }).expect(200);
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: created.body.Token }).expect(200);
+
+    const text = await scrape();
+    expect(sample(text, 'stream_session_tokens_active')).toBe(1);
+    expect(sample(text, 'stream_session_activation_seconds_count')).toBe(1);
+  });
+
+  it('includes process metrics', async () => {
+    expect(await scrape()).toMatch(/^process_cpu_user_seconds_total /m);
+  });
+
+  it('counts rate limit rejections', async () => {
+    server = loadServer((config) => {
+      config.RATE_LIMIT.LOCAL_MAX_REQUESTS = 1;
+    });
+    await request(server.app).get('/api/health').expect(200);
+    await request(server.app).get('/api/health').expect(429);
+
+    expect(sample(await scrape(), 'rate_limit_rejections_total')).toBe(1);
+  });
+
+  it('requires the configured bearer token', async () => {
+    server = loadServer((config) => {
+      config.METRICS.BEARER_TOKEN = 'scrape-secret';
+    });
+
+    await request(server.app).get('/metrics').expect(401);
+    await request(server.app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+    await request(server.app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+  });
+
+  it('is not served when disabled', async () => {
+    server = loadServer((config) => {
+      config.METRICS.ENABLED = false;
+    });
+
+    await request(server.app).get('/metrics').expect(404);
+  });
+});
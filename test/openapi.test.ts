@@ -0,0 +1,109 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import vm = require('vm');
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const express = require('../server/node_modules/express');
+const { createOpenApiDocument } = require('../server/lib/openapi');
+const { createOpenApiValidator, listOperations, RESPONSE_MISMATCH } = require('../server/lib/openapi-validator');
+const { API_CLIENT_FILE, generateApiClient } = require('../server/lib/api-client-generator');
+
+describe('OpenAPI specification', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves a document describing every /api route', async () => {
+    const response = await request(server.app).get('/api/openapi.json').expect(200);
+    expect(response.body.openapi).toBe('3.1.0');
+    expect(response.body.info.version).toBe(server.config.API_VERSION);
+
+    const routes = server.app._router.stack
+      .filter((layer: any) => layer.route && layer.route.path.startsWith('/api/'))
+      .flatMap((layer: any) => Object.keys(layer.route.methods)
+        .map((method) => `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+    const operations = listOperations(response.body).map(({ method, path }: any) => `${method} ${path}`);
+    expect(operations.sort()).toEqual(routes.sort());
+  });
+
+  it('rejects requests that do not match the document before they reach a route', async () => {
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+    const response = await request(server.app)
+      .post('/api/CreateStreamSession')
+      .send({ ...createStreamSessionParams, SignalRequest: undefined, AdditionalLaunchArgs: '--debug' })
+      .expect(400);
+    expect(response.body).toEqual({
+      error: 'Invalid request',
+      errors: [
+        { path: 'body.SignalRequest', message: "must have required property 'SignalRequest'" },
+        { path: 'body.AdditionalLaunchArgs', message: 'must be array' }
+      ],
+      correlationId: expect.any(String)
+    });
+    expect(start).not.toHaveBeenCalled();
+
+    await request(server.app).post('/api/ReconnectStreamSession').send({ SignalRequest: 'reconnect' }).expect(400);
+  });
+
+  it('answers failures with an error message', async () => {
+    const response = await request(server.app).post('/api/DestroyStreamSession').send({ Token: 'unknown' }).expect(404);
+    expect(response.body).toEqual({ error: 'Connection data not found', correlationId: expect.any(String) });
+  });
+
+  it('logs responses that do not match the document', async () => {
+    const logger = { warn: jest.fn(), error: jest.fn() };
+    const validate = createOpenApiValidator(createOpenApiDocument({ version: '1.0.0' }), { validateResponses: true, logger });
+    const app = express();
+    app.get('/api/health', validate('Health'), (req: any, res: any) => {
+      res.json({ status: 'degraded' });
+    });
+
+    await request(app).get('/api/health').expect(200);
+    expect(logger.error).toHaveBeenCalledWith(RESPONSE_MISMATCH, expect.objectContaining({
+      operationId: 'Health',
+      statusCode: 200,
+      errors: [{ path: 'response.status', message: 'must be equal to constant' }]
+    }));
+    expect(() => validate('Unknown')).toThrow('Operation Unknown is not in the OpenAPI document');
+  });
+});
+
+describe('generated API client', () => {
+  it('is up to date with the document', () => {
+    const document = createOpenApiDocument({ version: '1.0.0' });
+    expect(fs.readFileSync(API_CLIENT_FILE, 'utf8')).toBe(generateApiClient(document));
+  });
+
+  it('sends requests through the page transport', async () => {
+    const context: any = { URLSearchParams };
+    vm.runInNewContext(fs.readFileSync(API_CLIENT_FILE, 'utf8'), context);
+    const transport = {
+      get: jest.fn(async () => ({})),
+      post: jest.fn(async () => ({})),
+      eventStream: jest.fn(async () => undefined)
+    };
+    const api = context.createApiClient(transport);
+    const onEvent = () => {};
+
+    await api.CreateStreamSession(createStreamSessionParams);
+    await api.Locations({ ApplicationIdentifier: 'My Game', Unused: undefined });
+    await api.Applications();
+    await api.StreamSessionEvents({ Token: 'token' }, onEvent);
+
+    expect(transport.post).toHaveBeenCalledWith('/api/CreateStreamSession', createStreamSessionParams);
+    expect(transport.get).toHaveBeenCalledWith('/api/Locations?ApplicationIdentifier=My+Game');
+    expect(transport.get).toHaveBeenCalledWith('/api/Applications');
+    expect(transport.eventStream).toHaveBeenCalledWith('/api/StreamSessionEvents', { Token: 'token' }, onEvent);
+    expect(api.AdminListSessions).toBeUndefined();
+  });
+});
@@ -0,0 +1,115 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+describe('waiting room', () => {
+  let server: LoadedServer;
+  let full: boolean;
+
+  beforeEach(() => {
+    server = loadServer((config) => {
+      config.QUEUE.ENABLED = true;
+    });
+    // The stream group has no capacity while full is set
+    full = true;
+    server.gameliftstreams.injectFailure('startStreamSession', () => {
+      if (!full) {
+        return undefined;
+      }
+      const error = new Error('No capacity available');
+      error.name = 'ServiceQuotaExceededException';
+      return error;
+    }, { times: Infinity });
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  function createSession(queueTicket?: string) {
+    return request(server.app)
+      .post('/api/CreateStreamSession')
+      .send({ ...createStreamSessionParams, QueueTicket: queueTicket });
+  }
+
+  function queueStatus(queueTicket: string) {
+    return request(server.app).post('/api/QueueStatus').send({ QueueTicket: queueTicket });
+  }
+
+  /**
+   * Moves Date.now forward, expiring tickets and cached listings without waiting
+   */
+  function advanceClock(milliseconds: number) {
+    const now = Date.now() + milliseconds;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  }
+
+  it('serves tickets first in, first out', async () => {
+    const first = await createSession().expect(202);
+    const second = await createSession().expect(202);
+    expect(first.body).toMatchObject({ Position: 1, EstimatedWaitSeconds: 0 });
+    expect(second.body).toMatchObject({ Position: 2, EstimatedWaitSeconds: 60 });
+
+    // A slot frees up, but only the head of the queue may take it
+    full = false;
+    await createSession().expect(202);
+    const retried = await createSession(second.body.QueueTicket).expect(202);
+    expect(retried.body).toMatchObject({ QueueTicket: second.body.QueueTicket, Position: 2 });
+
+    await createSession(first.body.QueueTicket).expect(200);
+    expect((await queueStatus(second.body.QueueTicket).expect(200)).body.Position).toBe(1);
+  });
+
+  it('promotes the next ticket when a slot frees', async () => {
+    const first = await createSession().expect(202);
+    const second = await createSession().expect(202);
+
+    // Still full: the head keeps its place
+    expect((await createSession(first.body.QueueTicket).expect(202)).body.Position).toBe(1);
+
+    full = false;
+    const started = await createSession(first.body.QueueTicket).expect(200);
+    expect(started.body.Token).toBeDefined();
+    await queueStatus(first.body.QueueTicket).expect(404);
+
+    expect((await queueStatus(second.body.QueueTicket).expect(200)).body.Position).toBe(1);
+    await createSession(second.body.QueueTicket).expect(200);
+    await createSession().expect(200);
+  });
+
+  it('expires tickets that are not polled', async () => {
+    const first = await createSession().expect(202);
+    const second = await createSession().expect(202);
+
+    // Only the second client keeps polling
+    advanceClock(20 * 1000);
+    await queueStatus(second.body.QueueTicket).expect(200);
+    advanceClock(20 * 1000);
+
+    await queueStatus(first.body.QueueTicket).expect(404);
+    expect((await queueStatus(second.body.QueueTicket).expect(200)).body.Position).toBe(1);
+    full = false;
+    await createSession(second.body.QueueTicket).expect(200);
+  });
+
+  it('does not list the session store on every poll', async () => {
+    const first = await createSession().expect(202);
+    const second = await createSession().expect(202);
+    const list = jest.spyOn(server.sessionStore, 'list');
+
+    for (let poll = 0; poll < 5; poll++) {
+      await queueStatus(first.body.QueueTicket).expect(200);
+      await queueStatus(second.body.QueueTicket).expect(200);
+    }
+    // Both tickets were in the listing made when the second one was queued
+    expect(list).not.toHaveBeenCalled();
+
+    advanceClock(server.config.QUEUE.POSITION_CACHE_MS);
+    await queueStatus(first.body.QueueTicket).expect(200);
+    await queueStatus(second.body.QueueTicket).expect(200);
+    expect(list).toHaveBeenCalledTimes(1);
+  });
+});
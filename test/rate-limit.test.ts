@@ -0,0 +1,121 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, signJwt } from './helpers';
+
+const { FileRateLimitCounters, RedisRateLimitCounters } = require('../server/lib/rate-limit');
+
+describe('rate limiting', () => {
+  it('rejects requests above the configured limit', async () => {
+    const server = loadServer((config) => {
+      config.RATE_LIMIT.LOCAL_MAX_REQUESTS = 3;
+    });
+
+    for (let i = 0; i < 3; i++) {
+      const response = await request(server.app).get('/api/health').expect(200);
+      expect(response.headers['x-ratelimit-remaining']).toBe(String(2 - i));
+    }
+    const response = await request(server.app).get('/api/health').expect(429);
+    expect(response.body.error).toBe('Too many requests, please try again later');
+  });
+
+  it('uses the configured window', async () => {
+    const server = loadServer((config) => {
+      config.RATE_LIMIT.WINDOW_MS = 60 * 1000;
+    });
+
+    const response = await request(server.app).get('/api/health').expect(200);
+    // X-RateLimit-Reset is the Unix time in seconds when the window ends
+    const secondsUntilReset = Number(response.headers['x-ratelimit-reset']) - Date.now() / 1000;
+    expect(secondsUntilReset).toBeGreaterThan(0);
+    expect(secondsUntilReset).toBeLessThanOrEqual(61);
+  });
+});
+
+describe('rate limiting policies', () => {
+  it('gives each policy its own budget and names it in the RateLimit headers', async () => {
+    const server = loadServer((config) => {
+      config.RATE_LIMIT.POLICIES.CREATE_SESSION.LOCAL_MAX_REQUESTS = 1;
+    });
+
+    const created = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    expect(created.headers['ratelimit-policy']).toMatch(/^"create-session"; q=1; w=900\b/);
+    expect(created.headers.ratelimit).toMatch(/^"create-session"; r=0; t=900\b/);
+
+    const rejected = await request(server.app).post('/api/CreateStreamSession')
+      .send({ ...createStreamSessionParams, UserId: 'player-2' })
+      .expect(429);
+    expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Polling and other routes are counted separately
+    await request(server.app).post('/api/GetSignalResponse').send({ Token: created.body.Token }).expect(200);
+    const health = await request(server.app).get('/api/health').expect(200);
+    expect(health.headers['ratelimit-policy']).toMatch(/^"default"/);
+  });
+
+  it('counts authenticated users separately and others by IP address', async () => {
+    const secret = 'rate-limit-test-secret';
+    const server = loadServer((config) => {
+      config.AUTH.ENABLED = true;
+      config.AUTH.SHARED_SECRET = secret;
+      config.RATE_LIMIT.LOCAL_MAX_REQUESTS = 1;
+    });
+    const get = (token?: string) => {
+      const req = request(server.app).get('/api/health');
+      return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    };
+
+    await get(signJwt(secret, { sub: 'player-1' })).expect(200);
+    await get(signJwt(secret, { sub: 'player-1' })).expect(429);
+    await get(signJwt(secret, { sub: 'player-2' })).expect(200);
+    await get().expect(200);
+    // An invalid token does not get a budget of its own
+    await get(signJwt('wrong-secret', { sub: 'player-3' })).expect(429);
+  });
+});
+
+describe('rate limit counters', () => {
+  it('keeps file counters across restarts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-'));
+    const filePath = path.join(dir, 'rate-limits.json');
+    try {
+      const counters = new FileRateLimitCounters({ filePath });
+      await counters.increment('default:ip:1.2.3.4', 60000);
+      await counters.increment('default:ip:1.2.3.4', 60000);
+
+      const restarted = new FileRateLimitCounters({ filePath });
+      const { totalHits, resetTime } = await restarted.increment('default:ip:1.2.3.4', 60000);
+      expect(totalHits).toBe(3);
+      expect(resetTime.getTime()).toBeLessThanOrEqual(Date.now() + 60000);
+      await restarted.decrement('default:ip:1.2.3.4');
+      expect((await restarted.increment('default:ip:1.2.3.4', 60000)).totalHits).toBe(3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('counts in Redis with expiring keys', async () => {
+    const commands: string[][] = [];
+    const client = {
+      sendCommand: async (args: string[]) => {
+        commands.push(args);
+        return args[0] === 'EVAL' && args[3] === 'create-session:user:player-1' ? [4, 30000] : 0;
+      }
+    };
+    const counters = new RedisRateLimitCounters({ client });
+
+    const { totalHits, resetTime } = await counters.increment('create-session:user:player-1', 900000);
+    expect(totalHits).toBe(4);
+    expect(resetTime.getTime() - Date.now()).toBeLessThanOrEqual(30000);
+    await counters.reset('create-session:user:player-1');
+
+    expect(commands.map((args) => args.filter((arg) => !arg.includes('redis.call')))).toEqual([
+      ['EVAL', '1', 'create-session:user:player-1', '900000'],
+      ['DEL', 'create-session:user:player-1']
+    ]);
+  });
+});
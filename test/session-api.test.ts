@@ -0,0 +1,194 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+describe('stream session API', () => {
+  let server: LoadedServer;
+
+  beforeAll(() => {
+    server = loadServer();
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+  });
+
+  /**
+   * Creates a session through the API and returns its token and ARN
+   */
+  async function createSession(): Promise<{ token: string; arn: string }> {
+    const response = await request(server.app)
+      .post('/api/CreateStreamSession')
+      .send(createStreamSessionParams)
+      .expect(200);
+    const data = await server.sessionStore.get(response.body.Token);
+    return { token: response.body.Token, arn: data.StreamSessionArn };
+  }
+
+  describe('POST /api/CreateStreamSession', () => {
+    it('starts a stream session and returns a connection token', async () => {
+      const { token, arn } = await createSession();
+
+      expect(token).toMatch(/^[\w-]+\.[\w-]+\.[\w-]+$/);
+      const data = await server.sessionStore.get(token);
+      expect(data).toMatchObject({
+        StreamGroupId: 'sg-abc12',
+        ApplicationIdentifier: 'a-abc123',
+        UserId: 'player-1',
+        SessionLengthSeconds: 3600
+      });
+      const session = await server.gameliftstreams.getStreamSession({ Identifier: 'sg-abc12', StreamSessionIdentifier: arn });
+      expect(session.Status).toBe('ACTIVATING');
+      expect(session.UserId).toBe('player-1');
+    });
+
+    it('returns the error when StartStreamSession fails', async () => {
+      const error = new Error('Application a-abc123 not found');
+      error.name = 'ResourceNotFoundException';
+      server.gameliftstreams.injectFailure('startStreamSession', error);
+
+      const response = await request(server.app)
+        .post('/api/CreateStreamSession')
+        .send(createStreamSessionParams)
+        .expect(502);
+      expect(response.body.error).toBe('Application a-abc123 not found');
+    });
+
+    it('terminates the started session when its connection token cannot be stored', async () => {
+      jest.spyOn(server.sessionStore, 'put').mockRejectedValueOnce(new Error('Table not found'));
+      const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+
+      const response = await request(server.app)
+        .post('/api/CreateStreamSession')
+        .send(createStreamSessionParams)
+        .expect(502);
+      expect(response.body.error).toBe('Failed to store connection token');
+      const [arn] = server.gameliftstreams.sessions.keys();
+      expect(terminate).toHaveBeenCalledWith({ Identifier: 'sg-abc12', StreamSessionIdentifier: arn });
+    });
+  });
+
+  describe('POST /api/GetSignalResponse', () => {
+    it('returns an empty signal response while the session is ACTIVATING', async () => {
+      const { token } = await createSession();
+
+      const response = await request(server.app).post('/api/GetSignalResponse').send({ Token: token }).expect(200);
+      expect(response.body).toEqual({ SignalResponse: '' });
+    });
+
+    it('returns the signal response once the session is ACTIVE', async () => {
+      const { token, arn } = await createSession();
+      server.gameliftstreams.activateSession(arn);
+
+      const response = await request(server.app).post('/api/GetSignalResponse').send({ Token: token }).expect(200);
+      expect(JSON.parse(response.body.SignalResponse)).toMatchObject({ mock: true, sessionArn: arn });
+    });
+
+    it('rejects an unexpected stream status', async () => {
+      const { token, arn } = await createSession();
+      server.gameliftstreams.failSession(arn, 'applicationExit');
+
+      const response = await request(server.app).post('/api/GetSignalResponse').send({ Token: token }).expect(404);
+      expect(response.body).toMatchObject({ error: 'Unexpected stream status', status: 'ERROR' });
+    });
+
+    it('rejects an expired connection token', async () => {
+      const { token } = await createSession();
+      const data = await server.sessionStore.get(token);
+      data.Timestamp -= (server.config.STREAM_CONNECTION_TIMEOUT_SECONDS + 1) * 1000;
+      await server.sessionStore.put(token, data, 60);
+
+      const response = await request(server.app).post('/api/GetSignalResponse').send({ Token: token }).expect(404);
+      expect(response.body.error).toBe('Connection token expired');
+    });
+
+    it('rejects an unknown connection token', async () => {
+      await request(server.app).post('/api/GetSignalResponse').send({ Token: 'unknown' }).expect(404);
+    });
+
+    it('returns the general error status when GetStreamSession fails', async () => {
+      const { token } = await createSession();
+      server.gameliftstreams.injectFailure('getStreamSession', new Error('Service unavailable'));
+
+      await request(server.app).post('/api/GetSignalResponse').send({ Token: token }).expect(502);
+    });
+  });
+
+  describe('POST /api/ReconnectStreamSession', () => {
+    it('returns a new signal response for an ACTIVE session', async () => {
+      const { token, arn } = await createSession();
+      server.gameliftstreams.activateSession(arn);
+
+      const response = await request(server.app)
+        .post('/api/ReconnectStreamSession')
+        .send({ Token: token, SignalRequest: 'reconnect-signal-request' })
+        .expect(200);
+      expect(JSON.parse(response.body.SignalResponse)).toMatchObject({ mock: true, sessionArn: arn });
+    });
+
+    it('fails when the session cannot accept a connection', async () => {
+      const { token } = await createSession();
+
+      await request(server.app)
+        .post('/api/ReconnectStreamSession')
+        .send({ Token: token, SignalRequest: 'reconnect-signal-request' })
+        .expect(502);
+    });
+
+    it('rejects an unknown connection token', async () => {
+      await request(server.app)
+        .post('/api/ReconnectStreamSession')
+        .send({ Token: 'unknown', SignalRequest: 'reconnect-signal-request' })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/DestroyStreamSession', () => {
+    it('terminates the session and forgets the token', async () => {
+      const { token, arn } = await createSession();
+
+      await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(200);
+
+      const session = await server.gameliftstreams.getStreamSession({ Identifier: 'sg-abc12', StreamSessionIdentifier: arn });
+      expect(session.Status).toBe('TERMINATING');
+      expect(await server.sessionStore.get(token)).toBeUndefined();
+      await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(404);
+    });
+
+    it('returns the general error status when TerminateStreamSession fails', async () => {
+      const { token } = await createSession();
+      server.gameliftstreams.injectFailure('terminateStreamSession', new Error('Service unavailable'));
+
+      await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(502);
+      expect(await server.sessionStore.get(token)).toBeDefined();
+    });
+  });
+
+  describe('other session routes', () => {
+    it('lists no applications without a catalog', async () => {
+      const response = await request(server.app).get('/api/Applications').expect(200);
+      expect(response.body).toEqual({ Applications: [] });
+    });
+
+    it('rejects an unknown queue ticket', async () => {
+      await request(server.app).post('/api/QueueStatus').send({ QueueTicket: 'unknown' }).expect(404);
+    });
+
+    it('streams status changes until the session is ACTIVE', async () => {
+      const { token, arn } = await createSession();
+      setTimeout(() => server.gameliftstreams.activateSession(arn), 50);
+
+      const response = await request(server.app).post('/api/StreamSessionEvents').send({ Token: token }).expect(200);
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      const events = response.text.trim().split('\n\n').map((event) => JSON.parse(event.split('\ndata: ')[1]));
+      expect(events[0]).toEqual({ Status: 'ACTIVATING' });
+      expect(events[events.length - 1]).toMatchObject({ Status: 'ACTIVE' });
+    });
+
+    it('hides the admin API when it is not configured', async () => {
+      await request(server.app).get('/api/admin/sessions').expect(404);
+    });
+  });
+});
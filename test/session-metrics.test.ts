@@ -0,0 +1,151 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { analyzeSessionMetrics, percentile } = require('../server/lib/session-metrics');
+const config = require('../server/config');
+
+/**
+ * Builds samples one second apart starting at t = 1000
+ */
+function series(values: number[]): number[][] {
+  return values.map((value, index) => [1000 + index * 1000, value]);
+}
+
+describe('POST /api/SessionMetrics', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer();
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+  });
+
+  async function createSession(): Promise<string> {
+    const response = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    return response.body.Token;
+  }
+
+  function upload(token: string, stats: object) {
+    return request(server.app).post('/api/SessionMetrics').send({ Token: token, Stats: { stats, sessionDuration: 60000 } });
+  }
+
+  it('returns an analysis of the uploaded batches from DestroyStreamSession', async () => {
+    const token = await createSession();
+
+    const first = await upload(token, {
+      'webrtc_candidate-pair_currentRoundTripTime': series([0.04, 0.05]),
+      'webrtc_inbound-rtp_framesPerSecond': series([60, 60])
+    }).expect(200);
+    expect(first.body).toEqual({ Accepted: 4 });
+    await upload(token, {
+      'webrtc_candidate-pair_currentRoundTripTime': [[3000, 0.06]],
+      'webrtc_inbound-rtp_framesPerSecond': [[3000, 60]]
+    }).expect(200);
+
+    const response = await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(200);
+    expect(response.body.analysis).toMatchObject({
+      SampleCount: 6,
+      RoundTripTime: { AverageMs: 50 },
+      FramesPerSecond: { Average: 60, Stability: 1 },
+      Verdict: 'good',
+      Issues: []
+    });
+  });
+
+  it('returns no analysis from DestroyStreamSession without uploads', async () => {
+    const token = await createSession();
+
+    const response = await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(200);
+    expect(response.body).toEqual({});
+  });
+
+  it('rejects malformed stats', async () => {
+    const token = await createSession();
+
+    const badName = await upload(token, { bytes: series([1]) }).expect(400);
+    expect(badName.body.code).toBe('INVALID_SESSION_METRICS');
+    await upload(token, { 'webrtc_inbound-rtp_jitter': [[1000, 'high']] }).expect(400);
+    await request(server.app).post('/api/SessionMetrics').send({ Token: token }).expect(400);
+  });
+
+  it('rejects unknown tokens', async () => {
+    await upload('unknown', { 'webrtc_inbound-rtp_jitter': series([0.01]) }).expect(404);
+  });
+
+  it('keeps uploads out of the session listings', async () => {
+    server = loadServer((config) => {
+      config.ADMIN.API_KEY = 'admin-test-key';
+    });
+    const token = await createSession();
+    await upload(token, { 'webrtc_inbound-rtp_jitter': series([0.01]) }).expect(200);
+
+    const sessions = await request(server.app).get('/api/admin/sessions').set('X-Admin-Key', 'admin-test-key').expect(200);
+    expect(sessions.body.Sessions).toEqual([expect.objectContaining({ Token: token })]);
+    const metrics = await request(server.app).get('/metrics').expect(200);
+    expect(metrics.text).toMatch(/^stream_session_tokens_active 1$/m);
+    expect(await server.sessionStore.list()).toHaveLength(1);
+  });
+
+  it('is not served when disabled', async () => {
+    server = loadServer((config) => {
+      config.SESSION_METRICS.ENABLED = false;
+    });
+    const token = await createSession();
+
+    await upload(token, { 'webrtc_inbound-rtp_jitter': series([0.01]) }).expect(404);
+    const response = await request(server.app).post('/api/DestroyStreamSession').send({ Token: token }).expect(200);
+    expect(response.body).toEqual({});
+  });
+});
+
+describe('analyzeSessionMetrics', () => {
+  const thresholds = config.SESSION_METRICS.THRESHOLDS;
+
+  it('computes percentiles with interpolation', () => {
+    expect(percentile([4, 1, 3, 2], 50)).toBe(2.5);
+    expect(percentile([1, 2, 3, 4, 5], 95)).toBeCloseTo(4.8);
+    expect(percentile([], 95)).toBeNull();
+  });
+
+  it('rates packet loss and dropped frames from counter increases across resets', () => {
+    const analysis = analyzeSessionMetrics({
+      Stats: {
+        // The counters restart at 0 after the third sample, e.g. after a reconnect
+        'webrtc_inbound-rtp_packetsLost': series([0, 2, 5, 0, 5]),
+        'webrtc_inbound-rtp_packetsReceived': series([0, 100, 200, 0, 100]),
+        'webrtc_inbound-rtp_framesDropped': series([0, 0, 1, 0, 0]),
+        'webrtc_inbound-rtp_framesReceived': series([0, 50, 100, 0, 100])
+      }
+    }, thresholds);
+
+    expect(analysis.PacketLoss).toEqual({ Lost: 10, Received: 300, RatePercent: expect.closeTo(3.23, 2) });
+    expect(analysis.DroppedFrames).toMatchObject({ Dropped: 1, Received: 200 });
+    expect(analysis.Verdict).toBe('poor');
+    expect(analysis.Issues).toEqual([{ Measure: 'PacketLoss', Verdict: 'poor' }]);
+  });
+
+  it('rates unsteady frame rates and high round trip times', () => {
+    const analysis = analyzeSessionMetrics({
+      Stats: {
+        'webrtc_candidate-pair_currentRoundTripTime': series([0.1, 0.12, 0.15, 0.18]),
+        'webrtc_inbound-rtp_framesPerSecond': series([60, 30, 60, 30])
+      }
+    }, thresholds);
+
+    expect(analysis.RoundTripTime.P95Ms).toBeGreaterThan(100);
+    expect(analysis.FramesPerSecond.Min).toBe(30);
+    expect(analysis.Verdict).toBe('poor');
+    expect(analysis.Issues.map(({ Measure }: { Measure: string }) => Measure)).toEqual(['RoundTripTime', 'FramesPerSecond']);
+  });
+
+  it('has an unknown verdict without data', () => {
+    const analysis = analyzeSessionMetrics({ Stats: {} }, thresholds);
+    expect(analysis.Verdict).toBe('unknown');
+    expect(analysis.SampleCount).toBe(0);
+  });
+});
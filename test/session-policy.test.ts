@@ -0,0 +1,125 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { SessionPolicy } = require('../server/lib/session-policy');
+
+describe('session length policy', () => {
+  const policyConfig = {
+    DEFAULT_LENGTH_SECONDS: 3600,
+    EXTENSION_SECONDS: 0,
+    MAX_EXTENSIONS: 1,
+    ROLE_CLAIM: 'groups',
+    ROLE_POLICIES: {
+      premium: { SessionLengthSeconds: 7200, ExtensionSeconds: 1800, MaxExtensions: 2 },
+      trial: { SessionLengthSeconds: 600 }
+    }
+  };
+  const policy = new SessionPolicy({ policyConfig, maxSessionLengthSeconds: 4 * 3600 });
+
+  it('applies the catalog entry, then the most generous role', () => {
+    expect(policy.resolve()).toEqual({
+      SessionLengthSeconds: 3600, ExtensionSeconds: 0, MaxExtensions: 0, MaxSessionLengthSeconds: 3600
+    });
+    expect(policy.resolve({ application: { SessionLengthSeconds: 1800, ExtensionSeconds: 900 } })).toEqual({
+      SessionLengthSeconds: 1800, ExtensionSeconds: 900, MaxExtensions: 1, MaxSessionLengthSeconds: 2700
+    });
+    expect(policy.resolve({
+      application: { SessionLengthSeconds: 1800 },
+      user: { id: 'player-1', claims: { groups: ['trial', 'premium'] } }
+    })).toEqual({
+      SessionLengthSeconds: 7200, ExtensionSeconds: 1800, MaxExtensions: 2, MaxSessionLengthSeconds: 10800
+    });
+  });
+
+  it('caps sessions at the maximum length', () => {
+    expect(policy.resolve({ application: { SessionLengthSeconds: 5 * 3600, ExtensionSeconds: 600 } })).toMatchObject({
+      SessionLengthSeconds: 4 * 3600, MaxSessionLengthSeconds: 4 * 3600
+    });
+  });
+});
+
+describe('session time', () => {
+  let server: LoadedServer;
+
+  beforeEach(() => {
+    server = loadServer((config) => {
+      config.SESSION_POLICY.EXTENSION_SECONDS = 600;
+      config.SESSION_POLICY.MAX_EXTENSIONS = 1;
+      config.TOKEN_CLEANUP_INTERVAL_MS = 10;
+    });
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+  });
+
+  async function createActiveSession(): Promise<string> {
+    // Freeze the clock so remaining times are exact
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now());
+    const response = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(response.body.Token);
+    server.gameliftstreams.activateSession(StreamSessionArn);
+    return response.body.Token;
+  }
+
+  function sessionInfo(token: string) {
+    return request(server.app).post('/api/SessionInfo').send({ Token: token });
+  }
+
+  it('starts extendable sessions with their longest length', async () => {
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+    const token = await createActiveSession();
+
+    expect(start.mock.calls[0][0]).toMatchObject({ SessionLengthSeconds: 4200 });
+    const response = await sessionInfo(token).expect(200);
+    expect(response.body).toMatchObject({
+      RemainingSeconds: 3600,
+      WarningThresholdsSeconds: [600, 300, 60],
+      CanExtend: true,
+      ExtensionSeconds: 600,
+      ExtensionsRemaining: 1
+    });
+    expect(Date.parse(response.body.EndsAt) - Date.parse(response.body.StartedAt)).toBe(3600 * 1000);
+  });
+
+  it('extends sessions as often as the policy allows', async () => {
+    const token = await createActiveSession();
+
+    const response = await request(server.app).post('/api/ExtendSession').send({ Token: token }).expect(200);
+    expect(response.body).toMatchObject({ RemainingSeconds: 4200, CanExtend: false, ExtensionsRemaining: 0 });
+
+    await request(server.app).post('/api/ExtendSession').send({ Token: token }).expect(409);
+    expect((await sessionInfo(token).expect(200)).body.RemainingSeconds).toBe(4200);
+  });
+
+  it('ends sessions that were not extended', async () => {
+    const token = await createActiveSession();
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 3601 * 1000);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(terminate).toHaveBeenCalledTimes(1);
+    await sessionInfo(token).expect(404);
+  });
+
+  it('reports the allowed time on instances without the session data', async () => {
+    const token = await createActiveSession();
+    const other = loadServer(() => {}, { gameliftClient: server.gameliftstreams });
+
+    const local = (await sessionInfo(token).expect(200)).body;
+    const remote = (await request(other.app).post('/api/SessionInfo').send({ Token: token }).expect(200)).body;
+    // Token claims hold whole seconds
+    expect(Math.abs(Date.parse(remote.EndsAt) - Date.parse(local.EndsAt))).toBeLessThan(1000);
+    expect(remote.CanExtend).toBe(false);
+  });
+
+  it('rejects unknown tokens', async () => {
+    await sessionInfo('unknown').expect(404);
+    await request(server.app).post('/api/ExtendSession').send({ Token: 'unknown' }).expect(404);
+  });
+});
@@ -0,0 +1,217 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+
+const { MemorySessionStore, FileSessionStore, DynamoDBSessionStore } = require('../server/lib/session-store');
+
+/**
+ * Error as thrown by the DynamoDB client
+ */
+function serviceError(name: string) {
+  const error = new Error(name);
+  error.name = name;
+  return error;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Moves Date.now forward, expiring entries without waiting
+ */
+function advanceClock(milliseconds: number) {
+  const now = Date.now() + milliseconds;
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+}
+
+describe('MemorySessionStore', () => {
+  it('expires entries after their TTL and sweeps them', async () => {
+    const store = new MemorySessionStore();
+    await store.put('short', { Arn: 'short' }, 60);
+    await store.put('long', { Arn: 'long' }, 600);
+
+    expect(await store.get('short')).toEqual({ Arn: 'short' });
+    advanceClock(120 * 1000);
+    expect(await store.list()).toEqual([{ token: 'long', data: { Arn: 'long' } }]);
+    expect(await store.sweep()).toBe(1);
+    expect(await store.sweep()).toBe(0);
+    expect(await store.get('short')).toBeUndefined();
+  });
+
+  it('takes an entry once', async () => {
+    const store = new MemorySessionStore();
+    await store.put('invite:1', { Token: 'token' }, 60);
+
+    expect(await store.take('invite:1')).toEqual({ Token: 'token' });
+    expect(await store.take('invite:1')).toBeUndefined();
+    expect(await store.get('invite:1')).toBeUndefined();
+  });
+});
+
+describe('FileSessionStore', () => {
+  let directory: string;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps entries across instances sharing the directory', async () => {
+    const first = new FileSessionStore({ directory });
+    await first.put('token/1', { Arn: 'arn-1' }, 60);
+
+    const second = new FileSessionStore({ directory });
+    expect(await second.get('token/1')).toEqual({ Arn: 'arn-1' });
+    await second.put('token-2', { Arn: 'arn-2' }, 60);
+    expect(await first.list()).toEqual(expect.arrayContaining([
+      { token: 'token/1', data: { Arn: 'arn-1' } },
+      { token: 'token-2', data: { Arn: 'arn-2' } }
+    ]));
+
+    await first.delete('token/1');
+    expect(await second.get('token/1')).toBeUndefined();
+    expect(fs.readdirSync(directory)).toHaveLength(1);
+  });
+
+  it('takes an entry once across instances', async () => {
+    const stores = [new FileSessionStore({ directory }), new FileSessionStore({ directory })];
+    await stores[0].put('invite:1', { Token: 'token' }, 60);
+
+    const taken = await Promise.all([stores[0].take('invite:1'), stores[1].take('invite:1')]);
+
+    expect(taken.filter(Boolean)).toEqual([{ Token: 'token' }]);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it('expires entries after their TTL and sweeps their files', async () => {
+    const store = new FileSessionStore({ directory });
+    await store.put('short', { Arn: 'short' }, 60);
+    await store.put('long', { Arn: 'long' }, 600);
+
+    advanceClock(120 * 1000);
+    expect(await store.get('short')).toBeUndefined();
+    expect(await store.take('short')).toBeUndefined();
+    await store.put('stale', { Arn: 'stale' }, 1);
+    advanceClock(120 * 1000 + 2000);
+    expect(await store.list()).toEqual([{ token: 'long', data: { Arn: 'long' } }]);
+    expect(await store.sweep()).toBe(1);
+    expect(fs.readdirSync(directory)).toHaveLength(1);
+  });
+
+  it('ignores corrupt entry files', async () => {
+    const store = new FileSessionStore({ directory });
+    await store.put('token', { Arn: 'arn' }, 60);
+    fs.writeFileSync(path.join(directory, 'corrupt.json'), '{');
+
+    expect(await store.list()).toEqual([{ token: 'token', data: { Arn: 'arn' } }]);
+    expect(await store.sweep()).toBe(0);
+  });
+});
+
+describe('DynamoDBSessionStore', () => {
+  it('stores the data as JSON with an epoch-seconds expiry', async () => {
+    const client = { putItem: jest.fn(async () => ({})) };
+    const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+    jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_500);
+
+    await store.put('token', { Arn: 'arn' }, 60);
+
+    expect(client.putItem).toHaveBeenCalledWith({
+      TableName: 'sessions',
+      Item: {
+        Token: { S: 'token' },
+        Data: { S: JSON.stringify({ Arn: 'arn' }) },
+        ExpiresAt: { N: '1700000061' }
+      }
+    });
+  });
+
+  it('reads items consistently and ignores expired ones', async () => {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const client = {
+      getItem: jest.fn()
+        .mockResolvedValueOnce({ Item: { Token: { S: 'token' }, Data: { S: '{"Arn":"arn"}' }, ExpiresAt: { N: String(nowSeconds + 60) } } })
+        .mockResolvedValueOnce({ Item: { Token: { S: 'token' }, Data: { S: '{"Arn":"arn"}' }, ExpiresAt: { N: String(nowSeconds - 1) } } })
+        .mockResolvedValueOnce({})
+    };
+    const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+
+    expect(await store.get('token')).toEqual({ Arn: 'arn' });
+    expect(await store.get('token')).toBeUndefined();
+    expect(await store.get('token')).toBeUndefined();
+    expect(client.getItem).toHaveBeenCalledWith({ TableName: 'sessions', Key: { Token: { S: 'token' } }, ConsistentRead: true });
+  });
+
+  it('lists unexpired items across scan pages', async () => {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const item = (token: string, expiresAt: number) => ({
+      Token: { S: token }, Data: { S: JSON.stringify({ Arn: token }) }, ExpiresAt: { N: String(expiresAt) }
+    });
+    const client = {
+      scan: jest.fn()
+        .mockResolvedValueOnce({ Items: [item('a', nowSeconds + 60), item('expired', nowSeconds - 1)], LastEvaluatedKey: { Token: { S: 'expired' } } })
+        .mockResolvedValueOnce({ Items: [item('b', nowSeconds + 60)] })
+    };
+    const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+
+    expect(await store.list()).toEqual([{ token: 'a', data: { Arn: 'a' } }, { token: 'b', data: { Arn: 'b' } }]);
+    expect(client.scan).toHaveBeenNthCalledWith(2, expect.objectContaining({ ExclusiveStartKey: { Token: { S: 'expired' } } }));
+    expect(await store.sweep()).toBe(0);
+  });
+
+  it('deletes items by token', async () => {
+    const client = { deleteItem: jest.fn(async () => ({})) };
+    const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+
+    await store.delete('token');
+
+    expect(client.deleteItem).toHaveBeenCalledWith({ TableName: 'sessions', Key: { Token: { S: 'token' } } });
+  });
+
+  it('takes an item with a conditional delete returning the old item', async () => {
+    const client = {
+      deleteItem: jest.fn()
+        .mockResolvedValueOnce({
+          Attributes: {
+            Token: { S: 'invite:1' },
+            Data: { S: JSON.stringify({ Token: 'token' }) },
+            ExpiresAt: { N: String(Math.ceil(Date.now() / 1000) + 60) }
+          }
+        })
+        .mockRejectedValueOnce(serviceError('ConditionalCheckFailedException'))
+    };
+    const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+
+    expect(await store.take('invite:1')).toEqual({ Token: 'token' });
+    expect(await store.take('invite:1')).toBeUndefined();
+    expect(client.deleteItem).toHaveBeenCalledWith({
+      TableName: 'sessions',
+      Key: { Token: { S: 'invite:1' } },
+      ConditionExpression: 'attribute_exists(#token)',
+      ExpressionAttributeNames: { '#token': 'Token' },
+      ReturnValues: 'ALL_OLD'
+    });
+  });
+
+  it('does not return an expired item that DynamoDB has not purged yet', async () => {
+    const client = {
+      deleteItem: jest.fn(async () => ({
+        Attributes: {
+          Token: { S: 'invite:1' },
+          Data: { S: JSON.stringify({ Token: 'token' }) },
+          ExpiresAt: { N: String(Math.floor(Date.now() / 1000) - 1) }
+        }
+      }))
+    };
+    const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+
+    expect(await store.take('invite:1')).toBeUndefined();
+  });
+});
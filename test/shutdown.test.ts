@@ -0,0 +1,155 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import http = require('http');
+import { AddressInfo } from 'net';
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { ShutdownManager } = require('../server/lib/shutdown');
+
+describe('ShutdownManager', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  it('runs every task in order and reports failures', async () => {
+    const manager = new ShutdownManager({ drainTimeoutMs: 100, cleanupTimeoutMs: 100, logger });
+    const calls: string[] = [];
+    manager.onCleanup('first', () => {
+      calls.push('first');
+      throw new Error('Store unavailable');
+    });
+    manager.onDrain('drain', async () => calls.push('drain'));
+    manager.onCleanup('second', async () => calls.push('second'));
+
+    const shutdown = manager.shutdown('SIGTERM');
+    expect(manager.shutdown('SIGINT')).toBe(shutdown);
+    expect(await shutdown).toBe(false);
+    expect(calls).toEqual(['drain', 'first', 'second']);
+    expect(logger.error).toHaveBeenCalledWith('Shutdown task failed',
+      { stage: 'cleanup', task: 'first', error: 'Store unavailable' });
+  });
+});
+
+describe('graceful shutdown', () => {
+  let server: LoadedServer;
+  let listener: http.Server;
+  let baseUrl: string;
+
+  function load(configure: (config: any) => void = () => {}) {
+    server = loadServer((config) => {
+      config.SHUTDOWN.DRAIN_TIMEOUT_MS = 1000;
+      configure(config);
+    });
+    listener = http.createServer(server.app);
+    server.app.locals.shutdownManager.addServer(listener);
+    return new Promise<void>((resolve) => listener.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${(listener.address() as AddressInfo).port}`;
+      resolve();
+    }));
+  }
+
+  function createSession(params: object = {}) {
+    return fetch(`${baseUrl}/api/CreateStreamSession`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...createStreamSessionParams, ...params })
+    });
+  }
+
+  afterEach(() => {
+    listener.close();
+    jest.restoreAllMocks();
+  });
+
+  it('finishes in-flight requests and refuses new sessions while draining', async () => {
+    await load();
+    const start = server.gameliftstreams.startStreamSession.bind(server.gameliftstreams);
+    let release: () => void = () => {};
+    jest.spyOn(server.gameliftstreams, 'startStreamSession').mockImplementationOnce(async (input: any) => {
+      await new Promise<void>((resolve) => { release = resolve; });
+      return start(input);
+    });
+
+    const inFlight = createSession();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const shutdown = server.app.locals.shutdownManager.shutdown('SIGTERM');
+
+    const refused = await request(server.app).post('/api/CreateStreamSession')
+      .send({ ...createStreamSessionParams, UserId: 'player-2' })
+      .expect(503);
+    expect(refused.body.error).toBe('Server is shutting down');
+    expect(refused.headers['retry-after']).toBe('5');
+    expect(refused.headers.connection).toBe('close');
+
+    release();
+    const response = await inFlight;
+    expect(response.status).toBe(200);
+    expect(await shutdown).toBe(true);
+    expect(listener.listening).toBe(false);
+  });
+
+  it('closes the connections of requests that outlast the drain timeout', async () => {
+    await load((config) => {
+      config.SHUTDOWN.DRAIN_TIMEOUT_MS = 50;
+    });
+    jest.spyOn(server.gameliftstreams, 'startStreamSession').mockImplementationOnce(() => new Promise(() => {}));
+
+    const hanging = createSession().catch((error: Error) => error);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(await server.app.locals.shutdownManager.shutdown('SIGTERM')).toBe(false);
+    expect((await hanging as Error).message).toBe('fetch failed');
+  });
+
+  it('hands off the sessions it started by default', async () => {
+    await load();
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+    const { Token } = await (await createSession()).json();
+
+    expect(await server.app.locals.shutdownManager.shutdown('SIGTERM')).toBe(true);
+    expect(terminate).not.toHaveBeenCalled();
+    expect(await server.sessionStore.get(Token)).toBeDefined();
+  });
+
+  it('terminates the sessions it started when configured to', async () => {
+    await load((config) => {
+      config.SHUTDOWN.OWNED_SESSIONS = 'terminate';
+    });
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+    const { Token } = await (await createSession()).json();
+    const connectionData = await server.sessionStore.get(Token);
+    // Started by another instance sharing the store
+    await server.sessionStore.put('other-token', { ...connectionData, StreamSessionArn: 'arn:other' }, 60);
+    const flush = jest.spyOn(server.sessionStore, 'flush');
+
+    expect(await server.app.locals.shutdownManager.shutdown('SIGTERM')).toBe(true);
+    expect(terminate).toHaveBeenCalledTimes(1);
+    expect(terminate.mock.calls[0][0]).toMatchObject({ StreamSessionIdentifier: connectionData.StreamSessionArn });
+    expect(await server.sessionStore.get(Token)).toBeUndefined();
+    expect(await server.sessionStore.get('other-token')).toBeDefined();
+    expect(flush).toHaveBeenCalled();
+  });
+
+  it('terminates a session whose metrics were uploaded', async () => {
+    await load((config) => {
+      config.SHUTDOWN.OWNED_SESSIONS = 'terminate';
+    });
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+    const { Token } = await (await createSession()).json();
+    const { StreamSessionArn } = await server.sessionStore.get(Token);
+    const upload = await fetch(`${baseUrl}/api/SessionMetrics`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Token, Stats: { stats: { 'webrtc_inbound-rtp_jitter': [[1000, 0.01]] }, sessionDuration: 1000 } })
+    });
+    expect(upload.status).toBe(200);
+    // An entry for the same session that is not a connection, listed after the connection
+    await server.sessionStore.put('zz-record', { StreamSessionArn }, 60);
+
+    expect(await server.app.locals.shutdownManager.shutdown('SIGTERM')).toBe(true);
+    expect(terminate).toHaveBeenCalledTimes(1);
+    expect(terminate.mock.calls[0][0]).toMatchObject({ StreamSessionIdentifier: StreamSessionArn });
+    expect(await server.sessionStore.get(Token)).toBeUndefined();
+    await request(server.app).post('/api/GetSignalResponse').send({ Token }).expect(404);
+  });
+});
@@ -0,0 +1,49 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import request = require('supertest');
+import { loadServer, LoadedServer } from './helpers';
+
+describe('health and static routes', () => {
+  let server: LoadedServer;
+
+  beforeAll(() => {
+    server = loadServer();
+  });
+
+  it('reports health on /health', async () => {
+    const response = await request(server.app).get('/health').expect(200);
+    expect(response.body.status).toBe('healthy');
+  });
+
+  it('reports health on /api/health', async () => {
+    const response = await request(server.app).get('/api/health').expect(200);
+    expect(response.body).toEqual({ status: 'ok' });
+  });
+
+  it('serves the web page', async () => {
+    const response = await request(server.app).get('/').expect(200);
+    expect(response.headers['content-type']).toMatch(/^text\/html/);
+    expect(response.text).toContain('appStartStreaming');
+  });
+
+  it.each(['utils.js', 'touchtomouse.js', 'pretty.css', 'loadingscreen.js'])('serves the allowlisted file %s', async (file) => {
+    await request(server.app).get(`/${file}`).expect(200);
+  });
+
+  it.each(['/node_modules/chart.js/dist/chart.umd.js', '/node_modules/qrcode-generator/qrcode.js'])(
+    'serves the library %s loaded by the web page', async (file) => {
+      const response = await request(server.app).get(file).expect(200);
+      expect(response.headers['content-type']).toMatch(/javascript/);
+    });
+
+  it.each(['/server.js', '/config.js', '/package.json', '/lib/auth.js', '/node_modules/express/package.json',
+    '/node_modules/qrcode-generator/package.json'])(
+    'does not serve server file %s', async (file) => {
+      // Unknown paths fall through to the web page
+      const response = await request(server.app).get(file);
+      expect(response.headers['content-type'] || '').toMatch(/^text\/html/);
+      expect(response.text).not.toContain('require(');
+      expect(response.text).not.toContain('"dependencies"');
+    });
+});
@@ -0,0 +1,127 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { RegionalGameLiftStreams, regionOf } = require('../server/lib/stream-groups');
+
+function serviceError(name: string, message: string) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+describe('RegionalGameLiftStreams', () => {
+  it('sends each call to the region of its stream group', async () => {
+    const regions: string[] = [];
+    const client = new RegionalGameLiftStreams({
+      defaultRegion: 'us-west-2',
+      createClient: (region: string) => ({
+        getStreamSession: async () => {
+          regions.push(region);
+          return {};
+        }
+      })
+    });
+
+    await client.getStreamSession({ Identifier: 'sg-abc12' });
+    await client.getStreamSession({ Identifier: 'arn:aws:gameliftstreams:eu-central-1:111122223333:streamgroup/sg-def34' });
+    expect(regions).toEqual(['us-west-2', 'eu-central-1']);
+    expect(regionOf('sg-abc12')).toBeUndefined();
+  });
+});
+
+describe('stream group failover', () => {
+  let server: LoadedServer;
+  let catalogDir: string;
+
+  beforeEach(() => {
+    catalogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+    const catalogFile = path.join(catalogDir, 'applications.json');
+    fs.writeFileSync(catalogFile, JSON.stringify({
+      Applications: [{
+        Id: 'my-game',
+        ApplicationIdentifier: 'a-abc123',
+        StreamGroupIds: ['sg-first', 'sg-second', 'sg-third']
+      }]
+    }));
+    server = loadServer((config) => {
+      config.APPLICATION_CATALOG_FILE = catalogFile;
+    });
+  });
+
+  afterEach(() => {
+    server.gameliftstreams.reset();
+    fs.rmSync(catalogDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function createSession() {
+    return request(server.app).post('/api/CreateStreamSession').send({
+      ...createStreamSessionParams,
+      ApplicationIdentifier: 'my-game'
+    });
+  }
+
+  it('moves on to the next stream group on capacity and throttling errors', async () => {
+    server.gameliftstreams.injectFailure('startStreamSession',
+      serviceError('ServiceQuotaExceededException', 'No capacity available'));
+    server.gameliftstreams.injectFailure('startStreamSession',
+      serviceError('ThrottlingException', 'Rate exceeded'));
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+    const response = await createSession().expect(200);
+
+    expect(start.mock.calls.map(([input]: any[]) => input.Identifier)).toEqual(['sg-first', 'sg-second', 'sg-third']);
+    const connectionData = await server.sessionStore.get(response.body.Token);
+    expect(connectionData.StreamGroupId).toBe('sg-third');
+
+    // The later calls of the session go to the group that served it
+    server.gameliftstreams.activateSession(connectionData.StreamSessionArn);
+    const signal = await request(server.app).post('/api/GetSignalResponse').send({ Token: response.body.Token }).expect(200);
+    expect(signal.body.SignalResponse).toBeTruthy();
+    const terminate = jest.spyOn(server.gameliftstreams, 'terminateStreamSession');
+    await request(server.app).post('/api/DestroyStreamSession').send({ Token: response.body.Token }).expect(200);
+    expect(terminate.mock.calls[0][0]).toMatchObject({ Identifier: 'sg-third' });
+  });
+
+  it('does not fail over on other errors', async () => {
+    server.gameliftstreams.injectFailure('startStreamSession',
+      serviceError('ValidationException', 'Invalid application'));
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+    const response = await createSession().expect(502);
+
+    expect(response.body.error).toBe('Invalid application');
+    expect(start).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the error of the last stream group when all fail', async () => {
+    server.gameliftstreams.injectFailure('startStreamSession',
+      serviceError('ThrottlingException', 'Rate exceeded'), { times: 3 });
+
+    const response = await createSession().expect(502);
+    expect(response.body.error).toBe('Rate exceeded');
+  });
+
+  it('skips stream groups at their session limit', async () => {
+    server = loadServer((config) => {
+      config.APPLICATION_CATALOG_FILE = path.join(catalogDir, 'applications.json');
+      config.SESSION_LIMITS.MAX_PER_STREAM_GROUP = 1;
+    });
+    const start = jest.spyOn(server.gameliftstreams, 'startStreamSession');
+
+    await createSession().expect(200);
+    await request(server.app).post('/api/CreateStreamSession').send({
+      ...createStreamSessionParams,
+      ApplicationIdentifier: 'my-game',
+      UserId: 'player-2'
+    }).expect(200);
+
+    expect(start.mock.calls.map(([input]: any[]) => input.Identifier)).toEqual(['sg-first', 'sg-second']);
+  });
+});
@@ -0,0 +1,174 @@
+// Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import crypto = require('crypto');
+import fs = require('fs');
+import http = require('http');
+import os = require('os');
+import path = require('path');
+import { AddressInfo } from 'net';
+import request = require('supertest');
+import { createStreamSessionParams, loadServer, LoadedServer } from './helpers';
+
+const { WebhookDispatcher, WEBHOOK_EVENTS, signPayload } = require('../server/lib/webhooks');
+
+const SECRET = 'webhook-test-secret';
+
+describe('WebhookDispatcher', () => {
+  let directory: string;
+  let logger: { info: jest.Mock, error: jest.Mock };
+  let delays: number[];
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    logger = { info: jest.fn(), error: jest.fn() };
+    delays = [];
+    // Run backoff timers at once, recording their delays
+    jest.spyOn(global, 'setTimeout').mockImplementation(((callback: () => void, delay: number) => {
+      delays.push(delay);
+      callback();
+      return 0;
+    }) as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function createDispatcher(fetch: jest.Mock, config: object = {}) {
+    return new WebhookDispatcher({
+      webhookConfig: {
+        URLS: ['https://hooks.example.com/a'],
+        SECRET,
+        EVENTS: [],
+        MAX_ATTEMPTS: 3,
+        INITIAL_BACKOFF_MS: 100,
+        TIMEOUT_MS: 1000,
+        DEAD_LETTER_FILE: path.join(directory, 'dead-letter.jsonl'),
+        ...config
+      },
+      logger,
+      fetch
+    });
+  }
+
+  function readDeadLetters() {
+    const file = path.join(directory, 'dead-letter.jsonl');
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line)) : [];
+  }
+
+  it('signs the timestamp and raw body with HMAC-SHA256', async () => {
+    const fetch = jest.fn(async () => ({ status: 204 }));
+    await createDispatcher(fetch).dispatch(WEBHOOK_EVENTS.CREATED, { StreamSessionArn: 'arn-1' });
+
+    const [url, { headers, body }] = fetch.mock.calls[0] as any;
+    const payload = JSON.parse(body);
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+    expect(url).toBe('https://hooks.example.com/a');
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(headers['X-Webhook-Signature']).toBe(signPayload(SECRET, Number(headers['X-Webhook-Timestamp']), body));
+    expect(headers['X-Webhook-Timestamp']).toMatch(/^\d+$/);
+    expect(headers).toMatchObject({ 'X-Webhook-Id': payload.Id, 'X-Webhook-Event': 'session.created' });
+    expect(payload).toMatchObject({ Event: 'session.created', StreamSessionArn: 'arn-1' });
+  });
+
+  it('sends only subscribed events', async () => {
+    const fetch = jest.fn(async () => ({ status: 200 }));
+    const dispatcher = createDispatcher(fetch, { EVENTS: ['session.terminated'] });
+
+    await dispatcher.dispatch(WEBHOOK_EVENTS.CREATED, {});
+    await dispatcher.dispatch(WEBHOOK_EVENTS.TERMINATED, {});
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect((fetch.mock.calls[0] as any)[1].headers['X-Webhook-Event']).toBe('session.terminated');
+  });
+
+  it('retries network errors, 429 and 5xx responses with exponential backoff', async () => {
+    const fetch = jest.fn()
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ status: 503 })
+      .mockResolvedValueOnce({ status: 200 });
+    await createDispatcher(fetch).dispatch(WEBHOOK_EVENTS.ACTIVE, {});
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(delays).toEqual([100, 200]);
+    const ids = fetch.mock.calls.map(([, options]) => options.headers['X-Webhook-Id']);
+    expect(new Set(ids).size).toBe(1);
+    expect(readDeadLetters()).toEqual([]);
+  });
+
+  it('dead-letters a delivery that fails every attempt to a file only its owner can read', async () => {
+    const fetch = jest.fn(async () => ({ status: 429 }));
+    await createDispatcher(fetch).dispatch(WEBHOOK_EVENTS.EXPIRED, { StreamSessionArn: 'arn-1' });
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(delays).toEqual([100, 200]);
+    const [record] = readDeadLetters();
+    expect(record).toMatchObject({
+      Url: 'https://hooks.example.com/a',
+      Attempts: 3,
+      Error: 'Webhook returned status 429',
+      Payload: { Event: 'session.expired', StreamSessionArn: 'arn-1' }
+    });
+    expect(fs.statSync(path.join(directory, 'dead-letter.jsonl')).mode & 0o777).toBe(0o600);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    const fetch = jest.fn(async () => ({ status: 400 }));
+    await createDispatcher(fetch).dispatch(WEBHOOK_EVENTS.ERROR, {});
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(delays).toEqual([]);
+    expect(readDeadLetters()).toMatchObject([{ Attempts: 1, Error: 'Webhook returned status 400' }]);
+  });
+});
+
+describe('session lifecycle webhooks', () => {
+  let receiver: http.Server;
+  let received: Promise<{ headers: http.IncomingHttpHeaders, body: string }>;
+  let server: LoadedServer;
+
+  beforeEach(async () => {
+    received = new Promise((resolve) => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          res.end();
+          resolve({ headers: req.headers, body });
+        });
+      });
+    });
+    await new Promise<void>((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    const { port } = receiver.address() as AddressInfo;
+    server = loadServer((config) => {
+      config.WEBHOOKS.URLS = [`http://127.0.0.1:${port}/hook`];
+      config.WEBHOOKS.SECRET = SECRET;
+      config.WEBHOOKS.EVENTS = ['session.created'];
+    });
+  });
+
+  afterEach(async () => {
+    // Keep console mocked until the dispatcher has logged the delivery
+    while (!(console.info as jest.Mock).mock.calls.concat((console.log as jest.Mock).mock.calls)
+      .some(([line]) => String(line).includes('Webhook delivered'))) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    server.gameliftstreams.reset();
+    jest.restoreAllMocks();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  it('identifies the session by its ARN, never by its connection token', async () => {
+    const response = await request(server.app).post('/api/CreateStreamSession').send(createStreamSessionParams).expect(200);
+    const { StreamSessionArn } = await server.sessionStore.get(response.body.Token);
+
+    const { headers, body } = await received;
+
+    expect(headers['x-webhook-signature']).toBe(signPayload(SECRET, Number(headers['x-webhook-timestamp']), body));
+    expect(JSON.parse(body)).toMatchObject({ Event: 'session.created', StreamSessionArn, UserId: createStreamSessionParams.UserId });
+    expect(JSON.parse(body)).not.toHaveProperty('Token');
+    expect(body).not.toContain(response.body.Token);
+  });
+});